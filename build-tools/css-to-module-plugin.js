@@ -0,0 +1,68 @@
+/**
+ * Rollup plugin to embed the theme stylesheet in a generated StyleData module
+ * This allows exported SVG files to carry the chart styles
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Generates the StyleData module content
+ * @param {string} css - Stylesheet content
+ * @returns {string} JavaScript module content
+ */
+function generateStyleDataModule(css) {
+    const timestamp = new Date().toISOString();
+    const normalized = css.replace(/\r\n/g, '\n').trim();
+
+    return `/**
+ * StyleData.js
+ * Auto-generated module containing the theme stylesheet (nocturna-wheel.css)
+ * Generated at: ${timestamp}
+ *
+ * This file is automatically generated by the build process.
+ * Do not edit manually - changes will be overwritten.
+ */
+
+/**
+ * Theme stylesheet, embedded in exported SVG files
+ */
+export const StyleData = ${JSON.stringify(normalized)};
+`;
+}
+
+/**
+ * Rollup plugin to generate StyleData module from the theme stylesheet
+ */
+export default function cssToModulePlugin(options = {}) {
+    const cssFile = options.cssFile || path.resolve(__dirname, '../assets/css/nocturna-wheel.css');
+    const outputFile = options.outputFile || path.resolve(__dirname, '../src/data/StyleData.js');
+
+    return {
+        name: 'css-to-module',
+
+        buildStart() {
+            console.log('🎨 Embedding theme stylesheet...');
+
+            if (!fs.existsSync(cssFile)) {
+                console.warn(`Stylesheet not found: ${cssFile}`);
+                return;
+            }
+
+            const moduleContent = generateStyleDataModule(fs.readFileSync(cssFile, 'utf8'));
+
+            // Ensure output directory exists
+            const outputDir = path.dirname(outputFile);
+            if (!fs.existsSync(outputDir)) {
+                fs.mkdirSync(outputDir, { recursive: true });
+            }
+
+            fs.writeFileSync(outputFile, moduleContent, 'utf8');
+
+            console.log(`   ✓ Generated ${outputFile}`);
+        }
+    };
+}
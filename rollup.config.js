@@ -8,6 +8,7 @@ import { readFileSync } from 'fs'; // Import Node.js 'fs' module
 const pkg = JSON.parse(readFileSync('./package.json', 'utf8'));
 
 import svgToDataUrlPlugin from './build-tools/svg-to-dataurl-plugin.js';
+import cssToModulePlugin from './build-tools/css-to-module-plugin.js';
 
 // Get environment variables
 const production = process.env.NODE_ENV === 'production';
@@ -21,6 +22,11 @@ const basePlugins = [
     svgDir: './assets/svg/zodiac',
     outputFile: './src/data/IconData.js'
   }),
+  // Embed the theme stylesheet for exported SVG files
+  cssToModulePlugin({
+    cssFile: './assets/css/nocturna-wheel.css',
+    outputFile: './src/data/StyleData.js'
+  }),
   // Essential: Resolve modules in node_modules and source directories
   nodeResolve({
     extensions: ['.js'], // Only use .js files
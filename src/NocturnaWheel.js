@@ -5,8 +5,18 @@
  */
 import { ChartConfig } from './core/ChartConfig.js';
 import { SVGManager } from './managers/SVGManager.js';
+import { EventManager } from './managers/EventManager.js';
+import { TooltipManager } from './managers/TooltipManager.js';
 import { ServiceRegistry } from './services/ServiceRegistry.js';
 import { RendererFactory } from './factories/RendererFactory.js';
+import { Ephemeris } from './core/Ephemeris.js';
+import { AspectPatterns } from './core/AspectPatterns.js';
+import { ChartCalculator } from './core/ChartCalculator.js';
+import { Dignities } from './core/Dignities.js';
+import { Predictive } from './core/Predictive.js';
+import { ReturnCharts } from './core/ReturnCharts.js';
+import { ChartExporter } from './services/ChartExporter.js';
+import { AstrologyUtils } from './utils/AstrologyUtils.js';
 
 export class NocturnaWheel {
     /**
@@ -16,11 +26,22 @@ export class NocturnaWheel {
      * @param {Object} options.planets - Primary planet positions data (outer circle)
      * @param {Object} options.secondaryPlanets - Secondary planet positions data (inner circle, optional)
      * @param {Array} options.houses - House cusps data (optional)
+     * @param {Array} options.secondaryHouses - House cusps of the secondary chart, drawn on the innermost
+     *        circle (optional)
+     * @param {Array} options.rings - Planet rings of a multi-wheel chart, outermost first:
+     *        { id, planets, houses, style: { color, lineColor } }. The first two rings take the place of
+     *        planets/houses and secondaryPlanets/secondaryHouses (optional)
      * @param {Object} options.aspectSettings - Aspect calculation settings (optional, legacy)
      * @param {Object} options.primaryAspectSettings - Primary aspect settings (optional)
      * @param {Object} options.secondaryAspectSettings - Secondary aspect settings (optional)
      * @param {Object} options.synastryAspectSettings - Synastry aspect settings (optional)
+     * @param {Object} options.birthData - Birth data { datetime, timezone, latitude, longitude } used to
+     *        calculate planets and angles with the built-in ephemeris (optional)
+     * @param {string|number} options.varga - Divisional chart to draw, e.g. "D9" (optional, default "D1")
      * @param {Object} options.config - Additional configuration (optional)
+     * @param {Object} options.svgUtils - SvgUtils-compatible instance creating the SVG elements
+     *        (optional, default: the registered one)
+     * @param {IconProvider} options.iconProvider - IconProvider for the icons (optional, default: the registered one)
      */
     constructor(options) {
         if (!options || !options.container) {
@@ -48,11 +69,40 @@ export class NocturnaWheel {
         
         this.houses = options.houses || [];
         
+        // House cusps of the secondary chart (e.g. the partner in synastry)
+        this.secondaryHouses = options.secondaryHouses || [];
+        
+        // Rings of a multi-wheel chart: ids and styles of all rings, and the rings
+        // beyond the primary and secondary chart
+        this.ringIds = null;
+        this.ringStyles = [];
+        this.extraRings = [];
+        if (options.rings) {
+            this._setRings(options.rings);
+        }
+        
+        // Progressed or directed chart shown as the secondary planets, see setPredictive
+        this.predictive = null;
+        
+        // Solar or lunar return chart shown as the secondary planets, see setReturn
+        this.returnChart = null;
+        
+        // Draw a divisional chart of the same data
+        if (options.varga !== undefined && !this.config.setVarga(options.varga)) {
+            throw new Error(`NocturnaWheel: Varga "${options.varga}" is not supported`);
+        }
+        
+        // Calculate positions from birth data when provided
+        if (options.birthData) {
+            this._applyBirthData(options.birthData);
+        }
+        
         // Auto-rotate the wheel if houses are provided
         // This ensures the Ascendant (1st house cusp) is positioned at 9 o'clock
         if (this.houses.length > 0 && this.houses[0] && typeof this.houses[0].lon === 'number') {
-            console.log(`NocturnaWheel: Auto-rotating wheel to Ascendant at ${this.houses[0].lon}°`);
-            this.config.houseSettings.rotationAngle = this.houses[0].lon;
+            const ascendant = this.config.toZodiacLongitude(this.houses[0].lon);
+            console.log(`NocturnaWheel: Auto-rotating wheel to Ascendant at ${ascendant}°`);
+            this.config.houseSettings.rotationAngle = ascendant;
         }
         
         // Override aspect settings if provided (legacy support)
@@ -74,16 +124,52 @@ export class NocturnaWheel {
         // Initialize services
         ServiceRegistry.initializeServices();
         
-        // Initialize SVG manager with shared svgUtils instance
-        const svgUtils = ServiceRegistry.getSvgUtils();
+        // Initialize SVG manager with the injected or shared svgUtils instance
+        const svgUtils = options.svgUtils || ServiceRegistry.getSvgUtils();
         this.svgManager = new SVGManager({ svgUtils });
         
         // Initialize renderers dictionary
         this.renderers = {};
         
+        // Aspect patterns of the primary planets, found on every render
+        this.aspectPatterns = [];
+        
+        // Chart data of the last render for events and tooltips, calculated on the first event
+        this.eventChartData = null;
+        
+        // Click and hover events of planets, aspects, houses and signs
+        this.events = new EventManager((kind, element) => this._getEventData(kind, element));
+        
+        // HTML tooltips of the same elements, when enabled in tooltipSettings
+        this.tooltips = new TooltipManager((kind, element) => this._getEventData(kind, element), this.config);
+        
         console.log("NocturnaWheel: Initialized");
     }
 
+    /**
+     * Calculates planets and angles from birth data using the built-in ephemeris.
+     * Explicitly passed planets take precedence over calculated ones.
+     * @private
+     * @param {Object} birthData - Birth data { datetime, timezone, latitude, longitude }
+     */
+    _applyBirthData(birthData) {
+        this.chartData = new Ephemeris().calculate(birthData);
+        
+        if (!this.options.planets && !this.options.rings) {
+            this.planets = this.chartData.planets;
+        }
+        
+        // Date the ayanamsa of sidereal charts
+        this.config.astronomicalData.julianDay = this.chartData.julianDay;
+        
+        if (this.chartData.ascendant !== null) {
+            this.config.astronomicalData.obliquity = this.chartData.obliquity;
+            this.config.setLatitude(this.chartData.latitude);
+            this.config.setMidheaven(this.chartData.mc);
+            this.config.setAscendant(this.chartData.ascendant);
+        }
+    }
+
     /**
      * Initializes and sets up the chart
      * @private
@@ -97,6 +183,8 @@ export class NocturnaWheel {
         
         // Create SVG element
         this.svgManager.initialize(this.container, svgOptions);
+        this.events.attach(this.svgManager.getSVG());
+        this.tooltips.attach(this.svgManager.getSVG(), this.container);
         
         // Create standard layer groups
         this.svgManager.createStandardGroups();
@@ -113,7 +201,8 @@ export class NocturnaWheel {
         // Create renderer factory
         this.rendererFactory = new RendererFactory(
             this.config, 
-            this.svgManager.svgNS
+            this.svgManager.svgNS,
+            { svgUtils: this.svgManager.svgUtils, iconProvider: this.options.iconProvider }
         );
         
         // Initialize zodiac renderer
@@ -122,13 +211,8 @@ export class NocturnaWheel {
         });
         
         // Initialize house renderer with house data
-        const houseCusps = this.config.getHouseCusps();
-        const houseData = (houseCusps && houseCusps.length > 0) 
-            ? houseCusps 
-            : this.houses;
-        
         this.renderers.house = this.rendererFactory.createHouseRenderer({
-            houseData: houseData
+            houseData: this._getHouseData()
         });
         
         // Initialize planet renderer
@@ -140,6 +224,119 @@ export class NocturnaWheel {
         this.renderers.aspect = this.rendererFactory.createAspectRenderer({
             assetBasePath: this.config.assets.basePath
         });
+        
+        // Initialize renderer for the square Indian layouts
+        this.renderers.indianChart = this.rendererFactory.createIndianChartRenderer({
+            assetBasePath: this.config.assets.basePath,
+            houseData: this._getHouseData()
+        });
+        
+        // Initialize declination renderer (parallels and contraparallels)
+        this.renderers.declination = this.rendererFactory.createDeclinationRenderer();
+    }
+    
+    /**
+     * Sets the planet rings of a multi-wheel chart. The first two rings become the
+     * primary and secondary chart, and the ring radii are fitted to the number of rings.
+     * @private
+     * @param {Array} rings - Rings { id, planets, houses, style }, outermost first
+     * @throws {Error} If the rings are empty or their ids are not unique strings
+     */
+    _setRings(rings) {
+        if (!Array.isArray(rings) || rings.length === 0) {
+            throw new Error("NocturnaWheel: Rings must be a non-empty array");
+        }
+        const ids = rings.map(ring => ring?.id);
+        if (ids.some(id => typeof id !== 'string' || id === '') || new Set(ids).size !== ids.length) {
+            throw new Error("NocturnaWheel: Every ring needs a unique string id");
+        }
+        
+        const [primary, secondary = {}] = rings;
+        this.planets = primary.planets || {};
+        this.houses = primary.houses || [];
+        this.secondaryPlanets = secondary.planets || {};
+        this.secondaryHouses = secondary.houses || [];
+        this.extraRings = rings.slice(2).map(ring => ({ id: ring.id, planets: ring.planets || {}, houses: ring.houses || [] }));
+        this.ringIds = ids;
+        this.ringStyles = rings.map(ring => ring.style || {});
+        this.config.setRingCount(rings.length);
+    }
+    
+    /**
+     * Converts planet data to the array format used by the planet renderers,
+     * leaving out hidden planets
+     * @private
+     * @param {Object} planets - Planet data keyed by name
+     * @param {string} defaultColor - Color of planets without one (optional)
+     * @returns {Array} - Array of { name, position, color, retrograde, speed, declination }
+     */
+    _getPlanetArray(planets, defaultColor = '#000000') {
+        return Object.entries(planets)
+            .filter(([name, data]) => this.config.planetSettings.visible?.[name] !== false)
+            .map(([name, data]) => ({
+                name: name,
+                position: data.lon,
+                color: data.color || defaultColor,
+                retrograde: !!data.retrograde,
+                speed: data.speed,
+                declination: this.config.getDeclination(data)
+            }));
+    }
+    
+    /**
+     * Renders the North or South Indian square chart instead of the wheel
+     * @private
+     */
+    _renderIndianChart() {
+        const planetsEnabled = this.config.planetSettings.enabled;
+        const primaryEnabled = planetsEnabled && this.config.planetSettings.primaryEnabled !== false;
+        const secondaryEnabled = planetsEnabled && this.config.planetSettings.secondaryEnabled !== false;
+        
+        this.renderers.indianChart.houseData = this._getHouseData();
+        this.renderers.indianChart.render(
+            this.svgManager.getGroup('zodiac'),
+            primaryEnabled ? this._getPlanetArray(this.planets) : [],
+            secondaryEnabled ? this._getPlanetArray(this.secondaryPlanets) : []
+        );
+    }
+
+    /**
+     * Gets the house cusps to draw: the calculated cusps of the current house
+     * system, or else the explicitly passed houses converted to the chart's zodiac
+     * @private
+     * @returns {Array} - House cusps in { lon } format
+     */
+    _getHouseData() {
+        return ChartCalculator.getHouseCusps(this.config, this.houses);
+    }
+
+    /**
+     * Gets the Ascendant of explicitly passed houses in the chart's zodiac and varga
+     * @private
+     * @returns {number|undefined} - Ascendant longitude, or undefined if the house cusps
+     *          are calculated by the config (which also rotates the wheel for them)
+     */
+    _getExplicitAscendant() {
+        const houseCusps = this.config.getHouseCusps();
+        if ((houseCusps && houseCusps.length > 0) ||
+            !(this.houses[0] && typeof this.houses[0].lon === 'number')) {
+            return undefined;
+        }
+        return this.config.toZodiacLongitude(this.houses[0].lon);
+    }
+    
+    /**
+     * Keeps the Ascendant of explicitly passed houses at 9 o'clock after the zodiac
+     * or varga changed, unless the rotation was set manually
+     * @private
+     * @param {number|undefined} previousAscendant - Ascendant before the change
+     */
+    _followExplicitAscendant(previousAscendant) {
+        const ascendant = this._getExplicitAscendant();
+        if (previousAscendant !== undefined && ascendant !== undefined &&
+            this.config.houseSettings.rotationAngle === previousAscendant) {
+            this.config.houseSettings.rotationAngle = ascendant;
+        }
     }
 
     /**
@@ -150,11 +347,21 @@ export class NocturnaWheel {
             this._initialize();
         }
         
+        // Every change of the chart data renders again
+        this.eventChartData = null;
+        
         // Clear all groups
         Object.values(this.svgManager.getAllGroups()).forEach(group => {
             group.innerHTML = '';
         });
         
+        // The square layouts replace the whole wheel
+        if (this.config.layout === 'north-indian' || this.config.layout === 'south-indian') {
+            this._renderIndianChart();
+            this.tooltips.refresh();
+            return this;
+        }
+        
         // Render zodiac if enabled
         if (this.config.zodiacSettings.enabled) {
             this.renderers.zodiac.render(this.svgManager.getGroup('zodiac'));
@@ -165,16 +372,21 @@ export class NocturnaWheel {
             const houseGroup = this.svgManager.getGroup('houses');
             const houseDivisionsGroup = this.svgManager.getGroup('houseDivisions');
             
-            // Get the current house cusps based on selected system
-            const houseCusps = this.config.getHouseCusps();
-            if (houseCusps && houseCusps.length > 0) {
-                // Update house renderer with current house system cusps
-                this.renderers.house.houseData = houseCusps;
-            }
+            // Update house renderer with the cusps of the current house system and zodiac
+            this.renderers.house.houseData = this._getHouseData();
             
             // Render house divisions and numbers
             this.renderers.house.renderDivisions(houseDivisionsGroup, this.config.houseSettings.rotationAngle);
             this.renderers.house.renderNumbers(houseGroup, this.config.houseSettings.rotationAngle);
+            
+            // Render the secondary chart's houses on the innermost circle
+            if (this.config.houseSettings.secondaryEnabled !== false && this.secondaryHouses.length >= 12) {
+                this.renderers.house.renderSecondaryHouses(
+                    this.svgManager.getGroup('secondaryHouses'),
+                    ChartCalculator.convertHouses(this.config, this.secondaryHouses),
+                    this.config.houseSettings.rotationAngle
+                );
+            }
         }
         
         // Render planets using the consolidated approach
@@ -188,14 +400,7 @@ export class NocturnaWheel {
             // Render primary planets (outer circle)
             if (primaryEnabled && Object.keys(this.planets).length > 0) {
                 const primaryGroup = this.svgManager.getGroup('primaryPlanets');
-                const primaryArray = Object.entries(this.planets)
-                    .filter(([name, data]) => this.config.planetSettings.visible?.[name] !== false)
-                    .map(([name, data]) => ({
-                        name: name,
-                        position: data.lon,
-                        color: data.color || '#000000',
-                        retrograde: !!data.retrograde
-                    }));
+                const primaryArray = this._getPlanetArray(this.planets, this.ringStyles[0]?.color);
                 primaryPlanetsWithCoords = this.renderers.planet.primaryRenderer.render(primaryGroup, primaryArray, 0, {
                     config: this.config
                 });
@@ -204,21 +409,16 @@ export class NocturnaWheel {
             // Render secondary planets (inner circle) using SEPARATE data
             if (secondaryEnabled && Object.keys(this.secondaryPlanets).length > 0) {
                 const secondaryGroup = this.svgManager.getGroup('secondaryPlanets');
-                const secondaryArray = Object.entries(this.secondaryPlanets)
-                    .filter(([name, data]) => this.config.planetSettings.visible?.[name] !== false)
-                    .map(([name, data]) => ({
-                        name: name,
-                        position: data.lon,
-                        color: data.color || '#000000',
-                        retrograde: !!data.retrograde
-                    }));
+                const secondaryArray = this._getPlanetArray(this.secondaryPlanets, this.ringStyles[1]?.color);
                 secondaryPlanetsWithCoords = this.renderers.planet.secondaryRenderer.render(secondaryGroup, secondaryArray, 0, {
                     config: this.config
                 });
             }
-            
         }
         
+        // Render the further rings of a multi-wheel chart
+        const ringPlanetsWithCoords = this._renderExtraRings();
+        
         // Render three independent aspect types
         
         // 1. Primary aspects (outer circle to outer circle)
@@ -246,8 +446,161 @@ export class NocturnaWheel {
             );
         }
         
+        // Aspects between the rings of ringSettings.aspectPairs
+        if (this.ringIds) {
+            this._renderRingAspects({
+                [this.ringIds[0]]: primaryPlanetsWithCoords,
+                [this.ringIds[1]]: secondaryPlanetsWithCoords,
+                ...ringPlanetsWithCoords
+            });
+        }
+        
+        // 4. Declination aspects (parallels and contraparallels of the primary planets)
+        if (this.config.declinationSettings?.enabled && primaryPlanetsWithCoords.length >= 2) {
+            const declinationAspects = this.renderers.aspect.calculateDeclinationAspects(
+                primaryPlanetsWithCoords,
+                this.config.declinationSettings
+            );
+            this.renderers.declination.render(
+                this.svgManager.getGroup('declinations'),
+                primaryPlanetsWithCoords,
+                declinationAspects
+            );
+        }
+        
+        // 5. Aspect patterns of the primary aspects, highlighting the selected ones
+        this._renderAspectPatterns(primaryPlanetsWithCoords);
+        
+        // Replace the <title> tooltips by the HTML tooltips when enabled
+        this.tooltips.refresh();
+        
         return this;
     }
+    
+    /**
+     * Renders the rings beyond the primary and secondary chart: a circle at the planet
+     * dots, the house cusps of the ring on it and the planets
+     * @private
+     * @returns {Object} - Rendered planets with coordinates keyed by ring id
+     */
+    _renderExtraRings() {
+        const rendered = {};
+        if (this.extraRings.length === 0) {
+            return rendered;
+        }
+        
+        const ringsGroup = this.svgManager.getGroup('rings');
+        const svgUtils = this.svgManager.svgUtils;
+        const radii = this.config.getRingRadii(this.ringIds.length);
+        this.extraRings.forEach((ring, offset) => {
+            const { dotRadius, iconRadius } = radii[offset + 2];
+            const style = this.ringStyles[offset + 2] || {};
+            const ringGroup = svgUtils.createSVGElement('g', { class: 'chart-ring', 'data-ring': ring.id });
+            ringsGroup.appendChild(ringGroup);
+            
+            ringGroup.appendChild(svgUtils.createSVGElement('circle', {
+                cx: this.config.svg.center.x,
+                cy: this.config.svg.center.y,
+                r: dotRadius,
+                fill: 'transparent',
+                stroke: style.lineColor || '#999',
+                'stroke-width': '0.5',
+                class: 'zodiac-element chart-ring-circle'
+            }));
+            
+            if (this.config.houseSettings.enabled && this.config.houseSettings.secondaryEnabled !== false) {
+                this.renderers.house.renderSecondaryHouses(
+                    ringGroup,
+                    ChartCalculator.convertHouses(this.config, ring.houses),
+                    this.config.houseSettings.rotationAngle,
+                    { radius: dotRadius, ring: ring.id }
+                );
+            }
+            
+            if (this.config.planetSettings.enabled) {
+                const planetsGroup = svgUtils.createSVGElement('g', { class: 'chart-ring-planets' });
+                ringGroup.appendChild(planetsGroup);
+                rendered[ring.id] = this.renderers.planet.secondaryRenderer.render(
+                    planetsGroup,
+                    this._getPlanetArray(ring.planets, style.color),
+                    0,
+                    { config: this.config, dotRadius, iconRadius }
+                );
+                // The renderer draws one group per planet directly into planetsGroup
+                Array.from(planetsGroup.children).forEach(element => {
+                    element.setAttribute('data-type', 'ring');
+                    element.setAttribute('data-ring', ring.id);
+                });
+            }
+        });
+        return rendered;
+    }
+    
+    /**
+     * Renders the aspects of the ring pairs of ringSettings.aspectPairs, each pair in its
+     * own group. Cross-aspects are drawn from the projection of the outer planet on the
+     * circle of the inner ring.
+     * @private
+     * @param {Object} ringPlanetsWithCoords - Rendered planets with coordinates keyed by ring id
+     */
+    _renderRingAspects(ringPlanetsWithCoords) {
+        const aspectsGroup = this.svgManager.getGroup('ringAspects');
+        const radii = this.config.getRingRadii(this.ringIds.length);
+        this.config.ringSettings.aspectPairs.forEach(pair => {
+            const indices = (pair.rings || []).map(id => this.ringIds.indexOf(id)).sort((a, b) => a - b);
+            const settings = this.config.getRingAspectSettings(pair);
+            if (indices.length !== 2 || indices.includes(-1) || settings.enabled === false) {
+                return;
+            }
+            
+            const [outerId, innerId] = indices.map(index => this.ringIds[index]);
+            const outerPlanets = ringPlanetsWithCoords[outerId] || [];
+            const innerPlanets = ringPlanetsWithCoords[innerId] || [];
+            const group = this.svgManager.svgUtils.createSVGElement('g', {
+                class: 'ring-aspects',
+                'data-ring1': outerId,
+                'data-ring2': innerId
+            });
+            aspectsGroup.appendChild(group);
+            
+            if (outerId === innerId) {
+                if (outerPlanets.length >= 2) {
+                    this.renderers.aspect.render(group, outerPlanets, settings);
+                }
+            } else if (outerPlanets.length >= 1 && innerPlanets.length >= 1) {
+                this.renderers.aspect.renderCrossAspects(group, outerPlanets, innerPlanets, settings, {
+                    projectionRadius: radii[indices[1]].dotRadius,
+                    label: `${outerId} / ${innerId}`
+                });
+            }
+        });
+    }
+    
+    /**
+     * Finds the aspect patterns of the primary planets and highlights the
+     * patterns selected in patternSettings.highlight
+     * @private
+     * @param {Array} primaryPlanetsWithCoords - Rendered primary planets
+     */
+    _renderAspectPatterns(primaryPlanetsWithCoords) {
+        const settings = this.config.patternSettings;
+        this.aspectPatterns = primaryPlanetsWithCoords.length >= 3
+            ? this.renderers.aspect.getAspectPatterns(
+                this.renderers.aspect.calculateAspects(primaryPlanetsWithCoords, this.config.primaryAspectSettings),
+                { stelliumSize: settings.stelliumSize }
+            )
+            : [];
+        
+        const highlighted = this.aspectPatterns.filter(pattern => AspectPatterns.matches(pattern, settings.highlight));
+        if (highlighted.length > 0) {
+            this.renderers.aspect.renderPatternHighlight(
+                this.svgManager.getGroup('aspectPatterns'),
+                highlighted,
+                primaryPlanetsWithCoords,
+                settings
+            );
+        }
+    }
 
     /**
      * Updates chart configuration
@@ -299,6 +652,17 @@ export class NocturnaWheel {
         return this;
     }
 
+    /**
+     * Toggles the visibility of the secondary chart's houses (innermost circle)
+     * @param {boolean} visible - Visibility state
+     * @returns {NocturnaWheel} - Instance for chaining
+     */
+    toggleSecondaryHouses(visible) {
+        this.config.toggleSecondaryHousesVisibility(visible);
+        this.render();
+        return this;
+    }
+
     /**
      * Toggles the visibility of aspects (legacy - toggles all)
      * @param {boolean} visible - Visibility state
@@ -343,6 +707,408 @@ export class NocturnaWheel {
         this.render();
         return this;
     }
+    
+    /**
+     * Toggles the visibility of declination aspects (parallels and contraparallels)
+     * @param {boolean} visible - Visibility state
+     * @returns {NocturnaWheel} - Instance for chaining
+     */
+    toggleDeclinations(visible) {
+        this.config.toggleDeclinationsVisibility(visible);
+        this.render();
+        return this;
+    }
+
+    /**
+     * Gets the aspect patterns (Grand Trines, T-Squares, Yods, ...) of the primary
+     * planets found on the last render
+     * @returns {Array} - Array of patterns { type, name, planets, apex, aspects }
+     */
+    getAspectPatterns() {
+        return this.aspectPatterns;
+    }
+    
+    /**
+     * Calculates the data of the chart as plain JSON with the headless ChartCalculator:
+     * sign positions, house placements, aspects and aspect patterns
+     * @returns {Object} - Chart data, see ChartCalculator.compute
+     */
+    getChartData() {
+        // As on the wheel, calculated house cusps take precedence over the passed houses
+        const hasCalculatedCusps = this.config.getHouseCusps().length > 0;
+        return ChartCalculator.compute({
+            planets: this.planets,
+            secondaryPlanets: this.secondaryPlanets,
+            houses: hasCalculatedCusps ? [] : this.houses,
+            secondaryHouses: this.secondaryHouses,
+            rings: this.ringIds ? this.getRings().map(({ id, planets, houses }, index) => ({
+                id,
+                planets,
+                houses: index === 0 && hasCalculatedCusps ? [] : houses
+            })) : null,
+            settings: this.config
+        });
+    }
+    
+    /**
+     * Shows progressed or directed positions of the birth data as the secondary planets and
+     * houses, with the synastry aspects as their cross-aspects to the natal planets
+     * @param {string} method - "secondary", "solar-arc" or "tertiary"
+     * @param {Date|string} target - Target date, a Date or an ISO 8601 string
+     * @param {Object} options - Predictive options { mcMethod, houseSystem, timezone, bodies } and
+     *        aspectSettings laid over synastryAspectSettings (optional)
+     * @returns {NocturnaWheel} - Instance for chaining
+     * @throws {Error} If the chart has no birthData, or the method or options are invalid
+     */
+    setPredictive(method, target, options = {}) {
+        if (!this.options.birthData) {
+            throw new Error("NocturnaWheel: Predictive charts need the birthData of the chart");
+        }
+        const { aspectSettings, ...predictiveOptions } = options;
+        this.predictive = Predictive.calculate(method, this.options.birthData, target, {
+            houseSystem: this.config.astronomicalData.houseSystem,
+            ...predictiveOptions
+        });
+        this.secondaryPlanets = this.predictive.planets;
+        this.secondaryHouses = this.predictive.houses;
+        if (aspectSettings) {
+            this.config.updateSynastryAspectSettings(aspectSettings);
+        }
+        this.render();
+        return this;
+    }
+    
+    /**
+     * Returns the progressed or directed chart of the last setPredictive call
+     * @returns {Object|null} - See Predictive.secondaryProgressions and Predictive.solarArcDirections
+     */
+    getPredictive() {
+        return this.predictive;
+    }
+    
+    /**
+     * Shows a solar or lunar return of the birth data as the secondary planets and houses
+     * (a bi-wheel against the natal chart), with the synastry aspects between them
+     * @param {string} type - "solar" or "lunar"
+     * @param {Object} period - { year } for solar returns, { year, month } for lunar returns
+     * @param {Object} options - ReturnCharts options { location, houseSystem, timezone, bodies } and
+     *        aspectSettings laid over synastryAspectSettings (optional)
+     * @returns {NocturnaWheel} - Instance for chaining
+     * @throws {Error} If the chart has no birthData, or the type or period is invalid
+     */
+    setReturn(type, period, options = {}) {
+        const { aspectSettings, ...returnOptions } = options;
+        this.returnChart = this._calculateReturn(type, period, returnOptions);
+        this.secondaryPlanets = this.returnChart.planets;
+        this.secondaryHouses = this.returnChart.houses;
+        if (aspectSettings) {
+            this.config.updateSynastryAspectSettings(aspectSettings);
+        }
+        this.render();
+        return this;
+    }
+    
+    /**
+     * Returns the return chart of the last setReturn call
+     * @returns {Object|null} - See ReturnCharts.solarReturn
+     */
+    getReturn() {
+        return this.returnChart;
+    }
+    
+    /**
+     * Draws a solar or lunar return of the birth data as a chart of its own, e.g. beside
+     * the natal chart, with the configuration of this chart
+     * @param {string|Element} container - Container element or selector of the return chart
+     * @param {string} type - "solar" or "lunar"
+     * @param {Object} period - { year } for solar returns, { year, month } for lunar returns
+     * @param {Object} options - ReturnCharts options { location, houseSystem, timezone, bodies } (optional)
+     * @returns {NocturnaWheel} - The rendered return chart
+     * @throws {Error} If the chart has no birthData, or the type or period is invalid
+     */
+    createReturnChart(container, type, period, options = {}) {
+        const returnChart = this._calculateReturn(type, period, options);
+        const chart = new NocturnaWheel({
+            container,
+            config: this.options.config,
+            svgUtils: this.options.svgUtils,
+            iconProvider: this.options.iconProvider,
+            planets: returnChart.planets,
+            houses: returnChart.houses,
+            birthData: returnChart.birthData
+        });
+        chart.returnChart = returnChart;
+        return chart.render();
+    }
+    
+    /**
+     * Calculates a return chart of the birth data in the chart's house system
+     * @private
+     * @param {string} type - "solar" or "lunar"
+     * @param {Object} period - { year } or { year, month }
+     * @param {Object} options - ReturnCharts options
+     * @returns {Object} - Return chart, see ReturnCharts.solarReturn
+     * @throws {Error} If the chart has no birthData, or the type or period is invalid
+     */
+    _calculateReturn(type, period, options) {
+        if (!this.options.birthData) {
+            throw new Error("NocturnaWheel: Return charts need the birthData of the chart");
+        }
+        return ReturnCharts.calculate(type, this.options.birthData, period, {
+            houseSystem: this.config.astronomicalData.houseSystem,
+            ...options
+        });
+    }
+    
+    /**
+     * Replaces the planets and houses of the chart by the rings of a multi-wheel chart
+     * (tri-wheel and more) and redraws it. The radii of the rings are fitted to their number.
+     * @param {Array} rings - Rings { id, planets, houses, style: { color, lineColor } }, outermost first
+     * @returns {NocturnaWheel} - Instance for chaining
+     * @throws {Error} If the rings are empty or their ids are not unique strings
+     */
+    setRings(rings) {
+        this._setRings(rings);
+        if (this.houses[0] && typeof this.houses[0].lon === 'number') {
+            this.config.houseSettings.rotationAngle = this.config.toZodiacLongitude(this.houses[0].lon);
+        }
+        // The planet and house renderers take the ring radii when they are created
+        if (this.svgManager.getSVG()) {
+            this._initializeRenderers();
+        }
+        this.render();
+        return this;
+    }
+    
+    /**
+     * Returns the planet rings of the chart, outermost first. Without rings these are
+     * the primary and secondary chart.
+     * @returns {Array} - { id, planets, houses, style } of each ring
+     */
+    getRings() {
+        const ids = this.ringIds || ['primary', 'secondary'];
+        return [
+            { id: ids[0], planets: this.planets, houses: this.houses },
+            { id: ids[1], planets: this.secondaryPlanets, houses: this.secondaryHouses },
+            ...this.extraRings
+        ].slice(0, ids.length).map((ring, index) => ({ ...ring, style: this.ringStyles[index] || {} }));
+    }
+    
+    /**
+     * Returns the house overlays of a bi-wheel: the houses of the primary planets in the
+     * secondary chart and of the secondary planets in the primary chart
+     * @returns {Object} - { primaryInSecondaryHouses, secondaryInPrimaryHouses } with house numbers
+     *          keyed by planet name; empty without the houses of the other chart
+     */
+    getHouseOverlays() {
+        return this.getChartData().houseOverlays;
+    }
+    
+    /**
+     * Registers a handler for clicks and hovers on chart elements
+     * @param {string} eventName - "planet:click", "planet:hover", "aspect:click", "aspect:hover",
+     *        "house:click", "house:hover", "sign:click" or "sign:hover"
+     * @param {Function} handler - Called with { planet|aspect|house|sign, element, originalEvent }, where
+     *        the first property holds the domain object (see _getEventData)
+     * @returns {NocturnaWheel} - Instance for chaining
+     */
+    on(eventName, handler) {
+        this.events.on(eventName, handler);
+        return this;
+    }
+    
+    /**
+     * Removes a handler registered with on(), or all handlers of the event
+     * @param {string} eventName - Event name
+     * @param {Function} handler - Handler to remove (optional)
+     * @returns {NocturnaWheel} - Instance for chaining
+     */
+    off(eventName, handler) {
+        this.events.off(eventName, handler);
+        return this;
+    }
+    
+    /**
+     * Updates the tooltip settings and redraws the chart, e.g. to enable the HTML tooltips
+     * @param {Object} settings - Tooltip settings: { enabled, trigger, theme, offset, language, templates, renderer }
+     * @returns {NocturnaWheel} - Instance for chaining
+     */
+    setTooltips(settings) {
+        this.config.updateTooltipSettings(settings);
+        this.render();
+        return this;
+    }
+    
+    /**
+     * Resolves a chart element to the domain object passed to event handlers
+     * @private
+     * @param {string} kind - "planet", "aspect", "house" or "sign"
+     * @param {Element} element - Element with the data attribute of the kind
+     * @returns {Object|null} - Planets: { name, type, ring, lon, sign, degree, house, retrograde, speed,
+     *          declination, dignity, aspects }, with the aspects of the planet, each with its set (and the
+     *          rings of ring pair aspects);
+     *          aspects: { planet1, planet2, type, angle, angleDiff, orb, harmonic, applying, exactIn, set },
+     *          with rings for the set "rings";
+     *          houses: { house, type, lon, sign, degree, planets, secondaryPlanets }, with the planets in
+     *          the houses of the primary or secondary chart; houses of further rings have type "ring",
+     *          their ring and its planets in them as ringPlanets;
+     *          signs: { sign, index, lon, planets, secondaryPlanets }; null if the element is not in the chart data
+     */
+    _getEventData(kind, element) {
+        if (!this.eventChartData) {
+            this.eventChartData = this.getChartData();
+        }
+        const data = this.eventChartData;
+        const namesWhere = (planets, matches) => Object.keys(planets).filter(name => matches(planets[name]));
+        
+        if (kind === 'planet') {
+            const type = ['secondary', 'ring'].includes(element.getAttribute('data-type'))
+                ? element.getAttribute('data-type')
+                : 'primary';
+            const name = element.getAttribute('data-planet');
+            const ring = type === 'ring'
+                ? element.getAttribute('data-ring')
+                : data.rings[type === 'secondary' ? 1 : 0]?.id;
+            const planet = data.rings.find(candidate => candidate.id === ring)?.planets[name];
+            if (!planet) {
+                return null;
+            }
+            // Synastry and ring pair aspects have the planet of the outer ring first
+            const aspects = [
+                ...(type === 'ring' ? [] : data.aspects[type])
+                    .filter(aspect => aspect.planet1 === name || aspect.planet2 === name)
+                    .map(aspect => ({ ...aspect, set: type })),
+                ...(type === 'ring' ? [] : data.aspects.synastry)
+                    .filter(aspect => (type === 'primary' ? aspect.planet1 : aspect.planet2) === name)
+                    .map(aspect => ({ ...aspect, set: 'synastry' })),
+                ...data.aspects.rings.flatMap(pair => pair.aspects
+                    .filter(aspect => (pair.rings[0] === ring && aspect.planet1 === name) ||
+                        (pair.rings[1] === ring && aspect.planet2 === name))
+                    .map(aspect => ({ ...aspect, set: 'rings', rings: pair.rings })))
+            ];
+            return { name, type, ring, ...planet, dignity: Dignities.getDignity(name, planet.sign), aspects };
+        }
+        
+        if (kind === 'aspect') {
+            // The layer group tells the aspect set apart, and the pair group the rings of a ring pair
+            let node = element.parentNode;
+            while (node && !(node.getAttribute?.('id') || '').startsWith('group-') && !node.getAttribute?.('data-ring1')) {
+                node = node.parentNode;
+            }
+            const matches = candidate =>
+                candidate.type === element.getAttribute('data-aspect') &&
+                candidate.planet1 === element.getAttribute('data-planet1') &&
+                candidate.planet2 === element.getAttribute('data-planet2');
+            if (node?.getAttribute('data-ring1')) {
+                const rings = [node.getAttribute('data-ring1'), node.getAttribute('data-ring2')];
+                const pair = data.aspects.rings.find(candidate => candidate.rings[0] === rings[0] && candidate.rings[1] === rings[1]);
+                const aspect = pair?.aspects.find(matches);
+                return aspect ? { ...aspect, set: 'rings', rings } : null;
+            }
+            const groupSets = { 'group-secondaryAspects': 'secondary', 'group-synastryAspects': 'synastry' };
+            const set = groupSets[node?.getAttribute('id')] || 'primary';
+            const aspect = data.aspects[set].find(matches);
+            return aspect ? { ...aspect, set } : null;
+        }
+        
+        if (kind === 'house') {
+            const number = Number(element.getAttribute('data-house'));
+            if (element.getAttribute('data-type') === 'ring') {
+                const ring = data.rings.find(candidate => candidate.id === element.getAttribute('data-ring'));
+                const house = ring?.houses[number - 1];
+                const cusps = ring?.houses.map(cusp => cusp.lon);
+                return house ? {
+                    ...house,
+                    type: 'ring',
+                    ring: ring.id,
+                    planets: namesWhere(data.planets, planet => ChartCalculator.getHouse(planet.lon, cusps) === number),
+                    secondaryPlanets: namesWhere(data.secondaryPlanets,
+                        planet => ChartCalculator.getHouse(planet.lon, cusps) === number),
+                    ringPlanets: namesWhere(ring.planets, planet => ChartCalculator.getHouse(planet.lon, cusps) === number)
+                } : null;
+            }
+            if (element.getAttribute('data-type') === 'secondary') {
+                const house = data.secondaryHouses[number - 1];
+                const cusps = data.secondaryHouses.map(cusp => cusp.lon);
+                const overlay = data.houseOverlays.primaryInSecondaryHouses;
+                return house ? {
+                    ...house,
+                    type: 'secondary',
+                    planets: Object.keys(overlay).filter(name => overlay[name] === number),
+                    secondaryPlanets: namesWhere(data.secondaryPlanets,
+                        planet => ChartCalculator.getHouse(planet.lon, cusps) === number)
+                } : null;
+            }
+            const house = data.houses[number - 1];
+            return house ? {
+                ...house,
+                type: 'primary',
+                planets: namesWhere(data.planets, planet => planet.house === number),
+                secondaryPlanets: namesWhere(data.secondaryPlanets, planet => planet.house === number)
+            } : null;
+        }
+        
+        if (kind === 'sign') {
+            const sign = element.getAttribute('data-sign');
+            const index = AstrologyUtils.getZodiacSigns().indexOf(sign);
+            return index === -1 ? null : {
+                sign,
+                index,
+                lon: index * 30,
+                planets: namesWhere(data.planets, planet => planet.sign === sign),
+                secondaryPlanets: namesWhere(data.secondaryPlanets, planet => planet.sign === sign)
+            };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Exports the rendered chart as a self-contained SVG document, with the theme
+     * styles of nocturna-wheel.css and the icons embedded
+     * @returns {string} - SVG document
+     */
+    exportSVG() {
+        return new ChartExporter(this).exportSVG();
+    }
+    
+    /**
+     * Exports the rendered chart as a PNG image, see ChartExporter for rasterizers
+     * @param {Object} options - { scale, background, rasterizer } (optional)
+     * @returns {Promise<Uint8Array>} - PNG file
+     */
+    exportPNG(options = {}) {
+        return new ChartExporter(this).exportPNG(options);
+    }
+    
+    /**
+     * Exports the rendered chart as a PDF document, optionally with tables of the
+     * positions and aspects
+     * @param {Object} options - { pageSize, includeTables, scale, rasterizer } (optional)
+     * @returns {Promise<Uint8Array>} - PDF file
+     */
+    exportPDF(options = {}) {
+        return new ChartExporter(this).exportPDF(options);
+    }
+    
+    /**
+     * Highlights aspect patterns on the wheel
+     * @param {string|Object|null} selection - A pattern type ("grand-trine", "t-square", ...),
+     *        a pattern returned by getAspectPatterns() or { type, planets }, or null to clear
+     * @returns {NocturnaWheel} - Instance for chaining
+     */
+    highlightAspectPattern(selection) {
+        const highlight = selection && typeof selection === 'object'
+            ? { type: selection.type, planets: selection.planets }
+            : selection ?? null;
+        
+        if (!this.config.setPatternHighlight(highlight)) {
+            console.warn(`NocturnaWheel: Unknown aspect pattern "${selection}"`);
+            return this;
+        }
+        this.render();
+        return this;
+    }
 
     /**
      * Sets the house system rotation angle
@@ -359,7 +1125,9 @@ export class NocturnaWheel {
      * Destroys the chart and cleans up resources
      */
     destroy() {
-        // Remove the SVG element
+        // Stop listening and remove the SVG element
+        this.events.detach();
+        this.tooltips.detach();
         if (this.svgManager.getSVG()) {
             this.svgManager.getSVG().remove();
         }
@@ -368,12 +1136,15 @@ export class NocturnaWheel {
         this.renderers = {};
         this.planets = {};
         this.houses = [];
+        this.secondaryHouses = [];
+        this.extraRings = [];
+        this.eventChartData = null;
         
         console.log("NocturnaWheel: Destroyed");
     }
 
     /**
-     * Updates chart data (planets, secondaryPlanets, houses)
+     * Updates chart data (planets, secondaryPlanets, houses, secondaryHouses)
      * @param {Object} data - Object containing new data, e.g., { planets: {...}, secondaryPlanets: {...}, houses: [...] }
      * @returns {NocturnaWheel} - Instance for chaining
      */
@@ -427,6 +1198,13 @@ export class NocturnaWheel {
                  console.warn("NocturnaWheel.updateData: Invalid houses data format. Expected array.");
              }
         }
+        if (data.secondaryHouses) {
+            if (Array.isArray(data.secondaryHouses)) {
+                this.secondaryHouses = data.secondaryHouses;
+            } else {
+                console.warn("NocturnaWheel.updateData: Invalid secondaryHouses data format. Expected array.");
+            }
+        }
         // Re-render the chart with updated data
         this.render();
         return this;
@@ -478,6 +1256,82 @@ export class NocturnaWheel {
         return this.config.getHouseSystem();
     }
 
+    /**
+     * Sets the chart layout
+     * @param {string} layout - "wheel", "north-indian" or "south-indian"
+     * @returns {NocturnaWheel} - Instance for chaining
+     */
+    setLayout(layout) {
+        if (!this.config.setLayout(layout)) {
+            console.warn(`NocturnaWheel: Unsupported layout "${layout}"`);
+            return this;
+        }
+        this.render();
+        return this;
+    }
+    
+    /**
+     * Gets the chart layout
+     * @returns {string} - "wheel", "north-indian" or "south-indian"
+     */
+    getLayout() {
+        return this.config.layout;
+    }
+    
+    /**
+     * Sets the divisional chart to draw
+     * @param {string|number} varga - Varga identifier ("D1", "D9", "D60", ...) or division (9)
+     * @returns {NocturnaWheel} - Instance for chaining
+     */
+    setVarga(varga) {
+        const previousAscendant = this._getExplicitAscendant();
+        
+        if (!this.config.setVarga(varga)) {
+            console.warn(`NocturnaWheel: Unsupported varga "${varga}"`);
+            return this;
+        }
+        
+        this._followExplicitAscendant(previousAscendant);
+        this.render();
+        return this;
+    }
+    
+    /**
+     * Gets the divisional chart that is drawn
+     * @returns {string} - Varga identifier, "D1" for the birth chart
+     */
+    getVarga() {
+        return this.config.getVarga();
+    }
+    
+    /**
+     * Sets the zodiac the chart is drawn in
+     * @param {string} zodiacType - "tropical" or "sidereal"
+     * @param {string|number} ayanamsa - Ayanamsa name ("Lahiri", "Raman", "Krishnamurti",
+     *        "Fagan-Bradley") or a custom offset in degrees (optional)
+     * @returns {NocturnaWheel} - Instance for chaining
+     */
+    setZodiacType(zodiacType, ayanamsa) {
+        const previousAscendant = this._getExplicitAscendant();
+        
+        if (!this.config.setZodiacType(zodiacType, ayanamsa)) {
+            console.warn(`NocturnaWheel: Unsupported zodiac "${zodiacType}" or ayanamsa "${ayanamsa}"`);
+            return this;
+        }
+        
+        this._followExplicitAscendant(previousAscendant);
+        this.render();
+        return this;
+    }
+    
+    /**
+     * Gets the zodiac the chart is drawn in
+     * @returns {Object} - { zodiacType, ayanamsa, ayanamsaValue }
+     */
+    getZodiacInfo() {
+        return this.config.getZodiacInfo();
+    }
+
     /**
      * Toggles the visibility of primary planets (inner circle)
      * @param {boolean} visible - Visibility state
@@ -162,6 +162,17 @@ export class ChartManager {
         return this;
     }
 
+    /**
+     * Toggles the visibility of declination aspects (parallels and contraparallels)
+     * @param {boolean} visible - Visibility state
+     * @returns {ChartManager} - Instance for chaining
+     */
+    toggleDeclinations(visible) {
+        this.stateManager.toggleDeclinationsVisibility(visible);
+        this.render();
+        return this;
+    }
+
     /**
      * Sets the house system rotation angle
      * @param {number} angle - Rotation angle in degrees
@@ -263,6 +274,48 @@ export class ChartManager {
     getCurrentHouseSystem() {
         return this.stateManager.getCurrentHouseSystem();
     }
+    
+    /**
+     * Sets the chart layout
+     * @param {string} layout - "wheel", "north-indian" or "south-indian"
+     * @returns {ChartManager} - Instance for chaining
+     */
+    setLayout(layout) {
+        this.stateManager.setLayout(layout);
+        this.render();
+        return this;
+    }
+    
+    /**
+     * Sets the divisional chart to draw
+     * @param {string|number} varga - Varga identifier ("D9") or division (9)
+     * @returns {ChartManager} - Instance for chaining
+     */
+    setVarga(varga) {
+        this.stateManager.setVarga(varga);
+        this.render();
+        return this;
+    }
+    
+    /**
+     * Sets the zodiac the chart is drawn in
+     * @param {string} zodiacType - "tropical" or "sidereal"
+     * @param {string|number} ayanamsa - Ayanamsa name or custom offset in degrees (optional)
+     * @returns {ChartManager} - Instance for chaining
+     */
+    setZodiacType(zodiacType, ayanamsa) {
+        this.stateManager.setZodiacType(zodiacType, ayanamsa);
+        this.render();
+        return this;
+    }
+    
+    /**
+     * Gets the zodiac the chart is drawn in
+     * @returns {Object} - { zodiacType, ayanamsa, ayanamsaValue }
+     */
+    getZodiacInfo() {
+        return this.stateManager.getZodiacInfo();
+    }
 
     /**
      * Toggles the visibility of primary planets (inner circle)
@@ -14,7 +14,8 @@ export class ChartRenderer {
         this.wheelChart = wheelChart;  // Store reference to WheelChart instance
         this.chart = wheelChart.chart; // Store direct reference to underlying NocturnaWheel instance
         this.options = options;
-        this.svgUtils = new SvgUtils();
+        // Create elements the same way as the chart (DOM or SvgStringElements)
+        this.svgUtils = this.chart?.svgManager?.svgUtils || new SvgUtils();
         console.log("ChartRenderer: Initialized with chart", this.chart);
     }
     
@@ -51,7 +52,9 @@ export class ChartRenderer {
         const c3Radius = this.chart.config.radius.innermost;     // C3
         
         // Only draw the innermost circle if secondary planets are enabled
-        if (this.chart.config.planetSettings.secondaryEnabled !== false) {
+        // (and not over the square Indian layouts)
+        if (this.chart.config.planetSettings.secondaryEnabled !== false &&
+            (this.chart.config.layout ?? 'wheel') === 'wheel') {
             this.drawInnermostCircle(zodiacGroup, this.svgUtils, centerX, centerY, c3Radius);
         }
         
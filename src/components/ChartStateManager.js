@@ -63,6 +63,16 @@ export class ChartStateManager {
         return true;
     }
     
+    /**
+     * Toggles the visibility of declination aspects (parallels and contraparallels)
+     * @param {boolean} visible - Visibility state
+     * @returns {boolean} Success indicator
+     */
+    toggleDeclinationsVisibility(visible) {
+        this.config.toggleDeclinationsVisibility(visible);
+        return true;
+    }
+    
     /**
      * Sets the house system rotation angle
      * @param {number} angle - Rotation angle in degrees
@@ -98,6 +108,42 @@ export class ChartStateManager {
         return this.config.getHouseSystem();
     }
     
+    /**
+     * Sets the chart layout
+     * @param {string} layout - "wheel", "north-indian" or "south-indian"
+     * @returns {boolean} Success indicator
+     */
+    setLayout(layout) {
+        return this.config.setLayout(layout);
+    }
+    
+    /**
+     * Sets the divisional chart to draw
+     * @param {string|number} varga - Varga identifier ("D9") or division (9)
+     * @returns {boolean} Success indicator
+     */
+    setVarga(varga) {
+        return this.config.setVarga(varga);
+    }
+    
+    /**
+     * Sets the zodiac the chart is drawn in
+     * @param {string} zodiacType - "tropical" or "sidereal"
+     * @param {string|number} ayanamsa - Ayanamsa name or custom offset in degrees (optional)
+     * @returns {boolean} Success indicator
+     */
+    setZodiacType(zodiacType, ayanamsa) {
+        return this.config.setZodiacType(zodiacType, ayanamsa);
+    }
+    
+    /**
+     * Gets the zodiac the chart is drawn in
+     * @returns {Object} { zodiacType, ayanamsa, ayanamsaValue }
+     */
+    getZodiacInfo() {
+        return this.config.getZodiacInfo();
+    }
+    
     /**
      * Toggles the visibility of primary planets (inner circle)
      * @param {boolean} visible - Visibility state
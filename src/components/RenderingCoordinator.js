@@ -63,6 +63,15 @@ export class RenderingCoordinator {
         this.renderers.aspect = this.rendererFactory.createAspectRenderer({
             assetBasePath: this.config.assets.basePath
         });
+        
+        // Initialize renderer for the square Indian layouts
+        this.renderers.indianChart = this.rendererFactory.createIndianChartRenderer({
+            assetBasePath: this.config.assets.basePath,
+            houseData: houseData
+        });
+        
+        // Initialize declination renderer (parallels and contraparallels)
+        this.renderers.declination = this.rendererFactory.createDeclinationRenderer();
     }
     
     /**
@@ -82,6 +91,9 @@ export class RenderingCoordinator {
         if (this.renderers.house) {
             this.renderers.house.houseData = this.houses;
         }
+        if (this.renderers.indianChart) {
+            this.renderers.indianChart.houseData = this.houses;
+        }
     }
     
     /**
@@ -97,10 +109,18 @@ export class RenderingCoordinator {
             group.innerHTML = '';
         });
         
+        // The square layouts replace the whole wheel
+        if (this.config.layout === 'north-indian' || this.config.layout === 'south-indian') {
+            this.renderIndianChart();
+            console.log("RenderingCoordinator: Chart rendered");
+            return;
+        }
+        
         this.renderZodiac();
         this.renderHouses();
         const planetsWithCoords = this.renderPlanets();
         this.renderAspects(planetsWithCoords);
+        this.renderDeclinations(planetsWithCoords);
         
         console.log("RenderingCoordinator: Chart rendered");
     }
@@ -118,6 +138,36 @@ export class RenderingCoordinator {
         return true;
     }
     
+    /**
+     * Renders the North or South Indian square chart
+     * @returns {boolean} Success indicator
+     */
+    renderIndianChart() {
+        if (!this.renderers.indianChart) {
+            return false;
+        }
+        
+        const houseCusps = this.config.getHouseCusps();
+        if (houseCusps && houseCusps.length > 0) {
+            this.renderers.indianChart.houseData = houseCusps;
+        }
+        
+        const planetsArray = this.config.planetSettings.enabled
+            ? Object.entries(this.planets)
+                .filter(([name, data]) => this.config.planetSettings.visible?.[name] !== false)
+                .map(([name, data]) => ({
+                    name: name,
+                    position: data.lon,
+                    color: data.color || '#000000',
+                    retrograde: !!data.retrograde,
+                    speed: data.speed
+                }))
+            : [];
+        
+        this.renderers.indianChart.render(this.svgManager.getGroup('zodiac'), planetsArray);
+        return true;
+    }
+    
     /**
      * Renders the houses
      * @returns {boolean} Success indicator
@@ -185,4 +235,19 @@ export class RenderingCoordinator {
         this.renderers.aspect.render(this.svgManager.getGroup('aspects'), planetsWithCoords);
         return true;
     }
+    
+    /**
+     * Renders the parallels and contraparallels between planets
+     * @param {Array} planetsWithCoords - Array of planets with coordinates and declinations
+     * @returns {boolean} Success indicator
+     */
+    renderDeclinations(planetsWithCoords) {
+        if (!this.config.declinationSettings?.enabled || !this.renderers.declination) {
+            return false;
+        }
+        
+        const aspects = this.renderers.aspect.calculateDeclinationAspects(planetsWithCoords, this.config.declinationSettings);
+        this.renderers.declination.render(this.svgManager.getGroup('declinations'), planetsWithCoords, aspects);
+        return true;
+    }
 } 
\ No newline at end of file
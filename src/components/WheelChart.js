@@ -13,10 +13,13 @@ export class WheelChart {
      * @param {Object} options.planets - Primary planet positions data (outer circle)
      * @param {Object} options.secondaryPlanets - Secondary planet positions data (inner circle, optional)
      * @param {Array} options.houses - House cusps data (optional)
+     * @param {Array} options.secondaryHouses - House cusps of the secondary chart (optional)
+     * @param {Array} options.rings - Planet rings { id, planets, houses, style } of a multi-wheel chart (optional)
      * @param {Object} options.aspectSettings - Aspect calculation settings (optional, legacy)
      * @param {Object} options.primaryAspectSettings - Primary aspect settings (optional)
      * @param {Object} options.secondaryAspectSettings - Secondary aspect settings (optional)
      * @param {Object} options.synastryAspectSettings - Synastry aspect settings (optional)
+     * @param {Object} options.birthData - Birth data to calculate planets and angles from (optional)
      * @param {Object} options.config - Additional configuration (optional)
      * @param {Function} [chartFactory=null] - Factory function to create the chart instance
      *                                        Function signature: (options) => ChartInstance
@@ -129,6 +132,10 @@ export class WheelChart {
         return this._delegateAndRedraw('toggleHouses', visible);
     }
     
+    toggleSecondaryHouses(visible) {
+        return this._delegateAndRedraw('toggleSecondaryHouses', visible);
+    }
+    
     toggleAspects(visible) {
         return this._delegateAndRedraw('toggleAspects', visible);
     }
@@ -145,6 +152,18 @@ export class WheelChart {
         return this._delegateAndRedraw('toggleSynastryAspects', visible);
     }
     
+    toggleDeclinations(visible) {
+        return this._delegateAndRedraw('toggleDeclinations', visible);
+    }
+    
+    highlightAspectPattern(selection) {
+        return this._delegateAndRedraw('highlightAspectPattern', selection);
+    }
+    
+    setTooltips(settings) {
+        return this._delegateAndRedraw('setTooltips', settings);
+    }
+    
     /**
      * Toggles the visibility of primary planets (inner circle)
      * @param {boolean} visible - Visibility state
@@ -200,6 +219,18 @@ export class WheelChart {
         return this._delegateAndRedraw('setHouseSystem', systemName);
     }
     
+    setLayout(layout) {
+        return this._delegateAndRedraw('setLayout', layout);
+    }
+    
+    setVarga(varga) {
+        return this._delegateAndRedraw('setVarga', varga);
+    }
+    
+    setZodiacType(zodiacType, ayanamsa) {
+        return this._delegateAndRedraw('setZodiacType', zodiacType, ayanamsa);
+    }
+    
     // Add direct access to the chart's config for convenience
     get config() {
         return this.chart.config;
@@ -214,4 +245,70 @@ export class WheelChart {
     getCurrentHouseSystem() {
         return this.chart.getCurrentHouseSystem();
     }
+    
+    getZodiacInfo() {
+        return this.chart.getZodiacInfo();
+    }
+    
+    getVarga() {
+        return this.chart.getVarga();
+    }
+    
+    getAspectPatterns() {
+        return this.chart.getAspectPatterns();
+    }
+    
+    getChartData() {
+        return this.chart.getChartData();
+    }
+    
+    getHouseOverlays() {
+        return this.chart.getHouseOverlays();
+    }
+    
+    setPredictive(method, target, options) {
+        return this._delegateAndRedraw('setPredictive', method, target, options);
+    }
+    
+    getPredictive() {
+        return this.chart.getPredictive();
+    }
+    
+    setReturn(type, period, options) {
+        return this._delegateAndRedraw('setReturn', type, period, options);
+    }
+    
+    getReturn() {
+        return this.chart.getReturn();
+    }
+    
+    setRings(rings) {
+        return this._delegateAndRedraw('setRings', rings);
+    }
+    
+    getRings() {
+        return this.chart.getRings();
+    }
+    
+    on(eventName, handler) {
+        this.chart.on(eventName, handler);
+        return this;
+    }
+    
+    off(eventName, handler) {
+        this.chart.off(eventName, handler);
+        return this;
+    }
+    
+    exportSVG() {
+        return this.chart.exportSVG();
+    }
+    
+    exportPNG(options) {
+        return this.chart.exportPNG(options);
+    }
+    
+    exportPDF(options) {
+        return this.chart.exportPDF(options);
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,361 @@
+/**
+ * AspectCalculator.js
+ * Calculation of aspects between planets: ecliptic aspects with orb models, harmonics
+ * and applying/separating motion, cross-aspects between two planet sets, and
+ * declination parallels. It needs no DOM and only reports problems through its
+ * `warn` option; ChartCalculator and ClientSideAspectRenderer both use it.
+ */
+
+// Minor aspects, built in but disabled by default; ChartConfig styles them for its aspect settings
+const MINOR_ASPECTS = {
+    'quincunx': { angle: 150, orb: 3, color: '#DAA520', abbr: 'QCX' }, // Goldenrod
+    'semisextile': { angle: 30, orb: 2, color: '#7FBF3F', abbr: 'SSX' },
+    'semisquare': { angle: 45, orb: 2, color: '#E9967A', abbr: 'SSQ' }, // DarkSalmon
+    'sesquisquare': { angle: 135, orb: 2, color: '#CD5C5C', abbr: 'SQQ' }, // IndianRed
+    'quintile': { angle: 72, orb: 2, color: '#20B2AA', abbr: 'QNT' }, // LightSeaGreen
+    'biquintile': { angle: 144, orb: 2, color: '#008B8B', abbr: 'BQT' }, // DarkCyan
+    'septile': { angle: 360 / 7, orb: 1, color: '#8A2BE2', abbr: 'SEP' }, // BlueViolet
+    'novile': { angle: 40, orb: 1, color: '#DB7093', abbr: 'NOV' } // PaleVioletRed
+};
+
+class AspectCalculator {
+    /**
+     * Constructor
+     * @param {Object} options - Calculator options (optional).
+     * @param {ChartConfig|Object} options.config - Configuration providing the default aspect and
+     *        declination settings and `planetSettings.orbs` for the planet orb models.
+     * @param {Function} options.warn - Receives warning messages such as an unknown orb model
+     *        (default: console.warn).
+     */
+    constructor(options = {}) {
+        this.config = options.config || {};
+        this.warn = options.warn || (message => console.warn(message));
+        this._aspectCacheKey = null; // Cache key for aspect calculations
+        this._aspectCache = [];      // Cached aspect results
+        
+        // Define aspects and their angles (can be overridden/extended by config);
+        // the minor aspects are only calculated when enabled
+        this.defaultAspectDefinitions = {
+            'conjunction': { angle: 0, orb: 8, color: '#FF4500', abbr: 'CON' }, // OrangeRed
+            'opposition': { angle: 180, orb: 6, color: '#DC143C', abbr: 'OPP' }, // Crimson
+            'trine': { angle: 120, orb: 6, color: '#2E8B57', abbr: 'TRI' }, // SeaGreen
+            'square': { angle: 90, orb: 6, color: '#FF0000', abbr: 'SQR' }, // Red
+            'sextile': { angle: 60, orb: 4, color: '#4682B4', abbr: 'SEX' } // SteelBlue
+        };
+        Object.entries(MINOR_ASPECTS).forEach(([name, aspect]) => {
+            this.defaultAspectDefinitions[name] = { ...aspect, enabled: false };
+        });
+    }
+
+    /**
+     * Calculates the angular distance between two positions (0-180 degrees).
+     * @param {number} pos1 - Position 1 (degrees).
+     * @param {number} pos2 - Position 2 (degrees).
+     * @returns {number} The smallest angle between pos1 and pos2 (0-180).
+     */
+    _angularDistance(pos1, pos2) {
+        const diff = Math.abs(pos1 - pos2) % 360;
+        return Math.min(diff, 360 - diff);
+    }
+
+    /**
+     * Returns the position of a planet in a harmonic chart
+     * @param {number} position - Position (degrees).
+     * @param {number} harmonic - Harmonic number (1 = the radix chart).
+     * @returns {number} The position multiplied by the harmonic (0-360).
+     */
+    _harmonicPosition(position, harmonic) {
+        return ((position * harmonic) % 360 + 360) % 360;
+    }
+
+    /**
+     * Returns the orb allowed for an aspect between two planets.
+     * Orb models:
+     * - 'aspect' (default): the orb of the aspect type, or the orb of the settings
+     * - 'planet-moiety': the average of the orbs of both planets (the sum of their moieties)
+     * - 'max': the larger of the orbs of both planets
+     * - a matrix { sun: { moon: 10, ... }, ... } of orbs by planet pair, in either order
+     * Planet orbs come from `config.planetSettings.orbs`; planets without an orb there,
+     * and pairs missing from a matrix, use the orb of the aspect type.
+     * @private
+     * @param {Object} p1 - First planet.
+     * @param {Object} p2 - Second planet.
+     * @param {Object} aspectDef - Definition of the aspect type.
+     * @param {string|Object} orbModel - Orb model checked by _resolveOrbModel.
+     * @param {number} defaultOrb - Orb of the settings for types without an orb.
+     * @returns {number} The orb (degrees).
+     */
+    _getOrb(p1, p2, aspectDef, orbModel, defaultOrb) {
+        const aspectOrb = aspectDef.orb !== undefined ? aspectDef.orb : defaultOrb;
+        if (!orbModel || orbModel === 'aspect') {
+            return aspectOrb;
+        }
+
+        if (typeof orbModel === 'object') {
+            const orb = orbModel[p1.name]?.[p2.name] ?? orbModel[p2.name]?.[p1.name];
+            return typeof orb === 'number' ? orb : aspectOrb;
+        }
+
+        const planetOrbs = this.config.planetSettings?.orbs || {};
+        const orb1 = planetOrbs[p1.name] ?? aspectOrb;
+        const orb2 = planetOrbs[p2.name] ?? aspectOrb;
+        if (orbModel === 'planet-moiety') {
+            return (orb1 + orb2) / 2;
+        }
+        return Math.max(orb1, orb2); // 'max'
+    }
+
+    /**
+     * Validates the orb model of aspect settings
+     * @private
+     * @param {string|Object} orbModel - Orb model from the aspect settings.
+     * @returns {string|Object} The orb model, or 'aspect' for an unknown model.
+     */
+    _resolveOrbModel(orbModel) {
+        if (!orbModel || typeof orbModel === 'object' || ['aspect', 'planet-moiety', 'max'].includes(orbModel)) {
+            return orbModel || 'aspect';
+        }
+        this.warn(`AspectCalculator: Unknown orb model "${orbModel}", using the aspect orbs`);
+        return 'aspect';
+    }
+
+    /**
+     * Determines whether an aspect is applying or separating from the daily motion of
+     * both planets, and when it is exact. Positions and speeds are taken in the
+     * harmonic chart, which does not change the timing.
+     * @param {Object} p1 - First planet, `speed` in degrees per day (optional).
+     * @param {Object} p2 - Second planet, `speed` in degrees per day (optional).
+     * @param {number} targetAngle - Angle of the aspect (degrees).
+     * @param {number} harmonic - Harmonic number (1 = the radix chart).
+     * @returns {Object} { applying, exactIn }: exactIn is the number of days until the
+     *          aspect is exact, negative when it was exact in the past. Both are null
+     *          without the speed of both planets; exactIn is null when the planets
+     *          keep their distance.
+     * @private
+     */
+    _aspectMotion(p1, p2, targetAngle, harmonic) {
+        if (typeof p1.speed !== 'number' || typeof p2.speed !== 'number') {
+            return { applying: null, exactIn: null };
+        }
+
+        // Signed separation from p1 to p2 in (-180, 180]
+        let separation = this._harmonicPosition(p2.position, harmonic) - this._harmonicPosition(p1.position, harmonic);
+        separation = ((separation % 360) + 540) % 360 - 180;
+        if (separation === -180) {
+            separation = 180;
+        }
+
+        // Daily change of the angular distance and of the deviation from the exact angle
+        const relativeSpeed = (p2.speed - p1.speed) * harmonic;
+        const distanceSpeed = separation < 0 ? -relativeSpeed : relativeSpeed;
+        const deviation = Math.abs(separation) - targetAngle;
+
+        if (distanceSpeed === 0) {
+            return { applying: false, exactIn: null };
+        }
+        const exactIn = -deviation / distanceSpeed;
+        return { applying: exactIn > 0, exactIn: exactIn };
+    }
+
+    /**
+     * Calculates aspects between planets based on their positions.
+     * With `aspectSettings.harmonic` set to N > 1 the aspects of the Nth harmonic chart
+     * are found instead: positions are multiplied by N before they are compared, so a
+     * conjunction in the 5th harmonic is a quintile series aspect in the radix.
+     * Planets with a `speed` (degrees per day) give aspects with `applying` and `exactIn`.
+     * @param {Array} planets - Array of planet objects MUST include `position` property.
+     * @param {Object} aspectSettings - Aspect settings to use (optional, defaults to config.aspectSettings)
+     * @returns {Array} Array of calculated aspect objects.
+     */
+    calculateAspects(planets, aspectSettings = null) {
+        const aspects = [];
+        if (!planets || planets.length < 2) {
+            return aspects;
+        }
+
+        // Use provided aspectSettings or fall back to config
+        const settings = aspectSettings || this.config.aspectSettings || {};
+        
+        // Generate a cache key based on aspectSettings and planet positions
+        const settingsString = JSON.stringify(settings);
+        const planetKey = planets.map(p => `${p.name}:${p.position}:${p.speed}`).join('|');
+        const orbsString = JSON.stringify(this.config.planetSettings?.orbs || {}); // Used by the planet orb models
+        const cacheKey = `${settingsString}|${orbsString}|${planetKey}`;
+        if (cacheKey === this._aspectCacheKey) {
+            return this._aspectCache;
+        }
+
+        // Get aspect types and orbs from settings, falling back to defaults
+        const calculationOrb = settings.orb || 6; // Default orb if not specified per aspect
+        const aspectTypes = settings.types || this.defaultAspectDefinitions;
+        const harmonic = settings.harmonic > 0 ? settings.harmonic : 1;
+        const orbModel = this._resolveOrbModel(settings.orbModel);
+
+        // Iterate through all unique pairs of planets
+        for (let i = 0; i < planets.length; i++) {
+            for (let j = i + 1; j < planets.length; j++) {
+                const p1 = planets[i];
+                const p2 = planets[j];
+
+                const angleDiff = this._angularDistance(
+                    this._harmonicPosition(p1.position, harmonic),
+                    this._harmonicPosition(p2.position, harmonic)
+                );
+
+                // Check against each defined aspect type
+                for (const aspectName in aspectTypes) {
+                    const aspectDef = aspectTypes[aspectName];
+                    if (aspectDef.enabled === false) {
+                        continue; // Disabled types, such as the minor aspects by default
+                    }
+                    const targetAngle = aspectDef.angle;
+                    const orb = this._getOrb(p1, p2, aspectDef, orbModel, calculationOrb); // Orb of the orb model
+
+                    if (Math.abs(angleDiff - targetAngle) <= orb) {
+                        // Aspect found!
+                        aspects.push({
+                            planet1: p1.name,
+                            planet2: p2.name,
+                            type: aspectName,
+                            angle: targetAngle, // The ideal angle of the aspect type
+                            angleDiff: angleDiff, // The actual angle difference between planets
+                            orb: Math.abs(angleDiff - targetAngle), // How exact the aspect is
+                            // Include planet objects for coordinate lookup during rendering
+                            p1: p1,
+                            p2: p2,
+                            // Add default color/style from definition
+                            color: aspectDef.color || '#888', // Default color
+                            lineStyle: aspectDef.lineStyle, // e.g., 'dashed', 'dotted' (used later in styling)
+                            abbr: aspectDef.abbr || aspectName.substring(0, 3).toUpperCase(), // Use abbreviation from definition or default
+                            harmonic: harmonic,
+                            ...this._aspectMotion(p1, p2, targetAngle, harmonic)
+                        });
+                    }
+                }
+            }
+        }
+        // Cache results and key
+        this._aspectCacheKey = cacheKey;
+        this._aspectCache = aspects;
+        return aspects;
+    }
+    
+    /**
+     * Calculates cross-aspects (synastry) between two different planet sets.
+     * @param {Array} planets1 - First array of planet objects (e.g., primary/outer planets)
+     * @param {Array} planets2 - Second array of planet objects (e.g., secondary/inner planets)
+     * @param {Object} aspectSettings - Aspect settings to use
+     * @returns {Array} Array of calculated cross-aspect objects.
+     */
+    calculateCrossAspects(planets1, planets2, aspectSettings = null) {
+        const aspects = [];
+        if (!planets1 || planets1.length < 1 || !planets2 || planets2.length < 1) {
+            return aspects;
+        }
+
+        // Use provided aspectSettings or fall back to synastry settings
+        const settings = aspectSettings || this.config.synastryAspectSettings || {};
+        
+        // Get aspect types and orbs from settings
+        const calculationOrb = settings.orb || 6;
+        const aspectTypes = settings.types || this.defaultAspectDefinitions;
+        const harmonic = settings.harmonic > 0 ? settings.harmonic : 1;
+        const orbModel = this._resolveOrbModel(settings.orbModel);
+
+        // Iterate through all pairs between the two planet sets
+        for (let i = 0; i < planets1.length; i++) {
+            for (let j = 0; j < planets2.length; j++) {
+                const p1 = planets1[i];
+                const p2 = planets2[j];
+
+                const angleDiff = this._angularDistance(
+                    this._harmonicPosition(p1.position, harmonic),
+                    this._harmonicPosition(p2.position, harmonic)
+                );
+
+                // Check against each defined aspect type
+                for (const aspectName in aspectTypes) {
+                    const aspectDef = aspectTypes[aspectName];
+                    if (aspectDef.enabled === false) {
+                        continue; // Disabled types, such as the minor aspects by default
+                    }
+                    const targetAngle = aspectDef.angle;
+                    const orb = this._getOrb(p1, p2, aspectDef, orbModel, calculationOrb);
+
+                    if (Math.abs(angleDiff - targetAngle) <= orb) {
+                        // Cross-aspect found!
+                        aspects.push({
+                            planet1: p1.name,
+                            planet2: p2.name,
+                            type: aspectName,
+                            angle: targetAngle,
+                            angleDiff: angleDiff,
+                            orb: Math.abs(angleDiff - targetAngle),
+                            p1: p1,
+                            p2: p2,
+                            color: aspectDef.color || '#888',
+                            lineStyle: aspectDef.lineStyle,
+                            abbr: aspectDef.abbr || aspectName.substring(0, 3).toUpperCase(),
+                            harmonic: harmonic,
+                            ...this._aspectMotion(p1, p2, targetAngle, harmonic),
+                            isCross: true // Mark as cross-aspect for identification
+                        });
+                    }
+                }
+            }
+        }
+        
+        return aspects;
+    }
+
+    /**
+     * Calculates parallels and contraparallels from the declinations of the planets.
+     * Planets on the same side of the celestial equator are parallel when their
+     * declinations are within the orb; planets on opposite sides are contraparallel.
+     * @param {Array} planets - Array of planet objects; planets without a `declination` are skipped.
+     * @param {Object} declinationSettings - Declination settings to use (optional, defaults to config.declinationSettings)
+     * @returns {Array} Array of declination aspect objects with `declination1` and `declination2`.
+     */
+    calculateDeclinationAspects(planets, declinationSettings = null) {
+        const aspects = [];
+        const settings = declinationSettings || this.config.declinationSettings || {};
+        const types = settings.types || {};
+        const withDeclination = (planets || []).filter(p => typeof p.declination === 'number');
+
+        for (let i = 0; i < withDeclination.length; i++) {
+            for (let j = i + 1; j < withDeclination.length; j++) {
+                const p1 = withDeclination[i];
+                const p2 = withDeclination[j];
+                const d1 = p1.declination;
+                const d2 = p2.declination;
+
+                const type = d1 * d2 >= 0 ? 'parallel' : 'contraparallel';
+                const definition = types[type];
+                if (!definition || definition.enabled === false) {
+                    continue;
+                }
+
+                const orb = type === 'parallel' ? Math.abs(d1 - d2) : Math.abs(d1 + d2);
+                if (orb <= (definition.orb !== undefined ? definition.orb : 1)) {
+                    aspects.push({
+                        planet1: p1.name,
+                        planet2: p2.name,
+                        type: type,
+                        declination1: d1,
+                        declination2: d2,
+                        orb: orb,
+                        p1: p1,
+                        p2: p2,
+                        color: definition.color || '#888',
+                        lineStyle: definition.lineStyle,
+                        abbr: definition.abbr || type.substring(0, 3).toUpperCase()
+                    });
+                }
+            }
+        }
+
+        return aspects;
+    }
+}
+
+export { AspectCalculator, MINOR_ASPECTS };
@@ -0,0 +1,268 @@
+/**
+ * AspectPatterns.js
+ * Detection of aspect patterns (configurations of three or more planets) in a list
+ * of pairwise aspects, as calculated by ClientSideAspectRenderer.
+ *
+ * Patterns are found from the aspect types alone, so the orbs of the aspect settings
+ * decide which patterns exist. Yods need the quincunx, which is disabled by default.
+ * Larger patterns include smaller ones: a Grand Cross also yields four T-Squares and
+ * a Kite a Grand Trine.
+ */
+
+const PATTERNS = {
+    "grand-trine": { name: "Grand Trine", minPlanets: 3 },
+    "t-square": { name: "T-Square", minPlanets: 3 },
+    "grand-cross": { name: "Grand Cross", minPlanets: 4 },
+    "yod": { name: "Yod", minPlanets: 3 },
+    "kite": { name: "Kite", minPlanets: 4 },
+    "mystic-rectangle": { name: "Mystic Rectangle", minPlanets: 4 },
+    "stellium": { name: "Stellium", minPlanets: 3 }
+};
+
+class AspectPatterns {
+    /**
+     * Returns the supported pattern types
+     * @returns {Array} Array of pattern types ("grand-trine", "t-square", ...)
+     */
+    static getPatternTypes() {
+        return Object.keys(PATTERNS);
+    }
+
+    /**
+     * Returns the display name of a pattern type
+     * @param {string} type - Pattern type
+     * @returns {string|null} Pattern name, or null for an unknown type
+     */
+    static getPatternName(type) {
+        return PATTERNS[type]?.name || null;
+    }
+
+    /**
+     * Finds the aspect patterns in a list of aspects
+     * @param {Array} aspects - Aspects with `planet1`, `planet2` and `type`
+     * @param {Object} options - Detection options (optional)
+     * @param {Array} options.types - Pattern types to look for (default: all)
+     * @param {number} options.stelliumSize - Minimum number of planets of a stellium (default: 3)
+     * @returns {Array} Array of patterns { type, name, planets, apex, aspects }; `apex` is the
+     *          focal planet of T-Squares and Yods and null for the other patterns
+     */
+    static detect(aspects, options = {}) {
+        const types = options.types || this.getPatternTypes();
+        const graph = this._buildAspectGraph(aspects || []);
+        const patterns = [];
+
+        types.forEach(type => {
+            if (!PATTERNS[type]) {
+                console.warn(`AspectPatterns: Unknown pattern type "${type}"`);
+                return;
+            }
+            const found = type === "stellium"
+                ? this._findStelliums(graph, options.stelliumSize || PATTERNS.stellium.minPlanets)
+                : this._findPattern(graph, type);
+            found.forEach(({ planets, apex = null }) => {
+                patterns.push({
+                    type: type,
+                    name: PATTERNS[type].name,
+                    planets: planets,
+                    apex: apex,
+                    aspects: this._patternAspects(graph, planets)
+                });
+            });
+        });
+
+        return patterns;
+    }
+
+    /**
+     * Checks whether a pattern matches a selection
+     * @param {Object} pattern - Pattern returned by detect()
+     * @param {string|Object} selection - A pattern type, or { type, planets } where both are optional
+     * @returns {boolean} Whether the pattern is selected
+     */
+    static matches(pattern, selection) {
+        if (!selection) {
+            return false;
+        }
+        if (typeof selection === 'string') {
+            return pattern.type === selection;
+        }
+        if (selection.type && selection.type !== pattern.type) {
+            return false;
+        }
+        if (Array.isArray(selection.planets)) {
+            return selection.planets.length === pattern.planets.length &&
+                selection.planets.every(planet => pattern.planets.includes(planet));
+        }
+        return true;
+    }
+
+    /**
+     * Indexes the aspects by planet pair
+     * @private
+     * @param {Array} aspects - Aspects with `planet1`, `planet2` and `type`
+     * @returns {Object} { planets, types, aspects }: the planets in order of appearance, and
+     *          the aspect type and aspect object of each pair keyed by _pairKey
+     */
+    static _buildAspectGraph(aspects) {
+        const graph = { planets: [], types: {}, aspects: {} };
+        aspects.forEach(aspect => {
+            [aspect.planet1, aspect.planet2].forEach(planet => {
+                if (!graph.planets.includes(planet)) {
+                    graph.planets.push(planet);
+                }
+            });
+            const key = this._pairKey(aspect.planet1, aspect.planet2);
+            graph.types[key] = aspect.type;
+            graph.aspects[key] = aspect;
+        });
+        return graph;
+    }
+
+    /**
+     * Returns the key of a planet pair, independent of the order of the planets
+     * @private
+     * @param {string} planet1 - First planet
+     * @param {string} planet2 - Second planet
+     * @returns {string} Pair key
+     */
+    static _pairKey(planet1, planet2) {
+        return planet1 < planet2 ? `${planet1}|${planet2}` : `${planet2}|${planet1}`;
+    }
+
+    /**
+     * Finds the patterns of a type by checking every combination of planets
+     * @private
+     * @param {Object} graph - Aspect graph
+     * @param {string} type - Pattern type (any type except "stellium")
+     * @returns {Array} Array of { planets, apex }
+     */
+    static _findPattern(graph, type) {
+        const is = (a, b, aspectType) => graph.types[this._pairKey(a, b)] === aspectType;
+        const found = [];
+
+        this._combinations(graph.planets, PATTERNS[type].minPlanets).forEach(group => {
+            if (type === "grand-trine") {
+                const [a, b, c] = group;
+                if (is(a, b, "trine") && is(b, c, "trine") && is(a, c, "trine")) {
+                    found.push({ planets: group });
+                }
+                return;
+            }
+
+            if (type === "t-square" || type === "yod") {
+                // Base pair (opposition or sextile) with both planets aspecting the apex
+                const [base, side] = type === "t-square" ? ["opposition", "square"] : ["sextile", "quincunx"];
+                group.forEach(apex => {
+                    const [a, b] = group.filter(planet => planet !== apex);
+                    if (is(a, b, base) && is(a, apex, side) && is(b, apex, side)) {
+                        found.push({ planets: group, apex: apex });
+                    }
+                });
+                return;
+            }
+
+            // Four planets: try the three ways of splitting them into two pairs
+            const [a, b, c, d] = group;
+            [[a, b, c, d], [a, c, b, d], [a, d, b, c]].some(([p1, p2, p3, p4]) => {
+                // p1-p2 and p3-p4 are the oppositions (the diagonals of the figure)
+                if (type === "grand-cross" || type === "mystic-rectangle") {
+                    if (!is(p1, p2, "opposition") || !is(p3, p4, "opposition")) {
+                        return false;
+                    }
+                    const sides = [[p1, p3], [p3, p2], [p2, p4], [p4, p1]].map(([x, y]) => graph.types[this._pairKey(x, y)]);
+                    const matched = type === "grand-cross"
+                        ? sides.every(side => side === "square")
+                        : (sides[0] === "sextile" && sides[1] === "trine" && sides[2] === "sextile" && sides[3] === "trine") ||
+                          (sides[0] === "trine" && sides[1] === "sextile" && sides[2] === "trine" && sides[3] === "sextile");
+                    if (matched) {
+                        found.push({ planets: group });
+                    }
+                    return matched;
+                }
+
+                // Kite: a Grand Trine p1-p3-p4 with p2 opposite p1 and sextile to p3 and p4
+                for (const [x, y] of [[p1, p2], [p2, p1]]) {
+                    if (is(x, y, "opposition") && is(x, p3, "trine") && is(x, p4, "trine") && is(p3, p4, "trine") &&
+                        is(y, p3, "sextile") && is(y, p4, "sextile")) {
+                        found.push({ planets: group });
+                        return true;
+                    }
+                }
+                return false;
+            });
+        });
+
+        return found;
+    }
+
+    /**
+     * Finds stelliums: groups of planets linked by a chain of conjunctions
+     * @private
+     * @param {Object} graph - Aspect graph
+     * @param {number} minSize - Minimum number of planets
+     * @returns {Array} Array of { planets }
+     */
+    static _findStelliums(graph, minSize) {
+        const visited = new Set();
+        const found = [];
+
+        graph.planets.forEach(start => {
+            if (visited.has(start)) {
+                return;
+            }
+            const cluster = [];
+            const queue = [start];
+            visited.add(start);
+            while (queue.length > 0) {
+                const planet = queue.shift();
+                cluster.push(planet);
+                graph.planets.forEach(other => {
+                    if (!visited.has(other) && graph.types[this._pairKey(planet, other)] === "conjunction") {
+                        visited.add(other);
+                        queue.push(other);
+                    }
+                });
+            }
+            if (cluster.length >= minSize) {
+                found.push({ planets: graph.planets.filter(planet => cluster.includes(planet)) });
+            }
+        });
+
+        return found;
+    }
+
+    /**
+     * Returns the aspects between the planets of a pattern
+     * @private
+     * @param {Object} graph - Aspect graph
+     * @param {Array} planets - Planets of the pattern
+     * @returns {Array} Aspect objects
+     */
+    static _patternAspects(graph, planets) {
+        return this._combinations(planets, 2)
+            .map(([a, b]) => graph.aspects[this._pairKey(a, b)])
+            .filter(Boolean);
+    }
+
+    /**
+     * Returns all combinations of `size` items, keeping the order of the items
+     * @private
+     * @param {Array} items - Items
+     * @param {number} size - Combination size
+     * @returns {Array} Array of combinations
+     */
+    static _combinations(items, size) {
+        if (size === 0) {
+            return [[]];
+        }
+        const result = [];
+        items.forEach((item, index) => {
+            this._combinations(items.slice(index + 1), size - 1).forEach(rest => {
+                result.push([item, ...rest]);
+            });
+        });
+        return result;
+    }
+}
+
+export { AspectPatterns };
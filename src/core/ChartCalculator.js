@@ -0,0 +1,301 @@
+/**
+ * ChartCalculator.js
+ * Headless chart calculation: sign positions, house placements, aspects and aspect
+ * patterns as plain JSON, without a DOM and without console output. The wheel uses
+ * the same engine (AspectCalculator, AspectPatterns and the house cusps of this class).
+ */
+import { ChartConfig } from './ChartConfig.js';
+import { AspectCalculator } from './AspectCalculator.js';
+import { AspectPatterns } from './AspectPatterns.js';
+import { Vargas } from './Vargas.js';
+import { AstronomyUtils } from '../utils/AstronomyUtils.js';
+import { AstrologyUtils } from '../utils/AstrologyUtils.js';
+
+class ChartCalculator {
+    /**
+     * Calculates the data of a chart
+     * @param {Object} chart - Chart input
+     * @param {Object} chart.planets - Primary planet data keyed by name, { lon, lat, speed, declination, retrograde }
+     *        with tropical longitudes, as passed to NocturnaWheel
+     * @param {Object} chart.secondaryPlanets - Secondary planet data (optional)
+     * @param {Array} chart.houses - Tropical house cusps, [{ lon }] or longitudes (optional; without them the
+     *        cusps are calculated from `settings.astronomicalData`)
+     * @param {Array} chart.secondaryHouses - Tropical house cusps of the secondary chart (optional)
+     * @param {Array} chart.rings - Planet rings { id, planets, houses } of a multi-wheel chart, outermost first
+     *        (optional); the first two rings replace planets, houses, secondaryPlanets and secondaryHouses
+     * @param {Object|ChartConfig} chart.settings - ChartConfig options or a ChartConfig instance (optional)
+     * @returns {Object} { zodiac, houseSystem, houses, secondaryHouses, planets, secondaryPlanets, rings, houseOverlays,
+     *          aspects: { primary, secondary, synastry, rings }, patterns: { primary, secondary }, warnings }; longitudes
+     *          are in the chart's zodiac, houseSystem is null for explicitly passed houses. The house of a
+     *          secondary planet is its house in the primary chart, like in houseOverlays.secondaryInPrimaryHouses;
+     *          houseOverlays.primaryInSecondaryHouses holds the houses of the primary planets in the secondary chart.
+     *          rings lists { id, planets, houses } of every ring, with the planets placed in the primary houses, and
+     *          aspects.rings the aspects { rings: [id1, id2], aspects } of ringSettings.aspectPairs, with planet1 in
+     *          the outer ring.
+     */
+    static compute({ planets = {}, secondaryPlanets = {}, houses = [], secondaryHouses = [], rings = null, settings = {} } = {}) {
+        // Warnings of the house cusps are collected from the config instead of the console
+        const config = settings instanceof ChartConfig ? settings : new ChartConfig(settings, { warn: () => {} });
+        const warnings = config.getHouseWarning() ? [config.getHouseWarning()] : [];
+        if (rings && rings.length > 0) {
+            ({ planets = {}, houses = [] } = rings[0]);
+            ({ planets: secondaryPlanets = {}, houses: secondaryHouses = [] } = rings[1] || {});
+        }
+        const ringIds = rings && rings.length > 0 ? rings.map(ring => ring.id) : ['primary', 'secondary'];
+        const calculator = new AspectCalculator({ config, warn: message => warnings.push(message) });
+
+        const explicitHouses = houses.length > 0;
+        const cusps = (explicitHouses ? this.convertHouses(config, houses) : config.getHouseCusps())
+            .map(house => house?.lon)
+            .filter(lon => typeof lon === 'number');
+        const secondaryCusps = this.convertHouses(config, secondaryHouses)
+            .map(house => house?.lon)
+            .filter(lon => typeof lon === 'number');
+        const primary = this._placePlanets(config, planets, cusps);
+        const secondary = this._placePlanets(config, secondaryPlanets, cusps);
+        const placedRings = [
+            { id: ringIds[0], planets: primary, cusps },
+            { id: ringIds[1], planets: secondary, cusps: secondaryCusps },
+            ...(rings || []).slice(2).map(ring => ({
+                id: ring.id,
+                planets: this._placePlanets(config, ring.planets, cusps),
+                cusps: this.convertHouses(config, ring.houses || [])
+                    .map(house => house?.lon)
+                    .filter(lon => typeof lon === 'number')
+            }))
+        ].slice(0, Math.max(ringIds.length, 1));
+        const primaryArray = this._toAspectInput(primary);
+        const secondaryArray = this._toAspectInput(secondary);
+
+        const primaryAspects = config.primaryAspectSettings.enabled !== false
+            ? calculator.calculateAspects(primaryArray, config.primaryAspectSettings)
+            : [];
+        const secondaryAspects = config.secondaryAspectSettings.enabled !== false
+            ? calculator.calculateAspects(secondaryArray, config.secondaryAspectSettings)
+            : [];
+        const synastryAspects = config.synastryAspectSettings.enabled !== false
+            ? calculator.calculateCrossAspects(primaryArray, secondaryArray, config.synastryAspectSettings)
+            : [];
+        const patternOptions = { stelliumSize: config.patternSettings.stelliumSize };
+
+        return {
+            zodiac: { ...config.getZodiacInfo(), varga: config.getVarga() },
+            houseSystem: explicitHouses ? null : config.getEffectiveHouseSystem(),
+            houses: cusps.map((lon, index) => ({ house: index + 1, ...this._signPosition(lon) })),
+            secondaryHouses: secondaryCusps.map((lon, index) => ({ house: index + 1, ...this._signPosition(lon) })),
+            planets: primary,
+            secondaryPlanets: secondary,
+            rings: placedRings.map(ring => ({
+                id: ring.id,
+                planets: ring.planets,
+                houses: ring.cusps.map((lon, index) => ({ house: index + 1, ...this._signPosition(lon) }))
+            })),
+            houseOverlays: {
+                primaryInSecondaryHouses: this._getHouseOverlay(primary, secondaryCusps),
+                secondaryInPrimaryHouses: this._getHouseOverlay(secondary, cusps)
+            },
+            aspects: {
+                primary: primaryAspects.map(aspect => this._serializeAspect(aspect)),
+                secondary: secondaryAspects.map(aspect => this._serializeAspect(aspect)),
+                synastry: synastryAspects.map(aspect => this._serializeAspect(aspect)),
+                rings: this._calculateRingAspects(config, calculator, placedRings, warnings)
+            },
+            patterns: {
+                primary: this._serializePatterns(AspectPatterns.detect(primaryAspects, patternOptions)),
+                secondary: this._serializePatterns(AspectPatterns.detect(secondaryAspects, patternOptions))
+            },
+            warnings
+        };
+    }
+
+    /**
+     * Returns the house cusps of a chart in its zodiac: the cusps calculated by the config,
+     * or else the given tropical cusps converted to the zodiac (whole signs from the
+     * varga Lagna in divisional charts)
+     * @param {ChartConfig} config - Chart configuration
+     * @param {Array} houses - Tropical house cusps, [{ lon }] or longitudes
+     * @returns {Array} House cusps in { lon } format
+     */
+    static getHouseCusps(config, houses = []) {
+        const houseCusps = config.getHouseCusps();
+        if (houseCusps && houseCusps.length > 0) {
+            return houseCusps;
+        }
+        return this.convertHouses(config, houses);
+    }
+
+    /**
+     * Converts tropical house cusps to the chart's zodiac; divisional charts get whole
+     * sign houses from the varga Lagna
+     * @param {ChartConfig} config - Chart configuration
+     * @param {Array} houses - Tropical house cusps, [{ lon }] or longitudes
+     * @returns {Array} House cusps in { lon } format
+     */
+    static convertHouses(config, houses) {
+        const cusps = houses.map(house => typeof house === 'number' ? { lon: house } : house);
+        if (config.getVarga() !== "D1") {
+            return Vargas.mapHouses(cusps, config.getVarga(), config.getAyanamsa());
+        }
+        return cusps.map(house => (house && typeof house.lon === 'number')
+            ? { ...house, lon: config.toZodiacLongitude(house.lon) }
+            : house);
+    }
+
+    /**
+     * Returns the house a longitude falls in
+     * @param {number} longitude - Longitude in degrees
+     * @param {Array} cusps - House cusp longitudes in house order
+     * @returns {number|null} House number (1-based), or null without cusps
+     */
+    static getHouse(longitude, cusps) {
+        if (!cusps || cusps.length < 2) {
+            return null;
+        }
+        for (let i = 0; i < cusps.length; i++) {
+            const size = AstronomyUtils.normalizeDegrees(cusps[(i + 1) % cusps.length] - cusps[i]);
+            if (AstronomyUtils.normalizeDegrees(longitude - cusps[i]) < size) {
+                return i + 1;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Converts planet data to the chart's zodiac and places the planets in signs and houses,
+     * leaving out hidden planets
+     * @private
+     * @param {ChartConfig} config - Chart configuration
+     * @param {Object} planets - Planet data keyed by name
+     * @param {Array} cusps - House cusp longitudes
+     * @returns {Object} { lon, sign, degree, house, retrograde, speed, declination } keyed by name
+     */
+    static _placePlanets(config, planets, cusps) {
+        const placed = {};
+        Object.entries(planets || {})
+            .filter(([name, data]) => typeof data?.lon === 'number' && config.planetSettings.visible?.[name] !== false)
+            .forEach(([name, data]) => {
+                const lon = config.toZodiacLongitude(data.lon);
+                placed[name] = {
+                    ...this._signPosition(lon),
+                    house: this.getHouse(lon, cusps),
+                    retrograde: typeof data.retrograde === 'boolean' ? data.retrograde : data.speed < 0,
+                    speed: typeof data.speed === 'number' ? data.speed : null,
+                    declination: config.getDeclination(data)
+                };
+            });
+        return placed;
+    }
+
+    /**
+     * Calculates the aspects of the ring pairs of ringSettings.aspectPairs
+     * @private
+     * @param {ChartConfig} config - Chart configuration
+     * @param {AspectCalculator} calculator - Aspect calculator
+     * @param {Array} placedRings - Rings { id, planets } with placed planets, outermost first
+     * @param {Array} warnings - Receives warnings about unknown rings
+     * @returns {Array} { rings: [outer id, inner id], aspects } of each enabled pair
+     */
+    static _calculateRingAspects(config, calculator, placedRings, warnings) {
+        const ringIds = placedRings.map(ring => ring.id);
+        const results = [];
+        (config.ringSettings?.aspectPairs || []).forEach(pair => {
+            const indices = (pair.rings || []).map(id => ringIds.indexOf(id)).sort((a, b) => a - b);
+            if (indices.length !== 2 || indices.includes(-1)) {
+                warnings.push(`ChartCalculator: Unknown rings in aspect pair ${JSON.stringify(pair.rings)}`);
+                return;
+            }
+            const settings = config.getRingAspectSettings(pair);
+            if (settings.enabled === false) {
+                return;
+            }
+            const [outer, inner] = indices.map(index => this._toAspectInput(placedRings[index].planets));
+            const aspects = indices[0] === indices[1]
+                ? calculator.calculateAspects(outer, settings)
+                : calculator.calculateCrossAspects(outer, inner, settings);
+            results.push({
+                rings: indices.map(index => ringIds[index]),
+                aspects: aspects.map(aspect => this._serializeAspect(aspect))
+            });
+        });
+        return results;
+    }
+
+    /**
+     * Returns the houses of placed planets in the houses of a chart
+     * @private
+     * @param {Object} placed - Placed planets keyed by name
+     * @param {Array} cusps - House cusp longitudes of the chart
+     * @returns {Object} House numbers keyed by planet name, empty without cusps
+     */
+    static _getHouseOverlay(placed, cusps) {
+        if (cusps.length < 2) {
+            return {};
+        }
+        return Object.fromEntries(Object.entries(placed).map(([name, planet]) => [name, this.getHouse(planet.lon, cusps)]));
+    }
+
+    /**
+     * Returns the sign position of a longitude
+     * @private
+     * @param {number} lon - Longitude in degrees
+     * @returns {Object} { lon, sign, degree } with the degree within the sign
+     */
+    static _signPosition(lon) {
+        const longitude = AstronomyUtils.normalizeDegrees(lon);
+        return {
+            lon: longitude,
+            sign: AstrologyUtils.getZodiacSigns()[Math.floor(longitude / 30) % 12],
+            degree: longitude % 30
+        };
+    }
+
+    /**
+     * Converts placed planets to the input of AspectCalculator
+     * @private
+     * @param {Object} placed - Placed planets keyed by name
+     * @returns {Array} Array of { name, position, speed, declination }
+     */
+    static _toAspectInput(placed) {
+        return Object.entries(placed).map(([name, planet]) => ({
+            name,
+            position: planet.lon,
+            speed: planet.speed ?? undefined,
+            declination: planet.declination
+        }));
+    }
+
+    /**
+     * Strips an aspect of its planet objects and drawing styles
+     * @private
+     * @param {Object} aspect - Aspect calculated by AspectCalculator
+     * @returns {Object} { planet1, planet2, type, angle, angleDiff, orb, harmonic, applying, exactIn }
+     */
+    static _serializeAspect(aspect) {
+        return {
+            planet1: aspect.planet1,
+            planet2: aspect.planet2,
+            type: aspect.type,
+            angle: aspect.angle,
+            angleDiff: aspect.angleDiff,
+            orb: aspect.orb,
+            harmonic: aspect.harmonic,
+            applying: aspect.applying,
+            exactIn: aspect.exactIn
+        };
+    }
+
+    /**
+     * Serializes the aspects of aspect patterns
+     * @private
+     * @param {Array} patterns - Patterns found by AspectPatterns
+     * @returns {Array} Patterns with serialized aspects
+     */
+    static _serializePatterns(patterns) {
+        return patterns.map(pattern => ({
+            ...pattern,
+            aspects: pattern.aspects.map(aspect => this._serializeAspect(aspect))
+        }));
+    }
+}
+
+export { ChartCalculator };
@@ -3,19 +3,49 @@
  * Configuration class for the natal chart rendering.
  */
 import { HouseCalculator } from './HouseCalculator.js';
+import { Ayanamsa } from './Ayanamsa.js';
+import { Vargas } from './Vargas.js';
+import { PointCatalogue } from './PointCatalogue.js';
+import { AspectPatterns } from './AspectPatterns.js';
+import { MINOR_ASPECTS } from './AspectCalculator.js';
+import { AstronomyUtils } from '../utils/AstronomyUtils.js';
+
+// Obliquity of the ecliptic used when no date is known (J2000, degrees), as in HouseCalculator
+const DEFAULT_OBLIQUITY = 23.4367;
+
+/**
+ * Creates the minor aspect types, which are built in but disabled by default
+ * @param {number} strokeWidth - Line width of the aspect group
+ * @returns {Object} Aspect types keyed by name
+ */
+const createMinorAspectTypes = (strokeWidth) => Object.fromEntries(
+    Object.entries(MINOR_ASPECTS).map(([name, { angle, orb, color }]) => [
+        name,
+        { angle, orb, color, enabled: false, lineStyle: 'dotted', strokeWidth }
+    ])
+);
 
 export class ChartConfig {
     /**
      * Creates a new configuration with default settings
      * @param {Object} customConfig - Custom configuration to merge with defaults
+     * @param {Object} options - Options (optional)
+     * @param {Function} options.warn - Receives warnings about the house cusps, such as a polar
+     *        fallback (default: console.warn)
      */
-    constructor(customConfig = {}) {
+    constructor(customConfig = {}, options = {}) {
         // Astronomical data - pure positional data without styling
         this.astronomicalData = {
             ascendant: 0,       // Ascendant longitude in degrees
             mc: 90,             // Midheaven longitude in degrees
             latitude: 51.5,     // Default latitude (London)
+            obliquity: null,    // Obliquity of the ecliptic for the chart date (null = J2000 value)
             houseSystem: "Placidus", // Default house system
+            polarFallback: "Porphyry", // System used where the house system is undefined ("Porphyry", "Equal" or "throw")
+            zodiacType: "tropical", // "tropical" or "sidereal"
+            ayanamsa: "Lahiri", // Sidereal zodiac: ayanamsa name or a custom offset in degrees
+            julianDay: null,    // Julian Day of the chart, dates the ayanamsa (null = J2000)
+            varga: "D1",        // Divisional chart to draw ("D1" = birth chart, "D9" = Navamsa, ...)
             planets: {
                 // Default planet positions
                 sun: 0,
@@ -35,12 +65,16 @@ export class ChartConfig {
         this.primaryAspectSettings = {
             enabled: true,
             orb: 6,
+            orbModel: 'aspect', // 'aspect', 'planet-moiety', 'max' or a matrix of orbs by planet pair
+            // Styles of applying and separating aspects, used when planets have a speed
+            motionStyles: { applying: { opacity: 1 }, separating: { opacity: 0.5 } },
             types: {
                 conjunction: { angle: 0, orb: 8, color: '#000000', enabled: true, lineStyle: 'none', strokeWidth: 1 },
                 opposition: { angle: 180, orb: 6, color: '#E41B17', enabled: true, lineStyle: 'solid', strokeWidth: 1 },
                 trine: { angle: 120, orb: 6, color: '#4CC417', enabled: true, lineStyle: 'solid', strokeWidth: 1 },
                 square: { angle: 90, orb: 6, color: '#F62817', enabled: true, lineStyle: 'dashed', strokeWidth: 1 },
-                sextile: { angle: 60, orb: 4, color: '#56A5EC', enabled: true, lineStyle: 'dashed', strokeWidth: 1 }
+                sextile: { angle: 60, orb: 4, color: '#56A5EC', enabled: true, lineStyle: 'dashed', strokeWidth: 1 },
+                ...createMinorAspectTypes(1)
             }
         };
         
@@ -48,12 +82,16 @@ export class ChartConfig {
         this.secondaryAspectSettings = {
             enabled: true,
             orb: 6,
+            orbModel: 'aspect', // 'aspect', 'planet-moiety', 'max' or a matrix of orbs by planet pair
+            // Styles of applying and separating aspects, used when planets have a speed
+            motionStyles: { applying: { opacity: 1 }, separating: { opacity: 0.5 } },
             types: {
                 conjunction: { angle: 0, orb: 8, color: '#AA00AA', enabled: true, lineStyle: 'none', strokeWidth: 1 },
                 opposition: { angle: 180, orb: 6, color: '#FF6600', enabled: true, lineStyle: 'solid', strokeWidth: 1 },
                 trine: { angle: 120, orb: 6, color: '#00AA00', enabled: true, lineStyle: 'solid', strokeWidth: 1 },
                 square: { angle: 90, orb: 6, color: '#CC0066', enabled: true, lineStyle: 'dashed', strokeWidth: 1 },
-                sextile: { angle: 60, orb: 4, color: '#0099CC', enabled: true, lineStyle: 'dashed', strokeWidth: 1 }
+                sextile: { angle: 60, orb: 4, color: '#0099CC', enabled: true, lineStyle: 'dashed', strokeWidth: 1 },
+                ...createMinorAspectTypes(1)
             }
         };
         
@@ -61,12 +99,16 @@ export class ChartConfig {
         this.synastryAspectSettings = {
             enabled: true,
             orb: 6,
+            orbModel: 'aspect', // 'aspect', 'planet-moiety', 'max' or a matrix of orbs by planet pair
+            // Styles of applying and separating aspects, used when planets have a speed
+            motionStyles: { applying: { opacity: 1 }, separating: { opacity: 0.5 } },
             types: {
                 conjunction: { angle: 0, orb: 8, color: '#666666', enabled: true, lineStyle: 'none', strokeWidth: 1 },
                 opposition: { angle: 180, orb: 6, color: '#9933CC', enabled: true, lineStyle: 'solid', strokeWidth: 0.5 },
                 trine: { angle: 120, orb: 6, color: '#33AA55', enabled: true, lineStyle: 'solid', strokeWidth: 0.5 },
                 square: { angle: 90, orb: 6, color: '#CC6633', enabled: true, lineStyle: 'dotted', strokeWidth: 0.5 },
-                sextile: { angle: 60, orb: 4, color: '#5599DD', enabled: true, lineStyle: 'dotted', strokeWidth: 0.5 }
+                sextile: { angle: 60, orb: 4, color: '#5599DD', enabled: true, lineStyle: 'dotted', strokeWidth: 0.5 },
+                ...createMinorAspectTypes(0.5)
             }
         };
         
@@ -75,15 +117,51 @@ export class ChartConfig {
         this.aspectSettings = {
             enabled: true,
             orb: 6,
+            orbModel: 'aspect', // 'aspect', 'planet-moiety', 'max' or a matrix of orbs by planet pair
+            // Styles of applying and separating aspects, used when planets have a speed
+            motionStyles: { applying: { opacity: 1 }, separating: { opacity: 0.5 } },
             types: {
                 conjunction: { angle: 0, orb: 8, color: '#000000', enabled: true, lineStyle: 'none', strokeWidth: 1 },
                 opposition: { angle: 180, orb: 6, color: '#E41B17', enabled: true, lineStyle: 'solid', strokeWidth: 1 },
                 trine: { angle: 120, orb: 6, color: '#4CC417', enabled: true, lineStyle: 'solid', strokeWidth: 1 },
                 square: { angle: 90, orb: 6, color: '#F62817', enabled: true, lineStyle: 'dashed', strokeWidth: 1 },
-                sextile: { angle: 60, orb: 4, color: '#56A5EC', enabled: true, lineStyle: 'dashed', strokeWidth: 1 }
+                sextile: { angle: 60, orb: 4, color: '#56A5EC', enabled: true, lineStyle: 'dashed', strokeWidth: 1 },
+                ...createMinorAspectTypes(1)
+            }
+        };
+        
+        // Declination aspects (parallels and contraparallels), an optional layer
+        this.declinationSettings = {
+            enabled: false,
+            display: "lines",     // "lines" between the planets or a "strip" of declinations beside the wheel
+            maxDeclination: 30,   // Declination at the ends of the strip, in degrees north and south
+            stripX: null,         // X coordinate of the strip; by default beside the house numbers
+            types: {
+                parallel: { orb: 1, color: '#6A5ACD', enabled: true, lineStyle: 'dashed', abbr: 'PAR' },
+                contraparallel: { orb: 1, color: '#C71585', enabled: true, lineStyle: 'dotted', abbr: 'CPA' }
             }
         };
         
+        // Aspect patterns (Grand Trine, T-Square, ...) of the primary aspects
+        this.patternSettings = {
+            highlight: null,      // Pattern to highlight: a pattern type or { type, planets }
+            color: '#FFD700',
+            lineWidth: 4,
+            opacity: 0.5,
+            stelliumSize: 3       // Minimum number of conjunct planets of a stellium
+        };
+        
+        // HTML tooltips of planets, aspects, houses and signs, replacing the SVG <title> tooltips
+        this.tooltipSettings = {
+            enabled: false,
+            trigger: "hover",     // "hover" (hover, and tap on touch screens) or "click"
+            theme: "light",       // "light", "dark" or an object of styles, e.g. { background: '#222' }
+            offset: 12,           // Distance from the pointer in pixels
+            language: "en",       // Language of the planet and sign names
+            templates: {},        // Templates by kind: (data, helpers) => HTML string or Element
+            renderer: null        // Custom renderer: (tooltip) => void, called with null to hide
+        };
+        
         // Planet settings
         this.planetSettings = {
             enabled: true,
@@ -91,45 +169,8 @@ export class ChartConfig {
             secondaryEnabled: true,   // Toggle for secondary (innermost circle) planets
             dotSize: 3,               // Size of the position dot
             iconSize: 24,             // Size of the planet icon
-            orbs: {
-                // Default orbs for each planet
-                sun: 8,
-                moon: 8,
-                mercury: 6,
-                venus: 6,
-                mars: 6,
-                jupiter: 6,
-                saturn: 6,
-                uranus: 4,
-                neptune: 4,
-                pluto: 4
-            },
-            colors: {
-                // Default colors for each planet
-                sun: "#ff9900",
-                moon: "#aaaaaa",
-                mercury: "#3399cc",
-                venus: "#cc66cc",
-                mars: "#cc3333",
-                jupiter: "#9966cc",
-                saturn: "#336633",
-                uranus: "#33cccc",
-                neptune: "#3366ff",
-                pluto: "#663366"
-            },
-            visible: {
-                // Default visibility for each planet
-                sun: true,
-                moon: true,
-                mercury: true,
-                venus: true,
-                mars: true,
-                jupiter: true,
-                saturn: true,
-                uranus: true,
-                neptune: true,
-                pluto: true
-            }
+            // Default orbs, colors and visibility for each point of the catalogue
+            ...PointCatalogue.getDefaultSettings()
         };
         
         // House settings - only UI related settings, no calculations
@@ -138,7 +179,9 @@ export class ChartConfig {
             lineColor: "#666666",
             textColor: "#333333",
             fontSize: 10,
-            rotationAngle: 0  // Custom rotation angle for house system
+            rotationAngle: 0,  // Custom rotation angle for house system
+            showFallbackBadge: true, // Warn when the house system is undefined at the latitude
+            secondaryEnabled: true   // Toggle for the secondary chart's houses (innermost circle)
         };
         
         // Zodiac settings
@@ -173,6 +216,13 @@ export class ChartConfig {
             houseNumberRadius: 210 // Radius for house numbers
         };
         
+        // Planet rings of multi-wheel charts, inward from the zodiac (see the NocturnaWheel option rings)
+        this.ringSettings = {
+            bandWidth: 30,        // Width of a planet ring, narrowed so that all rings fit
+            minAspectRadius: 60,  // Smallest radius left for the aspects inside the rings
+            aspectPairs: []       // Aspects between rings: { rings: [id1, id2], ...aspect settings }
+        };
+        
         // SVG settings
         this.svg = {
             width: 460,
@@ -181,6 +231,9 @@ export class ChartConfig {
             center: { x: 230, y: 230 }
         };
         
+        // Chart layout: "wheel", "north-indian" or "south-indian"
+        this.layout = "wheel";
+        
         // Assets settings
         this.assets = {
             basePath: "./assets/",
@@ -200,9 +253,21 @@ export class ChartConfig {
         // House cusps cache - will be populated by HouseCalculator
         this.houseCusps = [];
         
+        // House system actually used for houseCusps (differs from houseSystem after a polar fallback)
+        this.effectiveHouseSystem = null;
+        
+        // Warning of the last house cusp calculation (polar fallback or failure), null if none
+        this.houseWarning = null;
+        
+        // Last rotation set automatically from the Ascendant (manual rotations are kept)
+        this.autoRotationAngle = null;
+        
         // Merge custom config with defaults (deep merge)
         this.mergeConfig(customConfig);
         
+        // Set after the merge, so that custom config cannot replace it
+        this.warn = options.warn || (message => console.warn(message));
+        
         // Initialize house cusps if we have enough data
         this._initializeHouseCusps();
     }
@@ -252,30 +317,49 @@ export class ChartConfig {
         if (typeof this.astronomicalData.ascendant === 'number' && 
             typeof this.astronomicalData.mc === 'number') {
             
+            this.houseWarning = null;
             try {
                 // Create calculator instance
                 const houseCalculator = new HouseCalculator();
                 
                 // Calculate house cusps using the current house system
-                this.houseCusps = houseCalculator.calculateHouseCusps(
+                const houses = houseCalculator.calculateHouses(
                     this.astronomicalData.ascendant,
                     this.astronomicalData.houseSystem,
                     {
                         latitude: this.astronomicalData.latitude,
-                        mc: this.astronomicalData.mc
+                        mc: this.astronomicalData.mc,
+                        // undefined lets the calculator fall back to its default
+                        obliquity: this.astronomicalData.obliquity ?? undefined,
+                        polarFallback: this.astronomicalData.polarFallback,
+                        ayanamsa: this.getAyanamsa()
                     }
                 );
+                // Houses of divisional charts are whole signs from the varga Lagna
+                this.houseCusps = this.astronomicalData.varga === "D1"
+                    ? houses.cusps
+                    : Vargas.mapHouses([this.astronomicalData.ascendant], this.astronomicalData.varga, this.getAyanamsa());
+                this.effectiveHouseSystem = houses.system;
+                
+                if (houses.fallback) {
+                    this.houseWarning = `ChartConfig: ${houses.requestedSystem} is undefined at latitude ${this.astronomicalData.latitude}°, using ${houses.system}`;
+                    this.warn(this.houseWarning);
+                }
                 
                 // Auto-rotate the wheel to position the Ascendant at 9 o'clock
                 // Only set if not already explicitly configured
-                if (this.houseCusps.length > 0 && this.houseSettings.rotationAngle === 0) {
-                    console.log(`ChartConfig: Auto-rotating wheel to Ascendant at ${this.astronomicalData.ascendant}°`);
-                    this.houseSettings.rotationAngle = this.astronomicalData.ascendant;
+                const rotation = this.houseSettings.rotationAngle;
+                if (this.houseCusps.length > 0 && (rotation === 0 || rotation === this.autoRotationAngle)) {
+                    const ascendant = this.toZodiacLongitude(this.astronomicalData.ascendant);
+                    this.houseSettings.rotationAngle = ascendant;
+                    this.autoRotationAngle = ascendant;
                 }
             } catch (error) {
-                console.error("Failed to calculate house cusps:", error?.message || error);
+                this.houseWarning = `ChartConfig: Failed to calculate house cusps: ${error?.message || error}`;
+                this.warn(this.houseWarning);
                 // Set empty cusps array if calculation fails
                 this.houseCusps = [];
+                this.effectiveHouseSystem = null;
             }
         }
     }
@@ -289,11 +373,30 @@ export class ChartConfig {
         const planetLower = planetName.toLowerCase();
         return {
             color: this.planetSettings.colors[planetLower] || "#000000",
+            orb: this.planetSettings.orbs?.[planetLower],
             size: this.planetSettings.size,
             visible: this.planetSettings.visible[planetLower] !== false
         };
     }
 
+    /**
+     * Returns the declination of a planet or point. Without an explicit declination it is
+     * calculated from the tropical ecliptic position and the obliquity of the chart date.
+     * @param {Object} planetData - Planet data: { declination } or { lon, lat } (lat defaults to 0)
+     * @returns {number|null} Declination in degrees (positive north), or null without a position
+     */
+    getDeclination(planetData) {
+        if (typeof planetData.declination === 'number') {
+            return planetData.declination;
+        }
+        if (typeof planetData.lon !== 'number') {
+            return null;
+        }
+        const latitude = planetData.lat ?? planetData.latitude ?? 0;
+        const obliquity = this.astronomicalData.obliquity ?? DEFAULT_OBLIQUITY;
+        return AstronomyUtils.eclipticToEquatorial(planetData.lon, latitude, obliquity).declination;
+    }
+
     /**
      * Gets settings for a specific aspect
      * @param {string} aspectType - Type of aspect
@@ -377,6 +480,18 @@ export class ChartConfig {
         this.zodiacSettings = { ...this.zodiacSettings, ...settings };
     }
 
+    /**
+     * Updates tooltip settings
+     * @param {Object} settings - New tooltip settings
+     */
+    updateTooltipSettings(settings) {
+        this.tooltipSettings = {
+            ...this.tooltipSettings,
+            ...settings,
+            templates: { ...this.tooltipSettings.templates, ...settings.templates }
+        };
+    }
+
     /**
      * Sets radius for a specific layer
      * @param {string} layerName - Layer name
@@ -388,6 +503,60 @@ export class ChartConfig {
         }
     }
 
+    /**
+     * Calculates the radii of the planet rings, stacked inward from the inner edge of the
+     * zodiac. With the default settings two rings get the radii of the primary and secondary
+     * planets of a bi-wheel.
+     * @param {number} count - Number of rings
+     * @returns {Array} - { outerRadius, iconRadius, dotRadius } of each ring, outermost first
+     */
+    getRingRadii(count) {
+        const top = this.radius.zodiacMiddle;
+        const { bandWidth, minAspectRadius } = this.ringSettings;
+        const band = Math.min(bandWidth, (top - minAspectRadius) / Math.max(count, 1));
+        
+        return Array.from({ length: count }, (_, index) => ({
+            outerRadius: top - index * band,
+            iconRadius: top - (index + 0.5) * band,
+            dotRadius: top - (index + 1) * band
+        }));
+    }
+    
+    /**
+     * Sets the radii of the primary and secondary planet circles for a number of rings
+     * @param {number} count - Number of rings
+     * @returns {boolean} - Success status
+     */
+    setRingCount(count) {
+        if (!Number.isInteger(count) || count < 1) {
+            return false;
+        }
+        
+        const radii = this.getRingRadii(count);
+        this.radius.zodiacInner = radii[0].dotRadius;
+        if (count > 1) {
+            this.radius.innermost = radii[1].dotRadius;
+        }
+        return true;
+    }
+    
+    /**
+     * Returns the aspect settings of a pair of rings: the synastry aspect settings
+     * with the options of the pair laid over them
+     * @param {Object} pair - Entry of ringSettings.aspectPairs, { rings: [id1, id2], ...aspect settings }
+     * @returns {Object} - Aspect settings
+     */
+    getRingAspectSettings(pair) {
+        const { rings, types = {}, ...settings } = pair;
+        const baseTypes = this.synastryAspectSettings.types || {};
+        const mergedTypes = { ...baseTypes };
+        Object.entries(types).forEach(([type, typeSettings]) => {
+            mergedTypes[type] = { ...baseTypes[type], ...typeSettings };
+        });
+        
+        return { ...this.synastryAspectSettings, enabled: true, ...settings, types: mergedTypes };
+    }
+    
     /**
      * Toggles the visibility of a planet
      * @param {string} planetName - Name of the planet
@@ -407,6 +576,14 @@ export class ChartConfig {
         this.houseSettings.enabled = visible;
     }
     
+    /**
+     * Toggles the visibility of the secondary chart's houses (innermost circle)
+     * @param {boolean} visible - Whether the secondary houses should be visible
+     */
+    toggleSecondaryHousesVisibility(visible) {
+        this.houseSettings.secondaryEnabled = visible;
+    }
+    
     /**
      * Toggles the visibility of aspects (legacy - toggles all aspect types)
      * @param {boolean} visible - Whether aspects should be visible
@@ -443,6 +620,14 @@ export class ChartConfig {
         this.synastryAspectSettings.enabled = visible;
     }
     
+    /**
+     * Toggles the visibility of declination aspects (parallels and contraparallels)
+     * @param {boolean} visible - Whether declination aspects should be visible
+     */
+    toggleDeclinationsVisibility(visible) {
+        this.declinationSettings.enabled = visible;
+    }
+    
     /**
      * Toggles the visibility of primary planets (inner circle)
      * @param {boolean} visible - Whether primary planets should be visible
@@ -581,6 +766,161 @@ export class ChartConfig {
         return this.astronomicalData.houseSystem;
     }
     
+    /**
+     * Gets the current ayanamsa
+     * @returns {number} - Ayanamsa in degrees, 0 for the tropical zodiac
+     * @throws {Error} If the configured ayanamsa is not supported
+     */
+    getAyanamsa() {
+        if (this.astronomicalData.zodiacType !== "sidereal") {
+            return 0;
+        }
+        return Ayanamsa.calculate(this.astronomicalData.ayanamsa, this.astronomicalData.julianDay ?? undefined);
+    }
+    
+    /**
+     * Converts a tropical longitude to the configured zodiac and divisional chart
+     * @param {number} longitude - Tropical longitude in degrees
+     * @returns {number} - Longitude in the tropical or sidereal zodiac, mapped into the varga
+     */
+    toZodiacLongitude(longitude) {
+        const ayanamsa = this.getAyanamsa();
+        const zodiacLongitude = ayanamsa === 0 ? longitude : Ayanamsa.toSidereal(longitude, ayanamsa);
+        return this.astronomicalData.varga === "D1"
+            ? zodiacLongitude
+            : Vargas.calculateLongitude(zodiacLongitude, this.astronomicalData.varga);
+    }
+    
+    /**
+     * Gets the zodiac the chart is drawn in
+     * @returns {Object} - { zodiacType, ayanamsa, ayanamsaValue }; ayanamsa and
+     *   ayanamsaValue (degrees) are null for the tropical zodiac
+     */
+    getZodiacInfo() {
+        const sidereal = this.astronomicalData.zodiacType === "sidereal";
+        return {
+            zodiacType: this.astronomicalData.zodiacType,
+            ayanamsa: sidereal ? this.astronomicalData.ayanamsa : null,
+            ayanamsaValue: sidereal ? this.getAyanamsa() : null
+        };
+    }
+    
+    /**
+     * Sets the zodiac and recalculates house cusps
+     * @param {string} zodiacType - "tropical" or "sidereal"
+     * @param {string|number} ayanamsa - Ayanamsa name or custom offset in degrees (optional)
+     * @returns {boolean} - Success status
+     */
+    setZodiacType(zodiacType, ayanamsa = this.astronomicalData.ayanamsa) {
+        if (zodiacType !== "tropical" && zodiacType !== "sidereal") {
+            return false;
+        }
+        try {
+            Ayanamsa.calculate(ayanamsa);
+        } catch (error) {
+            return false;
+        }
+        
+        this.astronomicalData.zodiacType = zodiacType;
+        this.astronomicalData.ayanamsa = ayanamsa;
+        this._initializeHouseCusps();
+        return true;
+    }
+    
+    /**
+     * Gets the divisional chart that is drawn
+     * @returns {string} - Varga identifier, "D1" for the birth chart
+     */
+    getVarga() {
+        return this.astronomicalData.varga;
+    }
+    
+    /**
+     * Sets the divisional chart to draw and recalculates house cusps
+     * @param {string|number} varga - Varga identifier ("D9") or division (9)
+     * @returns {boolean} - Success status
+     */
+    setVarga(varga) {
+        try {
+            this.astronomicalData.varga = Vargas.normalize(varga);
+        } catch (error) {
+            return false;
+        }
+        this._initializeHouseCusps();
+        return true;
+    }
+    
+    /**
+     * Gets the house system actually used for the current cusps
+     * @returns {string|null} - House system name, or null if no cusps could be calculated
+     */
+    getEffectiveHouseSystem() {
+        return this.effectiveHouseSystem;
+    }
+    
+    /**
+     * Gets the warning of the last house cusp calculation
+     * @returns {string|null} - Polar fallback or failure message, or null if there was none
+     */
+    getHouseWarning() {
+        return this.houseWarning;
+    }
+    
+    /**
+     * Checks whether the house system was replaced by the polar fallback
+     * @returns {boolean} - True if the cusps come from the fallback system
+     */
+    hasHouseSystemFallback() {
+        return this.effectiveHouseSystem !== null &&
+            this.effectiveHouseSystem !== this.astronomicalData.houseSystem;
+    }
+    
+    /**
+     * Sets what happens where the house system is undefined (inside the polar
+     * circles) and recalculates house cusps
+     * @param {string} policy - "Porphyry", "Equal" or "throw"
+     * @returns {boolean} - Success status
+     */
+    setPolarFallback(policy) {
+        if (!["Porphyry", "Equal", "throw"].includes(policy)) {
+            return false;
+        }
+        
+        this.astronomicalData.polarFallback = policy;
+        this._initializeHouseCusps();
+        return true;
+    }
+    
+    /**
+     * Selects the aspect pattern to highlight on the wheel
+     * @param {string|Object|null} selection - A pattern type ("grand-trine", "yod", ...) to highlight
+     *        all patterns of that type, { type, planets } for a single pattern, or null for none
+     * @returns {boolean} - Success status
+     */
+    setPatternHighlight(selection) {
+        if (selection !== null && typeof selection !== 'object' &&
+            !AspectPatterns.getPatternTypes().includes(selection)) {
+            return false;
+        }
+        
+        this.patternSettings.highlight = selection;
+        return true;
+    }
+    
+    /**
+     * Sets the chart layout
+     * @param {string} layout - "wheel", "north-indian" or "south-indian"
+     * @returns {boolean} - Success status
+     */
+    setLayout(layout) {
+        if (!["wheel", "north-indian", "south-indian"].includes(layout)) {
+            return false;
+        }
+        
+        this.layout = layout;
+        return true;
+    }
+    
     /**
      * Gets the available house systems by creating a temporary calculator
      * @returns {Array} - Array of available house system names
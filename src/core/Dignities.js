@@ -0,0 +1,89 @@
+/**
+ * Dignities.js
+ * Essential dignities of the planets: domicile (rulership), exaltation and
+ * their opposites, detriment and fall.
+ *
+ * Rulerships follow the modern scheme, with Uranus, Neptune and Pluto ruling
+ * Aquarius, Pisces and Scorpio beside their traditional rulers. Exaltations are
+ * the traditional ones of the seven visible planets. Detriment and fall are the
+ * signs opposite the domicile and the exaltation.
+ */
+import { AstrologyUtils } from '../utils/AstrologyUtils.js';
+
+const DOMICILES = {
+    sun: ["leo"],
+    moon: ["cancer"],
+    mercury: ["gemini", "virgo"],
+    venus: ["taurus", "libra"],
+    mars: ["aries", "scorpio"],
+    jupiter: ["sagittarius", "pisces"],
+    saturn: ["capricorn", "aquarius"],
+    uranus: ["aquarius"],
+    neptune: ["pisces"],
+    pluto: ["scorpio"]
+};
+
+const EXALTATIONS = {
+    sun: "aries",
+    moon: "taurus",
+    mercury: "virgo",
+    venus: "pisces",
+    mars: "capricorn",
+    jupiter: "cancer",
+    saturn: "libra"
+};
+
+// Dignity types in order of precedence, e.g. Mercury in Virgo is in domicile
+const TYPES = ["domicile", "exaltation", "detriment", "fall"];
+
+class Dignities {
+    /**
+     * Returns the dignity types in order of precedence
+     * @returns {Array} "domicile", "exaltation", "detriment" and "fall"
+     */
+    static getTypes() {
+        return [...TYPES];
+    }
+
+    /**
+     * Returns the signs of each dignity of a planet
+     * @param {string} planet - Planet name
+     * @returns {Object} { domicile, exaltation, detriment, fall } with arrays of sign names,
+     *          empty for points without dignities
+     */
+    static getSigns(planet) {
+        const id = String(planet).toLowerCase();
+        const domicile = DOMICILES[id] || [];
+        const exaltation = EXALTATIONS[id] ? [EXALTATIONS[id]] : [];
+        return {
+            domicile: [...domicile],
+            exaltation: exaltation,
+            detriment: domicile.map(sign => Dignities._opposite(sign)),
+            fall: exaltation.map(sign => Dignities._opposite(sign))
+        };
+    }
+
+    /**
+     * Returns the dignity of a planet in a sign
+     * @param {string} planet - Planet name
+     * @param {string} sign - Zodiac sign name
+     * @returns {string|null} "domicile", "exaltation", "detriment", "fall", or null if peregrine
+     */
+    static getDignity(planet, sign) {
+        const signs = Dignities.getSigns(planet);
+        return TYPES.find(type => signs[type].includes(String(sign).toLowerCase())) || null;
+    }
+
+    /**
+     * Returns the sign opposite a sign
+     * @private
+     * @param {string} sign - Zodiac sign name
+     * @returns {string} Opposite sign name
+     */
+    static _opposite(sign) {
+        const signs = AstrologyUtils.getZodiacSigns();
+        return signs[(signs.indexOf(sign) + 6) % 12];
+    }
+}
+
+export { Dignities };
@@ -0,0 +1,461 @@
+/**
+ * Ephemeris.js
+ * Built-in offline ephemeris for the Sun, Moon and planets.
+ *
+ * Positions are apparent geocentric ecliptic coordinates referred to the true
+ * equinox of date (tropical zodiac), i.e. corrected for light-time, aberration
+ * and nutation, which is what astrological software conventionally reports.
+ *
+ * Theories used:
+ * - Sun and Mercury through Neptune: truncated VSOP87D series.
+ * - Moon: ELP-2000/82 main terms (Meeus, chapter 47).
+ * - Pluto: Chebyshev fit to a numerically integrated orbit for 1800-2200,
+ *   JPL Keplerian elements outside that interval.
+ *
+ * Within 1800-2200 the Sun and planets are accurate to a few arcseconds and the
+ * Moon to about 15", well below one arcminute.
+ */
+import { AstronomyUtils } from '../utils/AstronomyUtils.js';
+import { EphemerisData } from '../data/EphemerisData.js';
+import { HouseCalculator } from './HouseCalculator.js';
+
+// Light travel time for one astronomical unit, in days
+const LIGHT_TIME_PER_AU = 0.0057755183;
+
+// Constant of aberration, in degrees
+const ABERRATION_CONSTANT = 20.49552 / 3600;
+
+// Time step (days) used to derive daily motion by central differences
+const SPEED_STEP = 0.25;
+
+class Ephemeris {
+    /**
+     * Creates a new ephemeris
+     */
+    constructor() {
+        // Bodies in the order they are reported; each maps to its position method
+        this.bodies = {
+            "sun": this.calculateSun.bind(this),
+            "moon": this.calculateMoon.bind(this),
+            "mercury": (jde) => this.calculatePlanet("mercury", jde),
+            "venus": (jde) => this.calculatePlanet("venus", jde),
+            "mars": (jde) => this.calculatePlanet("mars", jde),
+            "jupiter": (jde) => this.calculatePlanet("jupiter", jde),
+            "saturn": (jde) => this.calculatePlanet("saturn", jde),
+            "uranus": (jde) => this.calculatePlanet("uranus", jde),
+            "neptune": (jde) => this.calculatePlanet("neptune", jde),
+            "pluto": (jde) => this.calculatePlanet("pluto", jde)
+        };
+    }
+
+    /**
+     * Returns a list of supported bodies
+     * @returns {Array} Array of body names
+     */
+    getSupportedBodies() {
+        return Object.keys(this.bodies);
+    }
+
+    /**
+     * Calculates a complete chart dataset from birth data.
+     * The result can be passed directly to NocturnaWheel (`planets`),
+     * ChartConfig.setAscendant/setMidheaven and HouseCalculator.calculateHouseCusps.
+     * @param {Object} birthData - Birth data
+     * @param {Date|string} birthData.datetime - Date instance or ISO 8601 string (local time unless it has an offset)
+     * @param {number|string} [birthData.timezone] - Hours east of UTC, offset string or IANA zone name (defaults to UTC)
+     * @param {number} [birthData.latitude] - Geographic latitude in degrees (north positive), required for the angles
+     * @param {number} [birthData.longitude] - Geographic longitude in degrees (east positive), required for the angles
+     * @param {Array} [birthData.bodies] - Bodies to calculate (defaults to all supported bodies)
+     * @returns {Object} Chart data: julianDay, julianEphemerisDay, planets, ascendant, mc, vertex, eastPoint,
+     *          obliquity, latitude, longitude
+     * @throws {Error} If the datetime, coordinates or bodies are invalid
+     */
+    calculate(birthData = {}) {
+        const { datetime, timezone, latitude, longitude } = birthData;
+
+        if (datetime === undefined || datetime === null) {
+            throw new Error("Ephemeris requires a datetime");
+        }
+
+        const date = AstronomyUtils.resolveDateTime(datetime, timezone);
+        const julianDay = AstronomyUtils.dateToJulianDay(date);
+        const julianEphemerisDay = AstronomyUtils.toJulianEphemerisDay(julianDay);
+
+        // Angles need both coordinates; HouseCalculator validates them
+        const hasLocation = latitude !== undefined || longitude !== undefined;
+        const angles = hasLocation
+            ? new HouseCalculator().calculateAngles(julianDay, latitude, longitude)
+            : null;
+
+        return {
+            julianDay,
+            julianEphemerisDay,
+            planets: this.calculatePlanets(julianDay, birthData.bodies),
+            obliquity: AstronomyUtils.trueObliquity(julianEphemerisDay),
+            ascendant: angles ? angles.ascendant : null,
+            mc: angles ? angles.mc : null,
+            vertex: angles ? angles.vertex : null,
+            eastPoint: angles ? angles.eastPoint : null,
+            latitude: hasLocation ? latitude : null,
+            longitude: hasLocation ? longitude : null
+        };
+    }
+
+    /**
+     * Calculates positions and daily motion for a set of bodies
+     * @param {number} julianDay - Julian Day (UT)
+     * @param {Array} [bodies] - Bodies to calculate (defaults to all supported bodies)
+     * @returns {Object} Map of body name to { lon, lat, distance, speed, retrograde }
+     * @throws {Error} If a body is not supported
+     */
+    calculatePlanets(julianDay, bodies = null) {
+        const names = bodies || this.getSupportedBodies();
+        const planets = {};
+
+        names.forEach(name => {
+            planets[name] = this.calculateBody(name, julianDay);
+        });
+
+        return planets;
+    }
+
+    /**
+     * Calculates the apparent position and daily motion of a single body
+     * @param {string} name - Body name
+     * @param {number} julianDay - Julian Day (UT)
+     * @returns {Object} Position: lon and lat in degrees, distance in au, speed in degrees per day, retrograde flag
+     * @throws {Error} If the body is not supported
+     */
+    calculateBody(name, julianDay) {
+        const body = this.bodies[name];
+        if (!body) {
+            throw new Error(`Body "${name}" is not supported`);
+        }
+
+        const jde = AstronomyUtils.toJulianEphemerisDay(julianDay);
+        const position = body(jde);
+        const before = body(jde - SPEED_STEP);
+        const after = body(jde + SPEED_STEP);
+
+        // Unwrap across 0°/360° before differencing
+        let motion = after.lon - before.lon;
+        if (motion > 180) motion -= 360;
+        if (motion < -180) motion += 360;
+        const speed = motion / (2 * SPEED_STEP);
+
+        return {
+            lon: position.lon,
+            lat: position.lat,
+            distance: position.distance,
+            speed,
+            retrograde: speed < 0
+        };
+    }
+
+    /**
+     * Apparent geocentric position of the Sun
+     * @param {number} jde - Julian Ephemeris Day
+     * @returns {Object} Object with lon, lat (degrees) and distance (au)
+     */
+    calculateSun(jde) {
+        const earth = this._heliocentric("earth", jde);
+        const T = AstronomyUtils.julianCenturies(jde);
+
+        let lon = AstronomyUtils.radiansToDegrees(earth.l) + 180;
+        let lat = -AstronomyUtils.radiansToDegrees(earth.b);
+
+        const fk5 = this._toFK5(lon, lat, T);
+        lon = fk5.lon;
+        lat = fk5.lat;
+
+        // Nutation and annual aberration
+        lon += AstronomyUtils.nutation(jde).longitude;
+        lon -= ABERRATION_CONSTANT / earth.r;
+
+        return {
+            lon: AstronomyUtils.normalizeDegrees(lon),
+            lat,
+            distance: earth.r
+        };
+    }
+
+    /**
+     * Apparent geocentric position of the Moon
+     * @param {number} jde - Julian Ephemeris Day
+     * @returns {Object} Object with lon, lat (degrees) and distance (au)
+     */
+    calculateMoon(jde) {
+        const T = AstronomyUtils.julianCenturies(jde);
+        const rad = AstronomyUtils.degreesToRadians;
+
+        // Fundamental arguments (Meeus 47.1 - 47.5)
+        const meanLongitude = 218.3164477 + 481267.88123421 * T - 0.0015786 * T ** 2 +
+            T ** 3 / 538841 - T ** 4 / 65194000;
+        const D = rad(297.8501921 + 445267.1114034 * T - 0.0018819 * T ** 2 +
+            T ** 3 / 545868 - T ** 4 / 113065000);
+        const M = rad(357.5291092 + 35999.0502909 * T - 0.0001536 * T ** 2 + T ** 3 / 24490000);
+        const Mp = rad(134.9633964 + 477198.8675055 * T + 0.0087414 * T ** 2 +
+            T ** 3 / 69699 - T ** 4 / 14712000);
+        const F = rad(93.2720950 + 483202.0175233 * T - 0.0036539 * T ** 2 -
+            T ** 3 / 3526000 + T ** 4 / 863310000);
+
+        const A1 = rad(119.75 + 131.849 * T);
+        const A2 = rad(53.09 + 479264.290 * T);
+        const A3 = rad(313.45 + 481266.484 * T);
+        const Lp = rad(meanLongitude);
+
+        // Terms involving M are scaled for the decreasing eccentricity of the Earth's orbit
+        const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+        const eccentricityFactor = m => (Math.abs(m) === 2 ? E * E : (Math.abs(m) === 1 ? E : 1));
+
+        let sumL = 3958 * Math.sin(A1) + 1962 * Math.sin(Lp - F) + 318 * Math.sin(A2);
+        let sumR = 0;
+        EphemerisData.moon.longitudeDistance.forEach(([d, m, mp, f, l, r]) => {
+            const arg = d * D + m * M + mp * Mp + f * F;
+            const factor = eccentricityFactor(m);
+            sumL += l * factor * Math.sin(arg);
+            sumR += r * factor * Math.cos(arg);
+        });
+
+        let sumB = -2235 * Math.sin(Lp) + 382 * Math.sin(A3) + 175 * Math.sin(A1 - F) +
+            175 * Math.sin(A1 + F) + 127 * Math.sin(Lp - Mp) - 115 * Math.sin(Lp + Mp);
+        EphemerisData.moon.latitude.forEach(([d, m, mp, f, b]) => {
+            sumB += b * eccentricityFactor(m) * Math.sin(d * D + m * M + mp * Mp + f * F);
+        });
+
+        const lon = meanLongitude + sumL / 1e6 + AstronomyUtils.nutation(jde).longitude;
+        const distanceKm = 385000.56 + sumR / 1000;
+
+        return {
+            lon: AstronomyUtils.normalizeDegrees(lon),
+            lat: sumB / 1e6,
+            distance: distanceKm / 149597870.7
+        };
+    }
+
+    /**
+     * Apparent geocentric position of a planet (Mercury through Pluto)
+     * @param {string} name - Planet name
+     * @param {number} jde - Julian Ephemeris Day
+     * @returns {Object} Object with lon, lat (degrees) and distance (au)
+     */
+    calculatePlanet(name, jde) {
+        const T = AstronomyUtils.julianCenturies(jde);
+        const earth = this._heliocentric("earth", jde);
+        const earthXYZ = this._toRectangular(earth);
+
+        // Iterate for light-time: the planet is seen where it was when the light left it
+        let lightTime = 0;
+        let x, y, z, distance;
+        for (let i = 0; i < 3; i++) {
+            const planetXYZ = this._toRectangular(this._heliocentric(name, jde - lightTime));
+            x = planetXYZ.x - earthXYZ.x;
+            y = planetXYZ.y - earthXYZ.y;
+            z = planetXYZ.z - earthXYZ.z;
+            distance = Math.sqrt(x * x + y * y + z * z);
+            lightTime = LIGHT_TIME_PER_AU * distance;
+        }
+
+        let lon = AstronomyUtils.radiansToDegrees(Math.atan2(y, x));
+        let lat = AstronomyUtils.radiansToDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)));
+
+        const fk5 = this._toFK5(lon, lat, T);
+        lon = fk5.lon;
+        lat = fk5.lat;
+
+        // Annual aberration (Meeus 23.2)
+        const sunLon = AstronomyUtils.degreesToRadians(AstronomyUtils.radiansToDegrees(earth.l) + 180);
+        const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T ** 2;
+        const perihelion = AstronomyUtils.degreesToRadians(102.93735 + 1.71946 * T + 0.00046 * T ** 2);
+        const lonRad = AstronomyUtils.degreesToRadians(lon);
+        const latRad = AstronomyUtils.degreesToRadians(lat);
+
+        lon += (-ABERRATION_CONSTANT * Math.cos(sunLon - lonRad) +
+            e * ABERRATION_CONSTANT * Math.cos(perihelion - lonRad)) / Math.cos(latRad);
+        lat += -ABERRATION_CONSTANT * Math.sin(latRad) *
+            (Math.sin(sunLon - lonRad) - e * Math.sin(perihelion - lonRad));
+
+        lon += AstronomyUtils.nutation(jde).longitude;
+
+        return {
+            lon: AstronomyUtils.normalizeDegrees(lon),
+            lat,
+            distance
+        };
+    }
+
+    /**
+     * Heliocentric ecliptic coordinates referred to the mean equinox of date
+     * @private
+     * @param {string} name - Body name ("earth", planets)
+     * @param {number} jde - Julian Ephemeris Day
+     * @returns {Object} Object with l, b (radians) and r (au)
+     */
+    _heliocentric(name, jde) {
+        if (name === "pluto") {
+            return this._heliocentricPluto(jde);
+        }
+
+        const series = EphemerisData.vsop87[name];
+        const tau = (jde - AstronomyUtils.J2000) / 365250;
+
+        return {
+            l: this._evaluateSeries(series.L, tau),
+            b: this._evaluateSeries(series.B, tau),
+            r: this._evaluateSeries(series.R, tau)
+        };
+    }
+
+    /**
+     * Evaluates a VSOP87 coordinate series
+     * @private
+     * @param {Array} series - Array of term lists, one per power of tau
+     * @param {number} tau - Julian millennia since J2000.0
+     * @returns {number} Coordinate value
+     */
+    _evaluateSeries(series, tau) {
+        let value = 0;
+        let power = 1;
+        series.forEach(terms => {
+            let sum = 0;
+            for (let i = 0; i < terms.length; i++) {
+                const [A, B, C] = terms[i];
+                sum += A * Math.cos(B + C * tau);
+            }
+            value += sum * power;
+            power *= tau;
+        });
+        return value;
+    }
+
+    /**
+     * Heliocentric position of Pluto referred to the mean equinox of date.
+     * Uses the Chebyshev fit within 1800-2200 and Keplerian elements outside it.
+     * @private
+     * @param {number} jde - Julian Ephemeris Day
+     * @returns {Object} Object with l, b (radians) and r (au)
+     */
+    _heliocentricPluto(jde) {
+        const { start, span, segments } = EphemerisData.pluto.chebyshev;
+        const index = Math.floor((jde - start) / span);
+
+        const { x, y, z } = index >= 0 && index < segments.length
+            ? this._evaluateChebyshev(segments[index], 2 * (jde - start - index * span) / span - 1)
+            : this._plutoFromElements(jde);
+
+        const r = Math.sqrt(x * x + y * y + z * z);
+        const j2000Lon = AstronomyUtils.radiansToDegrees(Math.atan2(y, x));
+        const j2000Lat = AstronomyUtils.radiansToDegrees(Math.asin(z / r));
+        const ofDate = AstronomyUtils.precessEclipticFromJ2000(j2000Lon, j2000Lat, jde);
+
+        return {
+            l: AstronomyUtils.degreesToRadians(ofDate.longitude),
+            b: AstronomyUtils.degreesToRadians(ofDate.latitude),
+            r
+        };
+    }
+
+    /**
+     * Evaluates a Chebyshev segment
+     * @private
+     * @param {Array} segment - Coefficient lists for x, y and z
+     * @param {number} t - Time normalized to the segment, between -1 and 1
+     * @returns {Object} Object with x, y, z
+     */
+    _evaluateChebyshev(segment, t) {
+        const [x, y, z] = segment.map(coefficients => {
+            let previous = 1;
+            let current = t;
+            let sum = coefficients[0] + coefficients[1] * t;
+            for (let j = 2; j < coefficients.length; j++) {
+                const next = 2 * t * current - previous;
+                sum += coefficients[j] * next;
+                previous = current;
+                current = next;
+            }
+            return sum;
+        });
+        return { x, y, z };
+    }
+
+    /**
+     * Heliocentric rectangular position of Pluto (J2000 ecliptic) from Keplerian elements
+     * @private
+     * @param {number} jde - Julian Ephemeris Day
+     * @returns {Object} Object with x, y, z (au)
+     */
+    _plutoFromElements(jde) {
+        const T = AstronomyUtils.julianCenturies(jde);
+        const elements = EphemerisData.pluto.elements;
+        const at = ([value, rate]) => value + rate * T;
+        const rad = AstronomyUtils.degreesToRadians;
+
+        const a = at(elements.semiMajorAxis);
+        const e = at(elements.eccentricity);
+        const i = rad(at(elements.inclination));
+        const L = at(elements.meanLongitude);
+        const perihelion = at(elements.longitudeOfPerihelion);
+        const node = at(elements.longitudeOfAscendingNode);
+
+        const argumentOfPerihelion = rad(perihelion - node);
+        const M = rad(AstronomyUtils.normalizeDegrees(L - perihelion));
+
+        // Solve Kepler's equation
+        let E = M + e * Math.sin(M);
+        for (let k = 0; k < 10; k++) {
+            const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+            E -= delta;
+            if (Math.abs(delta) < 1e-12) break;
+        }
+
+        // Position in the orbital plane, rotated to the J2000 ecliptic
+        const xOrbit = a * (Math.cos(E) - e);
+        const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+        const cw = Math.cos(argumentOfPerihelion);
+        const sw = Math.sin(argumentOfPerihelion);
+        const cn = Math.cos(rad(node));
+        const sn = Math.sin(rad(node));
+        const ci = Math.cos(i);
+        const si = Math.sin(i);
+
+        return {
+            x: (cw * cn - sw * sn * ci) * xOrbit + (-sw * cn - cw * sn * ci) * yOrbit,
+            y: (cw * sn + sw * cn * ci) * xOrbit + (-sw * sn + cw * cn * ci) * yOrbit,
+            z: (sw * si) * xOrbit + (cw * si) * yOrbit
+        };
+    }
+
+    /**
+     * Converts spherical heliocentric coordinates to rectangular ones
+     * @private
+     * @param {Object} position - Object with l, b (radians) and r (au)
+     * @returns {Object} Object with x, y, z (au)
+     */
+    _toRectangular({ l, b, r }) {
+        return {
+            x: r * Math.cos(b) * Math.cos(l),
+            y: r * Math.cos(b) * Math.sin(l),
+            z: r * Math.sin(b)
+        };
+    }
+
+    /**
+     * Converts coordinates from the VSOP87 dynamical frame to FK5 (Meeus 32.3)
+     * @private
+     * @param {number} lon - Longitude in degrees
+     * @param {number} lat - Latitude in degrees
+     * @param {number} T - Julian centuries since J2000.0
+     * @returns {Object} Object with corrected lon and lat in degrees
+     */
+    _toFK5(lon, lat, T) {
+        const lonPrime = AstronomyUtils.degreesToRadians(lon - 1.397 * T - 0.00031 * T ** 2);
+        const tanLat = Math.tan(AstronomyUtils.degreesToRadians(lat));
+
+        return {
+            lon: lon + (-0.09033 + 0.03916 * (Math.cos(lonPrime) + Math.sin(lonPrime)) * tanLat) / 3600,
+            lat: lat + 0.03916 * (Math.cos(lonPrime) - Math.sin(lonPrime)) / 3600
+        };
+    }
+}
+
+export { Ephemeris };
@@ -5,17 +5,122 @@
  * 
  * Supported house systems:
  * - Placidus: The most common system in Western astrology, based on time divisions.
- *   Includes proper handling of edge cases and extreme latitudes.
- * - Koch: Another time-based system (simplified implementation).
+ * - Koch: Time-based system trisecting the diurnal arc of the MC degree.
  * - Equal: Simple system with houses exactly 30° apart.
  * - Whole Sign: Uses entire signs as houses.
  * - Porphyry: Divides the ecliptic proportionally between the angles.
- * - Regiomontanus: Space-based system using the celestial equator (simplified implementation).
- * - Campanus: Space-based system using the prime vertical (simplified implementation).
- * - Morinus: Uses equal divisions of the equator (simplified implementation).
- * - Topocentric: A newer system, similar to Placidus but with different math (simplified implementation).
+ * - Regiomontanus: Space-based system dividing the celestial equator into 30° arcs.
+ * - Campanus: Space-based system dividing the prime vertical into 30° arcs.
+ * - Morinus: Projects 30° divisions of the equator onto the ecliptic; cusps 1 and 10
+ *   do not coincide with the Ascendant and MC.
+ * - Topocentric (Polich-Page): Uses pole heights of 1/3 and 2/3 of the latitude.
+ * - Alcabitius: Hellenistic system trisecting the semi-arcs of the Ascendant degree.
+ * - Meridian (Axial): 30° divisions of the equator from the ARMC, projected onto the
+ *   ecliptic along hour circles; cusp 1 is the East Point.
+ * - Vehlow: Equal houses with the Ascendant in the middle of the 1st house.
+ * - Sripati: Vedic system with cusps at the midpoints of the Porphyry cusps.
+ * - Krusinski (Krusinski-Pisa): Divides the great circle through the Ascendant and
+ *   the zenith into 30° arcs, projected onto the ecliptic along hour circles.
+ *
+ * Apart from Placidus, the quadrant and equatorial systems are exact spherical-trigonometry
+ * implementations. They work from the sidereal time (ARMC), which is derived from the MC.
+ *
+ * The angles (Ascendant, MC, Vertex, East Point) can be derived from the date and
+ * geographic coordinates with calculateAngles(), so any system can be used from
+ * birth data alone via calculateHousesFromDate().
+ *
+ * Placidus and Koch are undefined inside the polar circles (|latitude| >= 90° - obliquity).
+ * There the `polarFallback` option decides what happens: Porphyry (default) or Equal
+ * houses are used instead, or an error is thrown. calculateHouses() reports the system
+ * that was actually used.
+ *
+ * With the `ayanamsa` option the cusps are returned in the sidereal zodiac. The systems
+ * are calculated from the tropical angles and shifted by the ayanamsa, except Whole Sign
+ * houses, which start at the sidereal sign of the Ascendant.
+ *
+ * Further systems can be added with HouseCalculator.registerHouseSystem(); they are
+ * shared by all calculator instances, including the one used by ChartConfig.
  */
+import { AstronomyUtils } from '../utils/AstronomyUtils.js';
+import { AstrologyUtils } from '../utils/AstrologyUtils.js';
+
+// Obliquity of the ecliptic used when no date is known (J2000, degrees)
+const DEFAULT_OBLIQUITY = 23.4367;
+
+// Options a house system can require
+const HOUSE_SYSTEM_INPUTS = ["latitude", "mc"];
+
+// Systems usable when a quadrant system is undefined at polar latitudes
+const POLAR_FALLBACKS = ["Porphyry", "Equal", "throw"];
+
+// Required inputs and polar behavior of the built-in systems.
+// "unsupported" systems are undefined inside the polar circles (see polarFallback).
+const BUILT_IN_SYSTEMS = {
+    "Placidus": { requires: ["latitude", "mc"], polar: "unsupported" },
+    "Koch": { requires: ["latitude", "mc"], polar: "unsupported" },
+    "Equal": { requires: [], polar: "supported" },
+    "Whole Sign": { requires: [], polar: "supported" },
+    "Porphyry": { requires: ["mc"], polar: "supported" },
+    "Regiomontanus": { requires: ["latitude", "mc"], polar: "supported" },
+    "Campanus": { requires: ["latitude", "mc"], polar: "supported" },
+    "Morinus": { requires: ["mc"], polar: "supported" },
+    "Topocentric": { requires: ["latitude", "mc"], polar: "supported" },
+    "Alcabitius": { requires: ["latitude", "mc"], polar: "supported" },
+    "Meridian": { requires: ["mc"], polar: "supported" },
+    "Vehlow": { requires: [], polar: "supported" },
+    "Sripati": { requires: ["mc"], polar: "supported" },
+    "Krusinski": { requires: ["latitude", "mc"], polar: "supported" }
+};
+
 class HouseCalculator {
+    // Custom house systems shared by all calculators, by name
+    static #customSystems = new Map();
+    
+    /**
+     * Registers a custom house system. It becomes available to every calculator,
+     * so it can be selected with setHouseSystem() and rendered like the built-in ones.
+     * @param {string} name - House system name
+     * @param {Function} calculate - Called as calculate(ascendant, options, calculator) with
+     *   options { latitude, mc, obliquity, armc }; must return 12 cusp longitudes in degrees
+     * @param {Object} metadata - House system metadata (optional)
+     * @param {string} metadata.description - Short description of the system
+     * @param {Array<string>} metadata.requires - Required options: "latitude" and/or "mc"
+     * @param {string} metadata.polar - "supported" (default) or "unsupported" if the system
+     *   is undefined inside the polar circles, where the polarFallback option applies
+     * @throws {Error} If the name, function or metadata are invalid
+     */
+    static registerHouseSystem(name, calculate, metadata = {}) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error("House system name must be a non-empty string");
+        }
+        if (Object.prototype.hasOwnProperty.call(BUILT_IN_SYSTEMS, name)) {
+            throw new Error(`House system "${name}" is built in and cannot be replaced`);
+        }
+        if (typeof calculate !== 'function') {
+            throw new Error("House system calculation must be a function");
+        }
+        
+        const { description = "", requires = [], polar = "supported" } = metadata;
+        const unknown = requires.find(input => !HOUSE_SYSTEM_INPUTS.includes(input));
+        if (unknown !== undefined) {
+            throw new Error(`Unknown house system input "${unknown}"`);
+        }
+        if (polar !== "supported" && polar !== "unsupported") {
+            throw new Error('House system polar behavior must be "supported" or "unsupported"');
+        }
+        
+        this.#customSystems.set(name, { calculate, description, requires: [...requires], polar });
+    }
+    
+    /**
+     * Removes a custom house system
+     * @param {string} name - House system name
+     * @returns {boolean} True if the system was registered
+     */
+    static unregisterHouseSystem(name) {
+        return this.#customSystems.delete(name);
+    }
+    
     /**
      * Creates a new house calculator
      */
@@ -30,7 +135,12 @@ class HouseCalculator {
             "Regiomontanus": this.calculateRegiomontanus.bind(this),
             "Campanus": this.calculateCampanus.bind(this),
             "Morinus": this.calculateMorinus.bind(this),
-            "Topocentric": this.calculateTopocentric.bind(this)
+            "Topocentric": this.calculateTopocentric.bind(this),
+            "Alcabitius": this.calculateAlcabitius.bind(this),
+            "Meridian": this.calculateMeridian.bind(this),
+            "Vehlow": this.calculateVehlow.bind(this),
+            "Sripati": this.calculateSripati.bind(this),
+            "Krusinski": this.calculateKrusinski.bind(this)
         };
     }
     
@@ -39,7 +149,33 @@ class HouseCalculator {
      * @returns {Array} Array of house system names
      */
     getAvailableHouseSystems() {
-        return Object.keys(this.houseSystems);
+        return [...Object.keys(this.houseSystems), ...HouseCalculator.#customSystems.keys()];
+    }
+    
+    /**
+     * Returns the metadata of a house system
+     * @param {string} system - House system name
+     * @returns {Object|null} Object with name, description, requires, polar and custom,
+     *   or null if the system is not available
+     */
+    getHouseSystemInfo(system) {
+        const custom = HouseCalculator.#customSystems.get(system);
+        if (custom) {
+            const { description, requires, polar } = custom;
+            return { name: system, description, requires: [...requires], polar, custom: true };
+        }
+        
+        const builtIn = BUILT_IN_SYSTEMS[system];
+        if (!builtIn) {
+            return null;
+        }
+        return {
+            name: system,
+            description: AstrologyUtils.getHouseSystems()[system] || "",
+            requires: [...builtIn.requires],
+            polar: builtIn.polar,
+            custom: false
+        };
     }
     
     /**
@@ -49,22 +185,285 @@ class HouseCalculator {
      * @param {Object} options - Additional calculation options
      * @param {number} options.latitude - Geographic latitude in degrees (required for most systems)
      * @param {number} options.mc - Midheaven longitude in degrees (required for some systems)
+     * @param {number} options.obliquity - Obliquity of the ecliptic in degrees (optional, defaults to J2000)
+     * @param {string} options.polarFallback - What to do when the system is undefined at a polar
+     *   latitude: "Porphyry" (default), "Equal" or "throw"
+     * @param {number} options.ayanamsa - Ayanamsa in degrees for sidereal cusps (optional, default 0)
      * @returns {Array} Array of 12 house cusp longitudes
      * @throws {Error} If system is not supported or required parameters are missing
      */
     calculateHouseCusps(ascendant, system = "Placidus", options = {}) {
+        return this.calculateHouses(ascendant, system, options).cusps;
+    }
+    
+    /**
+     * Calculates house cusps and reports which system was actually used
+     * @param {number} ascendant - Ascendant longitude in degrees
+     * @param {string} system - Requested house system name
+     * @param {Object} options - Calculation options (see calculateHouseCusps)
+     * @returns {Object} Object with cusps (12 longitudes), system (system used),
+     *   requestedSystem and fallback (true if a polar fallback was used)
+     * @throws {Error} If the system is not supported, required parameters are missing,
+     *   or the system is undefined at the latitude and polarFallback is "throw"
+     */
+    calculateHouses(ascendant, system = "Placidus", options = {}) {
         // Validate inputs
         if (typeof ascendant !== 'number' || ascendant < 0 || ascendant >= 360) {
             throw new Error("Ascendant must be a number between 0 and 360");
         }
         
+        const { polarFallback = "Porphyry", ayanamsa = 0 } = options;
+        if (!POLAR_FALLBACKS.includes(polarFallback)) {
+            throw new Error('Polar fallback must be "Porphyry", "Equal" or "throw"');
+        }
+        if (typeof ayanamsa !== 'number' || !isFinite(ayanamsa)) {
+            throw new Error("Ayanamsa must be a number of degrees");
+        }
+        
+        const custom = HouseCalculator.#customSystems.get(system);
+        
         // Check if system exists
-        if (!this.houseSystems[system]) {
+        if (!custom && !this.houseSystems[system]) {
             throw new Error(`House system "${system}" is not supported`);
         }
         
+        if (this.isUndefinedAtLatitude(system, options.latitude, options.obliquity)) {
+            if (polarFallback === "throw") {
+                throw new Error(`${system} houses are undefined at latitude ${options.latitude}°`);
+            }
+            return {
+                cusps: this.toSiderealCusps(
+                    this.houseSystems[polarFallback](ascendant, options), polarFallback, ascendant, ayanamsa),
+                system: polarFallback,
+                requestedSystem: system,
+                fallback: true
+            };
+        }
+        
         // Calculate house cusps using the appropriate method
-        return this.houseSystems[system](ascendant, options);
+        const cusps = custom
+            ? this.calculateCustomHouseCusps(system, custom, ascendant, options)
+            : this.houseSystems[system](ascendant, options);
+        
+        return {
+            cusps: this.toSiderealCusps(cusps, system, ascendant, ayanamsa),
+            system,
+            requestedSystem: system,
+            fallback: false
+        };
+    }
+    
+    /**
+     * Shifts tropical cusps into the sidereal zodiac. Whole Sign houses are
+     * recalculated from the sidereal Ascendant so that they keep starting at
+     * sign boundaries.
+     * @param {Array} cusps - Tropical cusp longitudes
+     * @param {string} system - House system the cusps were calculated with
+     * @param {number} ascendant - Tropical Ascendant longitude in degrees
+     * @param {number} ayanamsa - Ayanamsa in degrees
+     * @returns {Array} Sidereal cusp longitudes (the input cusps if the ayanamsa is 0)
+     */
+    toSiderealCusps(cusps, system, ascendant, ayanamsa) {
+        if (ayanamsa === 0) {
+            return cusps;
+        }
+        if (system === "Whole Sign") {
+            return this.calculateWholeSign(this.normalizeAngle(ascendant - ayanamsa));
+        }
+        return cusps.map(cusp => this.normalizeAngle(cusp - ayanamsa));
+    }
+    
+    /**
+     * Checks whether a system is undefined at the given latitude, i.e. it is a
+     * system without polar support and the latitude is inside a polar circle
+     * @param {string} system - House system name
+     * @param {number} latitude - Geographic latitude in degrees
+     * @param {number} obliquity - Obliquity of the ecliptic in degrees (optional)
+     * @returns {boolean} True if the polar fallback applies
+     */
+    isUndefinedAtLatitude(system, latitude, obliquity = DEFAULT_OBLIQUITY) {
+        const info = this.getHouseSystemInfo(system);
+        return info !== null && info.polar === "unsupported" &&
+            typeof latitude === 'number' && Math.abs(latitude) >= 90 - obliquity;
+    }
+    
+    /**
+     * Calculates house cusps with a registered custom system, checking its
+     * required inputs and the cusps it returns
+     * @param {string} system - House system name
+     * @param {Object} definition - Registered calculation function and metadata
+     * @param {number} ascendant - Ascendant longitude in degrees
+     * @param {Object} options - Calculation options (see calculateHouseCusps)
+     * @returns {Array} Array of 12 house cusp longitudes
+     * @throws {Error} If required options are missing or the result is invalid
+     */
+    calculateCustomHouseCusps(system, { calculate, requires }, ascendant, options) {
+        const missing = requires.filter(input => typeof options[input] !== 'number');
+        if (missing.length > 0) {
+            throw new Error(`${system} house system requires ${requires.join(" and ")}`);
+        }
+        
+        const { latitude, mc, obliquity = DEFAULT_OBLIQUITY } = options;
+        const armc = typeof mc === 'number' ? this.calculateArmc(mc, obliquity) : undefined;
+        const cusps = calculate(ascendant, { latitude, mc, obliquity, armc }, this);
+        
+        if (!Array.isArray(cusps) || cusps.length !== 12 ||
+            !cusps.every(cusp => typeof cusp === 'number' && isFinite(cusp))) {
+            throw new Error(`House system "${system}" must return 12 cusp longitudes`);
+        }
+        
+        return cusps.map(cusp => this.normalizeAngle(cusp));
+    }
+    
+    /**
+     * Calculates the angles of the chart from the moment and place
+     * @param {number} julianDay - Julian Day (UT)
+     * @param {number} latitude - Geographic latitude in degrees (north positive)
+     * @param {number} longitude - Geographic longitude in degrees (east positive)
+     * @returns {Object} Object with ascendant, mc, vertex, eastPoint, armc and obliquity in degrees
+     * @throws {Error} If the date or coordinates are invalid
+     */
+    calculateAngles(julianDay, latitude, longitude) {
+        if (typeof julianDay !== 'number' || !isFinite(julianDay)) {
+            throw new Error("Julian day must be a number");
+        }
+        if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+            throw new Error("Latitude must be a number between -90 and 90");
+        }
+        if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+            throw new Error("Longitude must be a number between -180 and 180");
+        }
+
+        // True obliquity and apparent sidereal time for the date
+        const obliquity = AstronomyUtils.trueObliquity(AstronomyUtils.toJulianEphemerisDay(julianDay));
+        const armc = AstronomyUtils.localSiderealTime(julianDay, longitude);
+
+        const mc = this.calculateMidheaven(armc, obliquity);
+
+        // Vertex: western intersection of the ecliptic and the prime vertical.
+        // Between the tropics it can fall on either side of the meridian; it is
+        // kept in the half of the zodiac preceding the MC.
+        let vertex = this.calculateObliqueAscendant(armc + 180, 90 - latitude, obliquity);
+        if (Math.abs(latitude) <= obliquity && this.normalizeAngle(vertex - mc) < 180) {
+            vertex = this.normalizeAngle(vertex + 180);
+        }
+
+        return {
+            ascendant: this.calculateAscendant(armc, latitude, obliquity),
+            mc,
+            vertex,
+            // East Point (equatorial Ascendant): the Ascendant at the equator
+            eastPoint: this.calculateObliqueAscendant(armc, 0, obliquity),
+            armc,
+            obliquity
+        };
+    }
+
+    /**
+     * Calculates house cusps and angles from the moment and place
+     * @param {number} julianDay - Julian Day (UT)
+     * @param {number} latitude - Geographic latitude in degrees (north positive)
+     * @param {number} longitude - Geographic longitude in degrees (east positive)
+     * @param {string} system - House system name
+     * @param {Object} options - Calculation options (optional)
+     * @param {string} options.polarFallback - See calculateHouseCusps
+     * @param {number} options.ayanamsa - Ayanamsa in degrees for sidereal cusps (optional)
+     * @returns {Object} Angles (see calculateAngles) plus the 12 cusp longitudes in `cusps`,
+     *   the system actually used in `system` and `fallback`
+     * @throws {Error} If the inputs are invalid or the system is not supported
+     */
+    calculateHousesFromDate(julianDay, latitude, longitude, system = "Placidus", options = {}) {
+        const angles = this.calculateAngles(julianDay, latitude, longitude);
+        const houses = this.calculateHouses(angles.ascendant, system, {
+            ...options,
+            latitude,
+            mc: angles.mc,
+            obliquity: angles.obliquity
+        });
+
+        return { ...angles, cusps: houses.cusps, system: houses.system, fallback: houses.fallback };
+    }
+
+    /**
+     * Calculates the Ascendant from the sidereal time.
+     * Inside the polar circles the horizon can meet the ecliptic "behind" the MC;
+     * the opposite point is then used, so the Ascendant always follows the MC.
+     * @param {number} armc - Right ascension of the MC (local sidereal time) in degrees
+     * @param {number} latitude - Geographic latitude in degrees
+     * @param {number} obliquity - Obliquity of the ecliptic in degrees
+     * @returns {number} Ascendant longitude in degrees
+     */
+    calculateAscendant(armc, latitude, obliquity) {
+        const ascendant = this.calculateObliqueAscendant(armc, latitude, obliquity);
+        return this.isAscendantReversed(armc, latitude, obliquity)
+            ? this.normalizeAngle(ascendant + 180)
+            : ascendant;
+    }
+
+    /**
+     * Calculates where the horizon of a given pole height meets the ecliptic.
+     * With the geographic latitude this is the Ascendant; house systems use it
+     * with the pole of each house circle.
+     * @param {number} armc - Right ascension of the meridian of the circle in degrees
+     * @param {number} pole - Pole height (latitude) of the circle in degrees
+     * @param {number} obliquity - Obliquity of the ecliptic in degrees
+     * @returns {number} Ecliptic longitude in degrees
+     */
+    calculateObliqueAscendant(armc, pole, obliquity) {
+        const armcRad = this.degreesToRadians(armc);
+        const poleRad = this.degreesToRadians(pole);
+        const obliqRad = this.degreesToRadians(obliquity);
+
+        return this.normalizeAngle(this.radiansToDegrees(Math.atan2(
+            Math.cos(armcRad),
+            -(Math.sin(armcRad) * Math.cos(obliqRad) + Math.tan(poleRad) * Math.sin(obliqRad))
+        )));
+    }
+
+    /**
+     * Checks whether the horizon meets the ecliptic behind the MC, which
+     * only happens inside the polar circles
+     * @param {number} armc - Right ascension of the MC in degrees
+     * @param {number} latitude - Geographic latitude in degrees
+     * @param {number} obliquity - Obliquity of the ecliptic in degrees
+     * @returns {boolean} True if the Ascendant must be taken at the opposite point
+     */
+    isAscendantReversed(armc, latitude, obliquity) {
+        const ascendant = this.calculateObliqueAscendant(armc, latitude, obliquity);
+        const mc = this.calculateMidheaven(armc, obliquity);
+        return this.normalizeAngle(ascendant - mc) > 180;
+    }
+
+    /**
+     * Calculates the sidereal time (ARMC) from the MC
+     * @param {number} mc - Midheaven longitude in degrees
+     * @param {number} obliquity - Obliquity of the ecliptic in degrees
+     * @returns {number} Right ascension of the MC in degrees
+     */
+    calculateArmc(mc, obliquity) {
+        const mcRad = this.degreesToRadians(mc);
+        const obliqRad = this.degreesToRadians(obliquity);
+
+        return this.normalizeAngle(this.radiansToDegrees(Math.atan2(
+            Math.sin(mcRad) * Math.cos(obliqRad),
+            Math.cos(mcRad)
+        )));
+    }
+
+    /**
+     * Calculates the Midheaven from the sidereal time
+     * @param {number} armc - Right ascension of the MC (local sidereal time) in degrees
+     * @param {number} obliquity - Obliquity of the ecliptic in degrees
+     * @returns {number} Midheaven longitude in degrees
+     */
+    calculateMidheaven(armc, obliquity) {
+        const armcRad = this.degreesToRadians(armc);
+        const obliqRad = this.degreesToRadians(obliquity);
+
+        return this.normalizeAngle(this.radiansToDegrees(Math.atan2(
+            Math.sin(armcRad),
+            Math.cos(armcRad) * Math.cos(obliqRad)
+        )));
     }
     
     /**
@@ -73,24 +472,21 @@ class HouseCalculator {
      * @param {Object} options - Calculation options
      * @param {number} options.latitude - Geographic latitude in degrees
      * @param {number} options.mc - Midheaven longitude in degrees
+     * @param {number} options.obliquity - Obliquity of the ecliptic in degrees (optional)
      * @returns {Array} Array of 12 house cusp longitudes
      */
-    calculatePlacidus(ascendant, { latitude, mc }) {
+    calculatePlacidus(ascendant, { latitude, mc, obliquity = DEFAULT_OBLIQUITY }) {
         // Validate required parameters
         if (typeof latitude !== 'number' || typeof mc !== 'number') {
             throw new Error("Placidus house system requires latitude and mc");
         }
         
         // Handle polar circles where traditional Placidus fails
-        if (Math.abs(latitude) >= 66.5) {
+        if (Math.abs(latitude) >= 90 - obliquity) {
             // Fallback to Porphyry for extreme latitudes
             return this.calculatePorphyry(ascendant, { mc });
         }
         
-        // Standard value for obliquity of the ecliptic (ε)
-        // Accurate enough for house calculations
-        const obliquity = 23.4367; // degrees
-        
         const cusps = new Array(12);
         
         // Set angular houses
@@ -153,51 +549,44 @@ class HouseCalculator {
     }
     
     /**
-     * Calculates Koch house cusps
+     * Calculates Koch (birthplace) house cusps.
+     * The diurnal semi-arc of the MC degree is trisected; the cusps are the
+     * ecliptic degrees rising at those times.
      * @param {number} ascendant - Ascendant longitude in degrees
      * @param {Object} options - Calculation options
      * @param {number} options.latitude - Geographic latitude in degrees
      * @param {number} options.mc - Midheaven longitude in degrees
+     * @param {number} options.obliquity - Obliquity of the ecliptic in degrees (optional)
      * @returns {Array} Array of 12 house cusp longitudes
      */
-    calculateKoch(ascendant, { latitude, mc }) {
+    calculateKoch(ascendant, { latitude, mc, obliquity = DEFAULT_OBLIQUITY }) {
         // Validate required parameters
         if (typeof latitude !== 'number' || typeof mc !== 'number') {
             throw new Error("Koch house system requires latitude and mc");
         }
         
-        // Implementation of Koch house system formulas
-        // Similar structure to Placidus but with different mathematical approach
-        
-        const cusps = new Array(12);
-        
-        // Set angular houses
-        cusps[0] = ascendant;
-        cusps[9] = mc;
-        cusps[6] = this.normalizeAngle(ascendant + 180);
-        cusps[3] = this.normalizeAngle(mc + 180);
-        
-        // Placeholder for Koch calculation logic
-        // This would be replaced with the actual Koch formula
-        
-        // For now, similar to Placidus but with slight variations
-        const arc1 = this.calculateArc(cusps[9], cusps[0]);
-        cusps[10] = this.normalizeAngle(cusps[9] + arc1 / 3);
-        cusps[11] = this.normalizeAngle(cusps[9] + (2 * arc1) / 3);
-        
-        const arc2 = this.calculateArc(cusps[0], cusps[3]);
-        cusps[1] = this.normalizeAngle(cusps[0] + arc2 / 3);
-        cusps[2] = this.normalizeAngle(cusps[0] + (2 * arc2) / 3);
+        // Inside the polar circles the MC degree may never rise; fall back to Porphyry
+        if (Math.abs(latitude) >= 90 - obliquity) {
+            return this.calculatePorphyry(ascendant, { mc });
+        }
         
-        const arc3 = this.calculateArc(cusps[3], cusps[6]);
-        cusps[4] = this.normalizeAngle(cusps[3] + arc3 / 3);
-        cusps[5] = this.normalizeAngle(cusps[3] + (2 * arc3) / 3);
+        const armc = this.calculateArmc(mc, obliquity);
         
-        const arc4 = this.calculateArc(cusps[6], cusps[9]);
-        cusps[7] = this.normalizeAngle(cusps[6] + arc4 / 3);
-        cusps[8] = this.normalizeAngle(cusps[6] + (2 * arc4) / 3);
+        // Ascensional difference of the MC degree
+        const declination = Math.asin(
+            Math.sin(this.degreesToRadians(obliquity)) * Math.sin(this.degreesToRadians(mc))
+        );
+        const ascensionalDifference = this.radiansToDegrees(Math.asin(
+            Math.tan(this.degreesToRadians(latitude)) * Math.tan(declination)
+        ));
+        const third = ascensionalDifference / 3;
         
-        return cusps;
+        return this.buildQuadrantCusps(ascendant, mc, [
+            this.calculateObliqueAscendant(armc + 30 - 2 * third - 90, latitude, obliquity),
+            this.calculateObliqueAscendant(armc + 60 - third - 90, latitude, obliquity),
+            this.calculateObliqueAscendant(armc + 120 + third - 90, latitude, obliquity),
+            this.calculateObliqueAscendant(armc + 150 + 2 * third - 90, latitude, obliquity)
+        ]);
     }
     
     /**
@@ -285,161 +674,320 @@ class HouseCalculator {
     }
     
     /**
-     * Implementation for Regiomontanus house system
+     * Calculates Regiomontanus house cusps.
+     * House circles pass through the north and south points of the horizon and
+     * divide the celestial equator into 30° arcs.
      * @param {number} ascendant - Ascendant longitude in degrees
      * @param {Object} options - Calculation options
+     * @param {number} options.latitude - Geographic latitude in degrees
+     * @param {number} options.mc - Midheaven longitude in degrees
+     * @param {number} options.obliquity - Obliquity of the ecliptic in degrees (optional)
      * @returns {Array} Array of 12 house cusp longitudes
      */
-    calculateRegiomontanus(ascendant, { latitude, mc }) {
+    calculateRegiomontanus(ascendant, { latitude, mc, obliquity = DEFAULT_OBLIQUITY }) {
         if (typeof latitude !== 'number' || typeof mc !== 'number') {
             throw new Error("Regiomontanus house system requires latitude and mc");
         }
         
-        const cusps = new Array(12);
-        
-        // Set angular houses
-        cusps[0] = ascendant;
-        cusps[9] = mc;
-        cusps[6] = this.normalizeAngle(ascendant + 180);
-        cusps[3] = this.normalizeAngle(mc + 180);
+        // Equator arcs from the meridian for cusps 11, 12, 2 and 3
+        return this.calculateHouseCircleCusps(ascendant, mc, latitude, obliquity, [30, 60, 120, 150]);
+    }
+    
+    /**
+     * Calculates Campanus house cusps.
+     * House circles pass through the north and south points of the horizon and
+     * divide the prime vertical into 30° arcs.
+     * @param {number} ascendant - Ascendant longitude in degrees
+     * @param {Object} options - Calculation options
+     * @param {number} options.latitude - Geographic latitude in degrees
+     * @param {number} options.mc - Midheaven longitude in degrees
+     * @param {number} options.obliquity - Obliquity of the ecliptic in degrees (optional)
+     * @returns {Array} Array of 12 house cusp longitudes
+     */
+    calculateCampanus(ascendant, { latitude, mc, obliquity = DEFAULT_OBLIQUITY }) {
+        if (typeof latitude !== 'number' || typeof mc !== 'number') {
+            throw new Error("Campanus house system requires latitude and mc");
+        }
         
-        // Placeholder for Regiomontanus calculation
-        // For now, similar to Placidus but with slight variations
-        const arc1 = this.calculateArc(cusps[9], cusps[0]);
-        cusps[10] = this.normalizeAngle(cusps[9] + arc1 / 3);
-        cusps[11] = this.normalizeAngle(cusps[9] + (2 * arc1) / 3);
+        // Convert the 30° prime vertical divisions into arcs along the equator
+        const latRad = this.degreesToRadians(latitude);
+        const arcs = [30, 60, 120, 150].map(division => {
+            const divisionRad = this.degreesToRadians(division);
+            return this.radiansToDegrees(Math.atan2(
+                Math.cos(latRad) * Math.sin(divisionRad),
+                Math.cos(divisionRad)
+            ));
+        });
         
-        const arc2 = this.calculateArc(cusps[0], cusps[3]);
-        cusps[1] = this.normalizeAngle(cusps[0] + arc2 / 3);
-        cusps[2] = this.normalizeAngle(cusps[0] + (2 * arc2) / 3);
+        return this.calculateHouseCircleCusps(ascendant, mc, latitude, obliquity, arcs);
+    }
+    
+    /**
+     * Calculates Morinus house cusps.
+     * The equator is divided into 30° arcs starting from the ARMC + 90°, and each
+     * division is projected onto the ecliptic along circles of ecliptic longitude.
+     * Cusps 1 and 10 therefore differ from the Ascendant and MC.
+     * @param {number} ascendant - Ascendant longitude in degrees (unused, kept for a uniform signature)
+     * @param {Object} options - Calculation options
+     * @param {number} options.mc - Midheaven longitude in degrees
+     * @param {number} options.obliquity - Obliquity of the ecliptic in degrees (optional)
+     * @returns {Array} Array of 12 house cusp longitudes
+     */
+    calculateMorinus(ascendant, { mc, obliquity = DEFAULT_OBLIQUITY }) {
+        if (typeof mc !== 'number') {
+            throw new Error("Morinus house system requires mc");
+        }
         
-        const arc3 = this.calculateArc(cusps[3], cusps[6]);
-        cusps[4] = this.normalizeAngle(cusps[3] + arc3 / 3);
-        cusps[5] = this.normalizeAngle(cusps[3] + (2 * arc3) / 3);
+        const armc = this.calculateArmc(mc, obliquity);
+        const obliqRad = this.degreesToRadians(obliquity);
+        const cusps = new Array(12);
         
-        const arc4 = this.calculateArc(cusps[6], cusps[9]);
-        cusps[7] = this.normalizeAngle(cusps[6] + arc4 / 3);
-        cusps[8] = this.normalizeAngle(cusps[6] + (2 * arc4) / 3);
+        for (let i = 0; i < 12; i++) {
+            const ra = this.degreesToRadians(armc + 90 + i * 30);
+            cusps[i] = this.normalizeAngle(this.rightAscensionToLongitude(ra, obliqRad));
+        }
         
         return cusps;
     }
     
     /**
-     * Implementation for Campanus house system
+     * Calculates Topocentric (Polich-Page) house cusps.
+     * Cusps 11 and 3 use a pole with tan(pole) = tan(latitude) / 3, cusps 12 and 2
+     * one with tan(pole) = 2 * tan(latitude) / 3.
      * @param {number} ascendant - Ascendant longitude in degrees
      * @param {Object} options - Calculation options
+     * @param {number} options.latitude - Geographic latitude in degrees
+     * @param {number} options.mc - Midheaven longitude in degrees
+     * @param {number} options.obliquity - Obliquity of the ecliptic in degrees (optional)
      * @returns {Array} Array of 12 house cusp longitudes
      */
-    calculateCampanus(ascendant, { latitude, mc }) {
+    calculateTopocentric(ascendant, { latitude, mc, obliquity = DEFAULT_OBLIQUITY }) {
         if (typeof latitude !== 'number' || typeof mc !== 'number') {
-            throw new Error("Campanus house system requires latitude and mc");
+            throw new Error("Topocentric house system requires latitude and mc");
         }
         
-        const cusps = new Array(12);
+        const armc = this.calculateArmc(mc, obliquity);
+        const tanLat = Math.tan(this.degreesToRadians(latitude));
+        const pole1 = this.radiansToDegrees(Math.atan(tanLat / 3));
+        const pole2 = this.radiansToDegrees(Math.atan(2 * tanLat / 3));
         
-        // Set angular houses
-        cusps[0] = ascendant;
-        cusps[9] = mc;
-        cusps[6] = this.normalizeAngle(ascendant + 180);
-        cusps[3] = this.normalizeAngle(mc + 180);
+        const intermediate = [
+            this.calculateObliqueAscendant(armc + 30 - 90, pole1, obliquity),
+            this.calculateObliqueAscendant(armc + 60 - 90, pole2, obliquity),
+            this.calculateObliqueAscendant(armc + 120 - 90, pole2, obliquity),
+            this.calculateObliqueAscendant(armc + 150 - 90, pole1, obliquity)
+        ];
         
-        // Placeholder for Campanus calculation
-        // For now, similar to Placidus but with slight variations
-        const arc1 = this.calculateArc(cusps[9], cusps[0]);
-        cusps[10] = this.normalizeAngle(cusps[9] + arc1 / 3);
-        cusps[11] = this.normalizeAngle(cusps[9] + (2 * arc1) / 3);
+        return this.buildQuadrantCusps(ascendant, mc,
+            this.alignWithAscendant(intermediate, armc, latitude, obliquity));
+    }
+    
+    /**
+     * Calculates Alcabitius house cusps.
+     * The diurnal and nocturnal semi-arcs of the Ascendant degree are trisected
+     * along the equator; the cusps are the ecliptic degrees culminating at those
+     * right ascensions.
+     * @param {number} ascendant - Ascendant longitude in degrees
+     * @param {Object} options - Calculation options
+     * @param {number} options.latitude - Geographic latitude in degrees
+     * @param {number} options.mc - Midheaven longitude in degrees
+     * @param {number} options.obliquity - Obliquity of the ecliptic in degrees (optional)
+     * @returns {Array} Array of 12 house cusp longitudes
+     */
+    calculateAlcabitius(ascendant, { latitude, mc, obliquity = DEFAULT_OBLIQUITY }) {
+        if (typeof latitude !== 'number' || typeof mc !== 'number') {
+            throw new Error("Alcabitius house system requires latitude and mc");
+        }
         
-        const arc2 = this.calculateArc(cusps[0], cusps[3]);
-        cusps[1] = this.normalizeAngle(cusps[0] + arc2 / 3);
-        cusps[2] = this.normalizeAngle(cusps[0] + (2 * arc2) / 3);
+        const armc = this.calculateArmc(mc, obliquity);
         
-        const arc3 = this.calculateArc(cusps[3], cusps[6]);
-        cusps[4] = this.normalizeAngle(cusps[3] + arc3 / 3);
-        cusps[5] = this.normalizeAngle(cusps[3] + (2 * arc3) / 3);
+        // Diurnal semi-arc of the Ascendant degree
+        const declination = Math.asin(
+            Math.sin(this.degreesToRadians(ascendant)) * Math.sin(this.degreesToRadians(obliquity))
+        );
+        const cosSemiArc = -Math.tan(this.degreesToRadians(latitude)) * Math.tan(declination);
         
-        const arc4 = this.calculateArc(cusps[6], cusps[9]);
-        cusps[7] = this.normalizeAngle(cusps[6] + arc4 / 3);
-        cusps[8] = this.normalizeAngle(cusps[6] + (2 * arc4) / 3);
+        // The Ascendant degree never rises or sets; fall back to Porphyry
+        if (Math.abs(cosSemiArc) > 1) {
+            return this.calculatePorphyry(ascendant, { mc });
+        }
         
-        return cusps;
+        const diurnal = this.radiansToDegrees(Math.acos(cosSemiArc));
+        const nocturnal = 180 - diurnal;
+        
+        return this.buildQuadrantCusps(ascendant, mc, [
+            this.calculateMidheaven(armc + diurnal / 3, obliquity),
+            this.calculateMidheaven(armc + 2 * diurnal / 3, obliquity),
+            this.calculateMidheaven(armc + 180 - 2 * nocturnal / 3, obliquity),
+            this.calculateMidheaven(armc + 180 - nocturnal / 3, obliquity)
+        ]);
     }
     
     /**
-     * Implementation for Morinus house system
-     * @param {number} ascendant - Ascendant longitude in degrees
+     * Calculates Meridian (Axial) house cusps.
+     * The equator is divided into 30° arcs from the ARMC and each division is
+     * projected onto the ecliptic along its hour circle, as for the MC.
+     * Cusp 1 is the East Point rather than the Ascendant.
+     * @param {number} ascendant - Ascendant longitude in degrees (unused, kept for a uniform signature)
      * @param {Object} options - Calculation options
+     * @param {number} options.mc - Midheaven longitude in degrees
+     * @param {number} options.obliquity - Obliquity of the ecliptic in degrees (optional)
      * @returns {Array} Array of 12 house cusp longitudes
      */
-    calculateMorinus(ascendant, { mc }) {
+    calculateMeridian(ascendant, { mc, obliquity = DEFAULT_OBLIQUITY }) {
         if (typeof mc !== 'number') {
-            throw new Error("Morinus house system requires mc");
+            throw new Error("Meridian house system requires mc");
         }
         
+        const armc = this.calculateArmc(mc, obliquity);
         const cusps = new Array(12);
         
-        // Set angular houses
-        cusps[0] = ascendant;
-        cusps[9] = mc;
-        cusps[6] = this.normalizeAngle(ascendant + 180);
-        cusps[3] = this.normalizeAngle(mc + 180);
-        
-        // Placeholder for Morinus calculation
-        // For now, similar to Placidus but with slight variations
-        const arc1 = this.calculateArc(cusps[9], cusps[0]);
-        cusps[10] = this.normalizeAngle(cusps[9] + arc1 / 3);
-        cusps[11] = this.normalizeAngle(cusps[9] + (2 * arc1) / 3);
-        
-        const arc2 = this.calculateArc(cusps[0], cusps[3]);
-        cusps[1] = this.normalizeAngle(cusps[0] + arc2 / 3);
-        cusps[2] = this.normalizeAngle(cusps[0] + (2 * arc2) / 3);
+        for (let i = 0; i < 12; i++) {
+            cusps[i] = this.calculateMidheaven(armc + 90 + i * 30, obliquity);
+        }
         
-        const arc3 = this.calculateArc(cusps[3], cusps[6]);
-        cusps[4] = this.normalizeAngle(cusps[3] + arc3 / 3);
-        cusps[5] = this.normalizeAngle(cusps[3] + (2 * arc3) / 3);
+        return cusps;
+    }
+    
+    /**
+     * Calculates Vehlow house cusps: equal houses starting 15° before the
+     * Ascendant, so that the Ascendant falls in the middle of the 1st house
+     * @param {number} ascendant - Ascendant longitude in degrees
+     * @returns {Array} Array of 12 house cusp longitudes
+     */
+    calculateVehlow(ascendant) {
+        return this.calculateEqual(this.normalizeAngle(ascendant - 15));
+    }
+    
+    /**
+     * Calculates Sripati house cusps.
+     * The Porphyry cusps are taken as house middles (bhava madhya); each cusp is
+     * the midpoint between the middles of adjacent houses.
+     * @param {number} ascendant - Ascendant longitude in degrees
+     * @param {Object} options - Calculation options
+     * @param {number} options.mc - Midheaven longitude in degrees
+     * @returns {Array} Array of 12 house cusp longitudes
+     */
+    calculateSripati(ascendant, { mc }) {
+        if (typeof mc !== 'number') {
+            throw new Error("Sripati house system requires mc");
+        }
         
-        const arc4 = this.calculateArc(cusps[6], cusps[9]);
-        cusps[7] = this.normalizeAngle(cusps[6] + arc4 / 3);
-        cusps[8] = this.normalizeAngle(cusps[6] + (2 * arc4) / 3);
+        const middles = this.calculatePorphyry(ascendant, { mc });
         
-        return cusps;
+        return middles.map((middle, i) => {
+            const previous = middles[(i + 11) % 12];
+            return this.normalizeAngle(previous + this.normalizeAngle(middle - previous) / 2);
+        });
     }
     
     /**
-     * Implementation for Topocentric house system
+     * Calculates Krusinski-Pisa house cusps.
+     * The great circle through the Ascendant and the zenith is divided into 30°
+     * arcs starting from the Ascendant; each division is projected onto the
+     * ecliptic along its hour circle.
      * @param {number} ascendant - Ascendant longitude in degrees
      * @param {Object} options - Calculation options
+     * @param {number} options.latitude - Geographic latitude in degrees
+     * @param {number} options.mc - Midheaven longitude in degrees
+     * @param {number} options.obliquity - Obliquity of the ecliptic in degrees (optional)
      * @returns {Array} Array of 12 house cusp longitudes
      */
-    calculateTopocentric(ascendant, { latitude, mc }) {
+    calculateKrusinski(ascendant, { latitude, mc, obliquity = DEFAULT_OBLIQUITY }) {
         if (typeof latitude !== 'number' || typeof mc !== 'number') {
-            throw new Error("Topocentric house system requires latitude and mc");
+            throw new Error("Krusinski house system requires latitude and mc");
         }
         
-        const cusps = new Array(12);
+        const armc = this.degreesToRadians(this.calculateArmc(mc, obliquity));
+        const ascRad = this.degreesToRadians(ascendant);
+        const obliqRad = this.degreesToRadians(obliquity);
+        const latRad = this.degreesToRadians(latitude);
         
-        // Set angular houses
-        cusps[0] = ascendant;
-        cusps[9] = mc;
-        cusps[6] = this.normalizeAngle(ascendant + 180);
-        cusps[3] = this.normalizeAngle(mc + 180);
+        // Equatorial unit vectors of the Ascendant and the zenith (perpendicular)
+        const ascVector = [
+            Math.cos(ascRad),
+            Math.sin(ascRad) * Math.cos(obliqRad),
+            Math.sin(ascRad) * Math.sin(obliqRad)
+        ];
+        const zenith = [
+            Math.cos(latRad) * Math.cos(armc),
+            Math.cos(latRad) * Math.sin(armc),
+            Math.sin(latRad)
+        ];
         
-        // Placeholder for Topocentric calculation
-        // For now, similar to Placidus but with slight variations
-        const arc1 = this.calculateArc(cusps[9], cusps[0]);
-        cusps[10] = this.normalizeAngle(cusps[9] + arc1 / 3);
-        cusps[11] = this.normalizeAngle(cusps[9] + (2 * arc1) / 3);
+        // Point of the circle at the given arc from the Ascendant (towards the zenith)
+        const cuspAt = arc => {
+            const arcRad = this.degreesToRadians(arc);
+            const [x, y] = ascVector.map((a, i) => Math.cos(arcRad) * a + Math.sin(arcRad) * zenith[i]);
+            return this.calculateMidheaven(this.radiansToDegrees(Math.atan2(y, x)), obliquity);
+        };
         
-        const arc2 = this.calculateArc(cusps[0], cusps[3]);
-        cusps[1] = this.normalizeAngle(cusps[0] + arc2 / 3);
-        cusps[2] = this.normalizeAngle(cusps[0] + (2 * arc2) / 3);
+        return this.buildQuadrantCusps(ascendant, mc, [cuspAt(60), cuspAt(30), cuspAt(-30), cuspAt(-60)]);
+    }
+    
+    /**
+     * Calculates cusps for systems whose house circles pass through the north and
+     * south points of the horizon (Regiomontanus, Campanus)
+     * @param {number} ascendant - Ascendant longitude in degrees
+     * @param {number} mc - Midheaven longitude in degrees
+     * @param {number} latitude - Geographic latitude in degrees
+     * @param {number} obliquity - Obliquity of the ecliptic in degrees
+     * @param {Array} arcs - Equator arcs from the meridian to the circles of cusps 11, 12, 2 and 3
+     * @returns {Array} Array of 12 house cusp longitudes
+     */
+    calculateHouseCircleCusps(ascendant, mc, latitude, obliquity, arcs) {
+        const armc = this.calculateArmc(mc, obliquity);
+        const tanLat = Math.tan(this.degreesToRadians(latitude));
         
-        const arc3 = this.calculateArc(cusps[3], cusps[6]);
-        cusps[4] = this.normalizeAngle(cusps[3] + arc3 / 3);
-        cusps[5] = this.normalizeAngle(cusps[3] + (2 * arc3) / 3);
+        const intermediate = arcs.map(arc => {
+            // Pole height of the circle crossing the equator at ARMC + arc
+            const pole = this.radiansToDegrees(Math.atan(tanLat * Math.sin(this.degreesToRadians(arc))));
+            return this.calculateObliqueAscendant(armc + arc - 90, pole, obliquity);
+        });
         
-        const arc4 = this.calculateArc(cusps[6], cusps[9]);
-        cusps[7] = this.normalizeAngle(cusps[6] + arc4 / 3);
-        cusps[8] = this.normalizeAngle(cusps[6] + (2 * arc4) / 3);
+        return this.buildQuadrantCusps(ascendant, mc,
+            this.alignWithAscendant(intermediate, armc, latitude, obliquity));
+    }
+    
+    /**
+     * Moves intermediate cusps to their opposite points when the Ascendant is
+     * reversed inside the polar circles, keeping the houses in quadrant order
+     * @param {Array} cusps - Longitudes of cusps 11, 12, 2 and 3
+     * @param {number} armc - Right ascension of the MC in degrees
+     * @param {number} latitude - Geographic latitude in degrees
+     * @param {number} obliquity - Obliquity of the ecliptic in degrees
+     * @returns {Array} Adjusted cusp longitudes
+     */
+    alignWithAscendant(cusps, armc, latitude, obliquity) {
+        if (!this.isAscendantReversed(armc, latitude, obliquity)) {
+            return cusps;
+        }
+        return cusps.map(cusp => this.normalizeAngle(cusp + 180));
+    }
+    
+    /**
+     * Assembles the 12 cusps of a quadrant system from the angles and the
+     * intermediate cusps of the eastern half; the rest are their opposite points
+     * @param {number} ascendant - Ascendant longitude in degrees
+     * @param {number} mc - Midheaven longitude in degrees
+     * @param {Array} intermediate - Longitudes of cusps 11, 12, 2 and 3
+     * @returns {Array} Array of 12 house cusp longitudes
+     */
+    buildQuadrantCusps(ascendant, mc, [cusp11, cusp12, cusp2, cusp3]) {
+        const cusps = new Array(12);
+        
+        cusps[0] = ascendant;
+        cusps[1] = this.normalizeAngle(cusp2);
+        cusps[2] = this.normalizeAngle(cusp3);
+        cusps[3] = this.normalizeAngle(mc + 180);
+        cusps[4] = this.normalizeAngle(cusp11 + 180);
+        cusps[5] = this.normalizeAngle(cusp12 + 180);
+        cusps[6] = this.normalizeAngle(ascendant + 180);
+        cusps[7] = this.normalizeAngle(cusp2 + 180);
+        cusps[8] = this.normalizeAngle(cusp3 + 180);
+        cusps[9] = mc;
+        cusps[10] = this.normalizeAngle(cusp11);
+        cusps[11] = this.normalizeAngle(cusp12);
         
         return cusps;
     }
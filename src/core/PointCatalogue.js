@@ -0,0 +1,136 @@
+/**
+ * PointCatalogue.js
+ * Catalogue of the chart points: the ten planets, the lunar nodes, the lunar
+ * apogee and perigee, Chiron, the main asteroids and the Part of Fortune.
+ *
+ * Every point has a default color and orb, a glyph (the name of its planet icon)
+ * and localized names. Point ids are the keys used in the planet data, e.g.
+ * { true_node: { lon: 12.3 } }. Positions are supplied like planet positions.
+ */
+import { AstronomyUtils } from '../utils/AstronomyUtils.js';
+
+const POINTS = {
+    // Planets
+    "sun": { category: "planet", color: "#ff9900", orb: 8, names: { en: "Sun", ru: "Солнце" } },
+    "moon": { category: "planet", color: "#aaaaaa", orb: 8, names: { en: "Moon", ru: "Луна" } },
+    "mercury": { category: "planet", color: "#3399cc", orb: 6, names: { en: "Mercury", ru: "Меркурий" } },
+    "venus": { category: "planet", color: "#cc66cc", orb: 6, names: { en: "Venus", ru: "Венера" } },
+    "mars": { category: "planet", color: "#cc3333", orb: 6, names: { en: "Mars", ru: "Марс" } },
+    "jupiter": { category: "planet", color: "#9966cc", orb: 6, names: { en: "Jupiter", ru: "Юпитер" } },
+    "saturn": { category: "planet", color: "#336633", orb: 6, names: { en: "Saturn", ru: "Сатурн" } },
+    "uranus": { category: "planet", color: "#33cccc", orb: 4, names: { en: "Uranus", ru: "Уран" } },
+    "neptune": { category: "planet", color: "#3366ff", orb: 4, names: { en: "Neptune", ru: "Нептун" } },
+    "pluto": { category: "planet", color: "#663366", orb: 4, names: { en: "Pluto", ru: "Плутон" } },
+
+    // Lunar nodes; rahu and ketu are their Vedic names
+    "true_node": { category: "node", glyph: "rahu", color: "#5d8a3a", orb: 3, names: { en: "True Node", ru: "Истинный узел" } },
+    "mean_node": { category: "node", glyph: "rahu", color: "#5d8a3a", orb: 3, names: { en: "Mean Node", ru: "Средний узел" } },
+    "south_node": { category: "node", glyph: "ketu", color: "#8a6d3a", orb: 3, names: { en: "South Node", ru: "Южный узел" } },
+    "rahu": { category: "node", color: "#5d8a3a", orb: 3, names: { en: "Rahu", ru: "Раху" } },
+    "ketu": { category: "node", color: "#8a6d3a", orb: 3, names: { en: "Ketu", ru: "Кету" } },
+
+    // Lunar apogee (Black Moon) and perigee (White Moon)
+    "lilith": { category: "lunar", color: "#333333", orb: 2, names: { en: "Black Moon Lilith", ru: "Лилит" } },
+    "selena": { category: "lunar", color: "#999999", orb: 2, names: { en: "Selena", ru: "Селена" } },
+
+    // Centaur and asteroids
+    "chiron": { category: "centaur", color: "#996633", orb: 3, names: { en: "Chiron", ru: "Хирон" } },
+    "ceres": { category: "asteroid", color: "#999933", orb: 2, names: { en: "Ceres", ru: "Церера" } },
+    "pallas": { category: "asteroid", color: "#6666cc", orb: 2, names: { en: "Pallas", ru: "Паллада" } },
+    "juno": { category: "asteroid", color: "#cc6699", orb: 2, names: { en: "Juno", ru: "Юнона" } },
+    "vesta": { category: "asteroid", color: "#cc6633", orb: 2, names: { en: "Vesta", ru: "Веста" } },
+
+    // Arabic parts
+    "fortune": { category: "part", color: "#cc9933", orb: 2, names: { en: "Part of Fortune", ru: "Парс Фортуны" } }
+};
+
+class PointCatalogue {
+    /**
+     * Returns the point ids of the catalogue
+     * @param {string} category - Only return points of this category (optional)
+     * @returns {Array} Array of point ids
+     */
+    static getPoints(category = null) {
+        return Object.keys(POINTS).filter(id => !category || POINTS[id].category === category);
+    }
+
+    /**
+     * Returns the point categories
+     * @returns {Array} Array of categories ("planet", "node", "lunar", "centaur", "asteroid", "part")
+     */
+    static getCategories() {
+        return [...new Set(Object.values(POINTS).map(point => point.category))];
+    }
+
+    /**
+     * Returns a catalogue entry
+     * @param {string} id - Point id (case-insensitive)
+     * @returns {Object|null} { id, category, glyph, color, orb, names }, or null for an unknown point
+     */
+    static getPoint(id) {
+        const key = String(id).toLowerCase();
+        const point = POINTS[key];
+        if (!point) {
+            return null;
+        }
+        return { id: key, ...point, glyph: point.glyph || key, names: { ...point.names } };
+    }
+
+    /**
+     * Returns the glyph of a point, i.e. the name of its planet icon
+     * @param {string} id - Point id (case-insensitive)
+     * @returns {string} Glyph name; unknown points use their own id
+     */
+    static getGlyph(id) {
+        const key = String(id).toLowerCase();
+        return POINTS[key]?.glyph || key;
+    }
+
+    /**
+     * Returns the name of a point in the specified language
+     * @param {string} id - Point id (case-insensitive)
+     * @param {string} language - Language code (default: 'en'); English is used for other languages
+     * @returns {string|null} Point name, or null for an unknown point
+     */
+    static getName(id, language = 'en') {
+        const point = POINTS[String(id).toLowerCase()];
+        if (!point) {
+            return null;
+        }
+        return point.names[language] || point.names.en;
+    }
+
+    /**
+     * Returns the default planet settings of all points
+     * @returns {Object} { orbs, colors, visible }, each keyed by point id
+     */
+    static getDefaultSettings() {
+        const settings = { orbs: {}, colors: {}, visible: {} };
+        Object.entries(POINTS).forEach(([id, point]) => {
+            settings.orbs[id] = point.orb;
+            settings.colors[id] = point.color;
+            settings.visible[id] = true;
+        });
+        return settings;
+    }
+
+    /**
+     * Calculates the Part of Fortune. By day it is Ascendant + Moon - Sun,
+     * by night the formula is reversed.
+     * @param {number} ascendant - Ascendant longitude in degrees
+     * @param {number} sun - Sun longitude in degrees
+     * @param {number} moon - Moon longitude in degrees
+     * @param {boolean} isDayChart - Whether the Sun is above the horizon (optional,
+     *                               by default derived from the Sun's distance to the Ascendant)
+     * @returns {number} Longitude of the Part of Fortune in degrees
+     */
+    static calculatePartOfFortune(ascendant, sun, moon, isDayChart = null) {
+        // The Sun is above the horizon in houses 7 to 12, i.e. up to 180° before the Ascendant
+        const isDay = isDayChart ?? AstronomyUtils.normalizeDegrees(sun - ascendant) >= 180;
+        return AstronomyUtils.normalizeDegrees(isDay
+            ? ascendant + moon - sun
+            : ascendant + sun - moon);
+    }
+}
+
+export { PointCatalogue };
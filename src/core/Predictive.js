@@ -0,0 +1,228 @@
+/**
+ * Predictive.js
+ * Predictive techniques for a birth chart and a target date:
+ *
+ * - Secondary progressions: one day after birth for each year of life.
+ * - Tertiary progressions: one day after birth for each lunar month of life.
+ * - Solar arc directions: every natal point moved by the solar arc, the
+ *   distance the secondary-progressed Sun has travelled.
+ *
+ * The progressed Midheaven moves by one of three methods: Naibod (the mean
+ * motion of the Sun, 0.9856° a day of progression, in right ascension), the
+ * solar arc in longitude, or the true solar arc in right ascension. The
+ * progressed Ascendant and house cusps follow from the progressed Midheaven
+ * at the birth place.
+ *
+ * The results have planets and houses like a birth chart, to be drawn as the
+ * secondary planets of a bi-wheel with cross-aspects to the natal chart.
+ */
+import { AstronomyUtils } from '../utils/AstronomyUtils.js';
+import { Ephemeris } from './Ephemeris.js';
+import { HouseCalculator } from './HouseCalculator.js';
+
+// Days of life that one day of progression stands for
+const PERIODS = {
+    secondary: 365.242199,  // Tropical year
+    tertiary: 27.321582     // Tropical month
+};
+
+// Mean daily motion of the Sun, in degrees
+const NAIBOD_RATE = 0.9856473;
+
+const METHODS = ["secondary", "solar-arc", "tertiary"];
+
+const MC_METHODS = ["naibod", "solar-arc", "true"];
+
+class Predictive {
+    /**
+     * Returns the supported predictive methods
+     * @returns {Array} "secondary", "solar-arc" and "tertiary"
+     */
+    static getMethods() {
+        return [...METHODS];
+    }
+
+    /**
+     * Returns the supported Midheaven progression methods
+     * @returns {Array} "naibod", "solar-arc" and "true"
+     */
+    static getMcMethods() {
+        return [...MC_METHODS];
+    }
+
+    /**
+     * Calculates the progressed or directed chart of a method
+     * @param {string} method - "secondary", "solar-arc" or "tertiary"
+     * @param {Object} birthData - Birth data { datetime, timezone, latitude, longitude }
+     * @param {Date|string} target - Target date, a Date or an ISO 8601 string
+     * @param {Object} options - See secondaryProgressions (optional)
+     * @returns {Object} Progressed or directed chart, see secondaryProgressions
+     * @throws {Error} If the method is unknown or the data is invalid
+     */
+    static calculate(method, birthData, target, options = {}) {
+        switch (method) {
+            case "secondary":
+                return Predictive.secondaryProgressions(birthData, target, options);
+            case "solar-arc":
+                return Predictive.solarArcDirections(birthData, target, options);
+            case "tertiary":
+                return Predictive.tertiaryProgressions(birthData, target, options);
+            default:
+                throw new Error(`Predictive: Unknown method "${method}". Supported methods: ${METHODS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Calculates the secondary progressions for a target date: the planets one day after
+     * birth for each year of life, and the progressed angles and house cusps
+     * @param {Object} birthData - Birth data { datetime, timezone, latitude, longitude }
+     * @param {Date|string} target - Target date, a Date or an ISO 8601 string
+     * @param {Object} options - Options (optional)
+     * @param {string} options.mcMethod - "naibod", "solar-arc" or "true" (default "naibod")
+     * @param {string} options.houseSystem - House system of the progressed cusps (default "Placidus")
+     * @param {number|string} options.timezone - Timezone of a target string without offset (default UTC)
+     * @param {Array} options.bodies - Bodies to calculate (default all supported bodies)
+     * @returns {Object} { method, mcMethod, julianDay, arc, planets, ascendant, mc, houses }: the Julian Day
+     *          of the progressed positions, the solar arc in degrees (negative before birth), planets keyed by name as from the
+     *          ephemeris, and the cusps as { lon }; angles are null and houses empty without a birth place
+     * @throws {Error} If the MC method is unknown or the data is invalid
+     */
+    static secondaryProgressions(birthData, target, options = {}) {
+        return Predictive._progress("secondary", birthData, target, options);
+    }
+
+    /**
+     * Calculates the tertiary progressions for a target date: the planets one day after birth
+     * for each lunar month of life, and the progressed angles and house cusps
+     * @param {Object} birthData - Birth data { datetime, timezone, latitude, longitude }
+     * @param {Date|string} target - Target date, a Date or an ISO 8601 string
+     * @param {Object} options - See secondaryProgressions (optional)
+     * @returns {Object} Progressed chart, see secondaryProgressions
+     * @throws {Error} If the MC method is unknown or the data is invalid
+     */
+    static tertiaryProgressions(birthData, target, options = {}) {
+        return Predictive._progress("tertiary", birthData, target, options);
+    }
+
+    /**
+     * Calculates the solar arc directions for a target date: the natal planets, angles and
+     * house cusps moved by the solar arc of the secondary progressions
+     * @param {Object} birthData - Birth data { datetime, timezone, latitude, longitude }
+     * @param {Date|string} target - Target date, a Date or an ISO 8601 string
+     * @param {Object} options - timezone and bodies, see secondaryProgressions (optional)
+     * @returns {Object} { method, julianDay, arc, planets, ascendant, mc, houses }, with the directed
+     *          planets as { lon }
+     * @throws {Error} If the data is invalid
+     */
+    static solarArcDirections(birthData, target, options = {}) {
+        const natal = Predictive._calculateNatal(birthData, options);
+        const progressed = Predictive._progress("secondary", birthData, target, { ...options, mcMethod: "solar-arc" }, natal);
+        const direct = lon => AstronomyUtils.normalizeDegrees(lon + progressed.arc);
+
+        const planets = {};
+        Object.entries(natal.chart.planets).forEach(([name, data]) => {
+            planets[name] = { lon: direct(data.lon) };
+        });
+
+        return {
+            method: "solar-arc",
+            julianDay: progressed.julianDay,
+            arc: progressed.arc,
+            planets,
+            ascendant: natal.chart.ascendant === null ? null : direct(natal.chart.ascendant),
+            mc: natal.chart.mc === null ? null : direct(natal.chart.mc),
+            houses: natal.cusps.map(lon => ({ lon: direct(lon) }))
+        };
+    }
+
+    /**
+     * Calculates progressed planets and angles for a progression period
+     * @private
+     * @param {string} method - "secondary" or "tertiary"
+     * @param {Object} birthData - Birth data
+     * @param {Date|string} target - Target date
+     * @param {Object} options - See secondaryProgressions
+     * @param {Object} natal - Natal chart from _calculateNatal (optional, calculated if missing)
+     * @returns {Object} Progressed chart, see secondaryProgressions
+     * @throws {Error} If the MC method is unknown or the data is invalid
+     */
+    static _progress(method, birthData, target, options, natal = null) {
+        const mcMethod = options.mcMethod || "naibod";
+        if (!MC_METHODS.includes(mcMethod)) {
+            throw new Error(`Predictive: Unknown MC progression method "${mcMethod}". Supported methods: ${MC_METHODS.join(', ')}`);
+        }
+
+        natal = natal || Predictive._calculateNatal(birthData, options);
+        const targetDay = AstronomyUtils.dateToJulianDay(AstronomyUtils.resolveDateTime(target, options.timezone));
+        const progressedDays = (targetDay - natal.chart.julianDay) / PERIODS[method];
+        const julianDay = natal.chart.julianDay + progressedDays;
+
+        const ephemeris = new Ephemeris();
+        const bodies = options.bodies ? [...new Set([...options.bodies, "sun"])] : null;
+        const planets = ephemeris.calculatePlanets(julianDay, bodies);
+        const natalSun = natal.chart.planets.sun || ephemeris.calculateBody("sun", natal.chart.julianDay);
+        const progressedSun = planets.sun;
+        // Signed, so that a target before birth gives a negative arc
+        const arc = AstronomyUtils.normalizeDegrees(progressedSun.lon - natalSun.lon + 180) - 180;
+        if (options.bodies && !options.bodies.includes("sun")) {
+            delete planets.sun;
+        }
+
+        const result = { method, mcMethod, julianDay, arc, planets, ascendant: null, mc: null, houses: [] };
+        if (natal.chart.mc === null) {
+            return result;
+        }
+
+        // Progress the right ascension of the MC, then find the angles at the birth place
+        const obliquity = natal.chart.obliquity;
+        const rightAscension = lon => AstronomyUtils.eclipticToEquatorial(lon, 0, obliquity).rightAscension;
+        let armc;
+        if (mcMethod === "naibod") {
+            armc = natal.armc + progressedDays * NAIBOD_RATE;
+        } else if (mcMethod === "true") {
+            armc = natal.armc + rightAscension(progressedSun.lon) - rightAscension(natalSun.lon);
+        } else {
+            armc = rightAscension(AstronomyUtils.normalizeDegrees(natal.chart.mc + arc));
+        }
+        armc = AstronomyUtils.normalizeDegrees(armc);
+
+        const houseCalculator = new HouseCalculator();
+        result.mc = houseCalculator.calculateMidheaven(armc, obliquity);
+        result.ascendant = houseCalculator.calculateAscendant(armc, birthData.latitude, obliquity);
+        result.houses = houseCalculator.calculateHouseCusps(result.ascendant, options.houseSystem || "Placidus", {
+            latitude: birthData.latitude,
+            mc: result.mc,
+            obliquity
+        }).map(lon => ({ lon }));
+        return result;
+    }
+
+    /**
+     * Calculates the natal chart with its sidereal time and house cusps
+     * @private
+     * @param {Object} birthData - Birth data
+     * @param {Object} options - houseSystem and bodies, see secondaryProgressions
+     * @returns {Object} { chart, armc, cusps }: the ephemeris chart, the right ascension of the MC
+     *          (null without a birth place) and the cusp longitudes
+     * @throws {Error} If the birth data is invalid
+     */
+    static _calculateNatal(birthData, options) {
+        const chart = new Ephemeris().calculate({ ...birthData, bodies: options.bodies });
+        if (chart.mc === null) {
+            return { chart, armc: null, cusps: [] };
+        }
+
+        const houseCalculator = new HouseCalculator();
+        return {
+            chart,
+            armc: houseCalculator.calculateAngles(chart.julianDay, birthData.latitude, birthData.longitude).armc,
+            cusps: houseCalculator.calculateHouseCusps(chart.ascendant, options.houseSystem || "Placidus", {
+                latitude: birthData.latitude,
+                mc: chart.mc,
+                obliquity: chart.obliquity
+            })
+        };
+    }
+}
+
+export { Predictive };
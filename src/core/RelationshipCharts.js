@@ -0,0 +1,140 @@
+/**
+ * RelationshipCharts.js
+ * Charts of a relationship built from the charts of two people:
+ *
+ * - Composite: the midpoints of the planets and house cusps of both charts.
+ *   Midpoints are taken along the shorter arc, e.g. 350° and 20° give 5°.
+ *   The Ascendant midpoint sets the side of the other cusps, so that the
+ *   houses keep their order when two cusps lie almost opposite each other.
+ * - Davison: a real chart cast for the midpoint in time and space of both
+ *   births, calculated with the built-in ephemeris.
+ *
+ * Both return planets and houses in the format NocturnaWheel and
+ * ChartCalculator take, so the charts are drawn like a natal chart.
+ */
+import { AstronomyUtils } from '../utils/AstronomyUtils.js';
+import { Ephemeris } from './Ephemeris.js';
+import { HouseCalculator } from './HouseCalculator.js';
+
+class RelationshipCharts {
+    /**
+     * Returns the midpoint of two longitudes along the shorter arc
+     * @param {number} lon1 - Longitude in degrees
+     * @param {number} lon2 - Longitude in degrees
+     * @returns {number} Midpoint longitude in degrees (0-360)
+     */
+    static midpoint(lon1, lon2) {
+        const arc = AstronomyUtils.normalizeDegrees(lon2 - lon1);
+        return AstronomyUtils.normalizeDegrees(lon1 + (arc > 180 ? arc - 360 : arc) / 2);
+    }
+
+    /**
+     * Builds the midpoint composite chart of two charts
+     * @param {Object} chartA - First chart { planets, houses }: planet data keyed by name and
+     *        house cusps ({ lon } objects or longitudes), as passed to NocturnaWheel
+     * @param {Object} chartB - Second chart { planets, houses }
+     * @returns {Object} { planets, houses }: the midpoints of the planets of both charts keyed by
+     *          name, and the 12 composite cusps as { lon }, empty unless both charts have 12 cusps
+     * @throws {Error} If a chart has no planets
+     */
+    static composite(chartA, chartB) {
+        if (!chartA?.planets || !chartB?.planets) {
+            throw new Error("RelationshipCharts: Both charts need planets");
+        }
+
+        const planets = {};
+        Object.entries(chartA.planets)
+            .filter(([name, data]) => typeof data?.lon === 'number' && typeof chartB.planets[name]?.lon === 'number')
+            .forEach(([name, data]) => {
+                planets[name] = { lon: RelationshipCharts.midpoint(data.lon, chartB.planets[name].lon) };
+            });
+
+        return {
+            planets,
+            houses: RelationshipCharts._compositeCusps(chartA.houses, chartB.houses).map(lon => ({ lon }))
+        };
+    }
+
+    /**
+     * Builds the Davison chart of two births: the chart of the midpoint in time and of the
+     * midpoint of the birth places (mean latitude, longitude along the shorter arc)
+     * @param {Object} birthDataA - First birth { datetime, timezone, latitude, longitude }
+     * @param {Object} birthDataB - Second birth { datetime, timezone, latitude, longitude }
+     * @param {Object} options - { houseSystem, bodies } (optional, default Placidus and all bodies)
+     * @returns {Object} { birthData, planets, houses, julianDay, ascendant, mc }; birthData is the
+     *          midpoint in UTC and can be passed to NocturnaWheel instead of planets and houses
+     * @throws {Error} If a datetime or the coordinates are missing or invalid, or the house
+     *         system is undefined at the Davison latitude
+     */
+    static davison(birthDataA, birthDataB, options = {}) {
+        [birthDataA, birthDataB].forEach(birthData => {
+            if (typeof birthData?.latitude !== 'number' || typeof birthData?.longitude !== 'number') {
+                throw new Error("RelationshipCharts: Davison charts need the latitude and longitude of both births");
+            }
+        });
+
+        const timeA = AstronomyUtils.resolveDateTime(birthDataA.datetime, birthDataA.timezone).getTime();
+        const timeB = AstronomyUtils.resolveDateTime(birthDataB.datetime, birthDataB.timezone).getTime();
+        const longitude = RelationshipCharts.midpoint(birthDataA.longitude, birthDataB.longitude);
+        const birthData = {
+            datetime: new Date((timeA + timeB) / 2).toISOString(),
+            timezone: 0,
+            latitude: (birthDataA.latitude + birthDataB.latitude) / 2,
+            longitude: longitude > 180 ? longitude - 360 : longitude
+        };
+
+        const chart = new Ephemeris().calculate({ ...birthData, bodies: options.bodies });
+        const cusps = new HouseCalculator().calculateHouseCusps(chart.ascendant, options.houseSystem || "Placidus", {
+            latitude: birthData.latitude,
+            mc: chart.mc,
+            obliquity: chart.obliquity
+        });
+
+        return {
+            birthData,
+            planets: chart.planets,
+            houses: cusps.map(lon => ({ lon })),
+            julianDay: chart.julianDay,
+            ascendant: chart.ascendant,
+            mc: chart.mc
+        };
+    }
+
+    /**
+     * Calculates the composite house cusps: the Ascendant midpoint along the shorter arc, and
+     * each other cusp at the midpoint of its distances from the Ascendants of both charts
+     * @private
+     * @param {Array} housesA - House cusps of the first chart
+     * @param {Array} housesB - House cusps of the second chart
+     * @returns {Array} 12 cusp longitudes, or an empty array
+     */
+    static _compositeCusps(housesA = [], housesB = []) {
+        const cuspsA = RelationshipCharts._toLongitudes(housesA);
+        const cuspsB = RelationshipCharts._toLongitudes(housesB);
+        if (cuspsA.length < 12 || cuspsB.length < 12) {
+            return [];
+        }
+
+        const ascendant = RelationshipCharts.midpoint(cuspsA[0], cuspsB[0]);
+        return cuspsA.slice(0, 12).map((cusp, index) => {
+            // Same as the shorter-arc midpoint of the cusps, unless that lies on the other side
+            const offsetA = AstronomyUtils.normalizeDegrees(cusp - cuspsA[0]);
+            const offsetB = AstronomyUtils.normalizeDegrees(cuspsB[index] - cuspsB[0]);
+            return AstronomyUtils.normalizeDegrees(ascendant + (offsetA + offsetB) / 2);
+        });
+    }
+
+    /**
+     * Converts house cusps to longitudes
+     * @private
+     * @param {Array} houses - { lon } objects or longitudes
+     * @returns {Array} Longitudes, leaving out invalid cusps
+     */
+    static _toLongitudes(houses) {
+        return (houses || [])
+            .map(house => (typeof house === 'number' ? house : house?.lon))
+            .filter(lon => typeof lon === 'number');
+    }
+}
+
+export { RelationshipCharts };
@@ -0,0 +1,205 @@
+/**
+ * ReturnCharts.js
+ * Solar and lunar return charts: the charts of the moments when the Sun or
+ * the Moon comes back to its natal longitude, for a year (birthday chart) or
+ * a month.
+ *
+ * The return moment is found on the built-in ephemeris with Newton's method,
+ * using the daily motion of the body, to a small fraction of an arcsecond.
+ * The chart is cast for the birth place or for another location (relocated
+ * return), in the format NocturnaWheel takes.
+ */
+import { AstronomyUtils } from '../utils/AstronomyUtils.js';
+import { Ephemeris } from './Ephemeris.js';
+import { HouseCalculator } from './HouseCalculator.js';
+
+// Bodies of the return types, and their mean daily motion in degrees for the first guess
+const TYPES = {
+    solar: { body: "sun", meanMotion: 0.9856473 },
+    lunar: { body: "moon", meanMotion: 13.176358 }
+};
+
+const TROPICAL_YEAR = 365.242199;
+
+// Precision of the return moment, in degrees of longitude
+const TOLERANCE = 1e-7;
+
+const MAX_ITERATIONS = 20;
+
+class ReturnCharts {
+    /**
+     * Returns the supported return types
+     * @returns {Array} "solar" and "lunar"
+     */
+    static getTypes() {
+        return Object.keys(TYPES);
+    }
+
+    /**
+     * Calculates a return chart of a type
+     * @param {string} type - "solar" or "lunar"
+     * @param {Object} birthData - Birth data { datetime, timezone, latitude, longitude }
+     * @param {Object} period - { year } for solar returns, { year, month } for lunar returns
+     * @param {Object} options - See solarReturn (optional)
+     * @returns {Object} Return chart, see solarReturn
+     * @throws {Error} If the type is unknown or the data is invalid
+     */
+    static calculate(type, birthData, period = {}, options = {}) {
+        switch (type) {
+            case "solar":
+                return ReturnCharts.solarReturn(birthData, period.year, options);
+            case "lunar":
+                return ReturnCharts.lunarReturn(birthData, period.year, period.month, options);
+            default:
+                throw new Error(`ReturnCharts: Unknown return type "${type}". Supported types: ${ReturnCharts.getTypes().join(', ')}`);
+        }
+    }
+
+    /**
+     * Calculates the solar return of a year: the chart of the moment the Sun returns to its
+     * natal longitude, around the birthday
+     * @param {Object} birthData - Birth data { datetime, timezone, latitude, longitude }
+     * @param {number} year - Calendar year of the return
+     * @param {Object} options - Options (optional)
+     * @param {Object} options.location - { latitude, longitude } of a relocated return (default the birth place)
+     * @param {string} options.houseSystem - House system of the cusps (default "Placidus")
+     * @param {Array} options.bodies - Bodies to calculate (default all supported bodies)
+     * @returns {Object} { type, julianDay, datetime, birthData, relocated, planets, ascendant, mc, houses }:
+     *          the return moment as Julian Day and UTC ISO string, the birth data of the return chart
+     *          (to pass to NocturnaWheel instead of planets and houses), and the cusps as { lon };
+     *          angles are null and houses empty without a location
+     * @throws {Error} If the year or the data is invalid
+     */
+    static solarReturn(birthData, year, options = {}) {
+        if (!Number.isInteger(year)) {
+            throw new Error("ReturnCharts: The year of a solar return must be an integer");
+        }
+        const natalDay = ReturnCharts._julianDay(birthData);
+        const natalYear = ReturnCharts._localYear(birthData);
+        return ReturnCharts._castReturn("solar", birthData, natalDay + (year - natalYear) * TROPICAL_YEAR, options);
+    }
+
+    /**
+     * Calculates the lunar return of a month: the chart of the first moment in the month the
+     * Moon returns to its natal longitude
+     * @param {Object} birthData - Birth data { datetime, timezone, latitude, longitude }
+     * @param {number} year - Calendar year
+     * @param {number} month - Month, 1-12
+     * @param {Object} options - See solarReturn, and timezone of the month (optional, default UTC)
+     * @returns {Object} Return chart, see solarReturn
+     * @throws {Error} If the month or the data is invalid
+     */
+    static lunarReturn(birthData, year, month, options = {}) {
+        if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+            throw new Error("ReturnCharts: A lunar return needs an integer year and a month from 1 to 12");
+        }
+        const monthStart = AstronomyUtils.dateToJulianDay(AstronomyUtils.resolveDateTime(
+            `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-01T00:00:00`,
+            options.timezone
+        ));
+
+        // Start from the mean time the Moon needs to reach its natal longitude
+        const natalMoon = new Ephemeris().calculateBody("moon", ReturnCharts._julianDay(birthData)).lon;
+        const moon = new Ephemeris().calculateBody("moon", monthStart).lon;
+        const guess = monthStart + AstronomyUtils.normalizeDegrees(natalMoon - moon) / TYPES.lunar.meanMotion;
+        return ReturnCharts._castReturn("lunar", birthData, guess, options, monthStart);
+    }
+
+    /**
+     * Finds the moment a body returns to a longitude near a first guess, with Newton's method
+     * @param {string} body - Body name
+     * @param {number} longitude - Longitude in degrees
+     * @param {number} julianDay - First guess, Julian Day (UT)
+     * @returns {number} Julian Day (UT) of the return
+     * @throws {Error} If the search does not converge
+     */
+    static findReturn(body, longitude, julianDay) {
+        const ephemeris = new Ephemeris();
+        let day = julianDay;
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            const position = ephemeris.calculateBody(body, day);
+            const distance = AstronomyUtils.normalizeDegrees(position.lon - longitude + 180) - 180;
+            if (Math.abs(distance) < TOLERANCE) {
+                return day;
+            }
+            day -= distance / position.speed;
+        }
+        throw new Error(`ReturnCharts: The return of ${body} to ${longitude}° did not converge`);
+    }
+
+    /**
+     * Finds the return moment and casts its chart
+     * @private
+     * @param {string} type - "solar" or "lunar"
+     * @param {Object} birthData - Birth data
+     * @param {number} guess - First guess of the return, Julian Day (UT)
+     * @param {Object} options - See solarReturn
+     * @param {number} notBefore - Earliest Julian Day of the return (optional)
+     * @returns {Object} Return chart, see solarReturn
+     */
+    static _castReturn(type, birthData, guess, options, notBefore = -Infinity) {
+        const { body, meanMotion } = TYPES[type];
+        const natal = new Ephemeris().calculateBody(body, ReturnCharts._julianDay(birthData)).lon;
+        let julianDay = ReturnCharts.findReturn(body, natal, guess);
+        // Near the start of the period the search can end on the previous return
+        if (julianDay < notBefore) {
+            julianDay = ReturnCharts.findReturn(body, natal, julianDay + 360 / meanMotion);
+        }
+
+        const location = options.location || birthData;
+        const hasLocation = typeof location.latitude === 'number' && typeof location.longitude === 'number';
+        const datetime = AstronomyUtils.julianDayToDate(julianDay).toISOString();
+        const returnBirthData = hasLocation
+            ? { datetime, timezone: 0, latitude: location.latitude, longitude: location.longitude }
+            : { datetime, timezone: 0 };
+
+        const chart = new Ephemeris().calculate({ ...returnBirthData, bodies: options.bodies });
+        const houses = chart.mc === null ? [] : new HouseCalculator().calculateHouseCusps(
+            chart.ascendant,
+            options.houseSystem || "Placidus",
+            { latitude: location.latitude, mc: chart.mc, obliquity: chart.obliquity }
+        );
+
+        return {
+            type,
+            julianDay,
+            datetime,
+            birthData: returnBirthData,
+            relocated: !!options.location,
+            planets: chart.planets,
+            ascendant: chart.ascendant,
+            mc: chart.mc,
+            houses: houses.map(lon => ({ lon }))
+        };
+    }
+
+    /**
+     * Returns the year of birth on the local wall clock, so that a birthday near New Year
+     * counts in the year of its birth date
+     * @private
+     * @param {Object} birthData - Birth data { datetime, timezone }
+     * @returns {number} Year of the datetime string, or the UTC year of a Date instance
+     */
+    static _localYear(birthData) {
+        if (typeof birthData.datetime === 'string') {
+            return Number(/^\s*(-?\d{4})/.exec(birthData.datetime)[1]);
+        }
+        return AstronomyUtils.julianDayToDate(ReturnCharts._julianDay(birthData)).getUTCFullYear();
+    }
+
+    /**
+     * Returns the Julian Day of birth data
+     * @private
+     * @param {Object} birthData - Birth data { datetime, timezone }
+     * @returns {number} Julian Day (UT)
+     * @throws {Error} If the datetime is missing or invalid
+     */
+    static _julianDay(birthData) {
+        if (!birthData || birthData.datetime === undefined || birthData.datetime === null) {
+            throw new Error("ReturnCharts: Birth data needs a datetime");
+        }
+        return AstronomyUtils.dateToJulianDay(AstronomyUtils.resolveDateTime(birthData.datetime, birthData.timezone));
+    }
+}
+
+export { ReturnCharts };
@@ -0,0 +1,177 @@
+/**
+ * Vargas.js
+ * Divisional charts (vargas) of Vedic astrology.
+ *
+ * A varga divides each sign into n parts and maps every part to a sign, following
+ * Parashara. The position within the part is spread over the whole varga sign, so a
+ * planet at the start of a part is at 0° of its varga sign. Vargas are defined for
+ * sidereal longitudes; tropical input is converted when an ayanamsa is given.
+ */
+import { AstronomyUtils } from '../utils/AstronomyUtils.js';
+
+// Pick a value by the quality (movable, fixed, dual) or by the parity (odd, even) of a sign
+const byQuality = (sign, values) => values[sign % 3];
+const byParity = (sign, values) => values[sign % 2];
+
+// Trimsamsa parts: [end of the part in degrees, varga sign]
+const TRIMSAMSA_ODD = [[5, 0], [10, 10], [18, 8], [25, 2], [30, 6]];
+const TRIMSAMSA_EVEN = [[5, 1], [12, 5], [20, 11], [25, 9], [30, 7]];
+
+// Supported vargas: number of parts and the varga sign of the first part of a sign
+// (sign index 0 = Aries; the following parts take the following signs)
+const VARGAS = {
+    "D1": { name: "Rasi", parts: 1, start: sign => sign },
+    "D2": { name: "Hora", parts: 2, start: null },
+    "D3": { name: "Drekkana", parts: 3, start: sign => sign, step: 4 },
+    "D4": { name: "Chaturthamsa", parts: 4, start: sign => sign, step: 3 },
+    "D7": { name: "Saptamsa", parts: 7, start: sign => sign + byParity(sign, [0, 6]) },
+    "D9": { name: "Navamsa", parts: 9, start: sign => sign * 9 },
+    "D10": { name: "Dasamsa", parts: 10, start: sign => sign + byParity(sign, [0, 8]) },
+    "D12": { name: "Dwadasamsa", parts: 12, start: sign => sign },
+    "D16": { name: "Shodasamsa", parts: 16, start: sign => byQuality(sign, [0, 4, 8]) },
+    "D20": { name: "Vimsamsa", parts: 20, start: sign => byQuality(sign, [0, 8, 4]) },
+    "D24": { name: "Chaturvimsamsa", parts: 24, start: sign => byParity(sign, [4, 3]) },
+    "D27": { name: "Bhamsa", parts: 27, start: sign => sign * 27 },
+    "D30": { name: "Trimsamsa", parts: 5, start: null },
+    "D40": { name: "Khavedamsa", parts: 40, start: sign => byParity(sign, [0, 6]) },
+    "D45": { name: "Akshavedamsa", parts: 45, start: sign => byQuality(sign, [0, 4, 8]) },
+    "D60": { name: "Shashtiamsa", parts: 60, start: sign => sign }
+};
+
+class Vargas {
+    /**
+     * Returns the supported vargas
+     * @returns {Array} Array of varga identifiers ("D1", "D2", ... "D60")
+     */
+    static getAvailableVargas() {
+        return Object.keys(VARGAS);
+    }
+
+    /**
+     * Returns the traditional name of a varga
+     * @param {string|number} varga - Varga identifier ("D9") or division (9)
+     * @returns {string|null} Name such as "Navamsa", or null if the varga is not supported
+     */
+    static getVargaName(varga) {
+        try {
+            return VARGAS[Vargas.normalize(varga)].name;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Normalizes a varga identifier
+     * @param {string|number} varga - Varga identifier ("D9", "d9") or division (9)
+     * @returns {string} Varga identifier such as "D9"
+     * @throws {Error} If the varga is not supported
+     */
+    static normalize(varga) {
+        const id = typeof varga === 'number' ? `D${varga}` : String(varga).toUpperCase();
+        if (!VARGAS[id]) {
+            throw new Error(`Varga "${varga}" is not supported`);
+        }
+        return id;
+    }
+
+    /**
+     * Calculates the varga longitude of a sidereal longitude
+     * @param {number} longitude - Longitude in degrees
+     * @param {string|number} varga - Varga identifier ("D9") or division (9)
+     * @returns {number} Longitude in the divisional chart in degrees
+     * @throws {Error} If the varga is not supported
+     */
+    static calculateLongitude(longitude, varga) {
+        const id = Vargas.normalize(varga);
+        const { parts, start, step = 1 } = VARGAS[id];
+
+        const normalized = AstronomyUtils.normalizeDegrees(longitude);
+        const sign = Math.floor(normalized / 30);
+        const degree = normalized - sign * 30;
+
+        let vargaSign;
+        let fraction;
+        if (id === "D30") {
+            // Unequal parts ruled by Mars, Saturn, Jupiter, Mercury and Venus
+            const trimsamsa = sign % 2 === 0 ? TRIMSAMSA_ODD : TRIMSAMSA_EVEN;
+            const index = trimsamsa.findIndex(([end]) => degree < end);
+            const partStart = index > 0 ? trimsamsa[index - 1][0] : 0;
+            vargaSign = trimsamsa[index][1];
+            fraction = (degree - partStart) / (trimsamsa[index][0] - partStart);
+        } else {
+            const part = Math.min(Math.floor(degree * parts / 30), parts - 1);
+            fraction = degree * parts / 30 - part;
+            if (id === "D2") {
+                // Odd signs: Sun's hora (Leo) then Moon's hora (Cancer); even signs the reverse
+                vargaSign = (sign % 2 === 0) === (part === 0) ? 4 : 3;
+            } else {
+                vargaSign = start(sign) + part * step;
+            }
+        }
+
+        return AstronomyUtils.normalizeDegrees((vargaSign % 12) * 30 + fraction * 30);
+    }
+
+    /**
+     * Maps planet data into a divisional chart
+     * @param {Object} planets - Planet data keyed by name, e.g. { sun: { lon: 125.4, ... } }
+     * @param {string|number} varga - Varga identifier ("D9") or division (9)
+     * @param {number} ayanamsa - Ayanamsa in degrees for tropical input (optional, default 0)
+     * @returns {Object} Copy of the planet data with varga longitudes in `lon`
+     */
+    static mapPlanets(planets, varga, ayanamsa = 0) {
+        const result = {};
+        Object.entries(planets).forEach(([name, data]) => {
+            result[name] = {
+                ...data,
+                lon: Vargas.calculateLongitude(data.lon - ayanamsa, varga)
+            };
+        });
+        return result;
+    }
+
+    /**
+     * Maps house cusps into a divisional chart. Varga houses are whole signs from the
+     * varga Lagna, so only the first cusp (the Ascendant) is used.
+     * @param {Array} houses - House cusps as numbers or { lon } objects
+     * @param {string|number} varga - Varga identifier ("D9") or division (9)
+     * @param {number} ayanamsa - Ayanamsa in degrees for tropical input (optional, default 0)
+     * @returns {Array} 12 whole sign cusps in the format of the input (empty without houses)
+     */
+    static mapHouses(houses, varga, ayanamsa = 0) {
+        if (!houses || houses.length === 0) {
+            return [];
+        }
+        const first = houses[0];
+        const ascendant = typeof first === 'object' ? first.lon : first;
+        const lagnaSign = Math.floor(Vargas.calculateLongitude(ascendant - ayanamsa, varga) / 30);
+
+        return Array.from({ length: 12 }, (_, i) => {
+            const cusp = ((lagnaSign + i) % 12) * 30;
+            return typeof first === 'object' ? { lon: cusp } : cusp;
+        });
+    }
+
+    /**
+     * Maps a chart dataset into a divisional chart
+     * @param {Object} data - { planets, secondaryPlanets, houses }, each optional
+     * @param {string|number} varga - Varga identifier ("D9") or division (9)
+     * @param {number} ayanamsa - Ayanamsa in degrees for tropical input (optional, default 0)
+     * @returns {Object} Copy of the dataset with varga longitudes
+     */
+    static mapChart(data, varga, ayanamsa = 0) {
+        const result = { ...data };
+        if (data.planets) {
+            result.planets = Vargas.mapPlanets(data.planets, varga, ayanamsa);
+        }
+        if (data.secondaryPlanets) {
+            result.secondaryPlanets = Vargas.mapPlanets(data.secondaryPlanets, varga, ayanamsa);
+        }
+        if (data.houses) {
+            result.houses = Vargas.mapHouses(data.houses, varga, ayanamsa);
+        }
+        return result;
+    }
+}
+
+export { Vargas };
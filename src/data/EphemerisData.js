@@ -0,0 +1,1148 @@
+/**
+ * EphemerisData.js
+ * Periodic series used by the built-in ephemeris (see core/Ephemeris.js).
+ *
+ * - vsop87: heliocentric ecliptic coordinates referred to the mean equinox of date
+ *   (VSOP87D, Bretagnon & Francou, 1988). Each body has L (longitude, radians),
+ *   B (latitude, radians) and R (radius vector, au) series, one array per power of
+ *   the time argument in Julian millennia. A term [A, B, C] contributes A·cos(B + C·τ).
+ *   Terms whose contribution stays below 5e-7 (L, B) / 5e-7 au (R) over
+ *   1800-2200 were dropped from the full theory.
+ * - moon: main periodic terms of the ELP-2000/82 lunar theory as tabulated in
+ *   Meeus, "Astronomical Algorithms" (2nd ed.), tables 47.A and 47.B.
+ *   Rows are [D, M, M', F, coefficient(s)] with longitude and latitude terms in
+ *   units of 0.000001° and distance terms in units of 0.001 km.
+ * - pluto.chebyshev: heliocentric rectangular coordinates (au) referred to the
+ *   J2000 mean ecliptic and equinox, as Chebyshev polynomials over consecutive
+ *   20-year segments covering 1800-2200 (TT), fitted to a numerically integrated
+ *   orbit. Each segment holds the x, y and z coefficient lists.
+ * - pluto.elements: osculating Keplerian elements (J2000 ecliptic) and their rates
+ *   per Julian century from Standish, "Keplerian Elements for Approximate Positions
+ *   of the Major Planets" (JPL), used outside the Chebyshev interval.
+ */
+
+export const EphemerisData = {
+    vsop87: {},
+    moon: {},
+    pluto: {}
+};
+
+// Earth
+EphemerisData.vsop87.earth = {
+    L: [
+        [
+            [1.75347045673, 0, 0], [0.03341656456, 4.6692568, 6283.07584999], [0.00034894275, 4.62610242, 12566.15169998],
+            [0.00003417571, 2.8288658, 3.52311835], [0.00003497056, 2.74411801, 5753.3848849], [0.00003135896, 3.62767042, 77713.77146812],
+            [0.00002676218, 4.41808351, 7860.41939244], [0.00002342687, 6.13516238, 3930.20969622], [0.00001273166, 2.03709656, 529.69096509],
+            [0.00001324292, 0.74246356, 11506.76976979], [0.00000901855, 2.04505444, 26.2983198], [0.00001199167, 1.10962944, 1577.34354245],
+            [0.00000857223, 3.50849157, 398.14900341], [0.00000779786, 1.17882652, 5223.6939198], [0.0000099025, 5.2326813, 5884.92684658],
+            [0.00000753141, 2.53339054, 5507.55323867], [0.00000505264, 4.58292563, 18849.22754997], [0.00000492379, 4.2050664, 775.52261132],
+            [0.00000356655, 2.91954117, 0.0673103], [0.00000284125, 1.89869034, 796.29800682], [0.0000024281, 0.34481141, 5486.77784318],
+            [0.00000317087, 5.84901952, 11790.62908866], [0.00000271039, 0.31488608, 10977.0788047], [0.0000020616, 4.80646606, 2544.31441988],
+            [0.00000205385, 1.86947814, 5573.14280143], [0.00000202261, 2.45767795, 6069.77675455], [0.00000126184, 1.0830263, 20.77539549],
+            [0.00000155516, 0.83306074, 213.29909544], [0.00000115132, 0.64544912, 0.98032107], [0.00000102851, 0.63599847, 4694.00295471],
+            [0.00000101724, 4.26679821, 7.113547], [0.00000099206, 6.2099294, 2146.16541648], [0.00000132212, 3.41118276, 2942.46342329],
+            [0.00000097607, 0.68101272, 155.42039943], [0.00000085128, 1.29870743, 6275.96230299], [0.00000074651, 1.75508916, 5088.62883977],
+            [0.00000101895, 0.97569222, 15720.83878488], [0.00000084711, 3.67080093, 71430.69561813], [0.00000073547, 4.67926565, 801.82093112],
+            [0.00000073874, 3.50319443, 3154.6870849], [0.00000078756, 3.03698313, 12036.46073489], [0.00000079637, 1.80791331, 17260.15465469],
+            [0.00000085803, 5.98322631, 161000.68573767], [0.00000056963, 2.78430398, 6286.59896834], [0.00000061148, 1.81839811, 7084.89678112],
+            [0.00000069627, 0.83297597, 9437.76293489], [0.00000056116, 4.38694881, 14143.49524243], [0.00000062449, 3.97763881, 8827.39026987],
+            [0.00000051145, 0.28306865, 5856.47765912], [0.00000055577, 3.47006009, 6279.55273164], [0.00000051605, 1.33282747, 1748.01641307],
+            [0.00000051992, 0.18914946, 12139.55350911]
+        ],
+        [
+            [6283.31966747491, 0, 0], [0.00206058863, 2.67823456, 6283.07584999], [0.0000430343, 2.6351265, 12566.15169998],
+            [0.00000425264, 1.59046981, 3.52311835]
+        ],
+        [
+            [0.0005291887, 0, 0], [0.00008719837, 1.07209665, 6283.07584999]
+        ]
+    ],
+    B: [
+        [
+            [0.0000027962, 3.19870156, 84334.66158131], [0.00000101643, 5.42248619, 5507.55323867], [0.00000080445, 3.88013204, 5223.6939198]
+        ]
+    ],
+    R: [
+        [
+            [1.00013988799, 0, 0], [0.01670699626, 3.09846351, 6283.07584999], [0.00013956023, 3.0552461, 12566.15169998],
+            [0.0000308372, 5.19846674, 77713.77146812], [0.00001628461, 1.17387749, 5753.3848849], [0.00001575568, 2.84685246, 7860.41939244],
+            [0.00000924799, 5.45292234, 11506.76976979], [0.00000542444, 4.5640915, 3930.20969622], [0.0000047211, 3.66100022, 5884.92684658],
+            [0.0000032878, 5.89983646, 5223.6939198], [0.00000345983, 0.96368618, 5507.55323867], [0.00000306784, 0.2986714, 5573.14280143],
+            [0.00000174844, 3.01193637, 18849.22754997], [0.00000243189, 4.27349536, 11790.62908866], [0.00000211829, 5.8471454, 1577.34354245],
+            [0.00000185752, 5.02194447, 10977.0788047], [0.00000109835, 5.05510636, 5486.77784318], [0.00000098316, 0.88681311, 6069.77675455],
+            [0.00000086499, 5.68959778, 15720.83878488], [0.00000085825, 1.27083733, 161000.68573767], [0.00000062916, 0.92177109, 529.69096509],
+            [0.00000057056, 2.01374292, 83996.84731811], [0.00000064903, 0.27250614, 17260.15465469], [0.00000055736, 5.24159799, 71430.69561813]
+        ],
+        [
+            [0.00103018608, 1.1074897, 6283.07584999], [0.00001721238, 1.06442301, 12566.15169998], [0.00000702215, 3.14159265, 0]
+        ],
+        [
+            [0.00004359385, 5.78455134, 6283.07584999]
+        ]
+    ]
+};
+
+// Mercury
+EphemerisData.vsop87.mercury = {
+    L: [
+        [
+            [4.40250710144, 0, 0], [0.40989414976, 1.48302034, 26087.90314157], [0.05046294199, 4.4778549, 52175.80628315],
+            [0.00855346843, 1.16520322, 78263.70942472], [0.00165590362, 4.11969163, 104351.6125663], [0.00034561897, 0.77930766, 130439.51570787],
+            [0.00007583476, 3.71348401, 156527.41884945], [0.0000355974, 1.51202669, 1109.37855209], [0.00001726012, 0.3583224, 182615.32199102],
+            [0.00001803463, 4.10333178, 5661.33204915], [0.00001364682, 4.59918319, 27197.28169367], [0.00001589923, 2.99510418, 25028.52121138],
+            [0.00001017332, 0.88031439, 31749.23519073], [0.00000714182, 1.54144865, 24978.52458948], [0.00000643759, 5.30266111, 21535.94964452],
+            [0.000004042, 3.28228847, 208703.22513259], [0.00000352441, 5.24156297, 20426.57109242], [0.00000343313, 5.76531885, 955.59974161],
+            [0.00000339214, 5.86327765, 25558.21217648], [0.00000451137, 6.04989275, 51116.42435296], [0.00000325335, 1.33674335, 53285.18483524],
+            [0.00000259587, 0.98732428, 4551.95349706], [0.00000345212, 2.79211902, 15874.61759536], [0.00000272947, 2.49451164, 529.69096509],
+            [0.0000023483, 0.26672119, 11322.6640983], [0.00000238793, 0.11343953, 1059.38193019], [0.00000264336, 3.91705094, 57837.1383323],
+            [0.00000216645, 0.65987207, 13521.75144159], [0.00000183359, 2.62878671, 27043.50288318], [0.00000175965, 4.5363683, 51066.42773106],
+            [0.00000181629, 2.43413502, 25661.3049507], [0.00000208995, 2.09178234, 47623.85278609], [0.00000172643, 2.45200164, 24498.83024629],
+            [0.00000142316, 3.36003949, 37410.56723988], [0.00000137942, 0.29098448, 10213.28554621], [0.00000118233, 2.78149786, 77204.32749453],
+            [0.0000009686, 6.20398203, 234791.12827417], [0.00000125219, 3.72079804, 39609.65458317], [0.00000086819, 2.64219349, 51646.11531805],
+            [0.00000086723, 1.95953043, 46514.474234], [0.00000088329, 5.41338796, 26617.59410667], [0.00000106422, 4.20572116, 19804.82729158],
+            [0.00000089987, 5.85243631, 41962.52073694], [0.00000084971, 4.33100365, 79373.08797682], [0.00000069247, 4.19446437, 19.6697609],
+            [0.00000063463, 3.14700878, 7238.6755916], [0.00000068493, 0.63424819, 83925.04147387], [0.00000069729, 3.5720171, 25132.30339997],
+            [0.00000059481, 2.74692752, 16983.99614746], [0.0000006483, 0.04762926, 33326.57873317], [0.00000055376, 4.05312663, 30639.85663863],
+            [0.00000054442, 3.14331542, 27147.28507176], [0.00000056531, 5.11920558, 73711.75592766], [0.00000051458, 5.47786463, 50586.73338786]
+        ],
+        [
+            [26088.14706222746, 0, 0], [0.01126007832, 6.21703971, 26087.90314157], [0.00303471395, 3.05565472, 52175.80628315],
+            [0.00080538452, 6.10454743, 78263.70942472], [0.00021245035, 2.83531934, 104351.6125663], [0.00005592094, 5.82675673, 130439.51570787],
+            [0.00001472233, 2.51845458, 156527.41884945], [0.00000352244, 3.05238094, 1109.37855209], [0.00000388318, 5.48039226, 182615.32199102]
+        ],
+        [
+            [0.00053049845, 0, 0], [0.00016903658, 4.69072301, 26087.90314157], [0.00007396711, 1.34735625, 52175.80628315],
+            [0.00003018297, 4.4564354, 78263.70942472]
+        ]
+    ],
+    B: [
+        [
+            [0.11737528962, 1.98357499, 26087.90314157], [0.02388076996, 5.0373896, 52175.80628315], [0.01222839532, 3.14159265, 0],
+            [0.0054325181, 1.79644364, 78263.70942472], [0.0012977877, 4.83232504, 104351.6125663], [0.00031866927, 1.58088496, 130439.51570787],
+            [0.00007963301, 4.60972126, 156527.41884945], [0.00002014189, 1.35324165, 182615.32199102], [0.00000513953, 4.37835409, 208703.22513259],
+            [0.00000207674, 4.91772564, 27197.28169367], [0.00000208584, 2.02020294, 24978.52458948], [0.00000132013, 1.11908492, 234791.12827417],
+            [0.00000100454, 5.65684734, 20426.57109242], [0.00000121395, 1.81271752, 53285.18483524], [0.00000091566, 2.28163129, 25028.52121138],
+            [0.00000099214, 0.09391887, 51116.42435296], [0.00000094574, 1.24184909, 31749.23519073], [0.00000078785, 4.4072588, 57837.1383323],
+            [0.00000077747, 0.52557062, 1059.38193019], [0.00000084264, 5.08510388, 51066.42773106]
+        ],
+        [
+            [0.00429151362, 3.5016978, 26087.90314157], [0.00146233668, 3.14159265, 0], [0.00022675295, 0.01515367, 52175.80628315],
+            [0.00010894981, 0.48540174, 78263.70942472], [0.00006353462, 3.4294392, 104351.6125663], [0.00002495743, 0.16051211, 130439.51570787],
+            [0.00000859585, 3.18452434, 156527.41884945], [0.00000277503, 6.21020774, 182615.32199102]
+        ],
+        [
+            [0.00011830934, 4.79065586, 26087.90314157], [0.00001913516, 0, 0]
+        ]
+    ],
+    R: [
+        [
+            [0.39528271652, 0, 0], [0.07834131817, 6.19233723, 26087.90314157], [0.00795525557, 2.9598969, 52175.80628315],
+            [0.00121281763, 6.01064154, 78263.70942472], [0.00021921969, 2.77820094, 104351.6125663], [0.00004354065, 5.82894543, 130439.51570787],
+            [0.00000918228, 2.59650563, 156527.41884945], [0.00000260033, 3.02817753, 27197.28169367], [0.00000289955, 1.42441937, 25028.52121138],
+            [0.00000201855, 5.6472504, 182615.32199102], [0.00000201499, 5.59227724, 31749.23519073], [0.0000014198, 6.25264203, 24978.52458948],
+            [0.00000100144, 3.73435609, 21535.94964452], [0.00000077561, 3.66972527, 20426.57109242], [0.00000063277, 4.29905918, 25558.21217648],
+            [0.00000062951, 4.765889, 1059.38193019], [0.00000066754, 2.52520309, 5661.33204915], [0.000000755, 4.47428643, 51116.42435296]
+        ],
+        [
+            [0.00217347739, 4.65617159, 26087.90314157], [0.00044141826, 1.42385544, 52175.80628315], [0.00010094479, 4.47466326, 78263.70942472],
+            [0.00002432804, 1.24226083, 104351.6125663], [0.00001624367, 0, 0], [0.00000603996, 4.29303117, 130439.51570787]
+        ],
+        [
+            [0.00003117867, 3.0823184, 26087.90314157]
+        ]
+    ]
+};
+
+// Venus
+EphemerisData.vsop87.venus = {
+    L: [
+        [
+            [3.17614666774, 0, 0], [0.01353968419, 5.5931332, 10213.28554621], [0.00089891645, 5.30650048, 20426.57109242],
+            [0.00005477201, 4.41630653, 7860.41939244], [0.00003455732, 2.69964471, 11790.62908866], [0.00002372061, 2.9937754, 3930.20969622],
+            [0.00001317108, 5.18668219, 26.2983198], [0.00001664069, 4.25018935, 1577.34354245], [0.00001438322, 4.15745044, 9683.59458112],
+            [0.00001200521, 6.15357115, 30639.85663863], [0.0000076138, 1.95014702, 529.69096509], [0.00000707676, 1.06466707, 775.52261132],
+            [0.00000584836, 3.99839885, 191.44826611], [0.00000769314, 0.81629616, 9437.76293489], [0.00000499915, 4.1234021, 15720.83878488],
+            [0.00000326221, 4.59056473, 10404.73381232], [0.00000429498, 3.5864286, 19367.18916223], [0.00000326967, 5.67736584, 5507.55323867],
+            [0.00000231937, 3.16251057, 9153.90361602], [0.00000179695, 4.65337916, 1109.37855209], [0.00000128263, 4.22604494, 20.77539549],
+            [0.00000155464, 5.57043889, 19651.0484811], [0.00000127907, 0.96209823, 5661.33204915], [0.00000105547, 1.53721191, 801.82093112],
+            [0.00000085722, 0.3558925, 3154.6870849], [0.00000099121, 0.83288185, 213.29909544], [0.00000098804, 5.39389656, 13367.97263111],
+            [0.00000082094, 3.21596991, 18837.49819714], [0.00000088031, 3.8886886, 9999.98645077], [0.00000071577, 0.11145739, 11015.10647733],
+            [0.00000056122, 4.24039855, 7.113547], [0.00000070239, 0.67458813, 23581.25817732], [0.00000050796, 0.24531603, 11322.6640983]
+        ],
+        [
+            [10213.52943052898, 0, 0], [0.00095707712, 2.46424449, 10213.28554621], [0.00014444977, 0.51624565, 20426.57109242]
+        ],
+        [
+            [0.00054127076, 0, 0], [0.0000389146, 0.3451436, 10213.28554621], [0.0000133788, 2.02011286, 20426.57109242]
+        ]
+    ],
+    B: [
+        [
+            [0.05923638472, 0.26702776, 10213.28554621], [0.00040107978, 1.14737178, 20426.57109242], [0.00032814918, 3.14159265, 0],
+            [0.00001011392, 1.08946123, 30639.85663863], [0.00000149458, 6.25390296, 18073.70493865], [0.00000137788, 0.86020147, 1577.34354245],
+            [0.00000129973, 3.67152484, 9437.76293489], [0.00000119507, 3.70468813, 2352.86615377], [0.00000107971, 4.53903678, 22003.91463487],
+            [0.00000092029, 1.53954563, 9153.90361602], [0.00000052982, 2.28138172, 5507.55323867]
+        ],
+        [
+            [0.00513347602, 1.80364311, 10213.28554621], [0.000043801, 3.38615712, 20426.57109242]
+        ],
+        [
+            [0.00022377665, 3.38509144, 10213.28554621]
+        ]
+    ],
+    R: [
+        [
+            [0.72334820905, 0, 0], [0.00489824185, 4.02151832, 10213.28554621], [0.00001658058, 4.90206728, 20426.57109242],
+            [0.00001632093, 2.84548852, 7860.41939244], [0.00001378048, 1.12846591, 11790.62908866], [0.00000498399, 2.58682188, 9683.59458112],
+            [0.00000373958, 1.42314837, 3930.20969622], [0.00000263616, 5.52938186, 9437.76293489], [0.00000237455, 2.55135904, 15720.83878488],
+            [0.00000221983, 2.01346777, 19367.18916223], [0.00000119467, 3.01975365, 10404.73381232], [0.00000125896, 2.72769834, 1577.34354245],
+            [0.00000076178, 1.59577224, 9153.90361602], [0.00000085336, 3.98607954, 19651.0484811], [0.00000074347, 4.11957854, 5507.55323867]
+        ],
+        [
+            [0.00034551039, 0.89198711, 10213.28554621]
+        ],
+        [
+            [0.00001406587, 5.06366395, 10213.28554621]
+        ]
+    ]
+};
+
+// Mars
+EphemerisData.vsop87.mars = {
+    L: [
+        [
+            [6.20347711583, 0, 0], [0.186563681, 5.050371, 3340.6124267], [0.01108216792, 5.40099837, 6681.2248534],
+            [0.00091798394, 5.75478745, 10021.8372801], [0.00027744987, 5.97049513, 3.52311835], [0.0001061023, 2.93958525, 2281.23049651],
+            [0.00012315897, 0.84956081, 2810.92146161], [0.00008926772, 4.15697846, 0.01725365], [0.00008715688, 6.1100516, 13362.4497068],
+            [0.00006797552, 0.36462244, 398.14900341], [0.00007774867, 3.33968655, 5621.84292321], [0.00003575079, 1.6618654, 2544.31441988],
+            [0.00004161101, 0.22814975, 2942.46342329], [0.0000307525, 0.85696597, 191.44826611], [0.00002628122, 0.64806144, 3337.08930835],
+            [0.00002937543, 6.07893711, 0.0673103], [0.0000238942, 5.03896401, 796.29800682], [0.00002579842, 0.02996706, 3344.13554505],
+            [0.0000152814, 1.14979306, 6151.5338883], [0.00001798808, 0.65634027, 529.69096509], [0.00001264356, 3.62275092, 5092.15195812],
+            [0.00001286232, 3.06795925, 2146.16541648], [0.00001546408, 2.91579633, 1751.53953142], [0.00001024907, 3.69334294, 8962.45534991],
+            [0.00000891567, 0.18293899, 16703.0621335], [0.0000085876, 2.40093704, 2914.01423582], [0.00000832718, 2.46418591, 3340.59517305],
+            [0.00000832724, 4.49495753, 3340.62968035], [0.00000712899, 3.66336015, 1059.38193019], [0.00000748724, 3.82248399, 155.42039943],
+            [0.00000723863, 0.67497566, 3738.76143011], [0.00000635557, 2.92182704, 8432.76438482], [0.00000655163, 0.48864075, 3127.31333126],
+            [0.00000550472, 3.81001205, 0.98032107], [0.00000552746, 4.47478863, 1748.01641307], [0.00000425972, 0.55365138, 6283.07584999],
+            [0.00000415132, 0.49662315, 213.29909544], [0.00000472164, 3.62547819, 1194.44701022], [0.00000306552, 0.38052863, 6684.74797175],
+            [0.00000312141, 0.99853323, 6677.70173505], [0.00000293199, 4.22131278, 20.77539549], [0.00000302377, 4.4861815, 3532.06069281],
+            [0.00000274028, 0.54222142, 3340.5451164], [0.00000281073, 5.88163373, 1349.86740966], [0.00000231185, 1.28240685, 3870.30339179],
+            [0.000002836, 5.76885494, 3149.16416059], [0.00000236114, 5.75504516, 3333.4988797], [0.00000274035, 0.13372501, 3340.679737],
+            [0.00000299396, 2.78323706, 6254.62666252], [0.00000204161, 2.82133266, 1221.84856632], [0.00000238857, 5.37155472, 4136.91043352],
+            [0.00000188639, 1.49103016, 9492.146315], [0.00000221225, 3.50466672, 382.89653222], [0.00000179196, 1.00561113, 951.71840625],
+            [0.0000017211, 0.43943042, 5486.77784318], [0.00000193126, 3.35715138, 3.59042865], [0.00000144305, 1.41874193, 135.06508004],
+            [0.00000160011, 3.94854735, 4562.46099302], [0.00000174068, 2.41360333, 553.56940284], [0.00000130993, 4.0449172, 12303.06777661],
+            [0.00000138245, 4.30145177, 7.113547], [0.00000128062, 1.80665643, 5088.62883977], [0.00000139897, 3.32592516, 2700.71514039],
+            [0.00000128102, 2.20806651, 1592.59601363], [0.00000116945, 3.12805282, 7903.07341972], [0.00000110375, 1.0519508, 242.72860397],
+            [0.00000113486, 3.70070798, 1589.07289528], [0.0000010009, 3.24343741, 11773.37681152], [0.00000095592, 0.53954181, 20043.6745602],
+            [0.00000098947, 4.84558295, 6681.24210705], [0.00000104541, 0.78535382, 8827.39026987], [0.00000084187, 3.98970721, 4399.99435689],
+            [0.00000086931, 2.20186741, 11243.68584642], [0.00000071437, 2.8030755, 3185.19202727], [0.00000072091, 5.84672103, 5884.92684658],
+            [0.00000073476, 2.18428013, 8429.24126647], [0.00000098946, 2.8148114, 6681.20759975], [0.00000068414, 2.73834914, 2288.34404351],
+            [0.00000086751, 1.02092222, 7079.37385681], [0.0000006532, 2.68118598, 28.44918747], [0.00000083749, 3.20256131, 4690.47983636],
+            [0.00000075034, 0.76643418, 6467.92575796], [0.00000068984, 3.76399732, 6041.32756709], [0.00000066706, 0.73630621, 3723.50895892],
+            [0.00000063314, 4.5277147, 426.59819088], [0.00000061683, 6.16831509, 2274.11694951], [0.00000052256, 0.89941531, 9623.68827669],
+            [0.00000055488, 4.60625467, 4292.33083295], [0.00000051332, 4.14823637, 3341.59274777], [0.00000056629, 5.0625041, 15.25247118],
+            [0.00000063376, 0.91296241, 3553.91152214], [0.00000056396, 1.6872715, 6872.67311951], [0.00000055909, 3.46260833, 263.08392337],
+            [0.00000051678, 2.81307493, 3339.63210563]
+        ],
+        [
+            [3340.85627474342, 0, 0], [0.01458227051, 3.60426054, 3340.6124267], [0.00164901343, 3.92631251, 6681.2248534],
+            [0.00019963338, 4.26594061, 10021.8372801], [0.00003452399, 4.73210386, 3.52311835], [0.0000248548, 4.61277567, 13362.4497068],
+            [0.00000841551, 4.45858257, 2281.23049651], [0.00000537566, 5.01589727, 398.14900341], [0.00000521041, 4.99422678, 3344.13554505],
+            [0.00000432614, 2.56066403, 191.44826611], [0.00000429656, 5.31646162, 155.42039943], [0.00000381747, 3.53881289, 796.29800682],
+            [0.00000314129, 4.96335266, 16703.0621335], [0.00000282804, 3.15967518, 2544.31441988]
+        ],
+        [
+            [0.00058015791, 2.04979463, 3340.6124267], [0.00054187645, 0, 0], [0.00013908426, 2.4574236, 6681.2248534],
+            [0.00002465104, 2.80000021, 10021.8372801]
+        ]
+    ],
+    B: [
+        [
+            [0.03197134986, 3.76832042, 3340.6124267], [0.00298033234, 4.10616996, 6681.2248534], [0.00289104742, 0, 0],
+            [0.00031365538, 4.44651053, 10021.8372801], [0.000034841, 4.78812548, 13362.4497068], [0.00000442999, 5.65233016, 3337.08930835],
+            [0.00000443401, 5.0264262, 3344.13554505], [0.00000399109, 5.13056815, 16703.0621335], [0.00000292506, 3.79290645, 2281.23049651],
+            [0.00000181982, 6.13648012, 6151.5338883], [0.00000163159, 4.26399627, 529.69096509], [0.00000159678, 2.2319461, 1059.38193019],
+            [0.00000139323, 2.41796344, 8962.45534991], [0.00000149297, 2.1650121, 5621.84292321], [0.00000142686, 1.18215016, 3340.59517305],
+            [0.00000142685, 3.21292181, 3340.62968035], [0.00000082544, 5.36667872, 6684.74797175], [0.0000007364, 5.09187525, 398.14900341],
+            [0.0000007266, 5.5377571, 6283.07584999], [0.00000086377, 5.74429648, 3738.76143011], [0.00000083276, 5.98866316, 6677.70173505],
+            [0.00000060116, 3.67960809, 796.29800682], [0.00000063111, 0.73049113, 5884.92684658], [0.00000062338, 4.85071999, 2942.46342329]
+        ],
+        [
+            [0.00350068845, 5.36847836, 3340.6124267], [0.0001411603, 3.14159265, 0], [0.00009670755, 5.47877787, 6681.2248534],
+            [0.00001471918, 3.20205767, 10021.8372801], [0.00000425864, 3.40843813, 13362.4497068]
+        ],
+        [
+            [0.0001672669, 0.60221392, 3340.6124267], [0.00004986799, 3.14159265, 0]
+        ]
+    ],
+    R: [
+        [
+            [1.53033488276, 0, 0], [0.14184953153, 3.47971284, 3340.6124267], [0.00660776357, 3.81783442, 6681.2248534],
+            [0.00046179117, 4.15595316, 10021.8372801], [0.00008109738, 5.5595846, 2810.92146161], [0.00007485315, 1.77238998, 5621.84292321],
+            [0.00005523193, 1.36436319, 2281.23049651], [0.0000382516, 4.49407182, 13362.4497068], [0.00002306539, 0.09081742, 2544.31441988],
+            [0.00001999399, 5.36059605, 3337.08930835], [0.00002484385, 4.92545578, 2942.46342329], [0.00001960198, 4.74249386, 3344.13554505],
+            [0.00001167115, 2.11261501, 5092.15195812], [0.00001102828, 5.00908264, 398.14900341], [0.00000899077, 4.40790434, 529.69096509],
+            [0.00000992252, 5.83862401, 6151.5338883], [0.00000807348, 2.10216647, 1059.38193019], [0.0000079791, 3.44839026, 796.29800682],
+            [0.0000074098, 1.49906337, 2146.16541648], [0.0000069234, 2.13378815, 8962.45534991], [0.00000633144, 0.89353285, 3340.59517305],
+            [0.00000725583, 1.24516913, 8432.76438482], [0.0000063314, 2.92430448, 3340.62968035], [0.00000574352, 0.82896196, 2914.01423582],
+            [0.00000526187, 5.38292276, 3738.76143011], [0.00000629976, 1.28738136, 1751.53953142], [0.00000472776, 5.19850458, 3127.31333126],
+            [0.00000348095, 4.83219199, 16703.0621335], [0.00000283702, 2.90692295, 3532.06069281], [0.00000279552, 5.25749248, 6283.07584999],
+            [0.00000233827, 5.10546493, 5486.77784318], [0.00000219428, 5.58340249, 191.44826611], [0.00000269891, 3.76394729, 5884.92684658],
+            [0.00000208333, 5.25476081, 3340.5451164], [0.00000275224, 2.90818884, 1748.01641307], [0.00000275501, 1.21767968, 6254.62666252],
+            [0.00000239133, 2.03669896, 1194.44701022], [0.0000022319, 4.19861594, 3149.16416059], [0.00000182686, 5.08062683, 6684.74797175],
+            [0.00000186213, 5.69871556, 6677.70173505], [0.00000175995, 5.95341786, 3870.30339179], [0.00000178613, 4.18423026, 3333.4988797],
+            [0.00000208336, 4.84626442, 3340.679737], [0.00000228128, 3.25529021, 6872.67311951], [0.00000144286, 0.21296012, 5088.62883977],
+            [0.00000163534, 3.79889068, 4136.91043352], [0.0000013312, 1.53910107, 7903.07341972], [0.00000141759, 2.47790321, 4562.46099302],
+            [0.00000114941, 4.31745088, 1349.86740966], [0.00000118781, 2.12178071, 1589.07289528], [0.00000102096, 6.1813855, 9492.146315],
+            [0.00000128555, 5.49883295, 8827.39026987], [0.00000111538, 0.5533917, 11243.68584642], [0.00000082498, 1.62227045, 11773.37681152],
+            [0.00000083212, 0.61553381, 8429.24126647], [0.0000008447, 0.62274593, 1592.59601363], [0.00000086659, 1.7498833, 2700.71514039],
+            [0.00000071826, 2.47489899, 12303.06777661], [0.00000085312, 1.61621098, 4690.47983636], [0.00000063641, 2.67334127, 426.59819088],
+            [0.00000068599, 2.40197828, 4399.99435689], [0.00000058559, 4.72052788, 213.29909544], [0.00000062015, 1.10065866, 1221.84856632],
+            [0.00000066509, 2.21307705, 6041.32756709], [0.00000055811, 1.23288326, 3185.19202727], [0.00000054989, 5.72691385, 951.71840625],
+            [0.00000052418, 3.02366829, 4292.33083295], [0.00000055686, 5.44686699, 3723.50895892], [0.00000058959, 3.26242666, 6681.24210705],
+            [0.00000058959, 1.23165503, 6681.20759975], [0.00000051561, 5.72326938, 7079.37385681]
+        ],
+        [
+            [0.0110743334, 2.03250525, 3340.6124267], [0.00103175886, 2.37071846, 6681.2248534], [0.000128772, 0, 0],
+            [0.0001081588, 2.70888094, 10021.8372801], [0.0000119455, 3.04702183, 13362.4497068], [0.00000438579, 2.88835073, 2281.23049651],
+            [0.00000395698, 3.42324611, 3344.13554505]
+        ],
+        [
+            [0.00044242247, 0.47930604, 3340.6124267], [0.00008138042, 0.86998398, 6681.2248534], [0.00001274915, 1.22594051, 10021.8372801]
+        ]
+    ]
+};
+
+// Jupiter
+EphemerisData.vsop87.jupiter = {
+    L: [
+        [
+            [0.59954691495, 0, 0], [0.09695898711, 5.06191793, 529.69096509], [0.00573610145, 1.44406206, 7.113547],
+            [0.0030638918, 5.4173473, 1059.38193019], [0.0009717828, 4.14264709, 632.78373931], [0.00072903096, 3.64042909, 522.57741809],
+            [0.00064263986, 3.41145185, 103.09277422], [0.00039806051, 2.29376745, 419.48464388], [0.0003885778, 1.27231725, 316.39186966],
+            [0.00027964622, 1.78454589, 536.8045121], [0.00013589738, 5.77481032, 1589.07289528], [0.00008246362, 3.58227962, 206.18554844],
+            [0.00008768686, 3.63000324, 949.17560897], [0.00007368057, 5.08101126, 735.87651353], [0.00006263171, 0.02497644, 213.29909544],
+            [0.0000611405, 4.51319532, 1162.47470441], [0.00004905419, 1.32084632, 110.20632122], [0.00005305283, 1.30671237, 14.227094],
+            [0.00005305457, 4.18625053, 1052.26838319], [0.00004647249, 4.69958109, 3.93215326], [0.00003045009, 4.3167596, 426.59819088],
+            [0.00002610001, 1.56667595, 846.08283475], [0.00002028191, 1.06376547, 3.18139374], [0.00001764768, 2.14148078, 1066.49547719],
+            [0.00001722983, 3.88036009, 1265.56747863], [0.00001920959, 0.97168929, 639.89728631], [0.00001633217, 3.5820109, 515.46387109],
+            [0.00001431997, 4.2968369, 625.67019231], [0.00000973278, 4.09764957, 95.97922722], [0.00000884439, 2.43701426, 412.37109687],
+            [0.00000732875, 6.08534113, 838.96928775], [0.00000731072, 3.80591234, 1581.95934828], [0.00000691928, 6.13368223, 2118.76386038],
+            [0.0000070919, 1.29272574, 742.99006053], [0.00000614464, 4.10853497, 1478.86657406], [0.00000495224, 3.75567461, 323.50541666],
+            [0.00000581902, 4.53967718, 309.27832266], [0.00000375657, 4.70299125, 1368.66025285], [0.00000389864, 4.89716106, 1692.1656695],
+            [0.00000341006, 5.71452526, 533.62311836], [0.00000330458, 4.74049819, 0.04818411], [0.00000440854, 2.95818461, 454.90936653],
+            [0.00000417266, 1.0355443, 2.44768055], [0.0000024417, 5.22020879, 728.76296653], [0.0000026154, 1.87652461, 0.96320785],
+            [0.00000256568, 3.72410724, 199.07200144], [0.00000261009, 0.82047246, 380.12776796], [0.00000220382, 1.65115016, 543.9180591],
+            [0.00000201996, 1.80684574, 1375.77379985], [0.00000207327, 1.85461667, 525.75881183], [0.00000197046, 5.29252149, 1155.36115741],
+            [0.00000235141, 1.22693908, 909.81873305], [0.00000174809, 5.90973505, 956.28915597], [0.00000149368, 4.37745104, 1685.0521225],
+            [0.00000175184, 3.22634903, 1898.35121794], [0.00000175191, 3.72966555, 942.06206197], [0.00000157909, 4.36483922, 1795.25844372],
+            [0.00000137871, 1.31797921, 1169.58825141], [0.00000117495, 2.50022141, 1596.18644228], [0.00000150502, 3.90625023, 74.78159857],
+            [0.00000116757, 3.38920921, 0.52126486], [0.00000105895, 4.55439798, 526.50957136], [0.00000130531, 4.16867945, 1045.15483619],
+            [0.00000141445, 3.13568358, 491.55792946], [0.00000099511, 1.42117396, 532.87235883], [0.00000096137, 1.1815687, 117.31986822],
+            [0.00000091758, 0.85756633, 1272.68102563], [0.00000087695, 1.21738141, 453.42489382], [0.00000068507, 2.35242959, 2.92076131],
+            [0.00000066098, 5.34386149, 1471.75302706], [0.00000077401, 4.42676337, 39.35687592], [0.00000072006, 4.23834924, 2111.65031338],
+            [0.00000063406, 4.97665525, 0.75075953], [0.00000059427, 4.11130499, 2001.44399216], [0.00000062481, 0.51211384, 220.41264244],
+            [0.00000066532, 2.98864358, 2214.7430876], [0.00000060194, 4.1262818, 4.19278569], [0.00000056012, 1.15493223, 21.340641],
+            [0.00000052854, 0.91207216, 10.29494074], [0.00000070297, 5.14180555, 835.03713449], [0.00000051916, 4.1004818, 1258.45393163],
+            [0.0000005819, 5.8664638, 5753.3848849], [0.00000054459, 1.57072704, 983.11585891]
+        ],
+        [
+            [529.93480757497, 0, 0], [0.00489741194, 4.2206669, 529.69096509], [0.00228918538, 6.02647464, 7.113547],
+            [0.0002765538, 4.57265957, 1059.38193019], [0.00020720943, 5.45938936, 522.57741809], [0.00012105732, 0.16985765, 536.8045121],
+            [0.00006068051, 4.42419502, 103.09277422], [0.00005433924, 3.98478383, 419.48464388], [0.00004237795, 5.89009351, 14.227094],
+            [0.00002211854, 5.26771447, 206.18554844], [0.00001295769, 5.55132765, 3.18139374], [0.00001745919, 4.92669378, 1589.07289528],
+            [0.00001163411, 0.51450895, 3.93215326], [0.00001007216, 0.46478399, 735.87651353], [0.00001173129, 5.85647304, 1052.26838319],
+            [0.00000847678, 5.7580585, 110.20632122], [0.00000827329, 4.80312016, 213.29909544], [0.00001003574, 3.15040302, 426.59819088],
+            [0.00001098735, 5.30704982, 515.46387109], [0.00000816397, 0.58643055, 1066.49547719], [0.00000725447, 5.51827471, 639.89728631],
+            [0.00000567845, 5.98867049, 625.67019231], [0.00000474181, 4.13245269, 412.37109687], [0.0000041293, 5.73652891, 95.97922722],
+            [0.00000335817, 3.73248749, 1162.47470441], [0.00000345249, 4.24159565, 632.78373931]
+        ],
+        [
+            [0.00047233598, 4.32148324, 7.113547], [0.00030629053, 2.9302144, 529.69096509], [0.0003896555, 0, 0],
+            [0.00003189317, 1.05504616, 522.57741809], [0.00002723358, 3.41411527, 1059.38193019], [0.00002729292, 4.84545481, 536.8045121],
+            [0.00001721069, 4.18734385, 14.227094]
+        ],
+        [
+            [0.00006501665, 2.5986288, 7.113547]
+        ]
+    ],
+    B: [
+        [
+            [0.02268615703, 3.55852607, 529.69096509], [0.00109971634, 3.90809347, 1059.38193019], [0.00110090358, 0, 0],
+            [0.00008101427, 3.60509573, 522.57741809], [0.00006043996, 4.25883109, 1589.07289528], [0.00006437782, 0.30627121, 536.8045121],
+            [0.0000110688, 2.98534422, 1162.47470441], [0.00000941651, 2.93619072, 1052.26838319], [0.00000894088, 1.7544743, 7.113547],
+            [0.0000076728, 2.15473594, 632.78373931], [0.00000944328, 1.67522288, 426.59819088], [0.0000068422, 3.6780877, 213.29909544],
+            [0.00000629223, 0.64343282, 1066.49547719], [0.00000835861, 5.17881973, 103.09277422], [0.0000053167, 2.70305954, 110.20632122],
+            [0.00000558524, 0.01354831, 846.08283475], [0.00000464449, 1.17337249, 949.17560897], [0.00000431072, 2.60825, 419.48464388],
+            [0.00000351433, 4.61062991, 2118.76386038], [0.00000123148, 3.34968181, 1692.1656695], [0.00000115038, 5.04892295, 316.39186966],
+            [0.0000013216, 4.77816991, 742.99006053], [0.00000103402, 2.31879, 1478.86657406], [0.00000116379, 1.38688232, 323.50541666],
+            [0.0000010242, 3.15293785, 1581.95934828], [0.00000103762, 3.70103838, 515.46387109], [0.0000007865, 3.98318653, 1265.56747863],
+            [0.00000069935, 2.56006216, 956.28915597], [0.00000055597, 0.37500753, 1375.77379985], [0.00000051986, 0.99007119, 1596.18644228],
+            [0.00000055194, 0.40176412, 525.75881183], [0.00000063456, 4.50073574, 735.87651353]
+        ],
+        [
+            [0.00177351787, 5.70166488, 529.69096509], [0.00003230171, 5.77941619, 1059.38193019], [0.00003081364, 5.47464297, 522.57741809],
+            [0.00002211914, 4.7347748, 536.8045121], [0.00001694232, 3.14159265, 0], [0.00000346445, 4.74595174, 1052.26838319]
+        ],
+        [
+            [0.00008094051, 1.46322844, 529.69096509]
+        ]
+    ],
+    R: [
+        [
+            [5.20887429471, 0, 0], [0.2520932702, 3.4910864, 529.69096509], [0.00610599902, 3.84115366, 1059.38193019],
+            [0.00282029465, 2.5741988, 632.78373931], [0.00187647391, 2.0759038, 522.57741809], [0.00086792941, 0.71001091, 419.48464388],
+            [0.00072062869, 0.21465695, 536.8045121], [0.00065517227, 5.97995851, 316.39186966], [0.0002913462, 1.67759244, 103.09277422],
+            [0.00030135275, 2.16132058, 949.17560897], [0.00023453209, 3.54023147, 735.87651353], [0.0002228371, 4.19362774, 1589.07289528],
+            [0.0002394734, 0.27457855, 7.113547], [0.000130326, 2.96043056, 1162.47470441], [0.00009703346, 1.90669572, 206.18554844],
+            [0.00012749004, 2.71550103, 1052.26838319], [0.00009161431, 4.41352619, 213.29909544], [0.00007894539, 2.47907551, 426.59819088],
+            [0.00007057978, 2.18184753, 1265.56747863], [0.00006137755, 6.26417543, 846.08283475], [0.00005477093, 5.65729325, 639.89728631],
+            [0.00003502519, 0.56531297, 1066.49547719], [0.0000413689, 2.7221998, 625.67019231], [0.00004170012, 2.01605034, 515.46387109],
+            [0.00002499966, 4.55182056, 838.96928775], [0.00002616955, 2.00993967, 1581.95934828], [0.00001911876, 0.85621927, 412.37109687],
+            [0.00002127644, 6.12751462, 742.99006053], [0.00001610549, 3.08867789, 1368.66025285], [0.00001479484, 2.68026191, 1478.86657406],
+            [0.00001230708, 1.8904298, 323.50541666], [0.0000121681, 1.80171561, 110.20632122], [0.00000961072, 4.5487699, 2118.76386038],
+            [0.00000885708, 4.14785948, 533.62311836], [0.000007767, 3.67696955, 728.76296653], [0.00000998579, 2.8720894, 309.27832266],
+            [0.00001014959, 1.38673238, 454.90936653], [0.00000727162, 3.98824686, 1155.36115741], [0.00000655289, 2.79065604, 1685.0521225],
+            [0.00000821465, 1.59342534, 1898.35121794], [0.00000620798, 4.82284339, 956.28915597], [0.00000653981, 3.38150775, 1692.1656695],
+            [0.00000812036, 5.94091899, 909.81873305], [0.0000056212, 0.08095987, 543.9180591], [0.00000542221, 0.28360266, 525.75881183],
+            [0.00000457859, 0.12722695, 1375.77379985], [0.00000614784, 2.27624916, 942.06206197], [0.00000435805, 2.6027213, 95.97922722],
+            [0.00000496066, 5.53005948, 380.12776796], [0.00000469965, 2.81896276, 1795.25844372], [0.00000445003, 0.14623567, 14.227094],
+            [0.00000290869, 3.89339144, 1471.75302706], [0.00000276627, 2.52238451, 2001.44399216], [0.00000275084, 2.98863519, 526.50957136],
+            [0.00000293875, 2.04938439, 199.07200144], [0.00000290985, 6.03131226, 1169.58825141], [0.00000338342, 2.79873193, 1045.15483619],
+            [0.00000257482, 6.13395478, 532.87235883], [0.00000319013, 1.34803131, 2214.7430876], [0.00000309352, 5.36855805, 1272.68102563],
+            [0.00000345804, 1.56404294, 491.55792946], [0.00000303364, 1.15407454, 5753.3848849], [0.00000192325, 0.91996333, 1596.18644228],
+            [0.00000215398, 2.63572816, 2111.65031338], [0.00000200738, 2.37259567, 1258.45393163], [0.00000239036, 3.5739719, 835.03713449],
+            [0.00000197073, 5.92859097, 453.42489382], [0.0000013944, 3.63960322, 1788.14489672], [0.00000191373, 6.28251312, 983.11585891],
+            [0.00000176551, 2.57669992, 9683.59458112], [0.00000123567, 2.26158186, 2317.83586181], [0.00000128176, 4.66585908, 831.85574075],
+            [0.0000011243, 0.85604151, 433.71173788], [0.00000128817, 1.10567107, 2531.13495725], [0.0000009939, 4.50312054, 518.64526483],
+            [0.0000009387, 2.7255388, 853.19638175], [0.00000106481, 5.81462222, 220.41264244], [0.00000120188, 2.95156364, 3.93215326],
+            [0.00000104002, 2.22221906, 74.78159857], [0.00000081655, 3.23481338, 1361.54670584], [0.00000112513, 4.86216964, 528.20649239],
+            [0.00000079539, 0.88542247, 430.53034414], [0.00000085801, 2.11458387, 1574.84580128], [0.00000085685, 2.33823885, 2428.04218303],
+            [0.00000068311, 3.35727049, 2104.53676638], [0.0000006957, 3.04164697, 302.16477566], [0.00000069775, 3.22402404, 305.34616939],
+            [0.0000006957, 0.2049498, 532.13864565], [0.00000056991, 2.00204192, 2634.22773147], [0.00000077062, 2.09816, 508.35032409],
+            [0.00000056716, 3.91743977, 2221.8566346], [0.00000058325, 5.72360355, 628.85158605], [0.00000052485, 4.0248501, 527.24328454],
+            [0.00000063645, 1.09973564, 1364.72809958], [0.00000053607, 0.87425993, 2847.52682691], [0.00000059598, 0.95822472, 494.26624244],
+            [0.0000005796, 3.45779498, 2008.55753916], [0.00000053206, 1.19800364, 760.25553592]
+        ],
+        [
+            [0.01271801596, 2.64937511, 529.69096509], [0.00061661771, 3.00076251, 1059.38193019], [0.00053443592, 3.89717644, 522.57741809],
+            [0.00031185167, 4.88276664, 536.8045121], [0.00041390257, 0, 0], [0.0001184719, 2.41329588, 419.48464388],
+            [0.0000916636, 4.75979409, 7.113547], [0.00003175763, 2.79297987, 103.09277422], [0.00003203446, 5.21083285, 735.87651353],
+            [0.00003403605, 3.34688538, 1589.07289528], [0.00002600003, 3.63435102, 206.18554844], [0.00002412207, 1.46947308, 426.59819088],
+            [0.00002806064, 3.74223694, 515.46387109], [0.00002676575, 4.33052879, 1052.26838319], [0.00002100507, 3.92762682, 639.89728631],
+            [0.00001646182, 5.30953511, 1066.49547719], [0.00001641257, 4.4162867, 625.67019231], [0.00001049866, 3.16113623, 213.29909544],
+            [0.00001024802, 2.55432643, 412.37109687], [0.00000740996, 2.17094631, 1162.47470441], [0.00000806404, 2.67750801, 632.78373931],
+            [0.00000676928, 6.2495348, 838.96928775], [0.00000468895, 4.70973463, 543.9180591], [0.00000444683, 0.40281181, 323.50541666],
+            [0.00000567076, 4.57655415, 742.99006053], [0.00000415894, 5.36836018, 728.76296653], [0.00000484689, 2.46882793, 949.17560897],
+            [0.00000337555, 3.16781951, 956.28915597], [0.00000401738, 4.60528842, 309.27832266], [0.00000347378, 4.68148809, 14.227094],
+            [0.00000260753, 5.34290306, 846.08283475]
+        ],
+        [
+            [0.00079644833, 1.35865897, 529.69096509], [0.00008251618, 5.77773935, 522.57741809], [0.00007029864, 3.27476966, 536.8045121],
+            [0.00005314006, 1.8383511, 1059.38193019], [0.00001860833, 2.97682139, 7.113547]
+        ]
+    ]
+};
+
+// Saturn
+EphemerisData.vsop87.saturn = {
+    L: [
+        [
+            [0.87401354029, 0, 0], [0.1110765978, 3.9620509, 213.29909544], [0.01414150958, 4.58581516, 7.113547],
+            [0.00398379386, 0.52112026, 206.18554844], [0.00350769223, 3.30329903, 426.59819088], [0.00206816296, 0.24658367, 103.09277422],
+            [0.00079271288, 3.84007079, 220.41264244], [0.00023990338, 4.66976935, 110.20632122], [0.00016573583, 0.43719124, 419.48464388],
+            [0.00014906995, 5.76903284, 316.39186966], [0.000158203, 0.93808954, 632.78373931], [0.00014609562, 1.56518574, 3.93215326],
+            [0.00013160308, 4.4489118, 14.227094], [0.00015053509, 2.71670028, 639.89728631], [0.00013005305, 5.98119067, 11.04570026],
+            [0.00010725066, 3.12939596, 202.25339517], [0.00005863207, 0.23657029, 529.69096509], [0.00005227771, 4.20783162, 3.18139374],
+            [0.00006126308, 1.763285, 277.03499374], [0.00005019658, 3.1778792, 433.71173788], [0.00004592541, 0.61976424, 199.07200144],
+            [0.00004005862, 2.24479894, 63.7358983], [0.00002953815, 0.98280385, 95.97922722], [0.00003873696, 3.22282693, 138.51749687],
+            [0.00002461172, 2.03163631, 735.87651353], [0.0000326949, 0.77491896, 949.17560897], [0.00001758143, 3.26580515, 522.57741809],
+            [0.00001640183, 5.50504966, 846.08283475], [0.00001391336, 4.02331978, 323.50541666], [0.00001580641, 4.37266314, 309.27832266],
+            [0.00001123515, 2.83726794, 415.55249061], [0.00001017258, 3.71698152, 227.52618944], [0.00000848643, 3.19149826, 209.36694217],
+            [0.00001087237, 4.18343232, 2.44768055], [0.00000956752, 0.5074089, 1265.56747863], [0.00000789205, 5.00745123, 0.96320785],
+            [0.00000686965, 1.74714408, 1052.26838319], [0.0000065447, 1.59889332, 0.04818411], [0.00000748811, 2.14398149, 853.19638175],
+            [0.0000063398, 2.29889903, 412.37109687], [0.00000743584, 5.25276955, 224.3447957], [0.00000852677, 3.42141351, 175.1660598],
+            [0.00000579857, 3.09259007, 74.78159857], [0.00000624904, 0.97046831, 210.1177017], [0.00000529861, 4.44938897, 117.31986822],
+            [0.00000542643, 1.51824321, 9.56122756], [0.00000474279, 5.47527186, 742.99006053], [0.00000448542, 1.28990416, 127.47179661],
+            [0.00000546358, 2.12678554, 350.3321196], [0.00000478054, 2.96488054, 137.03302416], [0.00000354944, 3.01286483, 838.96928775],
+            [0.00000451827, 1.04436664, 490.33408918], [0.00000347413, 1.53928228, 340.77089204], [0.00000343475, 0.24604039, 0.52126486],
+            [0.00000309001, 3.49486735, 216.48048918], [0.00000322185, 0.96137456, 203.73786788], [0.00000372308, 2.27819109, 217.2312487],
+            [0.00000321543, 2.57182355, 647.01083331], [0.00000330196, 0.24715618, 1581.95934828], [0.00000249116, 1.47010534, 1368.66025285],
+            [0.00000286688, 2.37043746, 351.81659231], [0.00000220225, 4.20422425, 200.76892247], [0.00000277775, 0.40020409, 211.81462273],
+            [0.000002045, 6.01082207, 265.98929348], [0.00000207663, 0.4834982, 1162.47470441], [0.00000208655, 1.34516255, 625.67019231],
+            [0.00000182454, 5.49122292, 2.92076131], [0.00000226609, 4.91003163, 12.53017297], [0.00000207659, 1.28302219, 39.35687592],
+            [0.00000173914, 1.86305807, 0.75075953], [0.0000018469, 3.50344405, 149.56319713], [0.00000183511, 0.97254953, 4.19278569],
+            [0.00000146068, 6.23102544, 195.13984817], [0.00000164541, 0.44005518, 5.41662597], [0.00000147526, 1.53529321, 5.62907429],
+            [0.00000139666, 4.2945026, 21.340641], [0.00000131283, 4.06828962, 10.29494074], [0.00000117283, 2.67920401, 1155.36115741],
+            [0.00000149299, 5.7359435, 52.69019804], [0.00000122373, 1.97588777, 4.66586645], [0.00000113747, 5.59427545, 1059.38193019],
+            [0.00000102702, 1.19748124, 1685.0521225], [0.00000118156, 5.34072934, 554.06998748], [0.00000109275, 3.43812716, 536.8045121],
+            [0.00000110399, 0.16604024, 1.48447271], [0.00000124969, 6.27737806, 1898.35121794], [0.00000089949, 5.80392935, 114.13847448],
+            [0.00000103956, 2.19210363, 88.86568022], [0.00000112437, 1.10502664, 191.20769491], [0.0000010657, 4.01156609, 956.28915597],
+            [0.0000009143, 1.87521578, 38.13303564], [0.00000083791, 5.48810656, 0.11187458], [0.00000083461, 2.28972767, 628.85158605],
+            [0.00000096987, 4.53666596, 302.16477566], [0.00000100631, 4.96513667, 269.92144674], [0.00000075491, 2.18045274, 728.76296653],
+            [0.0000009633, 2.83319189, 275.55052103], [0.00000082363, 3.05469876, 440.82528488], [0.00000073888, 5.08914205, 1375.77379985],
+            [0.00000071633, 5.10940743, 65.22037101], [0.00000070409, 4.86846451, 0.21244832], [0.0000006976, 3.71029022, 14.97785353],
+            [0.00000088772, 3.86334564, 278.51946645], [0.0000006809, 0.73415461, 1478.86657406], [0.00000066501, 0.0267758, 70.8494453],
+            [0.00000065682, 2.0216556, 142.44965013], [0.00000075765, 1.61410488, 284.14854074], [0.00000063153, 3.49493353, 479.28838892],
+            [0.00000062539, 2.58713612, 422.66603761], [0.00000069313, 3.43979731, 515.46387109], [0.00000079021, 4.45154942, 35.42472265],
+            [0.00000063664, 3.31749529, 62.2514256], [0.00000052939, 5.51392725, 0.26063243], [0.00000053011, 3.18480702, 8.07675485],
+            [0.00000054492, 2.45674091, 22.09140053], [0.00000050514, 4.26749347, 99.16062096], [0.0000005517, 0.96797446, 942.06206197],
+            [0.0000006108, 1.50295092, 210.85141488], [0.00000060556, 2.68715552, 388.46515524], [0.00000050145, 6.0316476, 2214.7430876],
+            [0.00000054165, 0.78154835, 191.95845444]
+        ],
+        [
+            [213.54295595986, 0, 0], [0.01296855005, 1.82820545, 213.29909544], [0.00564347566, 2.88500136, 7.113547],
+            [0.0009832303, 1.08070061, 426.59819088], [0.0010767877, 2.27769912, 206.18554844], [0.00040254586, 2.04128257, 220.41264244],
+            [0.00019941734, 1.27954663, 103.09277422], [0.00010511706, 2.74880393, 14.227094], [0.00006939233, 0.4049308, 639.89728631],
+            [0.00004803325, 2.44194098, 419.48464388], [0.00004056325, 2.92166619, 110.20632122], [0.0000376863, 3.64965631, 3.93215326],
+            [0.00003384684, 2.41694252, 3.18139374], [0.000033022, 1.26256487, 433.71173788], [0.00003071382, 2.32739318, 199.07200144],
+            [0.00001953036, 3.56394683, 11.04570026], [0.00001249348, 2.62803738, 95.97922722], [0.00000921683, 1.96089834, 227.52618944],
+            [0.00000705587, 4.41689249, 529.69096509], [0.00000649654, 6.17418094, 202.25339517], [0.00000627603, 6.11088227, 309.27832266],
+            [0.00000486843, 6.039982, 853.19638175], [0.00000468377, 4.61707844, 63.7358983], [0.00000478501, 4.98776988, 522.57741809],
+            [0.0000041701, 2.11708169, 323.50541666], [0.0000040763, 1.29949557, 209.36694217], [0.00000343826, 3.95854179, 412.37109687],
+            [0.00000339724, 3.63396399, 316.39186966], [0.00000335936, 3.77173073, 735.87651353], [0.00000331933, 2.860777, 210.1177017],
+            [0.00000352489, 2.31707079, 632.78373931], [0.00000289429, 2.7326308, 117.31986822], [0.00000265801, 0.54344631, 647.01083331],
+            [0.00000280911, 5.74398845, 2.44768055]
+        ],
+        [
+            [0.00116441181, 1.17987851, 7.113547], [0.00091920844, 0.07425261, 213.29909544], [0.00090592251, 0, 0],
+            [0.00015276909, 4.06492008, 206.18554844], [0.00010631396, 0.25778277, 220.41264244], [0.00010604979, 5.40963596, 426.59819088],
+            [0.00004265368, 1.04595557, 14.227094]
+        ],
+        [
+            [0.00016038734, 5.73945377, 7.113547]
+        ]
+    ],
+    B: [
+        [
+            [0.0433067804, 3.60284428, 213.29909544], [0.00240348303, 2.85238489, 426.59819088], [0.00084745939, 0, 0],
+            [0.00030863357, 3.48441504, 220.41264244], [0.00034116063, 0.57297308, 206.18554844], [0.0001473407, 2.11846598, 639.89728631],
+            [0.00009916668, 5.79003189, 419.48464388], [0.00006993564, 4.73604689, 7.113547], [0.00004807587, 5.43305316, 316.39186966],
+            [0.00004788392, 4.96512927, 110.20632122], [0.00003432125, 2.73255752, 433.71173788], [0.00001506129, 6.01304536, 103.09277422],
+            [0.00001060298, 5.63099292, 529.69096509], [0.00000969071, 5.20434966, 632.78373931], [0.0000094205, 1.39646678, 853.19638175],
+            [0.00000707645, 3.8030233, 323.50541666], [0.00000552313, 5.13149109, 202.25339517], [0.00000399675, 3.35891414, 227.52618944],
+            [0.00000316063, 1.99716764, 647.01083331], [0.0000031938, 3.62571551, 209.36694217], [0.00000284494, 4.88648482, 224.3447957],
+            [0.00000314225, 0.46510272, 217.2312487], [0.00000236442, 2.13887472, 11.04570026], [0.00000215354, 5.9498261, 846.08283475],
+            [0.00000208522, 2.12003894, 415.55249061], [0.00000178958, 2.95361515, 63.7358983], [0.00000207213, 0.73021463, 199.07200144],
+            [0.0000013914, 1.99821991, 735.87651353], [0.00000134884, 5.2450082, 742.99006053], [0.00000140585, 0.6441762, 490.33408918],
+            [0.00000121669, 3.11537141, 522.57741809], [0.0000013924, 4.59535168, 14.227094], [0.00000115524, 3.10891547, 216.48048918],
+            [0.00000114218, 0.96261442, 210.1177017], [0.00000096376, 4.4816434, 117.31986822], [0.00000080593, 1.3169275, 277.03499374],
+            [0.00000072952, 3.05988482, 536.8045121], [0.00000069261, 4.92378634, 309.27832266], [0.00000074302, 2.8937654, 149.56319713],
+            [0.0000006804, 2.18002264, 351.81659231], [0.00000061734, 0.67728107, 1066.49547719], [0.00000056598, 2.60963391, 440.82528488]
+        ],
+        [
+            [0.00397554998, 5.33289993, 213.29909544], [0.00049478641, 3.14159265, 0], [0.00018571607, 6.09919206, 426.59819088],
+            [0.00014800587, 2.30586061, 206.18554844], [0.00009643981, 1.6967466, 220.41264244], [0.00003757161, 1.25429514, 419.48464388],
+            [0.00002716647, 5.91166665, 639.89728631], [0.00001455309, 0.85161617, 433.71173788], [0.00001290595, 2.91770857, 7.113547],
+            [0.0000085263, 0.43572079, 316.39186966], [0.00000284386, 1.61881755, 227.52618944], [0.00000292185, 5.31574251, 853.19638175],
+            [0.0000027509, 3.88864137, 103.09277422], [0.00000297726, 0.91909207, 632.78373931]
+        ],
+        [
+            [0.00020629977, 0.50482423, 213.29909544], [0.00003719555, 3.99833476, 206.18554844], [0.00001627158, 6.1818994, 220.41264244],
+            [0.00001346067, 0, 0]
+        ]
+    ],
+    R: [
+        [
+            [9.55758135801, 0, 0], [0.52921382465, 2.3922622, 213.29909544], [0.01873679934, 5.23549605, 206.18554844],
+            [0.01464663959, 1.64763045, 426.59819088], [0.00821891059, 5.93520025, 316.39186966], [0.00547506899, 5.01532628, 103.09277422],
+            [0.00371684449, 2.27114833, 220.41264244], [0.00361778433, 3.13904303, 7.113547], [0.00140617548, 5.70406653, 632.78373931],
+            [0.00108974737, 3.29313596, 110.20632122], [0.00069007015, 5.94099622, 419.48464388], [0.0006105335, 0.94037761, 639.89728631],
+            [0.00048913044, 1.55733388, 202.25339517], [0.00034143794, 0.19518551, 277.03499374], [0.00032401718, 5.47084607, 949.17560897],
+            [0.00020936573, 0.46349164, 735.87651353], [0.00020839118, 1.52102591, 433.71173788], [0.00020746678, 5.33255668, 199.07200144],
+            [0.00015298457, 3.05943653, 529.69096509], [0.00014296479, 2.60433538, 323.50541666], [0.00011993314, 5.98051422, 846.08283475],
+            [0.00011380261, 1.73105747, 522.57741809], [0.00012884128, 1.6489231, 138.51749687], [0.00007752769, 5.85191319, 95.97922722],
+            [0.00009796061, 5.20475864, 1265.56747863], [0.00006465967, 0.1773316, 1052.26838319], [0.00006770621, 3.00433479, 14.227094],
+            [0.00005850443, 1.45519636, 415.55249061], [0.00005307481, 0.59737534, 63.7358983], [0.00004695746, 2.14919037, 227.52618944],
+            [0.00004043988, 1.64010324, 209.36694217], [0.00003688132, 0.78016133, 412.37109687], [0.00003376457, 3.69528479, 224.3447957],
+            [0.00002885348, 1.38764078, 838.96928775], [0.00002976033, 5.68467931, 210.1177017], [0.00003419551, 4.94549149, 1581.95934828],
+            [0.00003460943, 1.85088803, 175.1660598], [0.00003400616, 0.55386748, 350.3321196], [0.0000250763, 3.53851863, 742.99006053],
+            [0.00002448325, 6.18412386, 1368.66025285], [0.00002406138, 2.9655922, 117.31986822], [0.00002881181, 0.17960758, 853.19638175],
+            [0.00002173959, 0.01508587, 340.77089204], [0.00002024483, 5.05411271, 11.04570026], [0.00001740254, 2.34657043, 309.27832266],
+            [0.00001861397, 5.93361638, 625.67019231], [0.00001888436, 0.02968443, 3.93215326], [0.00001610859, 1.17302464, 74.78159857],
+            [0.00001462631, 1.92588134, 216.48048918], [0.00001474547, 5.67670461, 203.73786788], [0.00001395109, 5.93669405, 127.47179661],
+            [0.00001781165, 0.76314388, 217.2312487], [0.00001817186, 5.77713226, 490.33408918], [0.00001472392, 1.40064916, 137.03302416],
+            [0.00001304089, 0.77235614, 647.01083331], [0.00001149773, 5.7402125, 1162.47470441], [0.00001126667, 4.46707804, 265.98929348],
+            [0.00001277489, 2.98412586, 1059.38193019], [0.00001207053, 0.75285933, 351.81659231], [0.00001071399, 1.13567265, 1155.36115741],
+            [0.00001020922, 5.91233513, 1685.0521225], [0.00001315042, 5.11202573, 211.81462273], [0.00001295553, 4.6918414, 1898.35121794],
+            [0.00001099037, 1.81765119, 149.56319713], [0.00000998462, 2.63131597, 200.76892247], [0.00000985869, 2.2599285, 956.28915597],
+            [0.00000932434, 3.66980793, 554.06998748], [0.00000664481, 0.60297725, 728.76296653], [0.0000065985, 4.6663544, 195.13984817],
+            [0.0000061774, 5.62092, 942.06206197], [0.00000626382, 5.94208233, 1478.86657406], [0.0000048223, 1.84070179, 479.28838892],
+            [0.00000487689, 2.79373617, 3.18139374], [0.00000470086, 0.83847755, 1471.75302706], [0.00000451817, 5.6446846, 2001.44399216],
+            [0.00000553128, 3.41088601, 269.92144674], [0.00000534397, 1.26443331, 275.55052103], [0.00000472572, 1.88198585, 515.46387109],
+            [0.00000405434, 1.64001414, 536.8045121], [0.00000517196, 4.44310451, 2214.7430876], [0.00000452848, 3.00349117, 302.16477566],
+            [0.0000049434, 2.28626675, 278.51946645], [0.00000489825, 5.8063142, 191.20769491], [0.00000427459, 0.05741344, 284.14854074],
+            [0.00000339763, 1.40198658, 440.82528488], [0.00000340627, 0.89091104, 628.85158605], [0.00000385974, 1.99700403, 1272.68102563],
+            [0.00000288298, 1.1216025, 422.66603761], [0.00000294444, 0.42577062, 312.19908396], [0.0000026249, 0.3175344, 1045.15483619],
+            [0.00000295331, 0.67144494, 88.86568022], [0.00000342968, 5.85600322, 1795.25844372], [0.00000341117, 2.37585247, 525.4981794],
+            [0.00000234018, 4.22756813, 114.13847448], [0.00000223729, 2.28129447, 330.61896366], [0.00000275814, 0.47832439, 38.13303564],
+            [0.00000224592, 0.54754006, 1788.14489672], [0.000003033, 0.8794667, 6069.77675455], [0.00000292103, 6.21420612, 210.85141488],
+            [0.00000226121, 0.37495223, 142.44965013], [0.00000277257, 5.31917702, 692.58748435], [0.00000242911, 5.37187983, 1258.45393163],
+            [0.00000205571, 0.95755251, 288.08069401], [0.00000207567, 5.3812626, 2317.83586181], [0.00000186835, 6.03591766, 404.50679035],
+            [0.00000218536, 5.25607044, 212.33588759], [0.00000222155, 5.94588017, 39.35687592], [0.00000179673, 4.41045924, 408.43894361],
+            [0.0000024144, 1.12525868, 388.46515524], [0.00000197093, 3.90141943, 52.69019804], [0.00000236639, 0.90802745, 1375.77379985],
+            [0.00000171915, 5.56318633, 213.34727955], [0.00000169865, 2.85667554, 99.16062096], [0.00000214398, 4.20253526, 2531.13495725],
+            [0.0000017201, 2.36537801, 213.25091133], [0.00000165707, 2.6367979, 215.74677599], [0.00000230892, 5.49463421, 191.95845444],
+            [0.00000177585, 0.38155818, 430.53034414], [0.00000191514, 2.95906901, 437.64389114], [0.0000016325, 3.45832517, 617.80588579],
+            [0.00000162305, 5.73050679, 203.0041547], [0.00000175108, 5.71404465, 1066.49547719], [0.00000183041, 5.66851947, 2111.65031338],
+            [0.00000150077, 4.40663922, 417.03696332], [0.00000187935, 6.07916266, 563.63121504], [0.00000145127, 5.08176369, 423.41679714],
+            [0.00000137491, 5.43912788, 222.86032299], [0.00000172824, 1.84920994, 1589.07289528], [0.00000165478, 2.89132196, 214.26230328],
+            [0.00000145727, 1.56565192, 831.85574075], [0.00000176864, 2.30323753, 9999.98645077], [0.00000128877, 2.55338644, 414.0680179],
+            [0.00000120093, 0.04329751, 1361.54670584], [0.00000143441, 0.99817358, 76.26607128], [0.00000108747, 2.09282278, 207.67002115],
+            [0.00000132106, 2.85902598, 312.45971639], [0.00000112238, 0.26221759, 2104.53676638], [0.00000125186, 4.78354048, 205.22234059],
+            [0.00000104427, 3.63671899, 65.22037101], [0.00000107447, 3.67064139, 212.77783058], [0.00000108642, 2.85492389, 21.340641],
+            [0.00000097743, 5.12231846, 2634.22773147], [0.00000109097, 1.63231061, 208.63322899], [0.00000096852, 4.1992828, 305.34616939],
+            [0.00000096507, 2.56002067, 1692.1656695], [0.00000085829, 4.54545086, 210.37833413], [0.00000099249, 5.13816222, 1574.84580128],
+            [0.00000112532, 5.03109281, 703.63318462], [0.00000084023, 1.18337717, 429.77958461], [0.00000089021, 5.38791571, 107.02492748],
+            [0.00000110191, 2.43656081, 355.74874557], [0.00000090659, 4.2090881, 213.8203603], [0.00000095885, 5.44594259, 2428.04218303],
+            [0.00000094109, 2.39786381, 483.22054218], [0.00000085609, 0.03354347, 860.30992875], [0.00000088796, 4.05766307, 128.95626932],
+            [0.00000081951, 1.66499732, 62.2514256], [0.0000009124, 3.96942333, 2847.52682691], [0.00000083961, 4.60845858, 177.87437279],
+            [0.00000088376, 3.86800516, 140.00196958], [0.00000093308, 0.7384664, 831.10498122], [0.00000091872, 2.94977605, 35.42472265],
+            [0.00000087077, 1.3339059, 1905.46476494], [0.00000096584, 4.84438391, 131.40394987], [0.0000007101, 0.99334818, 405.25754987],
+            [0.00000095266, 2.51506908, 2.44768055], [0.00000072514, 4.63213874, 245.54242435], [0.0000008258, 1.52823218, 145.63104387],
+            [0.00000076693, 3.15240783, 767.36908292], [0.00000070317, 4.04253707, 173.94221952], [0.00000086015, 2.30103727, 85.82729883],
+            [0.00000066529, 4.75053523, 70.8494453], [0.00000065835, 2.46869725, 280.967147], [0.00000064824, 0.09343869, 9.56122756],
+            [0.00000071557, 0.01212415, 565.11568775], [0.00000066533, 1.08034871, 339.28641934], [0.00000063488, 2.01740971, 234.63973644],
+            [0.00000060786, 5.12026947, 756.32338266], [0.00000058123, 6.05732869, 1677.9385755], [0.00000064236, 1.28586475, 1148.24761041],
+            [0.00000073124, 4.37810889, 425.11371817], [0.00000055012, 3.85865703, 342.25536475], [0.00000057101, 6.26689214, 2420.92863603],
+            [0.0000006409, 4.09854757, 327.43756992], [0.00000055306, 1.60456897, 543.02428722], [0.00000057987, 5.47269124, 347.88443905],
+            [0.00000073581, 3.72292337, 92.04707395], [0.0000007376, 3.57045343, 1.48447271], [0.0000006494, 2.44739629, 267.47376619],
+            [0.00000054414, 3.7147908, 344.70304531], [0.00000062711, 4.4012008, 214.78356815], [0.00000054335, 1.07179535, 362.86229257],
+            [0.00000058742, 2.62270941, 225.82926841], [0.00000055914, 4.29520232, 329.72519178], [0.00000058829, 4.23073948, 700.6642392],
+            [0.00000052629, 3.79230629, 343.2185726], [0.00000056157, 2.07214274, 124.43341522], [0.00000053882, 4.97905461, 134.58534361],
+            [0.00000050135, 5.75914509, 320.32402292]
+        ],
+        [
+            [0.06182981282, 0.25843515, 213.29909544], [0.00506577574, 0.71114651, 206.18554844], [0.00341394136, 5.79635774, 426.59819088],
+            [0.00188491375, 0.47215719, 220.41264244], [0.0018626154, 3.14159265, 0], [0.00143891176, 1.40744864, 7.113547],
+            [0.00049621111, 6.0174447, 103.09277422], [0.00020928189, 5.09245654, 639.89728631], [0.00019952612, 1.17560125, 419.48464388],
+            [0.00018839639, 1.60819563, 110.20632122], [0.00012892827, 5.94330258, 433.71173788], [0.00013876565, 0.75886204, 199.07200144],
+            [0.00005396699, 1.28852406, 14.227094], [0.00004869308, 0.86793894, 323.50541666], [0.00004247455, 0.39299385, 227.52618944],
+            [0.00003252084, 1.2585347, 95.97922722], [0.00002856006, 2.16731405, 735.87651353], [0.00002909411, 4.60679155, 202.25339517],
+            [0.00003081408, 3.43662557, 522.57741809], [0.00001987689, 2.45054205, 412.37109687], [0.00001941309, 6.02393385, 209.36694217],
+            [0.00001581446, 1.2919179, 210.1177017], [0.00001339511, 4.30801822, 853.19638175], [0.0000131559, 1.25296446, 117.31986822],
+            [0.00001203085, 1.86654674, 316.39186966], [0.00001091088, 0.07527247, 216.48048918], [0.00000954403, 5.15173411, 647.01083331],
+            [0.00000966012, 0.47991379, 632.78373931], [0.00000881827, 1.88471724, 1052.26838319], [0.00000874215, 1.40224684, 224.3447957],
+            [0.00000897512, 0.98343776, 529.69096509], [0.00000784866, 3.06377517, 838.96928775], [0.00000739892, 1.38225357, 625.67019231],
+            [0.00000612961, 3.03307307, 63.7358983], [0.0000065821, 4.14362931, 309.27832266], [0.000006496, 1.72489486, 742.99006053],
+            [0.00000599236, 2.54924175, 217.2312487], [0.00000502886, 2.12958819, 3.93215326], [0.00000413017, 4.59334402, 415.55249061],
+            [0.00000356117, 2.30312128, 728.76296653], [0.00000344777, 5.88787578, 440.82528488], [0.00000395004, 0.53349091, 956.28915597],
+            [0.00000335526, 1.61614647, 1368.66025285], [0.00000362772, 4.70691653, 302.16477566], [0.00000321611, 0.97931765, 3.18139374],
+            [0.00000277783, 0.26007031, 195.13984817], [0.00000291173, 2.83129428, 1155.36115741], [0.00000264971, 2.42670903, 88.86568022],
+            [0.00000264864, 5.82860589, 149.56319713], [0.00000316777, 3.58395656, 515.46387109], [0.00000294324, 2.81632779, 11.04570026],
+            [0.00000264047, 1.28547686, 1059.38193019]
+        ],
+        [
+            [0.00436902464, 4.78671673, 213.29909544], [0.0007192276, 2.50069995, 206.18554844], [0.00049766792, 4.97168151, 220.41264244],
+            [0.00043220894, 3.86940444, 426.59819088], [0.00029645554, 5.96310264, 7.113547], [0.0000414165, 4.10670941, 433.71173788],
+            [0.00004720909, 2.47527992, 199.07200144], [0.0000378937, 3.09771025, 639.89728631], [0.0000296399, 1.37206249, 103.09277422],
+            [0.00002556363, 2.85065722, 419.48464388], [0.00002208457, 6.27588859, 110.20632122], [0.00002187621, 5.85545832, 14.227094],
+            [0.00001956896, 4.92448618, 227.52618944], [0.00002326801, 0, 0]
+        ],
+        [
+            [0.00020315005, 3.02186626, 213.29909544], [0.00008923581, 3.19144206, 220.41264244], [0.00006908677, 4.35174889, 206.18554844]
+        ]
+    ]
+};
+
+// Uranus
+EphemerisData.vsop87.uranus = {
+    L: [
+        [
+            [5.48129294299, 0, 0], [0.09260408252, 0.89106422, 74.78159857], [0.01504247826, 3.62719262, 1.48447271],
+            [0.00365981718, 1.89962189, 73.29712586], [0.00272328132, 3.35823711, 149.56319713], [0.00070328499, 5.39254432, 63.7358983],
+            [0.00068892609, 6.09292489, 76.26607128], [0.00061998592, 2.2695204, 2.96894542], [0.00061950714, 2.85098908, 11.04570026],
+            [0.00026468869, 3.14152088, 71.81265315], [0.00025710505, 6.11379843, 454.90936653], [0.00021078897, 4.36059465, 148.07872443],
+            [0.00017818665, 1.74436983, 36.64856293], [0.00014613471, 4.73732048, 3.93215326], [0.00011162535, 5.82681994, 224.3447957],
+            [0.00010997934, 0.48865493, 138.51749687], [0.00009527487, 2.95516893, 35.16409022], [0.00007545543, 5.23626441, 109.94568879],
+            [0.0000422017, 3.23328536, 70.8494453], [0.0000405185, 2.27754159, 151.04766984], [0.00003354607, 1.06549009, 4.45341812],
+            [0.00002926671, 4.62903695, 9.56122756], [0.00003490352, 5.48305567, 146.59425172], [0.00003144093, 4.75199308, 77.75054398],
+            [0.0000292241, 5.35236743, 85.82729883], [0.0000227279, 4.36600803, 70.32818044], [0.00002051209, 1.51773563, 0.11187458],
+            [0.00002148599, 0.60745801, 38.13303564], [0.00001991726, 4.92437291, 277.03499374], [0.00001376208, 2.04281409, 65.22037101],
+            [0.0000166691, 3.62744581, 380.12776796], [0.00001284183, 3.11346337, 202.25339517], [0.00001150416, 0.93344454, 3.18139374],
+            [0.00001533223, 2.58593414, 52.69019804], [0.00001281641, 0.5426987, 222.86032299], [0.000013721, 4.19641616, 111.4301615],
+            [0.00001220998, 0.19901396, 108.46121608], [0.00000946195, 1.19249463, 127.47179661], [0.00001150993, 4.17898207, 33.67961751],
+            [0.00001244342, 0.91612681, 2.44768055], [0.00001072008, 0.23564503, 62.2514256], [0.00001090461, 1.77501639, 12.53017297],
+            [0.00000707875, 5.18285227, 213.29909544], [0.00000653401, 0.96586909, 78.71375183], [0.00000627562, 0.18210182, 984.60033162],
+            [0.00000524495, 2.01276707, 299.12639427], [0.0000055937, 3.35776738, 0.52126486], [0.00000606827, 5.43209729, 529.69096509],
+            [0.00000404891, 5.98689011, 8.07675485], [0.00000467211, 0.41484069, 145.10977901], [0.00000471288, 1.40664336, 184.72728736],
+            [0.00000483219, 2.1055399, 0.96320785], [0.00000395614, 5.87039581, 351.81659231], [0.00000433532, 5.52142978, 183.24281465],
+            [0.00000309885, 5.83301305, 145.63104387], [0.00000378609, 2.34975805, 56.6223513], [0.00000398996, 0.33810765, 415.55249061],
+            [0.00000300379, 5.64353974, 22.09140053], [0.00000249229, 4.74617121, 225.82926841], [0.00000239334, 2.35045875, 137.03302416],
+            [0.00000294172, 5.83916826, 39.61750835], [0.0000021648, 4.77847481, 340.77089204], [0.00000251792, 1.63696776, 221.37585029],
+            [0.00000219621, 1.92212988, 67.66805157], [0.00000201963, 1.29693041, 0.04818411], [0.00000224097, 0.51574863, 84.34282612],
+            [0.00000216549, 6.14211863, 5.93789083], [0.00000222588, 2.8430938, 0.26063243], [0.00000207828, 5.5802057, 68.84370773],
+            [0.00000187474, 1.31924326, 0.16005869], [0.00000158028, 0.73811997, 54.17467075], [0.00000199146, 0.95634155, 152.53214255],
+            [0.00000168648, 5.87874001, 18.15924726], [0.000001703, 3.67717521, 5.41662597], [0.00000193652, 1.88800123, 456.39383924],
+            [0.00000192998, 0.91616059, 453.42489382], [0.00000181934, 3.53624029, 79.23501669], [0.00000173145, 1.53860728, 160.6088974],
+            [0.00000164588, 1.42379715, 106.97674337], [0.00000171968, 5.67952686, 219.89137758], [0.00000162792, 3.05029378, 112.91463421],
+            [0.00000146653, 1.26300172, 59.80374504], [0.00000139453, 5.38597723, 32.1951448], [0.00000138585, 4.25994787, 909.81873305],
+            [0.00000143058, 1.29995488, 35.42472265], [0.0000012384, 1.3735999, 7.113547], [0.00000104414, 5.02820889, 0.75075953],
+            [0.00000103277, 0.68095301, 14.97785353], [0.00000094741, 0.9067409, 74.66972398], [0.00000082978, 2.92828718, 265.98929348],
+            [0.00000110163, 2.02685779, 554.06998748], [0.00000094226, 3.94266328, 74.89347315], [0.00000079858, 1.01446829, 6.59228214],
+            [0.00000109376, 5.70581833, 77.96299231], [0.00000085876, 1.70649436, 82.85835341], [0.00000103562, 1.4577027, 24.37902239],
+            [0.00000074667, 4.63177553, 69.3649726], [0.00000079919, 3.00974084, 297.64192156], [0.00000084502, 0.3688719, 186.21176006],
+            [0.0000008881, 0.52481331, 181.75834194], [0.00000070303, 1.1898688, 66.70484372], [0.00000069965, 0.87476082, 305.34616939],
+            [0.00000069927, 3.76102749, 131.40394987], [0.00000084604, 5.88725183, 256.53994051], [0.00000074341, 6.24271324, 447.79581953],
+            [0.0000006231, 0.16901377, 479.28838892], [0.00000072726, 2.84892776, 462.02291353], [0.0000006906, 4.43934854, 39.35687592],
+            [0.00000076568, 4.5872111, 6.21977512], [0.00000073387, 4.27603449, 87.31177154], [0.00000055307, 1.49636544, 71.60020483],
+            [0.00000057291, 1.63015166, 143.6253063], [0.00000061661, 3.18604744, 77.22927912], [0.00000057634, 3.67180685, 51.20572533],
+            [0.00000050289, 1.12279385, 20.60692782], [0.00000053744, 5.51890986, 128.95626932], [0.00000057894, 2.66877593, 381.61224067],
+            [0.00000058112, 1.58629352, 60.76695289]
+        ],
+        [
+            [75.02543121646, 0, 0], [0.00154458244, 5.24201658, 74.78159857], [0.00024456413, 1.71255705, 1.48447271],
+            [0.00009257828, 0.42844639, 11.04570026], [0.00008265977, 1.50220035, 63.7358983], [0.00007841715, 1.31983607, 149.56319713],
+            [0.00003899105, 0.46483574, 3.93215326], [0.00002283777, 4.17367534, 76.26607128], [0.000019266, 0.5301308, 2.96894542],
+            [0.00001232727, 1.58634458, 70.8494453], [0.00000791206, 5.43641224, 3.18139374], [0.00000766954, 1.9955541, 73.29712586],
+            [0.00000481671, 2.98401997, 85.82729883], [0.00000449798, 4.13826238, 138.51749687], [0.000004456, 3.723004, 224.3447957],
+            [0.00000426554, 4.73126059, 71.81265315], [0.00000347735, 2.45372261, 9.56122756], [0.00000353752, 2.58324497, 148.07872443],
+            [0.00000317084, 5.57855232, 52.69019804]
+        ],
+        [
+            [0.00053033277, 0, 0], [0.00002357636, 2.26014662, 74.78159857]
+        ]
+    ],
+    B: [
+        [
+            [0.01346277639, 2.61877811, 74.78159857], [0.00062341405, 5.08111176, 149.56319713], [0.00061601203, 3.14159265, 0],
+            [0.00009963744, 1.61603876, 76.26607128], [0.00009926151, 0.57630388, 73.29712586], [0.00003259455, 1.26119386, 224.3447957],
+            [0.00002972318, 2.24367036, 1.48447271], [0.00002010257, 6.05550401, 148.07872443], [0.00001522172, 0.27960386, 63.7358983],
+            [0.00000924055, 4.03822928, 151.04766984], [0.00000760624, 6.14000432, 71.81265315], [0.00000420265, 5.21279985, 11.04570026],
+            [0.00000430668, 3.55445035, 213.29909544], [0.00000436843, 3.38082524, 529.69096509], [0.00000522309, 3.32085195, 138.51749687],
+            [0.00000434625, 0.34065282, 77.75054398], [0.0000046263, 0.74256728, 85.82729883], [0.00000232649, 2.25716421, 222.86032299],
+            [0.00000215838, 1.59121705, 38.13303564], [0.00000244698, 0.7879515, 2.96894542], [0.00000179935, 3.72487953, 299.12639427],
+            [0.00000174895, 1.23550262, 146.59425172], [0.00000173667, 1.93654269, 380.12776796], [0.00000160368, 5.33635436, 111.4301615],
+            [0.00000144064, 5.96239326, 35.16409022], [0.00000102049, 2.61876257, 78.71375183], [0.00000116363, 5.7387719, 70.8494453],
+            [0.00000106441, 0.94103113, 70.32818044], [0.00000086163, 0.70262507, 39.61750835], [0.00000072617, 0.20564696, 225.82926841],
+            [0.00000071172, 0.8334327, 109.94568879], [0.00000057502, 2.67039425, 108.46121608], [0.00000054255, 3.3516658, 184.72728736]
+        ],
+        [
+            [0.00206366162, 4.12394311, 74.78159857], [0.0000856323, 0.33819986, 149.56319713], [0.00001725703, 2.1219316, 73.29712586],
+            [0.0000136886, 3.06861722, 76.26607128], [0.00001374449, 0, 0], [0.00000399847, 2.84767038, 224.3447957],
+            [0.00000450639, 3.77656181, 1.48447271], [0.00000307214, 1.25456767, 148.07872443]
+        ],
+        [
+            [0.00009211656, 5.80044306, 74.78159857]
+        ]
+    ],
+    R: [
+        [
+            [19.21264847881, 0, 0], [0.88784984055, 5.60377527, 74.78159857], [0.03440835545, 0.32836099, 73.29712586],
+            [0.02055653495, 1.7829517, 149.56319713], [0.00649321851, 4.52247298, 76.26607128], [0.00602248144, 3.8600382, 63.7358983],
+            [0.00496404171, 1.40139935, 454.90936653], [0.00338525522, 1.58002683, 138.51749687], [0.00243508222, 1.57086595, 71.81265315],
+            [0.00190521915, 1.99809365, 1.48447271], [0.00161858251, 2.79137863, 148.07872443], [0.00143705902, 1.38368574, 11.04570026],
+            [0.00093192359, 0.17437194, 36.64856293], [0.00071424265, 4.24509327, 224.3447957], [0.00089805842, 3.66105366, 109.94568879],
+            [0.00039009624, 1.66971129, 70.8494453], [0.00046677322, 1.39976564, 35.16409022], [0.00039025681, 3.36234711, 277.03499374],
+            [0.0003675516, 3.88648935, 146.59425172], [0.00030348875, 0.70100446, 151.04766984], [0.00029156264, 3.18056175, 77.75054398],
+            [0.00020471584, 1.55588961, 202.25339517], [0.0002562036, 5.25656293, 380.12776796], [0.00025785805, 3.78537742, 85.82729883],
+            [0.00022637152, 0.72519138, 529.69096509], [0.00020473163, 2.79639812, 70.32818044], [0.00017900561, 0.55455489, 2.96894542],
+            [0.00012328151, 5.96039151, 127.47179661], [0.00014701566, 4.90434407, 108.46121608], [0.00011494701, 0.43774028, 65.22037101],
+            [0.00015502809, 5.35405038, 38.13303564], [0.00010792699, 1.42104858, 213.29909544], [0.00011696085, 3.29825599, 3.93215326],
+            [0.00011959355, 1.75044072, 984.60033162], [0.00012896507, 2.62154018, 111.4301615], [0.00011852996, 0.99342815, 52.69019804],
+            [0.00009111446, 4.996386, 62.2514256], [0.0000842055, 5.25350717, 222.86032299], [0.00007449125, 0.79491906, 351.81659231],
+            [0.00008402147, 5.03877516, 415.55249061], [0.0000604637, 5.67960948, 78.71375183], [0.00005524133, 3.11499484, 9.56122756],
+            [0.00007329454, 3.97277528, 183.24281465], [0.00005444878, 5.10575635, 145.10977901], [0.00005238103, 2.62960142, 33.67961751],
+            [0.00004079167, 3.22064789, 340.77089204], [0.00003801606, 6.10985559, 184.72728736], [0.00003919476, 4.25015289, 39.61750835],
+            [0.00002940492, 2.1463746, 137.03302416], [0.00003781219, 3.45840273, 456.39383924], [0.00002942239, 0.42393809, 299.12639427],
+            [0.00003686787, 2.48718117, 453.42489382], [0.00003101743, 4.14031064, 219.89137758], [0.00002962641, 0.82977992, 56.6223513],
+            [0.00002937799, 3.67657451, 140.00196958], [0.00002865128, 0.30996904, 12.53017297], [0.00002538032, 4.85457832, 131.40394987],
+            [0.0000196251, 5.24342224, 84.34282612], [0.0000236355, 0.44253328, 554.06998748], [0.00001979394, 6.12836182, 106.97674337],
+            [0.00002182572, 2.94040432, 305.34616939], [0.00001962974, 0.04114739, 221.37585029], [0.0000182956, 4.01105772, 68.84370773],
+            [0.0000164292, 0.35564103, 67.66805157], [0.0000158485, 3.16267172, 225.82926841], [0.00001848655, 2.91111759, 909.81873305],
+            [0.0000163243, 4.23061793, 22.09140053], [0.0000140139, 1.39084024, 265.98929348], [0.00001403717, 5.63563638, 4.45341812],
+            [0.00001655866, 1.96431297, 79.23501669], [0.00001248978, 5.44027381, 54.17467075], [0.00001563447, 1.47917836, 112.91463421],
+            [0.00001248054, 4.88984354, 479.28838892], [0.00001197439, 2.52185745, 145.63104387], [0.00001506952, 5.24186186, 181.75834194],
+            [0.00001481746, 5.66203047, 152.53214255], [0.00001438838, 1.53046288, 447.79581953], [0.00001408514, 4.4192175, 462.02291353],
+            [0.00001477112, 4.32214691, 256.53994051], [0.00001228314, 5.97703331, 59.80374504], [0.00001249958, 6.24484546, 160.6088974],
+            [0.00000906468, 5.62025869, 74.66972398], [0.00001090681, 4.15393814, 77.96299231], [0.00000844931, 0.12943399, 82.85835341],
+            [0.00000900363, 2.37315926, 74.89347315], [0.00001071957, 1.74286714, 528.20649239], [0.00000689708, 3.0809706, 69.3649726],
+            [0.00000593798, 4.50074517, 8.07675485], [0.00000718559, 4.00047509, 128.95626932], [0.00000699574, 0.03987168, 143.6253063],
+            [0.00000575656, 5.89552673, 66.70484372], [0.00000759004, 2.13700057, 692.58748435], [0.00000710449, 5.41605755, 218.40690487],
+            [0.00000548672, 5.62811497, 3.18139374], [0.00000651632, 4.42340062, 18.15924726], [0.00000539825, 6.20788667, 71.60020483],
+            [0.00000544539, 5.69375108, 203.73786788], [0.00000710276, 4.2196726, 381.61224067], [0.00000593819, 3.83805799, 32.1951448],
+            [0.00000710134, 4.48972172, 293.18850344], [0.00000705482, 0.45521178, 835.03713449], [0.00000588, 5.08252923, 186.21176006],
+            [0.00000598231, 0.35815291, 269.92144674], [0.00000641914, 2.71127457, 87.31177154], [0.00000495621, 2.65094756, 200.76892247],
+            [0.00000630252, 4.46146215, 275.55052103], [0.00000575195, 5.5786248, 2.44768055], [0.0000056987, 1.63930933, 77.22927912],
+            [0.00000556672, 1.07231961, 1059.38193019], [0.00000449439, 0.27981734, 617.80588579], [0.00000463608, 1.43448298, 297.64192156],
+            [0.00000436547, 0.52802035, 209.36694217], [0.00000463938, 2.35443114, 211.81462273], [0.00000435943, 2.10077211, 1514.29129672],
+            [0.00000515534, 3.23274579, 284.14854074], [0.00000454879, 4.0836421, 99.16062096], [0.0000047743, 2.89397218, 39.35687592],
+            [0.00000542331, 5.39481705, 278.51946645], [0.00000410087, 3.0496886, 404.50679035], [0.00000367848, 0.71159607, 125.9873239],
+            [0.00000503096, 5.83931252, 191.20769491], [0.00000487532, 0.06402455, 60.76695289], [0.00000455043, 2.59321187, 490.33408918],
+            [0.00000436291, 2.08183814, 51.20572533], [0.00000435803, 2.79445203, 75.74480641], [0.00000323546, 4.82899981, 195.13984817],
+            [0.00000359363, 0.00868012, 35.42472265], [0.00000429314, 3.0803155, 41.10198105], [0.00000320021, 5.48625498, 14.97785353],
+            [0.00000414331, 0.090128, 258.02441321], [0.00000379715, 0.05832815, 378.64329525], [0.00000420062, 2.25393983, 81.00137369],
+            [0.00000357721, 4.71414306, 173.94221952], [0.00000358922, 0.35213228, 426.59819088], [0.0000040541, 6.12263258, 24.37902239],
+            [0.00000365158, 5.59483211, 255.0554678], [0.00000308102, 3.92355394, 116.42609634], [0.0000032566, 4.71996698, 134.58534361],
+            [0.00000292781, 3.99521195, 72.33391801], [0.00000386543, 0.68619007, 230.56457083], [0.00000305686, 3.76108784, 344.70304531],
+            [0.00000286972, 1.84990335, 153.4953504], [0.0000035364, 4.65717995, 329.83706637], [0.00000302051, 0.13190004, 565.11568775],
+            [0.00000241128, 1.60454142, 81.37388071], [0.00000249829, 4.24205256, 75.30286343], [0.00000245063, 5.94905404, 20.60692782],
+            [0.00000248277, 1.06282887, 105.49227066], [0.00000305353, 2.55534745, 6208.29425142], [0.00000296328, 4.21100245, 1364.72809958],
+            [0.00000219938, 2.96119056, 120.35824961], [0.00000233564, 2.9707441, 46.20979049], [0.00000262422, 3.83652251, 831.10498122],
+            [0.00000233546, 4.48117006, 628.85158605], [0.00000187432, 3.0352919, 135.54855145], [0.00000216776, 3.42907415, 241.61027109],
+            [0.0000025576, 1.16707893, 177.87437279], [0.00000220458, 0.19633492, 180.27386923], [0.00000224519, 0.40677778, 114.39910691],
+            [0.00000205398, 2.30380943, 259.50888592], [0.00000211106, 4.93079982, 103.09277422], [0.00000175758, 5.50822822, 7.113547],
+            [0.00000188512, 2.23588941, 5.41662597], [0.00000171718, 5.21730232, 41.64449778], [0.00000176136, 1.9595832, 756.32338266],
+            [0.00000170447, 4.94978757, 206.18554844], [0.00000169454, 4.04319824, 55.65914346], [0.00000219015, 0.24790282, 294.67297614],
+            [0.00000187768, 2.04538775, 408.43894361], [0.00000182258, 0.70728384, 391.17346822], [0.00000192095, 5.76718231, 291.70403073],
+            [0.00000153684, 4.70659407, 543.02428722], [0.00000170043, 4.50995821, 288.08069401], [0.00000164097, 5.2252754, 67.35923503],
+            [0.00000194341, 6.11690365, 414.0680179], [0.00000168027, 5.25810639, 518.64526483], [0.00000156641, 0.66304837, 220.41264244],
+            [0.0000018233, 0.78383857, 417.03696332], [0.00000167462, 4.92241598, 422.66603761], [0.0000017077, 2.30927163, 98.89998852],
+            [0.00000161678, 3.27259601, 443.86366626], [0.00000132763, 2.88875442, 373.90799284], [0.0000016114, 3.82341391, 451.94042111],
+            [0.00000179292, 4.82405681, 366.4856293], [0.00000178153, 3.98026039, 10138.50394764], [0.00000141929, 1.26972582, 159.12442469],
+            [0.0000015375, 4.27847681, 45.57665104], [0.00000161513, 4.99545009, 73.81839072], [0.00000146315, 2.65664902, 465.95506679],
+            [0.00000124875, 4.30470899, 339.28641934], [0.0000015462, 4.32046228, 760.25553592], [0.00000142894, 2.07773752, 457.87831194],
+            [0.00000152408, 4.64742447, 155.78297226], [0.00000116389, 4.43513731, 5.93789083], [0.00000113444, 4.65351596, 80.19822454],
+            [0.00000107611, 3.7729042, 142.44965013], [0.0000013374, 5.30894739, 14.01464568], [0.00000116104, 2.51182726, 296.15744885],
+            [0.00000129106, 0.36277718, 96.8729991], [0.00000122766, 2.38341351, 141.48644229], [0.00000101368, 1.05739625, 92.30770639],
+            [0.00000114669, 6.24863528, 767.36908292], [0.00000113283, 0.83051319, 100.38446123], [0.00000107199, 2.39365512, 347.88443905],
+            [0.00000095443, 0.8009458, 342.25536475], [0.00000110789, 0.38651052, 216.92243216], [0.00000126978, 0.42359358, 331.32153907],
+            [0.00000112635, 0.08107815, 558.00214075], [0.00000103166, 0.69792283, 358.93013931], [0.00000111474, 0.75023459, 80.7194894],
+            [0.00000090902, 5.16530482, 144.14657116], [0.00000090677, 0.22036477, 333.65734504], [0.00000098568, 4.33164222, 74.52096614],
+            [0.00000089306, 2.18851162, 74.82978268], [0.00000117216, 3.94965785, 74.26033371], [0.00000089088, 5.87783179, 74.73341446],
+            [0.00000097316, 0.69429695, 977.48678462], [0.00000116587, 1.83677032, 1289.94650101], [0.00000085449, 5.80255966, 6.59228214],
+            [0.00000086823, 5.61973473, 300.61086698], [0.00000105226, 5.94513615, 328.35259366], [0.00000112117, 1.2116809, 329.72519178],
+            [0.00000082982, 2.20797412, 74.94165726], [0.00000094345, 4.53937999, 28.57180808], [0.00000106847, 1.82071329, 306.8306421],
+            [0.00000103572, 2.99368275, 6.21977512], [0.00000106357, 0.81583875, 1087.69310584], [0.00000077728, 2.73390124, 110.20632122],
+            [0.00000098405, 3.73478183, 75.042231], [0.00000086231, 2.83316881, 983.11585891], [0.00000089023, 4.73754459, 604.47256366],
+            [0.00000083013, 1.88273536, 387.24131496], [0.00000090227, 3.80367275, 986.08480433], [0.00000084598, 1.25774133, 142.14083359],
+            [0.0000007469, 1.35097483, 350.3321196], [0.0000009577, 5.54845505, 969.62247809], [0.00000090277, 0.36773711, 0.96320785],
+            [0.00000082748, 5.85590526, 74.62153987], [0.00000075828, 2.78019216, 88.11492069], [0.0000008385, 1.84386359, 227.31374112],
+            [0.00000070705, 4.65567024, 44.72531778], [0.00000071322, 3.64963907, 894.84087953], [0.00000094141, 4.98819202, 403.13419222],
+            [0.00000088966, 4.43895583, 154.01661526], [0.00000079436, 5.66662614, 267.47376619], [0.00000075615, 5.40971073, 50.40257618],
+            [0.00000068583, 4.76679841, 991.71387862], [0.00000065256, 0.6928637, 152.74459087], [0.00000063031, 2.89946568, 79.889408],
+            [0.00000063878, 0.09820555, 681.54178409], [0.00000080101, 2.97520562, 526.72201968], [0.00000069693, 3.9528116, 187.69623277],
+            [0.00000059492, 3.59642352, 58.10682401], [0.00000059273, 0.50930692, 28.31117565], [0.0000006859, 2.41880312, 235.39049597],
+            [0.00000066007, 5.04558399, 30.7106721], [0.00000070223, 3.73647415, 546.95644048], [0.00000066836, 0.85506033, 522.57741809],
+            [0.00000063027, 0.29269109, 119.50691634], [0.00000062023, 2.3155751, 74.03083904], [0.00000071379, 3.16967571, 23.57587324],
+            [0.00000074827, 5.36812538, 373.01422096], [0.00000064204, 2.36817149, 157.63995198], [0.00000070712, 0.55830476, 92.94084583],
+            [0.00000055762, 5.27011036, 874.3940104], [0.00000075638, 4.66344128, 101.86893394], [0.00000073727, 6.20581666, 312.45971639],
+            [0.0000007294, 0.58406608, 367.970102], [0.0000005323, 2.24728743, 17.52610782], [0.00000063139, 4.59563922, 67.88049989],
+            [0.0000006055, 0.57591316, 253.57099509], [0.00000052946, 2.45947018, 264.50482077], [0.00000070236, 1.51860943, 552.58551477],
+            [0.00000068624, 2.4450778, 555.55446019], [0.00000062796, 0.33786296, 561.18353448], [0.00000064636, 5.27469971, 68.18931643],
+            [0.00000062957, 5.35891188, 92.04707395], [0.00000065279, 4.2362951, 771.30123618], [0.0000006519, 3.73942855, 536.8045121],
+            [0.00000059452, 6.1055426, 365.00115659], [0.00000052153, 1.71734605, 905.88657979], [0.00000062115, 2.67544358, 130.44074202],
+            [0.00000053909, 2.86457147, 353.30106502], [0.00000051904, 2.9777332, 383.09671338], [0.00000050126, 4.76412907, 911.30320576],
+            [0.00000050884, 5.15513957, 439.78275515], [0.00000050298, 5.81603436, 66.91729204]
+        ],
+        [
+            [0.0147989637, 3.67205705, 74.78159857], [0.00071212085, 6.22601007, 63.7358983], [0.00068626972, 6.13411265, 149.56319713],
+            [0.00020857262, 5.24625494, 11.04570026], [0.00021468152, 2.60176704, 76.26607128], [0.00024059649, 3.14159265, 0],
+            [0.00011405346, 0.01848462, 70.8494453], [0.00007496775, 0.42360033, 73.29712586], [0.000042438, 1.4169235, 85.82729883],
+            [0.00003505936, 2.58354049, 138.51749687], [0.00003228835, 5.25499603, 3.93215326], [0.00003926694, 3.15513991, 71.81265315],
+            [0.0000306001, 0.15321893, 1.48447271], [0.00003578446, 2.31160668, 224.3447957], [0.00002564251, 0.98076846, 148.07872443],
+            [0.00002429445, 3.99440122, 52.69019804], [0.00001644719, 2.65349313, 127.47179661], [0.00001583766, 1.43045619, 78.71375183],
+            [0.00001413112, 4.57461892, 202.25339517], [0.00001489525, 2.67559167, 56.6223513], [0.00001403237, 1.3698535, 77.75054398],
+            [0.0000122822, 1.0470364, 62.2514256], [0.00001508028, 5.05996325, 151.04766984], [0.00000992085, 2.17168866, 65.22037101],
+            [0.00001032731, 0.26459059, 131.40394987], [0.00000861867, 5.05530802, 351.81659231], [0.00000744445, 3.07640149, 35.16409022],
+            [0.00000604362, 0.90717668, 984.60033162], [0.00000646851, 4.47290423, 70.32818044], [0.0000057471, 3.23070708, 447.79581953],
+            [0.0000068747, 2.49912566, 77.96299231], [0.00000623602, 0.86253074, 9.56122756], [0.00000527794, 5.15136007, 2.96894542],
+            [0.00000561839, 2.71778159, 462.02291353], [0.00000530364, 5.91655309, 213.29909544], [0.0000046008, 4.22302466, 12.53017297],
+            [0.0000049428, 0.46291078, 145.63104387], [0.00000487336, 0.70614146, 380.12776796], [0.00000380908, 3.85089592, 3.18139374],
+            [0.00000444352, 2.15558291, 67.66805157], [0.000003388, 2.53820898, 18.15924726], [0.00000372947, 5.05141252, 529.69096509],
+            [0.00000348345, 1.74874852, 71.60020483], [0.00000405881, 1.22961728, 22.09140053], [0.00000268913, 6.24069522, 340.77089204],
+            [0.00000255585, 2.95695014, 84.34282612], [0.00000259465, 3.92053709, 59.80374504], [0.00000254591, 3.50411593, 38.13303564],
+            [0.00000272355, 3.38363105, 222.86032299]
+        ],
+        [
+            [0.00022439904, 0.69953119, 74.78159857], [0.00004727037, 1.69901641, 63.7358983], [0.00001681903, 4.64833552, 70.8494453],
+            [0.00001433755, 3.52119918, 149.56319713], [0.00001649559, 3.09660079, 11.04570026]
+        ]
+    ]
+};
+
+// Neptune
+EphemerisData.vsop87.neptune = {
+    L: [
+        [
+            [5.31188633047, 0, 0], [0.01798475509, 2.90101273, 38.13303564], [0.01019727662, 0.48580924, 1.48447271],
+            [0.00124531845, 4.83008091, 36.64856293], [0.0004206445, 5.41054992, 2.96894542], [0.00037714589, 6.09221835, 35.16409022],
+            [0.00033784734, 1.24488866, 76.26607128], [0.00016482741, 0.00007729, 491.55792946], [0.00009198582, 4.9374706, 39.61750835],
+            [0.00008994249, 0.27462143, 175.1660598], [0.00004216235, 1.98711914, 73.29712586], [0.00003364818, 1.03590122, 33.67961751],
+            [0.000022848, 4.20606933, 4.45341812], [0.00001433512, 2.78340433, 74.78159857], [0.0000090024, 2.07606702, 109.94568879],
+            [0.00000744996, 3.1903253, 71.81265315], [0.00000506206, 5.7478537, 114.39910691], [0.00000399552, 0.34972343, 1021.24889455],
+            [0.00000345195, 3.4618621, 41.10198105], [0.00000306338, 0.4968404, 0.52126486], [0.00000287322, 4.50523446, 0.04818411],
+            [0.00000323004, 2.24815189, 32.1951448], [0.00000340323, 3.303699, 77.75054398], [0.00000266605, 4.88932609, 0.96320785],
+            [0.00000227079, 1.79713055, 453.42489382], [0.00000244722, 1.24693338, 9.56122756], [0.00000232887, 2.50459795, 137.03302416],
+            [0.0000028217, 2.2456558, 146.59425172], [0.00000251941, 5.78166597, 388.46515524], [0.0000015018, 2.9970611, 5.93789083],
+            [0.00000170404, 3.32390631, 108.46121608], [0.00000151401, 2.19153094, 33.94024994], [0.00000148295, 0.85948986, 111.4301615],
+            [0.00000118672, 3.67706204, 2.44768055], [0.00000101821, 5.70539237, 0.11187458], [0.00000097873, 2.80518261, 8.07675485],
+            [0.00000103054, 4.40441222, 70.32818044], [0.00000103305, 0.04078967, 0.26063243], [0.000001093, 2.41599378, 183.24281465],
+            [0.00000073938, 1.32805042, 529.69096509], [0.00000077725, 4.16446516, 4.19278569], [0.00000086379, 4.22834506, 490.07345675],
+            [0.00000081536, 5.19908046, 493.04240217], [0.00000071503, 5.29530387, 350.3321196], [0.00000064418, 3.54541016, 168.0525128],
+            [0.0000006257, 0.15028731, 182.2796068], [0.00000058488, 3.50106874, 145.10977901]
+        ],
+        [
+            [38.37687716731, 0, 0], [0.00016604187, 4.8631913, 1.48447271], [0.00015807148, 2.27923489, 38.13303564],
+            [0.00003334701, 3.68199676, 76.26607128], [0.0000130584, 3.67320813, 2.96894542], [0.00000604832, 1.50477748, 35.16409022]
+        ],
+        [
+            [0.00053892649, 0, 0]
+        ]
+    ],
+    B: [
+        [
+            [0.03088622933, 1.44104373, 38.13303564], [0.00027780087, 5.91271883, 76.26607128], [0.00027623609, 0, 0],
+            [0.0001535549, 2.52123799, 36.64856293], [0.00015448133, 3.50877081, 39.61750835], [0.00001999919, 1.5099867, 74.78159857],
+            [0.0000196754, 4.37778196, 1.48447271], [0.00001015137, 3.21561036, 35.16409022], [0.00000605767, 2.80246601, 73.29712586],
+            [0.00000594878, 2.12892708, 41.10198105], [0.00000588805, 3.18655882, 2.96894542], [0.0000040183, 4.16883287, 114.39910691],
+            [0.00000254333, 3.27120499, 453.42489382], [0.00000261647, 3.76722705, 213.29909544], [0.00000279964, 1.6816531, 77.75054398],
+            [0.0000020559, 4.25652349, 529.69096509], [0.00000140455, 3.52969556, 137.03302416], [0.0000009853, 4.1677483, 33.67961751],
+            [0.00000051257, 1.95121181, 4.45341812], [0.00000067971, 4.66970782, 71.81265315]
+        ],
+        [
+            [0.00227279214, 3.8079309, 38.13303564], [0.0000180312, 1.97576485, 76.26607128], [0.00001385733, 4.82555548, 36.64856293],
+            [0.000014333, 3.14159265, 0], [0.00001073298, 6.08054241, 39.61750835]
+        ],
+        [
+            [0.00009690766, 5.5712375, 38.13303564]
+        ]
+    ],
+    R: [
+        [
+            [30.07013206102, 0, 0], [0.2706225949, 1.32999459, 38.13303564], [0.01691764281, 3.25186139, 36.64856293],
+            [0.00807830737, 5.18592836, 1.48447271], [0.00537760613, 4.52113903, 35.16409022], [0.00495725642, 1.57105655, 491.55792946],
+            [0.0027457197, 1.84552257, 175.1660598], [0.00135134095, 3.37220607, 39.61750835], [0.00121801825, 5.79754444, 76.26607128],
+            [0.00100895397, 0.37702749, 73.29712586], [0.00069791722, 3.79617227, 2.96894542], [0.00046687838, 5.7493781, 33.67961751],
+            [0.00024593778, 0.50801728, 109.94568879], [0.00016939242, 1.59422167, 71.81265315], [0.00014229686, 1.07786113, 74.78159857],
+            [0.00012011825, 1.92062132, 1021.24889455], [0.00008394731, 0.67816896, 146.59425172], [0.000075718, 1.07149263, 388.46515524],
+            [0.00005720852, 2.59059512, 4.45341812], [0.00004839672, 1.90685991, 41.10198105], [0.00004483492, 2.90573458, 529.69096509],
+            [0.00004270202, 3.41343866, 453.42489382], [0.0000435379, 0.67985662, 32.1951448], [0.00004420804, 1.74993797, 108.46121608],
+            [0.00002881063, 1.98600105, 137.03302416], [0.00002635535, 3.09755943, 213.29909544], [0.0000338093, 0.84810683, 183.24281465],
+            [0.00002878942, 3.67415902, 350.3321196], [0.00002306293, 2.80962936, 70.32818044], [0.00002530149, 5.79839567, 490.07345675],
+            [0.00002523132, 0.486308, 493.04240217], [0.00002087303, 0.61858378, 33.94024994], [0.00001976522, 5.11703045, 168.0525128],
+            [0.00001905254, 1.72186472, 182.2796068], [0.00001654039, 1.92782546, 145.10977901], [0.00001435072, 1.70005158, 484.44438246],
+            [0.00001403029, 4.58914203, 498.67147646], [0.00001499193, 1.016233, 219.89137758], [0.0000139886, 0.76220318, 176.65053251],
+            [0.00001403377, 6.07659417, 173.68158709], [0.0000112856, 5.9666118, 9.56122756], [0.00001228304, 1.59881465, 77.75054398],
+            [0.00000835414, 3.97066884, 114.39910691], [0.00000811186, 3.00258881, 46.20979049], [0.00000731925, 2.10447054, 181.75834194],
+            [0.00000615781, 2.97874626, 106.97674337], [0.00000704778, 1.18738211, 256.53994051], [0.0000050204, 1.38657803, 5.93789083],
+            [0.00000530357, 4.24059166, 111.4301615], [0.00000437096, 2.27029213, 1550.93985965], [0.0000040025, 1.25609325, 8.07675485],
+            [0.00000421011, 1.8908493, 30.7106721], [0.00000382457, 3.2996526, 983.11585891], [0.00000422485, 5.5318617, 525.4981794],
+            [0.00000355389, 2.27847847, 218.40690487], [0.00000280062, 1.54129714, 98.89998852], [0.00000314499, 3.95932949, 381.35160824],
+            [0.00000280556, 4.54238272, 44.72531778], [0.00000267738, 5.13323364, 112.91463421], [0.00000333311, 5.75067616, 39.09624348],
+            [0.00000291625, 4.02398326, 68.84370773], [0.00000321429, 1.50625026, 454.90936653], [0.00000309196, 2.85452752, 72.07328558],
+            [0.00000345094, 1.35905861, 293.18850344], [0.00000307439, 0.31964571, 601.76425068], [0.00000251356, 3.53992783, 312.19908396],
+            [0.00000248152, 3.41078347, 37.61177078], [0.00000306, 2.72475094, 6244.94281435], [0.00000293532, 4.89079858, 528.20649239],
+            [0.00000234479, 0.59231043, 42.58645376], [0.00000239628, 3.16441455, 143.6253063], [0.00000214523, 3.62480283, 278.25883402],
+            [0.00000246198, 1.01506302, 141.22580986], [0.00000174089, 5.5501179, 567.82400073], [0.00000163934, 2.10166492, 2.44768055],
+            [0.00000162897, 2.48946522, 4.19278569], [0.00000193455, 1.58425288, 138.51749687], [0.00000155323, 3.28425128, 31.01948864],
+            [0.00000182469, 2.45244891, 255.0554678], [0.00000177846, 4.14773475, 10175.15251057], [0.00000174413, 1.53043, 329.83706637],
+            [0.00000137649, 3.34900538, 0.96320785], [0.00000161011, 5.16655038, 211.81462273], [0.00000113473, 4.96286008, 148.07872443],
+            [0.00000128823, 3.25521535, 24.11838996], [0.00000107363, 3.26457702, 1059.38193019], [0.00000122732, 5.39399537, 62.2514256],
+            [0.00000120529, 3.08050146, 184.72728736], [0.00000099356, 1.92888554, 28.57180808], [0.00000097713, 2.59474415, 6.59228214],
+            [0.00000124095, 3.1151675, 221.37585029], [0.00000124693, 2.97042405, 251.43213108], [0.00000114252, 0.25039919, 594.65070368],
+            [0.00000111006, 3.34276427, 180.27386923], [0.00000120939, 1.92914011, 25.60286267], [0.00000104667, 0.94883562, 395.57870224],
+            [0.00000109779, 5.43147521, 494.52687487], [0.00000096919, 0.86184761, 1014.13534755], [0.00000098685, 0.89577953, 488.58898404],
+            [0.00000088968, 4.78109765, 144.14657116], [0.00000107888, 0.98700578, 1124.34166877], [0.00000097067, 2.626674, 291.70403073],
+            [0.00000075131, 5.88936525, 43.24084507], [0.00000093718, 6.09873565, 526.72201968], [0.00000094822, 0.20662944, 456.39383924],
+            [0.00000070036, 2.39683346, 426.59819088], [0.00000077187, 4.21076753, 105.49227066], [0.00000089874, 3.2510075, 258.02441321],
+            [0.00000069133, 4.93031154, 1028.36244155], [0.00000090657, 1.69466971, 366.4856293], [0.00000074242, 3.14479101, 82.85835341],
+            [0.00000057995, 0.86159786, 60.76695289], [0.00000078695, 1.09307576, 700.6642392], [0.0000005723, 0.81331949, 2.92076131],
+            [0.00000063443, 4.39590123, 149.56319713], [0.00000055698, 3.8904725, 47.69426319], [0.0000005643, 5.15003563, 0.52126486],
+            [0.00000056174, 5.42986961, 911.04257333], [0.00000061746, 6.16453668, 1019.76442184], [0.00000070503, 0.08077331, 40.58071619],
+            [0.00000074677, 4.859045, 186.21176006], [0.00000061861, 4.787026, 11.04570026], [0.00000061135, 0.83712253, 1022.73336726],
+            [0.00000061268, 5.70228827, 178.13500522], [0.00000052887, 0.37458944, 27.08733537], [0.00000056722, 3.52318112, 216.92243216],
+            [0.0000006329, 4.3942491, 807.94979911], [0.00000064062, 6.28297532, 7.113547], [0.0000006054, 3.40316162, 294.67297614],
+            [0.00000056766, 0.45048868, 140.00196958], [0.00000055887, 1.06815734, 172.19711438], [0.00000053761, 2.79644687, 328.35259366],
+            [0.0000005396, 2.91774494, 563.63121504], [0.00000051508, 0.09105541, 210.33015002]
+        ],
+        [
+            [0.00236338502, 0.70498011, 38.13303564], [0.00013220279, 3.320155, 1.48447271], [0.00008621863, 6.21628952, 35.16409022],
+            [0.0000270174, 1.88140667, 39.61750835], [0.0000215315, 5.16873841, 76.26607128], [0.00002154735, 2.09431198, 2.96894542],
+            [0.00001463924, 1.18417031, 33.67961751], [0.00001603165, 0, 0], [0.00001135773, 3.918912, 36.64856293],
+            [0.0000089765, 5.24122934, 388.46515524], [0.00000789908, 0.53315485, 168.0525128], [0.0000076003, 0.02051034, 182.2796068],
+            [0.00000607183, 1.077065, 1021.24889455], [0.00000571622, 3.40060785, 484.44438246], [0.0000056079, 2.88685816, 498.67147646],
+            [0.0000049019, 3.46830929, 137.03302416], [0.00000264093, 0.86220058, 4.45341812], [0.00000270526, 3.27355868, 71.81265315]
+        ],
+        [
+            [0.00004247412, 5.89910679, 38.13303564]
+        ]
+    ]
+};
+
+// Moon: longitude and distance terms (table 47.A)
+EphemerisData.moon.longitudeDistance = [
+        [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+        [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+        [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+        [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+        [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+        [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+        [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+        [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+        [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+        [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+        [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+        [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+        [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650],
+        [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+        [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+        [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884],
+        [0, 1, 2, 0, -2120, 5751], [0, 2, 0, 0, -2069, 0],
+        [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+        [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958],
+        [0, 0, 2, 2, -1110, 0], [3, 0, -1, 0, -892, 3258],
+        [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+        [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354],
+        [2, 1, -2, 0, 691, 0], [2, -1, 0, -2, 596, 0],
+        [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+        [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739],
+        [2, 1, 0, -2, -399, 0], [0, 0, 2, -2, -381, -4421],
+        [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+        [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0],
+        [0, 2, 1, 0, -323, 1165], [1, 1, -1, 0, 299, 0],
+        [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+];
+
+// Moon: latitude terms (table 47.B)
+EphemerisData.moon.latitude = [
+        [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602],
+        [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+        [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+        [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+        [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822],
+        [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+        [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359],
+        [2, -1, -1, 1, 2463], [2, -1, 0, 1, 2211],
+        [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+        [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794],
+        [0, 0, 0, 3, -1749], [0, 1, -1, 1, -1565],
+        [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+        [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344],
+        [1, 0, 0, -1, -1335], [0, 0, 3, 1, 1107],
+        [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833],
+        [0, 0, 1, -3, 777], [4, 0, -2, 1, 671],
+        [2, 0, 0, -3, 607], [2, 0, 2, -1, 596],
+        [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+        [0, 0, 3, -1, 439], [2, 0, 2, 1, 422],
+        [2, 0, -3, -1, 421], [2, 1, -1, 1, -366],
+        [2, 1, 0, 1, -351], [4, 0, 0, 1, 331],
+        [2, -1, 1, 1, 315], [2, -2, 0, -1, 302],
+        [0, 0, 1, 3, -283], [2, 1, 1, -1, -229],
+        [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+        [0, 1, -2, -1, -220], [2, 1, -1, -1, -220],
+        [1, 0, 1, 1, -185], [2, -1, -2, -1, 181],
+        [0, 1, 2, 1, -177], [4, 0, -2, -1, 176],
+        [4, -1, -1, -1, 166], [1, 0, 1, -1, -164],
+        [4, 0, 1, -1, 132], [1, 0, -1, -1, -119],
+        [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+];
+
+// Pluto: Chebyshev segments starting at JD 2378496.5 (1800 Jan 1), each 7305 days long
+EphemerisData.pluto.chebyshev = {
+    start: 2378496.5,
+    span: 7305,
+    segments: [
+        [
+            [40.3445162, 3.51558783, -0.499162301, 0.00572780958, 0.00366907421, -0.00135489491, -0.00140248691, 0.000355772537, 0.000287069579, -0.0000765680094, -0.000084568791],
+            [-8.70071054, 8.13406327, 0.112859601, -0.0219214897, 0.00230172296, 0.00253073949, -0.000750514929, -0.000644558527, 0.000173914658, 0.000119493984, -0.0000671217727],
+            [-10.7363258, -1.88709896, 0.13281382, 0.000648519837, -0.000221733649, 0.0000280486563, 0.0000340801512, -0.00000552411771, -0.00000718217457, 0.0000013498919, 0.00000215424986]
+        ],
+        [
+            [43.5862371, -0.213182336, -0.424674226, 0.00442123834, 0.00022402635, 0.00290480623, -0.000168993506, -0.000708749358, -0.0000474602982, 0.000085418528, 0.0000824896883],
+            [7.82350711, 8.22792253, -0.0772275548, -0.0118861539, -0.00344948499, 0.00027149503, 0.0016024271, -0.0000398254723, -0.000257479542, -0.0000558224991, 0.0000206923878],
+            [-13.4430781, -0.821031126, 0.13126893, -0.000628114505, -0.0000287185985, -0.0000627151346, -0.00000292598829, 0.0000160304647, 0.00000224012029, -0.00000158375345, -0.00000206948515]
+        ],
+        [
+            [40.0240045, -3.28656214, -0.345965438, 0.00799827233, -0.003539795, -0.00092671106, 0.00155316588, 0.000193956424, -0.000205292765, 0.0000298351666, -0.0000300302567],
+            [23.265878, 7.11594528, -0.199430374, -0.00681668003, 0.00136906009, -0.00280490028, -0.000509475378, 0.000661463787, 0.0000259637762, -0.0000383819312, 0.0000561656691],
+            [-14.066281, 0.189059562, 0.120708636, -0.00108390203, 0.0000531543068, 0.0000313298614, -0.0000326229791, -0.00000686707565, 0.00000451564068, -6.51184777e-7, 4.43226445e-7]
+        ],
+        [
+            [30.9700513, -5.68923827, -0.257091385, 0.00905928899, 0.00262300669, -0.00214274797, -0.00105106656, 0.000562938275, 0.000180011888, -0.000123069921, -0.0000271285475],
+            [35.5749689, 5.11644108, -0.294030541, -0.00946983315, 0.00282910246, 0.00191473417, -0.00119810696, -0.000466849248, 0.000273120985, 0.0000650809653, -0.000103643259],
+            [-12.766591, 1.09845037, 0.106231611, -0.00135723275, -0.0000882011291, 0.0000392147421, 0.0000284046062, -0.0000107441498, -0.00000524097758, 0.00000261389158, 0.00000109394495]
+        ],
+        [
+            [17.8193406, -7.37804366, -0.15652789, 0.0070707696, 0.00172567889, 0.00260060813, -0.000723408953, -0.000653955496, 0.0000580748565, 0.000121728707, 0.0000550983195],
+            [43.1584941, 2.38436288, -0.387664626, -0.00801203678, -0.00341989774, 0.00129593618, 0.00142750997, -0.000294471662, -0.000282270936, -0.00001018872, 0.000076949641],
+            [-9.7754296, 1.87693827, 0.0872042954, -0.00187542526, -0.0000718793076, -0.0000646106094, 0.00000998911131, 0.0000157737375, -1.15069404e-7, -0.00000263764104, -0.0000015572292]
+        ],
+        [
+            [2.20653377, -8.1289981, -0.0243529504, 0.0141661972, -0.00332778485, 0.000168747148, 0.00163574614, -0.0000474470094, -0.000193907814, 0.0000147526487, -0.0000582656834],
+            [44.5643774, -1.05000069, -0.475648408, -0.00494065009, -0.0000668837431, -0.0029358957, 0.0000910577176, 0.000684051973, -0.0000252950588, -0.0000166368638, 0.0000112169211],
+            [-5.40978661, 2.46397146, 0.0572700187, -0.00329164671, -0.0000470763644, 0.00000248965626, -0.0000370386987, -0.00000159186719, 0.00000453407433, -1.60434285e-7, 0.00000117396862]
+        ],
+        [
+            [-13.5979685, -7.48904581, 0.196099938, 0.0253272166, 0.00211477942, -0.00268346847, -0.000564409564, 0.000690476233, 0.0000462045823, -0.000127520647, 0.0000392110142],
+            [38.410333, -5.15594562, -0.540991005, -0.00427392949, 0.0040475597, 0.00108250886, -0.00149432633, -0.000228649482, 0.000305323362, -0.00000338156578, -0.0000916842794],
+            [-0.179665279, 2.71973302, 0.00142035892, -0.00639560559, -0.000314288624, 0.0000469089657, 0.0000186892967, -0.0000145896554, -0.00000227404254, 0.00000285823538, -4.87931233e-7]
+        ],
+        [
+            [-25.988949, -4.6039412, 0.551560011, 0.0333042436, 0.00315671769, 0.00188377982, -0.00118331043, -0.000511976866, 0.000178212275, 0.000119993833, -0.00000375280787],
+            [23.7885449, -9.43343669, -0.493711245, 0.0140252399, -0.000590181322, 0.00222037769, 0.00107420232, -0.000516509325, -0.000251437896, 0.0000549594145, 0.0000987188877],
+            [4.96966432, 2.34008609, -0.106181871, -0.0117846105, -0.00040478834, -0.0000438106401, 0.0000236593014, 0.0000139695322, -0.00000272435618, -0.00000288522217, -5.03061603e-7]
+        ],
+        [
+            [-29.4821998, 1.42873264, 0.931438516, 0.0189441827, -0.00659966757, 0.00093913954, 0.00149028776, -0.000277315662, -0.000182382888, 0.00000105071035, -0.0000461029521],
+            [2.06101748, -11.9304985, -0.0559388939, 0.062274024, 0.00137528115, -0.00281489601, 0.000651552389, 0.00062415361, -0.0000705858713, -0.0000202394256, -0.0000367136195],
+            [8.3063231, 0.863529191, -0.264119749, -0.0121085455, 0.000693429694, 0.0000761865798, -0.0000339089513, 0.00000378444491, 0.00000470608022, -3.15539262e-7, 8.94038823e-7]
+        ],
+        [
+            [-19.2251756, 8.67254117, 0.739874247, -0.0521267112, -0.00396240535, -0.00257847522, 0.0000267873186, 0.000713784671, -0.0000761462818, -0.000100748862, 0.0000821447633],
+            [-19.6703076, -9.10491827, 0.759724233, 0.0564096931, -0.00034820826, -0.000324823526, -0.00157992386, 0.0000370310968, 0.000279162905, -0.0000600887647, -0.0000470722801],
+            [7.66554706, -1.53215129, -0.295242494, 0.00966290768, 0.00157072381, 0.00000546998525, -0.00000327592777, -0.0000152964303, 5.73178373e-7, 0.00000195382085, -0.00000165200573]
+        ],
+        [
+            [1.5878274, 11.4847354, -0.0367604834, -0.0589598365, 0.00612983809, 0.00119429744, -0.00149590884, -0.000288720606, 0.000281419604, 0.0000863181416, -0.0000673368735],
+            [-30.6217237, -1.68472381, 0.960860877, -0.0216265926, -0.00471468926, 0.00293403871, 0.000589886849, -0.000674393018, -0.000163470755, 0.000113508927, 0.0000810833942],
+            [2.81758138, -3.14264407, -0.0916212692, 0.0188491397, -0.000504595333, -0.00010019417, 0.0000369124659, 0.00000955692273, -0.00000577605114, -0.00000258687706, 0.00000136910449]
+        ],
+        [
+            [22.599501, 9.16746374, -0.464749293, -0.0166664117, -0.00071704138, 0.00200000107, 0.00113832699, -0.000479593227, -0.000167000602, -0.00000435530802, -0.0000022518365],
+            [-27.4063409, 4.56809428, 0.570860265, -0.0340550827, -0.00212057783, -0.00198576774, 0.0011578004, 0.000493450818, -0.000119087299, -0.0000439380863, -0.0000652235213],
+            [-3.60388603, -3.14158334, 0.0727198149, 0.00825754137, -0.000542833472, -0.0000170169607, -0.0000294686103, 0.0000087048829, 0.00000436163126, 3.49593061e-7, 1.98418735e-7]
+        ],
+        [
+            [36.9393472, 5.12973465, -0.519373141, 0.00469285181, -0.000857634491, -0.00278038803, 0.000576431237, 0.000651062246, -0.000159621355, -0.0000476936265, 0.0000832129526],
+            [-14.9203191, 7.62592869, 0.215377532, -0.0229819418, 0.00426431768, -0.00105264518, -0.00151386542, 0.000286643609, 0.000208577781, -0.000088755104, 0.0000155945041],
+            [-9.08834845, -2.29821287, 0.127118409, 0.00177083409, -0.000211505052, 0.0000777328771, -0.00000714973934, -0.0000156329101, 0.00000273798537, 0.00000127258385, -0.00000190879032]
+        ],
+        [
+            [43.2057093, 1.19512889, -0.454916317, 0.00626256364, 0.0037908192, 0.0000648740819, -0.00158405041, -0.0000258730125, 0.000335092022, 0.0000188490822, -0.00010613435],
+            [1.25449415, 8.3579074, -0.0112990828, -0.0167726532, 0.000272207614, 0.00283442953, 0.0000353627467, -0.000734113539, -0.0000284007952, 0.000142351328, 0.0000234966726],
+            [-12.6320798, -1.24056129, 0.133482543, -0.000320057332, -0.000144773304, -0.00000921057934, 0.0000348163954, 0.00000375270647, -0.00000747179798, -9.21013147e-7, 0.00000234463133]
+        ],
+        [
+            [42.192009, -2.14774995, -0.376984061, 0.00499980939, -0.00150233405, 0.00268378852, 0.000635942506, -0.000623882896, -0.000136747584, 0.0000232140271, 0.0000487667537],
+            [17.4064701, 7.67066468, -0.156884966, -0.00890533641, -0.00318894713, -0.00115779771, 0.00148786604, 0.000299726109, -0.000178468485, -0.0000658685853, -0.0000500714478],
+            [-14.0666919, -0.200771203, 0.12535829, -0.000915672113, 0.0000218270135, -0.0000531507087, -0.0000201555416, 0.0000125040334, 0.00000375685046, -1.26728533e-7, -8.36047461e-7]
+        ],
+        [
+            [35.163697, -4.81250419, -0.294173714, 0.00873953396, -0.00252310574, -0.00219329963, 0.00108548166, 0.000501084531, -0.000201808947, -0.0000021163434, 0.0000475504279],
+            [31.1615099, 6.00549568, -0.257170655, -0.00636205964, 0.00284204685, -0.00197292092, -0.00121616793, 0.000491749327, 0.000127488866, -0.0000831123829, 0.0000580033595],
+            [-13.5055107, 0.751089972, 0.112335127, -0.00123995119, 0.0000286808689, 0.0000562338597, -0.0000193035745, -0.0000133114536, 0.00000406970278, 5.01566185e-7, -0.00000144045438]
+        ],
+        [
+            [23.4704332, -6.79636692, -0.198410404, 0.00907012493, 0.00364447655, -0.000923153136, -0.0014966798, 0.000246570209, 0.000317018018, -0.0000496282027, -0.000101349398],
+            [40.7991829, 3.55443313, -0.349298914, -0.00958044052, 0.0012106388, 0.00269157616, -0.000523442785, -0.000692435797, 0.000117920388, 0.000136054701, -0.0000431836913],
+            [-11.1546651, 1.58562865, 0.0954857072, -0.00163101512, -0.00011641548, 0.0000074332718, 0.0000354272176, -0.00000249478597, -0.00000762407257, 4.72433059e-7, 0.00000247620361]
+        ],
+        [
+            [8.61745511, -7.96404458, -0.0834299403, 0.00954666947, 0.000131682063, 0.00291208535, 0.0000599264298, -0.000698511446, -0.0000802624626, 0.0000651262233, 0.0000804311135],
+            [44.8375077, 0.402917223, -0.442058389, -0.00730261563, -0.00366382806, -0.0000991909397, 0.00160374275, 0.0000618780228, -0.000234570436, -0.0000669225554, -0.00000532700751],
+            [-7.28962799, 2.25932206, 0.0711594872, -0.00255610912, -0.0000756151697, -0.0000669125431, -0.0000078003098, 0.0000152204148, 0.00000268493915, -0.00000106582415, -0.00000174999021]
+        ],
+        [
+            [-7.44686884, -7.95591043, 0.0931385966, 0.0197058169, -0.00278854375, -0.00132077986, 0.00146093847, 0.000295139321, -0.000209092618, 0.0000274825455, -0.00000802297779],
+            [41.8543618, -3.44765978, -0.52027038, -0.00363743977, 0.00191326652, -0.00262295628, -0.000746515146, 0.000631273573, 0.0000526634504, -0.0000528972212, 0.00006675782],
+            [-2.32287301, 2.67189197, 0.0282527865, -0.00486048655, -0.000136872848, 0.0000325338752, -0.0000296522095, -0.00000933088951, 0.00000442374162, -3.26491571e-7, -7.37800539e-8]
+        ],
+        [
+            [-21.7533762, -6.09665953, 0.3925562, 0.0323969277, 0.00365018525, -0.00183548124, -0.0012234121, 0.000481385826, 0.000230746145, -0.000109264964, -0.0000535710574],
+            [30.6426217, -7.78083329, -0.539158607, 0.00331463886, 0.00366318968, 0.0022848826, -0.00101451917, -0.000553445402, 0.000238205419, 0.0000899909492, -0.0000945022135],
+            [3.01489578, 2.59641606, -0.055269683, -0.00948983478, -0.000435207448, 0.0000259267079, 0.0000322109188, -0.0000083222483, -0.0000062136027, 0.00000217033313, 0.0000016358524]
+        ]
+    ]
+};
+
+// Pluto: [value at J2000, rate per century] for each element
+EphemerisData.pluto.elements = {
+    semiMajorAxis: [39.48211675, -0.00031596],
+    eccentricity: [0.24882730, 0.00005170],
+    inclination: [17.14001206, 0.00004818],
+    meanLongitude: [238.92903833, 145.20780515],
+    longitudeOfPerihelion: [224.06891629, -0.04062942],
+    longitudeOfAscendingNode: [110.30393684, -0.01183482]
+};
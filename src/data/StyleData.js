@@ -0,0 +1,13 @@
+/**
+ * StyleData.js
+ * Auto-generated module containing the theme stylesheet (nocturna-wheel.css)
+ * Generated at: 2026-10-19T19:09:07.400Z
+ *
+ * This file is automatically generated by the build process.
+ * Do not edit manually - changes will be overwritten.
+ */
+
+/**
+ * Theme stylesheet, embedded in exported SVG files
+ */
+export const StyleData = "/**\n * nocturna-wheel.css\n * Default styling for the Nocturna Wheel astrological chart\n */\n\n/* Main container */\n.nocturna-wheel-container {\n    position: relative;\n    width: 100%;\n    height: 100%;\n    min-height: 300px;\n}\n\n/* SVG base */\n.nocturna-wheel-svg {\n    width: 100%;\n    height: 100%;\n    overflow: visible;\n}\n\n/* Zodiac elements */\n.zodiac-element {\n    transition: opacity 0.3s ease;\n}\n\n.chart-outer-circle {\n    fill: transparent;\n    stroke: #666;\n    stroke-width: 1;\n}\n\n.chart-middle-circle {\n    fill: transparent;\n    stroke: #999;\n    stroke-width: 0.5;\n}\n\n.chart-inner-circle {\n    fill: transparent;\n    stroke: #999;\n    stroke-width: 0.5;\n}\n\n.chart-innermost-circle {\n    fill: transparent;\n    stroke: #999;\n    stroke-width: 0.5;\n}\n\n.zodiac-division-line {\n    stroke: #999;\n    stroke-width: 0.75;\n}\n\n/* Cardinal point zodiac lines - ensure they're visible but don't conflict with house axes */\n.zodiac-division-line.aries-point,\n.zodiac-division-line.cancer-point,\n.zodiac-division-line.libra-point,\n.zodiac-division-line.capricorn-point {\n    stroke: #999;\n    stroke-width: 0.75;\n    stroke-dasharray: none;\n    /* Make them render behind the house axes */\n    z-index: -1;\n}\n\n.zodiac-sign {\n    cursor: pointer;\n}\n\n.zodiac-sign:hover {\n    opacity: 0.8;\n}\n\n/* House elements */\n.house-element {\n    transition: opacity 0.3s ease;\n}\n\n.house-division-line {\n    stroke: #999;\n    stroke-width: 0.75;\n}\n\n/* Updated axis styling */\n.house-division-line.axis {\n    stroke: #555;\n    stroke-width: 1px;\n    stroke-dasharray: none;\n}\n\n/* Cardinal point styling for ASC, DSC, IC, MC */\n.house-division-line.asc,\n.house-division-line.dsc,\n.house-division-line.ic,\n.house-division-line.mc {\n    stroke: #555;\n    stroke-width: 1px;\n    stroke-dasharray: none;\n}\n\n.house-division-line.outer {\n    stroke-dasharray: 2,2;\n}\n\n/* Make sure outer axis points are also solid */\n.house-division-line.outer.axis,\n.house-division-line.outer.asc,\n.house-division-line.outer.dsc,\n.house-division-line.outer.ic,\n.house-division-line.outer.mc {\n    stroke-dasharray: none;\n    stroke-width: 1px;\n}\n\n.house-number {\n    font-family: Arial, sans-serif;\n    font-size: 10px;\n    fill: #666;\n    pointer-events: none;\n}\n\n.house-fallback-badge {\n    cursor: help;\n}\n\n/* North and South Indian layouts */\n.indian-chart-sign-number {\n    font-family: Arial, sans-serif;\n}\n\n.indian-chart-sign-number.indian-chart-lagna {\n    font-weight: bold;\n    fill: #333;\n}\n\n/* Planet elements */\n.planet-element {\n    transition: all 0.3s ease;\n}\n\n.planet-icon {\n    cursor: pointer;\n}\n\n.planet-icon:hover {\n    opacity: 0.8;\n}\n\n.planet-degree {\n    font-family: Arial, sans-serif;\n    font-size: 9px;\n    fill: #333;\n    pointer-events: none;\n}\n\n.planet-sign {\n    font-family: Arial, sans-serif;\n    font-size: 8px;\n    fill: #666;\n    pointer-events: none;\n}\n\n.projection-dot {\n    stroke-width: 0.5 !important;\n}\n\n/* Aspect elements */\n.aspect-line {\n    transition: opacity 0.2s ease;\n    pointer-events: none;\n}\n\n.aspect-line.conjunction {\n    stroke: #ff0000;\n}\n\n.aspect-line.opposition {\n    stroke: #0000ff;\n}\n\n.aspect-line.trine {\n    stroke: #00ff00;\n}\n\n.aspect-line.square {\n    stroke: #ff00ff;\n}\n\n.aspect-line.sextile {\n    stroke: #00ffff;\n}\n\n/* Controls and UI */\n.nocturna-wheel-controls {\n    margin-top: 10px;\n    display: flex;\n    flex-wrap: wrap;\n    gap: 10px;\n}\n\n.nocturna-wheel-control-group {\n    border: 1px solid #ddd;\n    padding: 10px;\n    border-radius: 5px;\n    background-color: #f9f9f9;\n}\n\n.nocturna-wheel-control-title {\n    font-weight: bold;\n    margin-bottom: 5px;\n}\n\n.nocturna-wheel-checkbox {\n    margin-right: 5px; /* Reverted to original value */\n}\n\n.nocturna-wheel-slider {\n    width: 100%;\n    margin: 10px 0;\n}\n\n/* Bootstrap overrides for control alignment and spacing */\n.form-check,\n.form-switch {\n    display: flex;\n    align-items: center;\n}\n\n.form-check-label {\n    margin-left: 10px; /* Add spacing between control and label */\n}\n\n/* Tooltips */\n.nocturna-wheel-tooltip {\n    position: absolute;\n    background-color: rgba(0, 0, 0, 0.8);\n    color: white;\n    padding: 5px 8px;\n    border-radius: 4px;\n    font-size: 12px;\n    pointer-events: none;\n    z-index: 1000;\n    opacity: 0;\n    transition: opacity 0.2s;\n}";
@@ -10,18 +10,23 @@ import { PrimaryPlanetRenderer } from '../renderers/PrimaryPlanetRenderer.js';
 import { SecondaryPlanetRenderer } from '../renderers/SecondaryPlanetRenderer.js';
 import { PlanetRendererCoordinator } from '../renderers/PlanetRendererCoordinator.js';
 import { ClientSideAspectRenderer } from '../renderers/ClientSideAspectRenderer.js';
+import { IndianChartRenderer } from '../renderers/IndianChartRenderer.js';
+import { DeclinationRenderer } from '../renderers/DeclinationRenderer.js';
 
 export class RendererFactory {
     /**
      * Constructor
      * @param {Object} config - Chart configuration
      * @param {string} svgNS - SVG namespace
+     * @param {Object} services - Services to use instead of the registered ones (optional)
+     * @param {Object} services.svgUtils - SvgUtils-compatible instance
+     * @param {IconProvider} services.iconProvider - IconProvider instance
      */
-    constructor(config, svgNS) {
+    constructor(config, svgNS, services = {}) {
         this.config = config;
         this.svgNS = svgNS;
-        this.svgUtils = ServiceRegistry.getSvgUtils();
-        this.iconProvider = ServiceRegistry.getIconProvider();
+        this.svgUtils = services.svgUtils || ServiceRegistry.getSvgUtils();
+        this.iconProvider = services.iconProvider || ServiceRegistry.getIconProvider();
         
         // If IconProvider is null, log error for debugging
         if (!this.iconProvider) {
@@ -126,4 +131,43 @@ export class RendererFactory {
             ...options
         });
     }
+    
+    /**
+     * Creates an IndianChartRenderer instance for the square chart layouts
+     * @param {Object} options - Additional options for the renderer
+     * @returns {IndianChartRenderer} The IndianChartRenderer instance
+     */
+    createIndianChartRenderer(options = {}) {
+        const symbolRenderer = new PlanetSymbolRenderer({
+            svgNS: this.svgNS,
+            config: this.config,
+            svgUtils: this.svgUtils,
+            iconProvider: this.iconProvider,
+            assetBasePath: options.assetBasePath || this.config.assets?.basePath,
+            ...options
+        });
+        
+        return new IndianChartRenderer({
+            svgNS: this.svgNS,
+            config: this.config,
+            svgUtils: this.svgUtils,
+            iconProvider: this.iconProvider,
+            symbolRenderer: symbolRenderer,
+            ...options
+        });
+    }
+    
+    /**
+     * Creates a DeclinationRenderer instance for parallels and contraparallels
+     * @param {Object} options - Additional options for the renderer
+     * @returns {DeclinationRenderer} The DeclinationRenderer instance
+     */
+    createDeclinationRenderer(options = {}) {
+        return new DeclinationRenderer({
+            svgNS: this.svgNS,
+            config: this.config,
+            svgUtils: this.svgUtils,
+            ...options
+        });
+    }
 } 
\ No newline at end of file
@@ -52,7 +52,24 @@ ServiceRegistry.initializeServices();
 import { ChartManager, WheelChart } from './components/index.js';
 import { ChartConfig } from './core/ChartConfig';
 import { SvgUtils } from './utils/SvgUtils.js';
+import { SvgStringElement } from './utils/SvgStringElement.js';
+import { SvgStringUtils } from './utils/SvgStringUtils.js';
 import { AstrologyUtils } from './utils/AstrologyUtils.js';
+import { AstronomyUtils } from './utils/AstronomyUtils.js';
+import { Ephemeris } from './core/Ephemeris.js';
+import { HouseCalculator } from './core/HouseCalculator.js';
+import { Ayanamsa } from './core/Ayanamsa.js';
+import { Vargas } from './core/Vargas.js';
+import { PointCatalogue } from './core/PointCatalogue.js';
+import { AspectPatterns } from './core/AspectPatterns.js';
+import { Dignities } from './core/Dignities.js';
+import { RelationshipCharts } from './core/RelationshipCharts.js';
+import { Predictive } from './core/Predictive.js';
+import { ReturnCharts } from './core/ReturnCharts.js';
+import { AspectCalculator } from './core/AspectCalculator.js';
+import { ChartCalculator } from './core/ChartCalculator.js';
+import { renderToString } from './renderToString.js';
+import { ChartExporter } from './services/ChartExporter.js';
 
 // Library version
 const VERSION = '0.2.0';
@@ -66,10 +83,27 @@ export {
     NocturnaWheel, // For backward compatibility
     WheelChart,
     ChartConfig,
+    HouseCalculator,
+    Ayanamsa,
+    Vargas,
+    PointCatalogue,
+    AspectPatterns,
+    Dignities,
+    RelationshipCharts,
+    Predictive,
+    ReturnCharts,
+    AspectCalculator,
+    ChartCalculator,
+    renderToString,
+    ChartExporter,
     VERSION,
     ServiceRegistry,
     SvgUtils,
+    SvgStringElement,
+    SvgStringUtils,
     AstrologyUtils,
+    AstronomyUtils,
+    Ephemeris,
     IconProvider,
     IconData
 };
@@ -204,9 +238,26 @@ export default {
     NocturnaWheel, // For backward compatibility
     WheelChart,
     ChartConfig,
+    HouseCalculator,
+    Ayanamsa,
+    Vargas,
+    PointCatalogue,
+    AspectPatterns,
+    Dignities,
+    RelationshipCharts,
+    Predictive,
+    ReturnCharts,
+    AspectCalculator,
+    ChartCalculator,
+    renderToString,
+    ChartExporter,
     ServiceRegistry,
     SvgUtils,
+    SvgStringElement,
+    SvgStringUtils,
     AstrologyUtils,
+    AstronomyUtils,
+    Ephemeris,
     IconProvider,
     IconData
 }; 
\ No newline at end of file
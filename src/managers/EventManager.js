@@ -0,0 +1,152 @@
+/**
+ * EventManager.js
+ * Chart events: clicks and hovers on planets, aspects, houses and signs.
+ * A single listener per DOM event on the SVG finds the chart element from the
+ * data attributes set by the renderers (data-planet, data-aspect, data-house,
+ * data-sign), and the chart resolves it to its domain object.
+ */
+
+// Element kinds in the order they are looked for, with the attribute marking them
+const KINDS = {
+    planet: 'data-planet',
+    aspect: 'data-aspect',
+    house: 'data-house',
+    sign: 'data-sign'
+};
+
+// Chart event actions and the DOM events behind them
+const ACTIONS = {
+    click: 'click',
+    hover: 'mouseover'
+};
+
+export class EventManager {
+    /**
+     * Constructor
+     * @param {Function} resolve - (kind, element) => domain object of a chart element, or null
+     */
+    constructor(resolve) {
+        this.resolve = resolve;
+        this.handlers = {};
+        this.svg = null;
+        this.domListeners = {};
+    }
+
+    /**
+     * Returns the supported event names
+     * @returns {Array} Event names such as "planet:click" and "aspect:hover"
+     */
+    static getEventNames() {
+        return Object.keys(KINDS).flatMap(kind => Object.keys(ACTIONS).map(action => `${kind}:${action}`));
+    }
+
+    /**
+     * Registers an event handler
+     * @param {string} name - Event name, e.g. "planet:click"
+     * @param {Function} handler - Called with { [kind], element, originalEvent }
+     * @throws {Error} If the event name is unknown or the handler is not a function
+     */
+    on(name, handler) {
+        if (!EventManager.getEventNames().includes(name)) {
+            throw new Error(`EventManager: Unknown event "${name}". Supported events: ${EventManager.getEventNames().join(', ')}`);
+        }
+        if (typeof handler !== 'function') {
+            throw new Error(`EventManager: Handler for "${name}" must be a function`);
+        }
+        (this.handlers[name] = this.handlers[name] || []).push(handler);
+    }
+
+    /**
+     * Removes an event handler, or all handlers of the event without a handler
+     * @param {string} name - Event name
+     * @param {Function} handler - Handler to remove (optional)
+     */
+    off(name, handler = null) {
+        if (!this.handlers[name]) {
+            return;
+        }
+        this.handlers[name] = handler ? this.handlers[name].filter(registered => registered !== handler) : [];
+    }
+
+    /**
+     * Calls the handlers of an event
+     * @param {string} name - Event name
+     * @param {Object} payload - Event payload
+     */
+    emit(name, payload) {
+        (this.handlers[name] || []).slice().forEach(handler => handler(payload));
+    }
+
+    /**
+     * Listens to the DOM events of an SVG element
+     * @param {Element} svg - The chart's SVG element
+     */
+    attach(svg) {
+        if (this.svg === svg) {
+            return;
+        }
+        this.detach();
+        this.svg = svg;
+        Object.entries(ACTIONS).forEach(([action, domEvent]) => {
+            this.domListeners[domEvent] = event => this._handleDomEvent(action, event);
+            svg.addEventListener(domEvent, this.domListeners[domEvent]);
+        });
+    }
+
+    /**
+     * Stops listening to the DOM events of the SVG element
+     */
+    detach() {
+        if (this.svg) {
+            Object.entries(this.domListeners).forEach(([domEvent, listener]) => {
+                this.svg.removeEventListener(domEvent, listener);
+            });
+        }
+        this.svg = null;
+        this.domListeners = {};
+    }
+
+    /**
+     * Finds the chart element of a DOM event target: the nearest ancestor with a
+     * data attribute of a kind, planets first
+     * @param {Element} target - DOM event target
+     * @returns {Object|null} { kind, element }, or null outside chart elements
+     */
+    findChartElement(target) {
+        for (let node = target; node && node !== this.svg; node = node.parentNode) {
+            if (typeof node.getAttribute !== 'function') {
+                break;
+            }
+            const kind = Object.keys(KINDS).find(key => node.getAttribute(KINDS[key]) !== null);
+            if (kind) {
+                return { kind, element: node };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Emits the chart event of a DOM event
+     * @private
+     * @param {string} action - "click" or "hover"
+     * @param {Event} event - DOM event
+     */
+    _handleDomEvent(action, event) {
+        const target = this.findChartElement(event.target);
+        if (!target || !(this.handlers[`${target.kind}:${action}`] || []).length) {
+            return;
+        }
+        // Moving between the parts of an element (e.g. a planet's dot and icon) is not a new hover
+        if (action === 'hover' && event.relatedTarget && target.element.contains(event.relatedTarget)) {
+            return;
+        }
+        const data = this.resolve(target.kind, target.element);
+        if (data) {
+            this.emit(`${target.kind}:${action}`, {
+                [target.kind]: data,
+                element: target.element,
+                originalEvent: event
+            });
+        }
+    }
+}
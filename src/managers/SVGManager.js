@@ -26,9 +26,14 @@ export class SVGManager {
             'primaryAspects', // Aspects between primary (outer) planets
             'secondaryAspects', // Aspects between secondary (inner) planets
             'synastryAspects', // Aspects between primary and secondary planets
+            'ringAspects', // Aspects between the rings of a multi-wheel chart
             'aspects', // Legacy aspect group (for backward compatibility)
+            'declinations', // Parallels and contraparallels (lines or declination strip)
+            'aspectPatterns', // Highlighted aspect pattern
             'primaryPlanets', // Outer circle planets
             'secondaryPlanets', // Inner circle planets
+            'secondaryHouses', // House cusps and numbers of the secondary chart (innermost circle)
+            'rings', // Further rings of a multi-wheel chart (tri-wheel and more)
             'houses' // House numbers on top
             // Add other groups if needed, e.g., 'tooltips'
         ];
@@ -49,7 +54,8 @@ export class SVGManager {
                 console.error(`SVGManager: Container not found with selector: ${containerSelector}`);
                 return null;
             }
-        } else if (containerSelector instanceof Element || containerSelector instanceof HTMLElement) {
+        } else if (containerSelector && typeof containerSelector.appendChild === 'function') {
+            // DOM element, or an SvgStringElement when rendering without a DOM
             container = containerSelector;
         } else {
             console.error(`SVGManager: Invalid container. Expected string selector or DOM element.`);
@@ -70,13 +76,8 @@ export class SVGManager {
 
         const svgOptions = { ...defaultOptions, ...options };
 
-        // Create SVG element
-        this.svg = document.createElementNS(this.svgNS, "svg");
-
-        // Set attributes
-        for (const [key, value] of Object.entries(svgOptions)) {
-            this.svg.setAttribute(key, value);
-        }
+        // Create SVG element with its attributes
+        this.svg = this.svgUtils.createSVGElement("svg", svgOptions);
 
         // Append to container
         container.appendChild(this.svg);
@@ -123,9 +124,10 @@ export class SVGManager {
             return this.groups[name]; // Return existing group
         }
 
-        const group = document.createElementNS(this.svgNS, "g");
-        group.setAttribute("id", `group-${name}`); // Set ID for easy debugging/selection
-        group.setAttribute("class", `svg-group svg-group-${name}`); // Add class
+        const group = this.svgUtils.createSVGElement("g", {
+            id: `group-${name}`, // Set ID for easy debugging/selection
+            class: `svg-group svg-group-${name}` // Add class
+        });
 
         this.svg.appendChild(group); // Append to SVG (order matters based on creation sequence)
         this.groups[name] = group;
@@ -0,0 +1,388 @@
+/**
+ * TooltipManager.js
+ * HTML tooltips of planets, aspects, houses and signs, replacing the SVG <title>
+ * tooltips when tooltipSettings.enabled is set. The tooltip is a positioned
+ * overlay in the chart container, filled from a template per element kind and
+ * styled by a theme. Hovering shows it, and so does a click or a tap, which
+ * makes it usable on touch screens. A custom renderer takes over the drawing.
+ */
+import { EventManager } from './EventManager.js';
+import { AstrologyUtils } from '../utils/AstrologyUtils.js';
+
+// Styles of every tooltip, independent of the theme
+const BASE_STYLE = {
+    position: 'fixed',
+    zIndex: '1000',
+    pointerEvents: 'none',
+    padding: '6px 8px',
+    borderRadius: '4px',
+    fontFamily: 'sans-serif',
+    fontSize: '12px',
+    lineHeight: '1.4',
+    maxWidth: '260px'
+};
+
+const THEMES = {
+    light: {
+        background: '#ffffff',
+        color: '#222222',
+        border: '1px solid #cccccc',
+        boxShadow: '0 2px 8px rgba(0, 0, 0, 0.15)'
+    },
+    dark: {
+        background: '#1f1f2e',
+        color: '#f0f0f0',
+        border: '1px solid #44445a',
+        boxShadow: '0 2px 8px rgba(0, 0, 0, 0.5)'
+    }
+};
+
+/**
+ * Default templates by element kind, see TooltipManager.renderContent
+ */
+const TEMPLATES = {
+    planet: (planet, helpers) => {
+        const rows = [`${helpers.formatPosition(planet.lon)}${planet.retrograde ? ' R' : ''}`];
+        if (planet.house) {
+            rows.push(`House ${helpers.escape(planet.house)}`);
+        }
+        if (planet.dignity) {
+            rows.push(AstrologyUtils.capitalizeFirstLetter(planet.dignity));
+        }
+        const aspects = (planet.aspects || []).map(aspect => {
+            // Synastry and ring pair aspects have the planet of the outer ring first, other aspects either planet
+            let other = aspect.planet1 === planet.name ? aspect.planet2 : aspect.planet1;
+            if (aspect.set === 'synastry') {
+                other = planet.type === 'secondary' ? aspect.planet1 : aspect.planet2;
+            } else if (aspect.set === 'rings' && aspect.rings[0] !== aspect.rings[1]) {
+                other = aspect.rings[0] === planet.ring ? aspect.planet2 : aspect.planet1;
+            }
+            return `${helpers.aspectName(aspect.type)} ${helpers.planetName(other)} (${helpers.formatDegrees(aspect.orb)})`;
+        });
+        return helpers.title(helpers.planetName(planet.name)) + helpers.rows(rows) + helpers.list(aspects);
+    },
+    aspect: (aspect, helpers) => {
+        const rows = [`Orb ${helpers.formatDegrees(aspect.orb)}`];
+        if (aspect.applying !== null && aspect.applying !== undefined) {
+            rows.push(aspect.applying ? 'Applying' : 'Separating');
+        }
+        return helpers.title(`${helpers.planetName(aspect.planet1)} ${helpers.aspectName(aspect.type)} ${helpers.planetName(aspect.planet2)}`) +
+            helpers.rows(rows);
+    },
+    house: (house, helpers) => {
+        const planets = [
+            ...house.planets.map(name => helpers.planetName(name)),
+            ...house.secondaryPlanets.map(name => `${helpers.planetName(name)} (secondary)`)
+        ];
+        const titles = {
+            secondary: `Secondary house ${house.house}`,
+            ring: `${helpers.escape(house.ring)} house ${house.house}`
+        };
+        const title = titles[house.type] || `House ${AstrologyUtils.houseToRoman(house.house)}`;
+        return helpers.title(title) +
+            helpers.rows([`Cusp ${helpers.formatPosition(house.lon)}`]) + helpers.list(planets);
+    },
+    sign: (sign, helpers) => {
+        const planets = [
+            ...sign.planets.map(name => helpers.planetName(name)),
+            ...sign.secondaryPlanets.map(name => `${helpers.planetName(name)} (secondary)`)
+        ];
+        return helpers.title(helpers.signName(sign.sign)) + helpers.list(planets);
+    }
+};
+
+let tooltipCount = 0;
+
+export class TooltipManager {
+    /**
+     * Constructor
+     * @param {Function} resolve - (kind, element) => domain object of a chart element, or null
+     * @param {ChartConfig} config - Chart configuration with the tooltipSettings
+     */
+    constructor(resolve, config) {
+        this.config = config;
+        this.svg = null;
+        this.container = null;
+        this.overlay = null;
+        this.current = null;
+        this.domListeners = {};
+        this.documentListener = null;
+        this.id = `nocturna-tooltip-${++tooltipCount}`;
+
+        // A chart event source of its own, apart from the handlers of the chart's users
+        this.events = new EventManager(resolve);
+        EventManager.getEventNames().forEach(name => {
+            const [kind, action] = name.split(':');
+            this.events.on(name, payload => this._handleChartEvent(kind, action, payload));
+        });
+    }
+
+    /**
+     * Returns the default templates
+     * @returns {Object} Templates by kind: (data, helpers) => HTML string
+     */
+    static getDefaultTemplates() {
+        return { ...TEMPLATES };
+    }
+
+    /**
+     * Returns the built-in themes
+     * @returns {Object} Styles by theme name
+     */
+    static getThemes() {
+        return Object.fromEntries(Object.entries(THEMES).map(([name, theme]) => [name, { ...theme }]));
+    }
+
+    /**
+     * Listens to the pointer events of a chart
+     * @param {Element} svg - The chart's SVG element
+     * @param {Element} container - The chart container, which holds the tooltip overlay
+     */
+    attach(svg, container) {
+        if (this.svg === svg) {
+            return;
+        }
+        this.detach();
+        this.svg = svg;
+        this.container = container;
+        this.events.attach(svg);
+
+        this.domListeners = {
+            // Leaving the element hides its tooltip
+            mouseout: event => {
+                if (this.current && this.current.element.contains(event.target) &&
+                    !(event.relatedTarget && this.current.element.contains(event.relatedTarget))) {
+                    this.hide();
+                }
+            },
+            mousemove: event => {
+                if (this.current && this.current.element.contains(event.target)) {
+                    this._move(event);
+                }
+            },
+            // A click or tap beside the chart elements hides the tooltip
+            click: event => {
+                if (!this.events.findChartElement(event.target)) {
+                    this.hide();
+                }
+            }
+        };
+        Object.entries(this.domListeners).forEach(([domEvent, listener]) => {
+            svg.addEventListener(domEvent, listener);
+        });
+
+        // So does a tap outside the chart
+        if (svg.ownerDocument) {
+            this.documentListener = event => {
+                if (this.current && !svg.contains(event.target)) {
+                    this.hide();
+                }
+            };
+            svg.ownerDocument.addEventListener('touchstart', this.documentListener);
+        }
+    }
+
+    /**
+     * Stops listening and removes the tooltip overlay
+     */
+    detach() {
+        this.hide();
+        if (this.svg) {
+            Object.entries(this.domListeners).forEach(([domEvent, listener]) => {
+                this.svg.removeEventListener(domEvent, listener);
+            });
+            if (this.documentListener) {
+                this.svg.ownerDocument.removeEventListener('touchstart', this.documentListener);
+            }
+        }
+        this.events.detach();
+        if (this.overlay) {
+            this.overlay.remove();
+        }
+        this.svg = null;
+        this.container = null;
+        this.overlay = null;
+        this.domListeners = {};
+        this.documentListener = null;
+    }
+
+    /**
+     * Prepares a newly rendered chart: hides the tooltip of the replaced elements and,
+     * with tooltips enabled, removes the <title> tooltips of the chart elements
+     */
+    refresh() {
+        this.hide();
+        if (!this.svg || !this.config.tooltipSettings.enabled) {
+            return;
+        }
+        this.svg.querySelectorAll('title').forEach(title => {
+            if (this.events.findChartElement(title.parentNode)) {
+                title.remove();
+            }
+        });
+    }
+
+    /**
+     * Renders the content of a tooltip with the template of its kind
+     * @param {string} kind - "planet", "aspect", "house" or "sign"
+     * @param {Object} data - Domain object of the element, as passed to chart event handlers
+     * @returns {string|Element} HTML string or element
+     */
+    renderContent(kind, data) {
+        const template = this.config.tooltipSettings.templates?.[kind] || TEMPLATES[kind];
+        return template(data, this._getHelpers());
+    }
+
+    /**
+     * Shows the tooltip of a chart element
+     * @param {string} kind - "planet", "aspect", "house" or "sign"
+     * @param {Object} data - Domain object of the element
+     * @param {Element} element - The chart element
+     * @param {Event} event - Pointer event to place the tooltip at
+     */
+    show(kind, data, element, event) {
+        const settings = this.config.tooltipSettings;
+        const content = this.renderContent(kind, data);
+        if (this.current && this.current.element !== element) {
+            this.hide();
+        }
+        this.current = { kind, data, element };
+
+        if (typeof settings.renderer === 'function') {
+            const offset = settings.offset ?? 0;
+            settings.renderer({
+                kind,
+                data,
+                content,
+                element,
+                x: (event?.clientX ?? 0) + offset,
+                y: (event?.clientY ?? 0) + offset,
+                container: this.container,
+                originalEvent: event
+            });
+            return;
+        }
+
+        const overlay = this._getOverlay();
+        overlay.className = `nocturna-tooltip nocturna-tooltip-${kind}`;
+        overlay.style.cssText = '';
+        Object.assign(overlay.style, BASE_STYLE, this._getTheme());
+        if (typeof content === 'string') {
+            overlay.innerHTML = content;
+        } else {
+            overlay.innerHTML = '';
+            overlay.appendChild(content);
+        }
+        element.setAttribute('aria-describedby', this.id);
+        this._move(event);
+    }
+
+    /**
+     * Hides the tooltip
+     */
+    hide() {
+        if (!this.current) {
+            return;
+        }
+        const { element } = this.current;
+        this.current = null;
+
+        const renderer = this.config.tooltipSettings.renderer;
+        if (typeof renderer === 'function') {
+            renderer(null);
+        } else if (this.overlay) {
+            this.overlay.style.display = 'none';
+            element.removeAttribute('aria-describedby');
+        }
+    }
+
+    /**
+     * Shows the tooltip of a chart event
+     * @private
+     * @param {string} kind - Element kind
+     * @param {string} action - "click" or "hover"
+     * @param {Object} payload - Chart event payload
+     */
+    _handleChartEvent(kind, action, payload) {
+        const settings = this.config.tooltipSettings;
+        if (!settings.enabled || (settings.trigger === 'click' && action === 'hover')) {
+            return;
+        }
+        this.show(kind, payload[kind], payload.element, payload.originalEvent);
+    }
+
+    /**
+     * Returns the overlay element, creating it in the container
+     * @private
+     * @returns {HTMLElement} Overlay element
+     */
+    _getOverlay() {
+        if (!this.overlay) {
+            this.overlay = this.container.ownerDocument.createElement('div');
+            this.overlay.setAttribute('id', this.id);
+            this.overlay.setAttribute('role', 'tooltip');
+            this.container.appendChild(this.overlay);
+        }
+        return this.overlay;
+    }
+
+    /**
+     * Returns the styles of the configured theme; objects are laid over the light theme
+     * @private
+     * @returns {Object} Styles
+     */
+    _getTheme() {
+        const theme = this.config.tooltipSettings.theme;
+        if (theme && typeof theme === 'object') {
+            return { ...THEMES.light, ...theme };
+        }
+        return THEMES[theme] || THEMES.light;
+    }
+
+    /**
+     * Places the overlay beside the pointer, inside the viewport
+     * @private
+     * @param {Event} event - Pointer event
+     */
+    _move(event) {
+        if (!this.overlay || !event || typeof event.clientX !== 'number') {
+            return;
+        }
+        const offset = this.config.tooltipSettings.offset ?? 0;
+        const view = this.container.ownerDocument.defaultView;
+        let x = event.clientX + offset;
+        let y = event.clientY + offset;
+        // Flip to the other side of the pointer at the right and bottom edges
+        if (view && x + this.overlay.offsetWidth > view.innerWidth) {
+            x = Math.max(0, event.clientX - offset - this.overlay.offsetWidth);
+        }
+        if (view && y + this.overlay.offsetHeight > view.innerHeight) {
+            y = Math.max(0, event.clientY - offset - this.overlay.offsetHeight);
+        }
+        this.overlay.style.left = `${x}px`;
+        this.overlay.style.top = `${y}px`;
+    }
+
+    /**
+     * Returns the formatting helpers passed to templates
+     * @private
+     * @returns {Object} Helpers
+     */
+    _getHelpers() {
+        const language = this.config.tooltipSettings.language || 'en';
+        const escape = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+        return {
+            escape,
+            formatDegrees: degrees => escape(AstrologyUtils.formatDegrees(degrees)),
+            formatPosition: longitude => escape(AstrologyUtils.formatPosition(longitude, language)),
+            planetName: name => escape(AstrologyUtils.getPlanetFullName(name, language)),
+            signName: sign => escape(AstrologyUtils.getZodiacSignFullName(sign, language)),
+            aspectName: type => escape(AstrologyUtils.capitalizeFirstLetter(type)),
+            title: html => `<div class="nocturna-tooltip-title"><strong>${html}</strong></div>`,
+            rows: rows => rows.map(row => `<div class="nocturna-tooltip-row">${row}</div>`).join(''),
+            list: items => items.length
+                ? `<div class="nocturna-tooltip-list">${items.map(item => `<div>${item}</div>`).join('')}</div>`
+                : ''
+        };
+    }
+}
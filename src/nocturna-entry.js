@@ -9,8 +9,24 @@ import { ChartManager, WheelChart } from './components/index.js';
 import { NocturnaWheel } from './NocturnaWheel.js'; // For backward compatibility
 import { ChartConfig } from './core/ChartConfig.js';
 import { HouseCalculator } from './core/HouseCalculator.js';
+import { Ephemeris } from './core/Ephemeris.js';
+import { Ayanamsa } from './core/Ayanamsa.js';
+import { Vargas } from './core/Vargas.js';
+import { PointCatalogue } from './core/PointCatalogue.js';
+import { AspectPatterns } from './core/AspectPatterns.js';
+import { Dignities } from './core/Dignities.js';
+import { RelationshipCharts } from './core/RelationshipCharts.js';
+import { Predictive } from './core/Predictive.js';
+import { ReturnCharts } from './core/ReturnCharts.js';
+import { AspectCalculator } from './core/AspectCalculator.js';
+import { ChartCalculator } from './core/ChartCalculator.js';
+import { renderToString } from './renderToString.js';
+import { ChartExporter } from './services/ChartExporter.js';
 import { SvgUtils } from './utils/SvgUtils.js';
+import { SvgStringElement } from './utils/SvgStringElement.js';
+import { SvgStringUtils } from './utils/SvgStringUtils.js';
 import { AstrologyUtils } from './utils/AstrologyUtils.js';
+import { AstronomyUtils } from './utils/AstronomyUtils.js';
 import { ServiceRegistry } from './services/ServiceRegistry.js';
 
 // Initialize core services immediately on load
@@ -27,10 +43,26 @@ const NocturnaNamespace = {
     WheelChart,
     ChartConfig,
     HouseCalculator,
+    Ephemeris,
+    Ayanamsa,
+    Vargas,
+    PointCatalogue,
+    AspectPatterns,
+    Dignities,
+    RelationshipCharts,
+    Predictive,
+    ReturnCharts,
+    AspectCalculator,
+    ChartCalculator,
+    renderToString,
+    ChartExporter,
     
     // Utilities
     SvgUtils,
+    SvgStringElement,
+    SvgStringUtils,
     AstrologyUtils,
+    AstronomyUtils,
     
     // Services
     ServiceRegistry,
@@ -46,8 +78,24 @@ export {
     WheelChart,
     ChartConfig,
     HouseCalculator,
+    Ephemeris,
+    Ayanamsa,
+    Vargas,
+    PointCatalogue,
+    AspectPatterns,
+    Dignities,
+    RelationshipCharts,
+    Predictive,
+    ReturnCharts,
+    AspectCalculator,
+    ChartCalculator,
+    renderToString,
+    ChartExporter,
     SvgUtils,
+    SvgStringElement,
+    SvgStringUtils,
     AstrologyUtils,
+    AstronomyUtils,
     ServiceRegistry,
     VERSION
 };
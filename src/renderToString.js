@@ -0,0 +1,59 @@
+/**
+ * renderToString.js
+ * Server-side rendering: draws a chart with the regular renderers into
+ * SvgStringElements and returns it as a standalone SVG document. Needs no DOM,
+ * so it runs in plain Node.
+ */
+import { NocturnaWheel } from './NocturnaWheel.js';
+import { ChartRenderer } from './components/ChartRenderer.js';
+import { IconProvider } from './services/IconProvider.js';
+import { IconData } from './data/IconData.js';
+import { SvgStringElement } from './utils/SvgStringElement.js';
+import { SvgStringUtils } from './utils/SvgStringUtils.js';
+
+/**
+ * Renders a chart to an SVG document string
+ * @param {Object} options - Chart options as for WheelChart, without a container
+ * @param {Object} options.planets - Primary planet positions data (outer circle)
+ * @param {Object} options.secondaryPlanets - Secondary planet positions data (inner circle, optional)
+ * @param {Array} options.houses - House cusps data (optional)
+ * @param {Object} options.birthData - Birth data to calculate planets and angles from (optional)
+ * @param {Object} options.config - Additional configuration (optional)
+ * @param {IconProvider} options.iconProvider - IconProvider for the icons (optional, default: the inline icons
+ *        of IconData, so the document has no external references)
+ * @param {string} options.stylesheet - CSS embedded in a <style> element, e.g. the content of
+ *        nocturna-wheel.css (optional)
+ * @param {boolean} options.xmlDeclaration - Whether to start with an XML declaration (optional, default: true)
+ * @returns {string} SVG document
+ */
+function renderToString(options = {}) {
+    const { stylesheet, xmlDeclaration = true, ...chartOptions } = options;
+
+    let iconProvider = chartOptions.iconProvider;
+    if (!iconProvider) {
+        iconProvider = new IconProvider({ useInline: true });
+        iconProvider.setInlineData(IconData);
+    }
+
+    const chart = new NocturnaWheel({
+        ...chartOptions,
+        container: new SvgStringElement("div", "http://www.w3.org/1999/xhtml"),
+        svgUtils: new SvgStringUtils(),
+        iconProvider: iconProvider
+    });
+    chart.render();
+
+    // Draw the innermost circle like WheelChart does after rendering
+    new ChartRenderer({ chart: chart }, chartOptions).renderInnerElements();
+
+    const svg = chart.svgManager.getSVG();
+    if (stylesheet) {
+        const style = chart.svgManager.svgUtils.createSVGElement("style");
+        style.textContent = stylesheet;
+        svg.insertBefore(style, svg.firstChild);
+    }
+
+    return (xmlDeclaration ? '<?xml version="1.0" encoding="UTF-8"?>\n' : '') + svg.serialize();
+}
+
+export { renderToString };
@@ -61,6 +61,8 @@ export class BasePlanetRenderer extends BaseRenderer {
 
     /**
      * Prepare planet data with common properties.
+     * Positions are tropical; they are converted to the zodiac configured in
+     * the chart (sidereal positions when an ayanamsa is active).
      * @param {Array} planetsData - Raw planet data
      * @param {string} planetType - Type of planet ('primary' or 'secondary')
      * @param {number} dotRadius - Radius for planet dots
@@ -68,18 +70,24 @@ export class BasePlanetRenderer extends BaseRenderer {
      * @returns {Array} - Prepared planet data with calculated properties
      */
     preparePlanetData(planetsData, planetType, dotRadius, iconRadius) {
-        return planetsData.map(p => ({
+        const toZodiac = typeof this.config.toZodiacLongitude === 'function'
+            ? longitude => this.config.toZodiacLongitude(longitude)
+            : longitude => longitude;
+        
+        return planetsData.map(p => {
+            const position = toZodiac(p.position !== undefined ? p.position : 0);
+            return {
             ...p,
             name: p.name || 'unknown',
-            position: p.position !== undefined ? p.position : 0,
+            position: position,
             // Fields to be calculated:
             x: 0, y: 0, // Dot coordinates
             iconX: 0, iconY: 0, // Base icon coordinates
             adjustedIconX: 0, adjustedIconY: 0, // Icon coordinates after overlap adjustment
             radians: 0,
             // Calculate sign index and get name from AstrologyUtils
-            zodiacSign: AstrologyUtils.getZodiacSigns()[Math.floor(p.position / 30) % 12],
-            position_in_sign: p.position % 30, // Calculate position within sign
+            zodiacSign: AstrologyUtils.getZodiacSigns()[Math.floor(position / 30) % 12],
+            position_in_sign: position % 30, // Calculate position within sign
             isPrimary: planetType === 'primary',
             type: planetType,
             color: p.color || '#000000',
@@ -88,7 +96,8 @@ export class BasePlanetRenderer extends BaseRenderer {
             // Track which radius this planet is being rendered at
             dotRadius: dotRadius,
             iconRadius: iconRadius
-        }));
+            };
+        });
     }
 
     /**
@@ -1,5 +1,7 @@
 import { BaseRenderer } from './BaseRenderer.js';
 import { AstrologyUtils } from '../utils/AstrologyUtils.js';
+import { AspectPatterns } from '../core/AspectPatterns.js';
+import { AspectCalculator } from '../core/AspectCalculator.js';
 
 /**
  * ClientSideAspectRenderer.js
@@ -18,105 +20,24 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
         super(options);
         this.astrologyUtils = AstrologyUtils; // Assuming AstrologyUtils is available
         this.renderedAspects = []; // Store calculated aspects
-        this._aspectCacheKey = null; // Cache key for aspect calculations
-        this._aspectCache = [];      // Cached aspect results
         this.assetBasePath = options.assetBasePath || './assets/'; // Store asset base path with fallback
         this.iconProvider = options.iconProvider; // Store the icon provider
         
-        // Define major aspects and their angles (can be overridden/extended by config)
-        this.defaultAspectDefinitions = {
-            'conjunction': { angle: 0, orb: 8, color: '#FF4500', abbr: 'CON' }, // OrangeRed
-            'opposition': { angle: 180, orb: 6, color: '#DC143C', abbr: 'OPP' }, // Crimson
-            'trine': { angle: 120, orb: 6, color: '#2E8B57', abbr: 'TRI' }, // SeaGreen
-            'square': { angle: 90, orb: 6, color: '#FF0000', abbr: 'SQR' }, // Red
-            'sextile': { angle: 60, orb: 4, color: '#4682B4', abbr: 'SEX' }, // SteelBlue
-             // Add minors if needed
-             // 'semisextile': { angle: 30, orb: 2, color: '#90EE90', abbr: 'SSX' }, // LightGreen
-             // 'quincunx': { angle: 150, orb: 2, color: '#DAA520', abbr: 'QCX' }  // Goldenrod
-        };
-    }
-
-    /**
-     * Calculates the angular distance between two positions (0-180 degrees).
-     * @param {number} pos1 - Position 1 (degrees).
-     * @param {number} pos2 - Position 2 (degrees).
-     * @returns {number} The smallest angle between pos1 and pos2 (0-180).
-     */
-    _angularDistance(pos1, pos2) {
-        const diff = Math.abs(pos1 - pos2) % 360;
-        return Math.min(diff, 360 - diff);
+        // The aspect math is shared with the headless ChartCalculator
+        this.calculator = new AspectCalculator({ config: this.config });
+        this.defaultAspectDefinitions = this.calculator.defaultAspectDefinitions;
     }
 
     /**
-     * Calculates aspects between planets based on their positions.
+     * Calculates aspects between planets based on their positions (see AspectCalculator.calculateAspects).
      * @param {Array} planets - Array of planet objects MUST include `position` property.
      * @param {Object} aspectSettings - Aspect settings to use (optional, defaults to config.aspectSettings)
      * @returns {Array} Array of calculated aspect objects.
      */
     calculateAspects(planets, aspectSettings = null) {
-        const aspects = [];
-        if (!planets || planets.length < 2) {
-            return aspects;
-        }
-
-        // Use provided aspectSettings or fall back to config
-        const settings = aspectSettings || this.config.aspectSettings || {};
-        
-        // Generate a cache key based on aspectSettings and planet positions
-        const settingsString = JSON.stringify(settings);
-        const planetKey = planets.map(p => `${p.name}:${p.position}`).join('|');
-        const cacheKey = `${settingsString}|${planetKey}`;
-        if (cacheKey === this._aspectCacheKey) {
-            console.log(`ClientSideAspectRenderer: Using cached aspects (${this._aspectCache.length})`);
-            return this._aspectCache;
-        }
-
-        // Get aspect types and orbs from settings, falling back to defaults
-        const calculationOrb = settings.orb || 6; // Default orb if not specified per aspect
-        const aspectTypes = settings.types || this.defaultAspectDefinitions;
-
-        // Iterate through all unique pairs of planets
-        for (let i = 0; i < planets.length; i++) {
-            for (let j = i + 1; j < planets.length; j++) {
-                const p1 = planets[i];
-                const p2 = planets[j];
-
-                const angleDiff = this._angularDistance(p1.position, p2.position);
-
-                // Check against each defined aspect type
-                for (const aspectName in aspectTypes) {
-                    const aspectDef = aspectTypes[aspectName];
-                    const targetAngle = aspectDef.angle;
-                    const orb = aspectDef.orb !== undefined ? aspectDef.orb : calculationOrb; // Use specific orb or default
-
-                    if (Math.abs(angleDiff - targetAngle) <= orb) {
-                        // Aspect found!
-                        aspects.push({
-                            planet1: p1.name,
-                            planet2: p2.name,
-                            type: aspectName,
-                            angle: targetAngle, // The ideal angle of the aspect type
-                            angleDiff: angleDiff, // The actual angle difference between planets
-                            orb: Math.abs(angleDiff - targetAngle), // How exact the aspect is
-                            // Include planet objects for coordinate lookup during rendering
-                            p1: p1,
-                            p2: p2,
-                            // Add default color/style from definition
-                            color: aspectDef.color || '#888', // Default color
-                            lineStyle: aspectDef.lineStyle, // e.g., 'dashed', 'dotted' (used later in styling)
-                            abbr: aspectDef.abbr || aspectName.substring(0, 3).toUpperCase() // Use abbreviation from definition or default
-                        });
-                    }
-                }
-            }
-        }
-        console.log(`ClientSideAspectRenderer: Calculated ${aspects.length} aspects.`);
-        // Cache results and key
-        this._aspectCacheKey = cacheKey;
-        this._aspectCache = aspects;
-        return aspects;
+        return this.calculator.calculateAspects(planets, aspectSettings);
     }
-    
+
     /**
      * Calculates cross-aspects (synastry) between two different planet sets.
      * @param {Array} planets1 - First array of planet objects (e.g., primary/outer planets)
@@ -125,57 +46,72 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
      * @returns {Array} Array of calculated cross-aspect objects.
      */
     calculateCrossAspects(planets1, planets2, aspectSettings = null) {
-        const aspects = [];
-        if (!planets1 || planets1.length < 1 || !planets2 || planets2.length < 1) {
-            return aspects;
+        return this.calculator.calculateCrossAspects(planets1, planets2, aspectSettings);
+    }
+
+    /**
+     * Calculates parallels and contraparallels from the declinations of the planets.
+     * @param {Array} planets - Array of planet objects; planets without a `declination` are skipped.
+     * @param {Object} declinationSettings - Declination settings to use (optional, defaults to config.declinationSettings)
+     * @returns {Array} Array of declination aspect objects with `declination1` and `declination2`.
+     */
+    calculateDeclinationAspects(planets, declinationSettings = null) {
+        return this.calculator.calculateDeclinationAspects(planets, declinationSettings);
+    }
+
+    /**
+     * Returns the style of an aspect for its motion from `aspectSettings.motionStyles`
+     * @private
+     * @param {Object} aspect - The aspect object
+     * @param {Object} settings - Aspect settings in use
+     * @returns {Object} { opacity, lineStyle }, each optional; empty when the motion is unknown
+     */
+    _getMotionStyle(aspect, settings) {
+        if (typeof aspect.applying !== 'boolean') {
+            return {};
         }
+        return settings.motionStyles?.[aspect.applying ? 'applying' : 'separating'] || {};
+    }
 
-        // Use provided aspectSettings or fall back to synastry settings
-        const settings = aspectSettings || this.config.synastryAspectSettings || {};
-        
-        // Get aspect types and orbs from settings
-        const calculationOrb = settings.orb || 6;
-        const aspectTypes = settings.types || this.defaultAspectDefinitions;
-
-        // Iterate through all pairs between the two planet sets
-        for (let i = 0; i < planets1.length; i++) {
-            for (let j = 0; j < planets2.length; j++) {
-                const p1 = planets1[i];
-                const p2 = planets2[j];
-
-                const angleDiff = this._angularDistance(p1.position, p2.position);
-
-                // Check against each defined aspect type
-                for (const aspectName in aspectTypes) {
-                    const aspectDef = aspectTypes[aspectName];
-                    const targetAngle = aspectDef.angle;
-                    const orb = aspectDef.orb !== undefined ? aspectDef.orb : calculationOrb;
-
-                    if (Math.abs(angleDiff - targetAngle) <= orb) {
-                        // Cross-aspect found!
-                        aspects.push({
-                            planet1: p1.name,
-                            planet2: p2.name,
-                            type: aspectName,
-                            angle: targetAngle,
-                            angleDiff: angleDiff,
-                            orb: Math.abs(angleDiff - targetAngle),
-                            p1: p1,
-                            p2: p2,
-                            color: aspectDef.color || '#888',
-                            lineStyle: aspectDef.lineStyle,
-                            abbr: aspectDef.abbr || aspectName.substring(0, 3).toUpperCase(),
-                            isCross: true // Mark as cross-aspect for identification
-                        });
-                    }
-                }
-            }
+    /**
+     * Returns the CSS class of the motion of an aspect
+     * @private
+     * @param {Object} aspect - The aspect object
+     * @returns {string} " aspect-applying" or " aspect-separating", empty when the motion is unknown
+     */
+    _motionClass(aspect) {
+        if (typeof aspect.applying !== 'boolean') {
+            return '';
         }
-        
-        console.log(`ClientSideAspectRenderer: Calculated ${aspects.length} cross-aspects (synastry).`);
-        return aspects;
+        return aspect.applying ? ' aspect-applying' : ' aspect-separating';
     }
 
+    /**
+     * Returns the data attributes identifying an aspect, used by the chart events
+     * @private
+     * @param {Object} aspect - The aspect object
+     * @returns {Object} { data-aspect, data-planet1, data-planet2 }
+     */
+    _aspectData(aspect) {
+        return {
+            'data-aspect': aspect.type,
+            'data-planet1': aspect.planet1,
+            'data-planet2': aspect.planet2
+        };
+    }
+
+    /**
+     * Returns the tooltip label of the motion of an aspect
+     * @private
+     * @param {Object} aspect - The aspect object
+     * @returns {string} ", applying" or ", separating", empty when the motion is unknown
+     */
+    _motionLabel(aspect) {
+        if (typeof aspect.applying !== 'boolean') {
+            return '';
+        }
+        return aspect.applying ? ', applying' : ', separating';
+    }
 
     /**
      * Renders aspect lines based on planet coordinates.
@@ -221,7 +157,8 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
             // Check if aspect type is enabled in config (and handle default case)
             const aspectDef = aspectTypesConfig[aspect.type];
             const isEnabled = aspectDef ? (aspectDef.enabled !== false) : true; // Default to true if not specified
-            const lineStyle = aspectDef ? aspectDef.lineStyle : 'solid'; // Get style from config or default to solid
+            const motionStyle = this._getMotionStyle(aspect, settings); // Applying or separating style
+            const lineStyle = motionStyle.lineStyle || (aspectDef ? aspectDef.lineStyle : 'solid'); // Get style from config or default to solid
 
             if (!isEnabled || lineStyle === 'none') {
                 // If aspect type is disabled or style is none, don't render line or icon
@@ -250,20 +187,25 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
                 y1: coords1.y,
                 x2: coords2.x,
                 y2: coords2.y,
-                class: `aspect-element aspect-line aspect-${aspect.type} aspect-planet-${p1SafeName} aspect-planet-${p2SafeName}`, // Add classes for type and involved planets
+                ...this._aspectData(aspect),
+                class: `aspect-element aspect-line aspect-${aspect.type}${this._motionClass(aspect)} aspect-planet-${p1SafeName} aspect-planet-${p2SafeName}`, // Add classes for type, motion and involved planets
                 stroke: aspect.color || '#888888', // Apply color from definition or default
                 'stroke-dasharray': strokeDasharray // Apply calculated dash style
             });
 
+            if (motionStyle.opacity !== undefined) {
+                line.setAttribute('opacity', motionStyle.opacity);
+            }
+
             // Add tooltip with details
-            const tooltipText = `${this.astrologyUtils.capitalizeFirstLetter(aspect.planet1)} ${aspect.type} ${this.astrologyUtils.capitalizeFirstLetter(aspect.planet2)} (${aspect.angleDiff.toFixed(1)}°, orb ${aspect.orb.toFixed(1)}°)`;
+            const tooltipText = `${this.astrologyUtils.capitalizeFirstLetter(aspect.planet1)} ${aspect.type} ${this.astrologyUtils.capitalizeFirstLetter(aspect.planet2)} (${aspect.angleDiff.toFixed(1)}°, orb ${aspect.orb.toFixed(1)}°${this._motionLabel(aspect)})${this._harmonicLabel(aspect)}`;
             this.svgUtils.addTooltip(line, tooltipText);
 
             parentGroup.appendChild(line);
             renderedElements.push(line);
 
             // Optionally add aspect glyphs at the midpoint
-             this._addAspectIcon(parentGroup, aspect, coords1, coords2, tooltipText);
+             this._addAspectIcon(parentGroup, aspect, coords1, coords2, tooltipText, motionStyle);
         });
         
         return renderedElements;
@@ -275,9 +217,11 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
      * @param {Array} primaryPlanets - Array of primary planet objects with coordinates
      * @param {Array} secondaryPlanets - Array of secondary planet objects with coordinates
      * @param {Object} aspectSettings - Aspect settings to use
+     * @param {Object} options - { projectionRadius, label }: radius of the primary planet projections
+     *        (defaults to the innermost circle) and tooltip label (defaults to "Synastry") (optional)
      * @returns {Array<Element>} Array containing the created line elements.
      */
-    renderCrossAspects(parentGroup, primaryPlanets, secondaryPlanets, aspectSettings = null) {
+    renderCrossAspects(parentGroup, primaryPlanets, secondaryPlanets, aspectSettings = null, options = {}) {
         if (!parentGroup) {
             console.error("ClientSideAspectRenderer.renderCrossAspects: parentGroup is null or undefined.");
             return [];
@@ -322,7 +266,7 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
             
             // Calculate projection of primary planet onto inner circle radius
             // Using the same angle but inner circle radius
-            const innerRadius = this.config.radius.innermost || 90;
+            const innerRadius = options.projectionRadius || this.config.radius.innermost || 90;
             const angle = primaryPlanet.position;
             const radians = (angle - 90) * (Math.PI / 180); // Adjust for SVG coordinate system
             
@@ -336,7 +280,8 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
 
             const aspectDef = aspectTypesConfig[aspect.type];
             const isEnabled = aspectDef ? (aspectDef.enabled !== false) : true;
-            const lineStyle = aspectDef ? aspectDef.lineStyle : 'solid';
+            const motionStyle = this._getMotionStyle(aspect, settings);
+            const lineStyle = motionStyle.lineStyle || (aspectDef ? aspectDef.lineStyle : 'solid');
 
             if (!isEnabled || lineStyle === 'none') {
                 return;
@@ -362,22 +307,27 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
                 y1: coords1.y,
                 x2: coords2.x,
                 y2: coords2.y,
-                class: `aspect-element aspect-line aspect-${aspect.type} aspect-cross aspect-planet-${p1SafeName} aspect-planet-${p2SafeName}`,
+                ...this._aspectData(aspect),
+                class: `aspect-element aspect-line aspect-${aspect.type}${this._motionClass(aspect)} aspect-cross aspect-planet-${p1SafeName} aspect-planet-${p2SafeName}`,
                 stroke: aspect.color || '#888888',
                 'stroke-dasharray': strokeDasharray
             });
 
-            const tooltipText = `${this.astrologyUtils.capitalizeFirstLetter(aspect.planet1)} ${aspect.type} ${this.astrologyUtils.capitalizeFirstLetter(aspect.planet2)} (${aspect.angleDiff.toFixed(1)}°, orb ${aspect.orb.toFixed(1)}°) [Synastry]`;
+            if (motionStyle.opacity !== undefined) {
+                line.setAttribute('opacity', motionStyle.opacity);
+            }
+
+            const tooltipText = `${this.astrologyUtils.capitalizeFirstLetter(aspect.planet1)} ${aspect.type} ${this.astrologyUtils.capitalizeFirstLetter(aspect.planet2)} (${aspect.angleDiff.toFixed(1)}°, orb ${aspect.orb.toFixed(1)}°${this._motionLabel(aspect)})${this._harmonicLabel(aspect)} [${options.label || 'Synastry'}]`;
             this.svgUtils.addTooltip(line, tooltipText);
 
             parentGroup.appendChild(line);
             renderedElements.push(line);
 
-            this._addAspectIcon(parentGroup, aspect, coords1, coords2, tooltipText);
+            this._addAspectIcon(parentGroup, aspect, coords1, coords2, tooltipText, motionStyle);
         });
         
         // Render projection dots (hollow circles) for primary planets on inner circle
-        this._renderProjectionDots(parentGroup, primaryPlanets);
+        this._renderProjectionDots(parentGroup, primaryPlanets, options.projectionRadius);
 
         return renderedElements;
     }
@@ -387,9 +337,10 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
      * @private
      * @param {Element} parentGroup - The SVG group for aspect lines
      * @param {Array} primaryPlanets - Array of primary planet objects
+     * @param {number} radius - Radius of the projections (optional, defaults to the innermost circle)
      */
-    _renderProjectionDots(parentGroup, primaryPlanets) {
-        const innerRadius = this.config.radius.innermost || 90;
+    _renderProjectionDots(parentGroup, primaryPlanets, radius = null) {
+        const innerRadius = radius || this.config.radius.innermost || 90;
         const dotRadius = 3; // Size of the hollow circle
         
         primaryPlanets.forEach(planet => {
@@ -418,6 +369,16 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
         });
     }
 
+    /**
+     * Returns the tooltip label of a harmonic aspect
+     * @private
+     * @param {Object} aspect - The aspect object
+     * @returns {string} " [H5]" for the 5th harmonic, empty for the radix chart
+     */
+    _harmonicLabel(aspect) {
+        return aspect.harmonic > 1 ? ` [H${aspect.harmonic}]` : '';
+    }
+
     /**
      * Overrides the BaseRenderer clearGroup method to ensure custom cleanup.
      * @param {Element} parentGroup - The parent SVG group to clear.
@@ -435,6 +396,100 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
         return this.renderedAspects;
     }
 
+    /**
+     * Finds the aspect patterns (Grand Trines, T-Squares, Yods, ...) in a list of aspects
+     * @param {Array} aspects - Aspects to search (optional, defaults to the currently rendered aspects)
+     * @param {Object} options - Detection options passed to AspectPatterns.detect (optional)
+     * @returns {Array} Array of patterns { type, name, planets, apex, aspects }
+     */
+    getAspectPatterns(aspects = null, options = {}) {
+        return AspectPatterns.detect(aspects || this.renderedAspects, options);
+    }
+
+    /**
+     * Highlights aspect patterns on the wheel: their aspect lines are retraced and their
+     * planets ringed in the highlight color.
+     * @param {Element} parentGroup - The parent SVG group for the highlight.
+     * @param {Array} patterns - Patterns to highlight, as returned by getAspectPatterns.
+     * @param {Array} planetsWithCoords - Planets with `x`, `y` and `name`.
+     * @param {Object} patternSettings - Pattern settings to use (optional, defaults to config.patternSettings)
+     * @returns {Array<Element>} Array containing the created elements.
+     */
+    renderPatternHighlight(parentGroup, patterns, planetsWithCoords, patternSettings = null) {
+        if (!parentGroup) {
+            console.error("ClientSideAspectRenderer.renderPatternHighlight: parentGroup is null or undefined.");
+            return [];
+        }
+        this.clearGroup(parentGroup);
+
+        const settings = patternSettings || this.config.patternSettings || {};
+        const color = settings.color || '#FFD700';
+        const planetCoords = {};
+        (planetsWithCoords || []).forEach(p => {
+            planetCoords[p.name] = { x: p.x, y: p.y };
+        });
+
+        const renderedElements = [];
+        (patterns || []).forEach(pattern => {
+            const patternClass = `aspect-pattern aspect-pattern-${pattern.type}`;
+
+            pattern.aspects.forEach(aspect => {
+                const coords1 = planetCoords[aspect.planet1];
+                const coords2 = planetCoords[aspect.planet2];
+                if (!coords1 || !coords2) {
+                    return;
+                }
+                const line = this.svgUtils.createSVGElement("line", {
+                    x1: coords1.x,
+                    y1: coords1.y,
+                    x2: coords2.x,
+                    y2: coords2.y,
+                    class: `${patternClass} aspect-pattern-line`,
+                    stroke: color,
+                    'stroke-width': settings.lineWidth || 4,
+                    'stroke-linecap': 'round',
+                    opacity: settings.opacity ?? 0.5
+                });
+                this.svgUtils.addTooltip(line, `${pattern.name}: ${this._patternPlanetNames(pattern)}`);
+                parentGroup.appendChild(line);
+                renderedElements.push(line);
+            });
+
+            pattern.planets.forEach(planet => {
+                const coords = planetCoords[planet];
+                if (!coords) {
+                    return;
+                }
+                const safeName = planet.toLowerCase().replace(/[^a-z0-9]/g, '-');
+                const ring = this.svgUtils.createSVGElement("circle", {
+                    cx: coords.x,
+                    cy: coords.y,
+                    r: planet === pattern.apex ? 8 : 6,
+                    class: `${patternClass} aspect-pattern-planet aspect-planet-${safeName}${planet === pattern.apex ? ' aspect-pattern-apex' : ''}`,
+                    fill: 'none',
+                    stroke: color,
+                    'stroke-width': 2
+                });
+                parentGroup.appendChild(ring);
+                renderedElements.push(ring);
+            });
+        });
+
+        return renderedElements;
+    }
+
+    /**
+     * Returns the planet names of a pattern for tooltips
+     * @private
+     * @param {Object} pattern - Aspect pattern
+     * @returns {string} E.g. "Sun, Moon, Mars (apex)"
+     */
+    _patternPlanetNames(pattern) {
+        return pattern.planets
+            .map(planet => this.astrologyUtils.capitalizeFirstLetter(planet) + (planet === pattern.apex ? ' (apex)' : ''))
+            .join(', ');
+    }
+
     /**
      * Adds an aspect icon at the midpoint of the aspect line
      * @private
@@ -443,8 +498,9 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
      * @param {Object} coords1 - Coordinates of first planet
      * @param {Object} coords2 - Coordinates of second planet
      * @param {string} tooltipText - Tooltip text
+     * @param {Object} motionStyle - Applying or separating style of the aspect (optional)
      */
-    _addAspectIcon(parentGroup, aspect, coords1, coords2, tooltipText) {
+    _addAspectIcon(parentGroup, aspect, coords1, coords2, tooltipText, motionStyle = {}) {
         // Calculate midpoint of the line
         const midX = (coords1.x + coords2.x) / 2;
         const midY = (coords1.y + coords2.y) / 2;
@@ -478,8 +534,12 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
             width: iconSize,
             height: iconSize,
             href: iconPath,
-            class: `aspect-element aspect-symbol aspect-${aspect.type}`
+            ...this._aspectData(aspect),
+            class: `aspect-element aspect-symbol aspect-${aspect.type}${this._motionClass(aspect)}`
         });
+        if (motionStyle.opacity !== undefined) {
+            symbol.setAttribute('opacity', motionStyle.opacity);
+        }
         
         // Add error handling for image loading
         symbol.addEventListener('error', () => {
@@ -521,6 +581,7 @@ export class ClientSideAspectRenderer extends BaseRenderer { // No longer extend
             }
             
             // Add tooltip
+            Object.entries(this._aspectData(aspect)).forEach(([name, value]) => textSymbol.setAttribute(name, value));
             this.svgUtils.addTooltip(textSymbol, tooltipText);
             
             // Add to parent group
@@ -0,0 +1,230 @@
+import { BaseRenderer } from './BaseRenderer.js';
+import { AstrologyUtils } from '../utils/AstrologyUtils.js';
+
+/**
+ * DeclinationRenderer.js
+ * Class for rendering declination aspects (parallels and contraparallels).
+ *
+ * Declination aspects are drawn either as lines between the planets on the wheel,
+ * like ecliptic aspects, or on a vertical strip of declinations beside the wheel
+ * (north up) on which every planet is marked and each aspect joins its two marks.
+ */
+export class DeclinationRenderer extends BaseRenderer {
+    /**
+     * Constructor
+     * @param {Object} options - Renderer options.
+     * @param {string} options.svgNS - SVG namespace.
+     * @param {ChartConfig} options.config - Chart configuration object with declinationSettings.
+     */
+    constructor(options) {
+        super(options);
+        this.markerRadius = 3;
+        this.connectorSpacing = 3;
+    }
+
+    /**
+     * Renders declination aspects in the display mode of the configuration.
+     * @param {Element} parentGroup - The parent SVG group element.
+     * @param {Array} planetsWithCoords - Planets with `x`, `y`, `name`, `color` and `declination`.
+     * @param {Array} aspects - Declination aspects from ClientSideAspectRenderer.calculateDeclinationAspects.
+     * @returns {Array} Array of rendered SVG elements.
+     */
+    render(parentGroup, planetsWithCoords = [], aspects = []) {
+        if (!parentGroup) {
+            console.error("DeclinationRenderer: parentGroup is null or undefined.");
+            return [];
+        }
+        this.clearGroup(parentGroup);
+
+        const settings = this.config.declinationSettings || {};
+        return settings.display === 'strip'
+            ? this.renderStrip(parentGroup, planetsWithCoords, aspects)
+            : this.renderLines(parentGroup, planetsWithCoords, aspects);
+    }
+
+    /**
+     * Draws each declination aspect as a line between the planets on the wheel.
+     * @param {Element} parentGroup - The parent SVG group element.
+     * @param {Array} planetsWithCoords - Planets with coordinates.
+     * @param {Array} aspects - Declination aspects.
+     * @returns {Array} Array of line elements.
+     */
+    renderLines(parentGroup, planetsWithCoords, aspects) {
+        const coords = {};
+        planetsWithCoords.forEach(p => {
+            coords[p.name] = { x: p.x, y: p.y };
+        });
+
+        const elements = [];
+        aspects.forEach(aspect => {
+            const from = coords[aspect.planet1];
+            const to = coords[aspect.planet2];
+            if (!from || !to) {
+                console.warn(`DeclinationRenderer: Could not find coordinates for ${aspect.planet1} ${aspect.type} ${aspect.planet2}`);
+                return;
+            }
+
+            const line = this.svgUtils.createSVGElement("line", {
+                x1: from.x,
+                y1: from.y,
+                x2: to.x,
+                y2: to.y,
+                class: this.getAspectClass(aspect, 'declination-line'),
+                stroke: aspect.color || '#888888',
+                'stroke-dasharray': this.getDashArray(aspect.lineStyle)
+            });
+            this.svgUtils.addTooltip(line, this.getAspectTooltip(aspect));
+            parentGroup.appendChild(line);
+            elements.push(line);
+        });
+        return elements;
+    }
+
+    /**
+     * Draws the strip of declinations beside the wheel with a mark for every planet and
+     * a connector for every declination aspect.
+     * @param {Element} parentGroup - The parent SVG group element.
+     * @param {Array} planetsWithCoords - Planets with declinations.
+     * @param {Array} aspects - Declination aspects.
+     * @returns {Array} Array of rendered SVG elements.
+     */
+    renderStrip(parentGroup, planetsWithCoords, aspects) {
+        const settings = this.config.declinationSettings || {};
+        const maxDeclination = settings.maxDeclination || 30;
+        const axisX = this.getStripX();
+        const elements = [];
+
+        const axis = this.svgUtils.createSVGElement("line", {
+            x1: axisX,
+            y1: this.declinationToY(maxDeclination),
+            x2: axisX,
+            y2: this.declinationToY(-maxDeclination),
+            class: "declination-element declination-strip-axis",
+            stroke: "#999999"
+        });
+        elements.push(axis);
+
+        // Ticks at the ends of the scale and at the celestial equator
+        [maxDeclination, 0, -maxDeclination].forEach(declination => {
+            const y = this.declinationToY(declination);
+            const tick = this.svgUtils.createSVGElement("line", {
+                x1: axisX - 4,
+                y1: y,
+                x2: axisX + 4,
+                y2: y,
+                class: `declination-element declination-strip-tick${declination === 0 ? ' declination-strip-equator' : ''}`,
+                stroke: "#999999"
+            });
+            this.svgUtils.addTooltip(tick, this.formatDeclination(declination));
+            elements.push(tick);
+        });
+
+        // Connectors left of the axis, staggered so that they do not hide each other
+        aspects.forEach((aspect, index) => {
+            const x = axisX - 2 * this.markerRadius - (index % 3) * this.connectorSpacing;
+            const connector = this.svgUtils.createSVGElement("line", {
+                x1: x,
+                y1: this.declinationToY(aspect.declination1),
+                x2: x,
+                y2: this.declinationToY(aspect.declination2),
+                class: this.getAspectClass(aspect, 'declination-connector'),
+                stroke: aspect.color || '#888888',
+                'stroke-dasharray': this.getDashArray(aspect.lineStyle)
+            });
+            this.svgUtils.addTooltip(connector, this.getAspectTooltip(aspect));
+            elements.push(connector);
+        });
+
+        planetsWithCoords
+            .filter(planet => typeof planet.declination === 'number')
+            .forEach(planet => {
+                const marker = this.svgUtils.createSVGElement("circle", {
+                    cx: axisX,
+                    cy: this.declinationToY(planet.declination),
+                    r: this.markerRadius,
+                    class: `declination-element declination-marker declination-planet-${planet.name}`,
+                    fill: planet.color || '#000000'
+                });
+                this.svgUtils.addTooltip(marker,
+                    `${AstrologyUtils.getPlanetFullName(planet.name)} ${this.formatDeclination(planet.declination)}`);
+                elements.push(marker);
+            });
+
+        elements.forEach(element => parentGroup.appendChild(element));
+        return elements;
+    }
+
+    /**
+     * Returns the x coordinate of the strip: beside the house number ring unless set
+     * in declinationSettings.stripX.
+     * @returns {number} X coordinate of the strip axis.
+     */
+    getStripX() {
+        const stripX = this.config.declinationSettings?.stripX;
+        if (typeof stripX === 'number') {
+            return stripX;
+        }
+        const ringRadius = this.config.radius.houseNumberRadius || this.outerRadius + 30;
+        return this.centerX + ringRadius + 12;
+    }
+
+    /**
+     * Converts a declination to a y coordinate on the strip, which spans the zodiac ring
+     * vertically. Declinations beyond the scale are drawn at its ends.
+     * @param {number} declination - Declination in degrees (positive north).
+     * @returns {number} Y coordinate.
+     */
+    declinationToY(declination) {
+        const maxDeclination = this.config.declinationSettings?.maxDeclination || 30;
+        const clamped = Math.max(-maxDeclination, Math.min(maxDeclination, declination));
+        return this.centerY - (clamped / maxDeclination) * this.outerRadius;
+    }
+
+    /**
+     * Formats a declination such as "23.4°N".
+     * @param {number} declination - Declination in degrees (positive north).
+     * @returns {string} Formatted declination.
+     */
+    formatDeclination(declination) {
+        return `${Math.abs(declination).toFixed(1)}°${declination < 0 ? 'S' : 'N'}`;
+    }
+
+    /**
+     * Returns the CSS classes of a declination aspect element.
+     * @param {Object} aspect - Declination aspect.
+     * @param {string} elementClass - Class of the element type.
+     * @returns {string} CSS classes.
+     */
+    getAspectClass(aspect, elementClass) {
+        const safeName = name => (name || '').toLowerCase().replace(/[^a-z0-9]/g, '-');
+        return `declination-element ${elementClass} declination-${aspect.type} ` +
+            `declination-planet-${safeName(aspect.planet1)} declination-planet-${safeName(aspect.planet2)}`;
+    }
+
+    /**
+     * Returns the tooltip of a declination aspect.
+     * @param {Object} aspect - Declination aspect.
+     * @returns {string} Tooltip text.
+     */
+    getAspectTooltip(aspect) {
+        const name1 = AstrologyUtils.getPlanetFullName(aspect.planet1);
+        const name2 = AstrologyUtils.getPlanetFullName(aspect.planet2);
+        return `${name1} ${aspect.type} ${name2} (${this.formatDeclination(aspect.declination1)} / ` +
+            `${this.formatDeclination(aspect.declination2)}, orb ${aspect.orb.toFixed(1)}°)`;
+    }
+
+    /**
+     * Converts a line style to a stroke dash array.
+     * @param {string} lineStyle - 'solid', 'dashed' or 'dotted'.
+     * @returns {string} Stroke dash array.
+     */
+    getDashArray(lineStyle) {
+        if (lineStyle === 'dashed') {
+            return '5, 5';
+        }
+        if (lineStyle === 'dotted') {
+            return '1, 3';
+        }
+        return 'none';
+    }
+}
@@ -39,6 +39,7 @@ export class HouseRenderer extends BaseRenderer {
         
         renderedElements.push(...this.renderDivisions(parentGroup, rotationAngle));
         renderedElements.push(...this.renderNumbers(parentGroup, rotationAngle));
+        renderedElements.push(...this.renderFallbackBadge(parentGroup));
         
         console.log("HouseRenderer: Rendering complete.");
         return renderedElements;
@@ -116,6 +117,7 @@ export class HouseRenderer extends BaseRenderer {
                 y2: middlePoint.y,
                 stroke: innerStrokeColor, // Explicitly set stroke to ensure visibility
                 "stroke-width": innerStrokeWidth, // Explicitly set stroke width
+                'data-house': i + 1, // The cusp starts this house
                 class: `house-element house-division-line ${axisClass}`
             });
             
@@ -144,6 +146,7 @@ export class HouseRenderer extends BaseRenderer {
                 y2: extendedPoint.y,
                 stroke: outerStrokeColor, // Explicitly set stroke to ensure visibility
                 "stroke-width": outerStrokeWidth, // Explicitly set stroke width
+                'data-house': i + 1,
                 class: `house-element house-division-line outer ${axisClass}`
             };
             
@@ -207,6 +210,7 @@ export class HouseRenderer extends BaseRenderer {
             const text = this.svgUtils.createSVGElement("text", {
                 x: point.x,
                 y: point.y,
+                'data-house': i + 1,
                 class: "house-element house-number"
             });
             
@@ -244,6 +248,136 @@ export class HouseRenderer extends BaseRenderer {
         return elements;
     }
     
+    /**
+     * Renders the house cusps of the secondary chart (e.g. the partner in synastry)
+     * on the innermost circle: cusp ticks inside the circle and Arabic house numbers.
+     * The cusps are aligned like the primary house cusps of this.houseData.
+     * @param {Element} parentGroup - The parent SVG group.
+     * @param {Array} secondaryHouseData - House cusps of the secondary chart ({ lon } objects or longitudes).
+     * @param {number} rotationAngle - Rotation angle for the house system.
+     * @param {Object} options - { radius, ring } to draw the houses of a multi-wheel ring on its
+     *        circle; elements of a ring get data-type "ring" and data-ring (optional)
+     * @returns {Array<Element>} Array containing the created line and text elements.
+     */
+    renderSecondaryHouses(parentGroup, secondaryHouseData, rotationAngle, options = {}) {
+        const elements = [];
+        if (!secondaryHouseData || secondaryHouseData.length < 12) {
+            return elements;
+        }
+        
+        const radius = options.radius || this.config.radius.innermost;
+        const ringAttributes = options.ring ? { 'data-type': 'ring', 'data-ring': options.ring } : {};
+        const tickLength = 8;
+        const numberRadius = radius - tickLength - 8;
+        
+        let ascendantAlignmentOffset = 0;
+        if (this.houseData && this.houseData.length >= 12) {
+            ascendantAlignmentOffset = (360 - this.getHouseLongitude(this.houseData[0])) % 360;
+        }
+        const cusps = secondaryHouseData.slice(0, 12).map(house => this.getHouseLongitude(house));
+        
+        for (let i = 0; i < 12; i++) {
+            const angle = (cusps[i] + ascendantAlignmentOffset + rotationAngle) % 360;
+            const isAxis = i % 3 === 0;
+            const axisClass = isAxis ? `axis ${['asc', 'ic', 'dsc', 'mc'][i / 3]}` : '';
+            
+            // Tick from the innermost circle towards the center, longer for the axes
+            const outerPoint = this.svgUtils.pointOnCircle(this.centerX, this.centerY, radius, angle);
+            const innerPoint = this.svgUtils.pointOnCircle(this.centerX, this.centerY,
+                radius - (isAxis ? tickLength * 1.5 : tickLength), angle);
+            const tick = this.svgUtils.createSVGElement("line", {
+                x1: outerPoint.x,
+                y1: outerPoint.y,
+                x2: innerPoint.x,
+                y2: innerPoint.y,
+                stroke: isAxis ? "#555" : "#999",
+                "stroke-width": isAxis ? "1" : "0.75",
+                'data-house': i + 1,
+                'data-type': 'secondary',
+                ...ringAttributes,
+                class: `house-element secondary-house-line ${axisClass}`.trim()
+            });
+            parentGroup.appendChild(tick);
+            elements.push(tick);
+            
+            // House number in the middle of the house
+            const size = ((cusps[(i + 1) % 12] - cusps[i]) % 360 + 360) % 360;
+            const point = this.svgUtils.pointOnCircle(this.centerX, this.centerY, numberRadius, (angle + size / 2) % 360);
+            const text = this.svgUtils.createSVGElement("text", {
+                x: point.x,
+                y: point.y,
+                "text-anchor": "middle",
+                "dominant-baseline": "central",
+                "font-size": "8",
+                fill: "#888",
+                'data-house': i + 1,
+                'data-type': 'secondary',
+                ...ringAttributes,
+                class: "house-element secondary-house-number"
+            });
+            text.textContent = String(i + 1);
+            this.svgUtils.addTooltip(text, options.ring ? `${options.ring} house ${i + 1}` : `Secondary house ${i + 1}`);
+            
+            parentGroup.appendChild(text);
+            elements.push(text);
+        }
+        
+        return elements;
+    }
+    
+    /**
+     * Renders a small warning badge when the house system is undefined at the
+     * chart latitude and the cusps come from the polar fallback system.
+     * Can be disabled with houseSettings.showFallbackBadge = false.
+     * @param {Element} parentGroup - The parent SVG group.
+     * @returns {Array<Element>} Array containing the badge group, or empty if no fallback happened.
+     */
+    renderFallbackBadge(parentGroup) {
+        if (this.config.houseSettings?.showFallbackBadge === false ||
+            typeof this.config.hasHouseSystemFallback !== 'function' ||
+            !this.config.hasHouseSystemFallback()) {
+            return [];
+        }
+        
+        // Top right corner of the chart, outside the house numbers
+        const x = this.centerX + this.extendedRadius;
+        const y = this.centerY - this.extendedRadius;
+        
+        const badge = this.svgUtils.createSVGElement("g", {
+            class: "house-element house-fallback-badge"
+        });
+        
+        const circle = this.svgUtils.createSVGElement("circle", {
+            cx: x,
+            cy: y,
+            r: 7,
+            fill: "#f0ad4e",
+            stroke: "#c77c0e",
+            "stroke-width": "1"
+        });
+        
+        const text = this.svgUtils.createSVGElement("text", {
+            x: x,
+            y: y,
+            "text-anchor": "middle",
+            "dominant-baseline": "central",
+            "font-size": "10",
+            "font-weight": "bold",
+            fill: "#ffffff"
+        });
+        text.textContent = "!";
+        
+        badge.appendChild(circle);
+        badge.appendChild(text);
+        
+        const requested = this.config.astronomicalData.houseSystem;
+        const used = this.config.getEffectiveHouseSystem();
+        this.svgUtils.addTooltip(badge, `${requested} houses are undefined at this latitude; showing ${used} houses`);
+        
+        parentGroup.appendChild(badge);
+        return [badge];
+    }
+    
     /**
      * Helper method to get the longitude from various house data formats
      * @param {Object|number} houseData - House cusp data (can be object with lon property or direct number)
@@ -0,0 +1,339 @@
+import { BaseRenderer } from './BaseRenderer.js';
+import { AstrologyUtils } from '../utils/AstrologyUtils.js';
+
+// North Indian chart: cell centres and sign number positions of houses 1-12, in units of
+// half the chart size from the centre (x to the right, y down). House 1 is the top diamond
+// and the houses run anti-clockwise.
+const NORTH_INDIAN_CELLS = [
+    { center: [0, -0.5], label: [0, -0.2] },
+    { center: [-0.5, -0.83], label: [-0.5, -0.62] },
+    { center: [-0.83, -0.5], label: [-0.62, -0.5] },
+    { center: [-0.5, 0], label: [-0.2, 0] },
+    { center: [-0.83, 0.5], label: [-0.62, 0.5] },
+    { center: [-0.5, 0.83], label: [-0.5, 0.62] },
+    { center: [0, 0.5], label: [0, 0.2] },
+    { center: [0.5, 0.83], label: [0.5, 0.62] },
+    { center: [0.83, 0.5], label: [0.62, 0.5] },
+    { center: [0.5, 0], label: [0.2, 0] },
+    { center: [0.83, -0.5], label: [0.62, -0.5] },
+    { center: [0.5, -0.83], label: [0.5, -0.62] }
+];
+
+// South Indian chart: grid cell [column, row] of each sign, Aries to Pisces, on a 4x4 grid
+const SOUTH_INDIAN_CELLS = [
+    [1, 0], [2, 0], [3, 0], [3, 1], [3, 2], [3, 3],
+    [2, 3], [1, 3], [0, 3], [0, 2], [0, 1], [0, 0]
+];
+
+/**
+ * IndianChartRenderer.js
+ * Class for rendering the square charts of Indian astrology.
+ *
+ * The North Indian chart has fixed houses (the Lagna is always the top diamond) and
+ * writes the sign number in each house. The South Indian chart has fixed signs (Pisces
+ * in the top-left corner) and marks the sign of the Lagna. Both place planets by sign,
+ * with the sign of the first house cusp as the Lagna, using the same planet glyphs as
+ * the wheel.
+ */
+export class IndianChartRenderer extends BaseRenderer {
+    /**
+     * Constructor
+     * @param {Object} options - Renderer options.
+     * @param {string} options.svgNS - SVG namespace.
+     * @param {ChartConfig} options.config - Chart configuration object.
+     * @param {PlanetSymbolRenderer} options.symbolRenderer - Renderer for the planet glyphs.
+     * @param {Array} options.houseData - House cusps data (optional).
+     * @param {IconProvider} [options.iconProvider] - Icon provider service.
+     */
+    constructor(options) {
+        super(options);
+
+        if (!options.symbolRenderer) {
+            throw new Error("IndianChartRenderer: Missing required option symbolRenderer");
+        }
+
+        this.symbolRenderer = options.symbolRenderer;
+        this.iconProvider = options.iconProvider;
+        this.assetBasePath = options.assetBasePath || './assets/';
+        this.houseData = options.houseData || [];
+
+        // The square spans the wheel including the house number ring
+        this.halfSize = this.outerRadius + 25;
+        this.iconSize = 20;
+        this.iconSpacing = 22;
+    }
+
+    /**
+     * Renders the chart in the layout set in the configuration.
+     * @param {Element} parentGroup - The parent SVG group element.
+     * @param {Array} primaryPlanets - Array of planet objects { name, position, color, retrograde }.
+     * @param {Array} secondaryPlanets - Array of secondary planet objects (optional).
+     * @returns {Array} Array of rendered SVG elements.
+     */
+    render(parentGroup, primaryPlanets = [], secondaryPlanets = []) {
+        if (!parentGroup) {
+            console.error("IndianChartRenderer: parentGroup is null or undefined.");
+            return [];
+        }
+        this.clearGroup(parentGroup);
+
+        const layout = this.config.layout;
+        if (layout !== 'north-indian' && layout !== 'south-indian') {
+            console.error(`IndianChartRenderer: Unsupported layout "${layout}".`);
+            return [];
+        }
+
+        const planets = [
+            ...this.symbolRenderer.preparePlanetData(primaryPlanets, 'primary', 0, 0),
+            ...this.symbolRenderer.preparePlanetData(secondaryPlanets, 'secondary', 0, 0)
+        ];
+        const lagnaSign = this.getLagnaSign();
+
+        const renderedElements = layout === 'north-indian'
+            ? this.renderNorthIndian(parentGroup, lagnaSign)
+            : this.renderSouthIndian(parentGroup, lagnaSign);
+
+        // Group the planets by the cell of their sign
+        const signOf = planet => Math.floor(planet.position / 30) % 12;
+        for (let sign = 0; sign < 12; sign++) {
+            const signPlanets = planets.filter(planet => signOf(planet) === sign);
+            if (signPlanets.length > 0) {
+                const center = this.getSignCellCenter(sign, lagnaSign, layout);
+                renderedElements.push(...this.renderCellPlanets(parentGroup, signPlanets, center));
+            }
+        }
+
+        console.log(`IndianChartRenderer: Rendered ${layout} chart.`);
+        return renderedElements;
+    }
+
+    /**
+     * Gets the sign of the Lagna (Ascendant) from the first house cusp.
+     * @returns {number} Sign index (0 = Aries), Aries if no house data is available.
+     */
+    getLagnaSign() {
+        if (!this.houseData || this.houseData.length === 0) {
+            return 0;
+        }
+        const first = this.houseData[0];
+        const longitude = typeof first === 'object' && first !== null ? first.lon : first;
+        if (typeof longitude !== 'number' || !isFinite(longitude)) {
+            return 0;
+        }
+        return Math.floor((((longitude % 360) + 360) % 360) / 30);
+    }
+
+    /**
+     * Converts chart units (half the chart size from the centre) to SVG coordinates.
+     * @param {Array<number>} point - [x, y] in chart units.
+     * @returns {Object} Point { x, y } in SVG coordinates.
+     */
+    toSvgPoint([x, y]) {
+        return {
+            x: this.centerX + x * this.halfSize,
+            y: this.centerY + y * this.halfSize
+        };
+    }
+
+    /**
+     * Gets the centre of the cell a sign is drawn in.
+     * @param {number} sign - Sign index (0 = Aries).
+     * @param {number} lagnaSign - Sign index of the Lagna.
+     * @param {string} layout - 'north-indian' or 'south-indian'.
+     * @returns {Object} Point { x, y } in SVG coordinates.
+     */
+    getSignCellCenter(sign, lagnaSign, layout) {
+        if (layout === 'north-indian') {
+            const house = (sign - lagnaSign + 12) % 12;
+            return this.toSvgPoint(NORTH_INDIAN_CELLS[house].center);
+        }
+        const [column, row] = SOUTH_INDIAN_CELLS[sign];
+        return this.toSvgPoint([(column - 1.5) / 2, (row - 1.5) / 2]);
+    }
+
+    /**
+     * Renders the outer square shared by both layouts.
+     * @param {Element} parentGroup - The parent SVG group.
+     * @param {string} layout - 'north-indian' or 'south-indian'.
+     * @returns {Element} The created rectangle element.
+     */
+    renderFrame(parentGroup, layout) {
+        const frame = this.svgUtils.createSVGElement("rect", {
+            x: this.centerX - this.halfSize,
+            y: this.centerY - this.halfSize,
+            width: this.halfSize * 2,
+            height: this.halfSize * 2,
+            fill: "transparent",
+            stroke: "#666",
+            "stroke-width": "1",
+            class: `indian-chart-element indian-chart-frame ${layout}-frame`
+        });
+        parentGroup.appendChild(frame);
+        return frame;
+    }
+
+    /**
+     * Renders a line between two points given in chart units.
+     * @param {Element} parentGroup - The parent SVG group.
+     * @param {Array<number>} from - Start point [x, y].
+     * @param {Array<number>} to - End point [x, y].
+     * @param {string} className - Additional CSS class.
+     * @returns {Element} The created line element.
+     */
+    renderLine(parentGroup, from, to, className) {
+        const start = this.toSvgPoint(from);
+        const end = this.toSvgPoint(to);
+        const line = this.svgUtils.createSVGElement("line", {
+            x1: start.x,
+            y1: start.y,
+            x2: end.x,
+            y2: end.y,
+            stroke: "#999",
+            "stroke-width": "0.75",
+            class: `indian-chart-element indian-chart-line ${className}`
+        });
+        parentGroup.appendChild(line);
+        return line;
+    }
+
+    /**
+     * Renders the North Indian diamond chart with the sign number of each house.
+     * @param {Element} parentGroup - The parent SVG group.
+     * @param {number} lagnaSign - Sign index of the Lagna.
+     * @returns {Array<Element>} Array of created elements.
+     */
+    renderNorthIndian(parentGroup, lagnaSign) {
+        const elements = [this.renderFrame(parentGroup, 'north-indian')];
+
+        // Diagonals and the inner diamond through the midpoints of the sides
+        elements.push(this.renderLine(parentGroup, [-1, -1], [1, 1], 'indian-chart-diagonal'));
+        elements.push(this.renderLine(parentGroup, [1, -1], [-1, 1], 'indian-chart-diagonal'));
+        [[0, -1], [-1, 0], [0, 1], [1, 0]].forEach((point, i, points) => {
+            elements.push(this.renderLine(parentGroup, point, points[(i + 1) % 4], 'indian-chart-diamond'));
+        });
+
+        const zodiacSigns = AstrologyUtils.getZodiacSigns();
+        NORTH_INDIAN_CELLS.forEach((cell, house) => {
+            const sign = (lagnaSign + house) % 12;
+            const point = this.toSvgPoint(cell.label);
+            const label = this.svgUtils.createSVGElement("text", {
+                x: point.x,
+                y: point.y,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'middle',
+                'font-size': '10px',
+                fill: '#666',
+                'data-house': house + 1,
+                'data-sign': zodiacSigns[sign],
+                class: `indian-chart-element indian-chart-sign-number house-${house + 1}${house === 0 ? ' indian-chart-lagna' : ''}`
+            });
+            label.textContent = String(sign + 1);
+            this.svgUtils.addTooltip(label, `House ${house + 1}: ${AstrologyUtils.getZodiacSignFullName(zodiacSigns[sign])}`);
+            parentGroup.appendChild(label);
+            elements.push(label);
+        });
+
+        return elements;
+    }
+
+    /**
+     * Renders the South Indian grid chart with a sign glyph in each cell and the
+     * Lagna marked by a diagonal stroke.
+     * @param {Element} parentGroup - The parent SVG group.
+     * @param {number} lagnaSign - Sign index of the Lagna.
+     * @returns {Array<Element>} Array of created elements.
+     */
+    renderSouthIndian(parentGroup, lagnaSign) {
+        const elements = [this.renderFrame(parentGroup, 'south-indian')];
+
+        // Grid lines; the middle 2x2 cells are left empty
+        [-0.5, 0, 0.5].forEach(offset => {
+            const span = offset === 0 ? [[-1, -0.5], [0.5, 1]] : [[-1, 1]];
+            span.forEach(([from, to]) => {
+                elements.push(this.renderLine(parentGroup, [offset, from], [offset, to], 'indian-chart-grid'));
+                elements.push(this.renderLine(parentGroup, [from, offset], [to, offset], 'indian-chart-grid'));
+            });
+        });
+
+        const zodiacSigns = AstrologyUtils.getZodiacSigns();
+        const cellSize = this.halfSize / 2;
+        const glyphSize = 12;
+        SOUTH_INDIAN_CELLS.forEach(([column, row], sign) => {
+            const signName = zodiacSigns[sign];
+            const left = this.centerX - this.halfSize + column * cellSize;
+            const top = this.centerY - this.halfSize + row * cellSize;
+
+            let iconHref;
+            if (this.iconProvider) {
+                iconHref = this.iconProvider.getZodiacIconPath(signName);
+            } else {
+                iconHref = `${this.assetBasePath}svg/zodiac/zodiac-sign-${signName}.svg`;
+            }
+            const icon = this.svgUtils.createSVGElement("image", {
+                x: left + cellSize - glyphSize - 3,
+                y: top + 3,
+                width: glyphSize,
+                height: glyphSize,
+                href: iconHref,
+                opacity: 0.6,
+                'data-sign': signName,
+                class: `indian-chart-element zodiac-sign zodiac-sign-${signName}`
+            });
+            this.svgUtils.addTooltip(icon, AstrologyUtils.getZodiacSignFullName(signName));
+            parentGroup.appendChild(icon);
+            elements.push(icon);
+
+            if (sign === lagnaSign) {
+                const lagna = this.svgUtils.createSVGElement("line", {
+                    x1: left,
+                    y1: top + cellSize / 4,
+                    x2: left + cellSize / 4,
+                    y2: top,
+                    stroke: "#555",
+                    "stroke-width": "1",
+                    class: "indian-chart-element indian-chart-lagna"
+                });
+                this.svgUtils.addTooltip(lagna, `Lagna: ${AstrologyUtils.getZodiacSignFullName(signName)}`);
+                parentGroup.appendChild(lagna);
+                elements.push(lagna);
+            }
+        });
+
+        return elements;
+    }
+
+    /**
+     * Renders the planets of one cell in centred rows of up to three glyphs.
+     * @param {Element} parentGroup - The parent SVG group.
+     * @param {Array} planets - Prepared planet objects in the cell.
+     * @param {Object} center - Cell centre { x, y } in SVG coordinates.
+     * @returns {Array<Element>} Array of created planet groups.
+     */
+    renderCellPlanets(parentGroup, planets, center) {
+        const perRow = 3;
+        const rows = Math.ceil(planets.length / perRow);
+
+        return planets.map((planet, index) => {
+            const row = Math.floor(index / perRow);
+            const inRow = Math.min(perRow, planets.length - row * perRow);
+            const column = index % perRow;
+
+            planet.adjustedIconX = center.x + (column - (inRow - 1) / 2) * this.iconSpacing;
+            planet.adjustedIconY = center.y + (row - (rows - 1) / 2) * this.iconSpacing;
+
+            const planetGroup = this.svgUtils.createSVGElement("g", {
+                'data-planet': planet.name,
+                'data-type': planet.type,
+                class: `planet-element planet-${planet.name} planet-${planet.type} indian-chart-planet`
+            });
+            planetGroup.appendChild(this.symbolRenderer.renderPlanetSymbol(planetGroup, planet, this.iconSize));
+            if (planet.retrograde) {
+                planetGroup.appendChild(this.symbolRenderer.renderRetrogradeIndicator(planetGroup, planet, this.iconSize));
+            }
+            this.symbolRenderer.addPlanetTooltip(planetGroup, planet);
+
+            parentGroup.appendChild(planetGroup);
+            return planetGroup;
+        });
+    }
+}
@@ -114,7 +114,9 @@ export class PlanetRendererCoordinator extends BasePlanetRenderer {
             .map(([name, data]) => ({
                 name: name,
                 position: data.lon,
-                color: data.color || '#000000'
+                color: data.color || '#000000',
+                speed: data.speed,
+                declination: config.getDeclination(data)
             }));
         
         const result = {};
@@ -1,5 +1,6 @@
 import { BasePlanetRenderer } from './BasePlanetRenderer.js';
 import { AstrologyUtils } from '../utils/AstrologyUtils.js';
+import { PointCatalogue } from '../core/PointCatalogue.js';
 
 /**
  * PlanetSymbolRenderer.js
@@ -29,7 +30,7 @@ export class PlanetSymbolRenderer extends BasePlanetRenderer {
         } else {
             // Fallback to old path construction if IconProvider is not available
             const basePath = this.options.assetBasePath || this.assetBasePath || './assets/';
-            iconPath = `${basePath}svg/zodiac/zodiac-planet-${planet.name.toLowerCase()}.svg`;
+            iconPath = `${basePath}svg/zodiac/zodiac-planet-${PointCatalogue.getGlyph(planet.name)}.svg`;
         }
         
         // Calculate top-left position of the icon (centered on the calculated point)
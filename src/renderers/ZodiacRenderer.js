@@ -1,5 +1,6 @@
 import { BaseRenderer } from './BaseRenderer.js';
 import { AstrologyUtils } from '../utils/AstrologyUtils.js';
+import { Vargas } from '../core/Vargas.js';
 
 /**
  * ZodiacRenderer.js
@@ -49,6 +50,7 @@ export class ZodiacRenderer extends BaseRenderer {
         renderedElements.push(...this.renderBaseCircles(parentGroup));
         renderedElements.push(...this.renderDivisionLines(parentGroup));
         renderedElements.push(...this.renderZodiacSigns(parentGroup));
+        renderedElements.push(...this.renderZodiacMetadata(parentGroup));
 
         console.log("ZodiacRenderer: Rendering complete.");
         return renderedElements;
@@ -169,6 +171,7 @@ export class ZodiacRenderer extends BaseRenderer {
                 width: this.signIconSize,
                 height: this.signIconSize,
                 href: iconHref,
+                'data-sign': signName,
                 class: `zodiac-element zodiac-sign zodiac-sign-${signName}` // Add base and specific class
             });
 
@@ -208,6 +211,7 @@ export class ZodiacRenderer extends BaseRenderer {
                      textElement.textContent = fallbackText;
                  }
                  
+                 textElement.setAttribute('data-sign', signName);
                  parentGroup.appendChild(textElement);
                  elements.push(textElement); // Add placeholder to rendered elements
              });
@@ -221,4 +225,43 @@ export class ZodiacRenderer extends BaseRenderer {
         }
         return elements;
     }
+
+    /**
+     * Renders a metadata element describing the zodiac (and divisional chart) the
+     * chart is drawn in.
+     * The sign ring always shows 30-degree signs; in a sidereal chart all
+     * longitudes are already shifted by the ayanamsa recorded here.
+     * @param {Element} parentGroup - The parent SVG group.
+     * @returns {Array<Element>} Array containing the created metadata element.
+     */
+    renderZodiacMetadata(parentGroup) {
+        if (typeof this.config.getZodiacInfo !== 'function') {
+            return [];
+        }
+        const { zodiacType, ayanamsa, ayanamsaValue } = this.config.getZodiacInfo();
+
+        const attributes = {
+            class: "zodiac-element zodiac-metadata",
+            "data-zodiac-type": zodiacType
+        };
+        let description = "Tropical zodiac";
+        if (zodiacType === "sidereal") {
+            const ayanamsaName = typeof ayanamsa === 'number' ? "Custom" : ayanamsa;
+            attributes["data-ayanamsa"] = ayanamsaName;
+            attributes["data-ayanamsa-value"] = ayanamsaValue.toFixed(6);
+            description = `Sidereal zodiac, ${ayanamsaName} ayanamsa ${ayanamsaValue.toFixed(4)}°`;
+        }
+
+        const varga = typeof this.config.getVarga === 'function' ? this.config.getVarga() : "D1";
+        if (varga !== "D1") {
+            attributes["data-varga"] = varga;
+            description += `, ${Vargas.getVargaName(varga)} (${varga})`;
+        }
+
+        const metadata = this.svgUtils.createSVGElement("metadata", attributes);
+        metadata.textContent = description;
+
+        parentGroup.appendChild(metadata);
+        return [metadata];
+    }
 } // End of ZodiacRenderer class
\ No newline at end of file
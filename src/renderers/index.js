@@ -14,4 +14,6 @@ export { PlanetSymbolRenderer } from './PlanetSymbolRenderer.js';
 export { PrimaryPlanetRenderer } from './PrimaryPlanetRenderer.js';
 export { SecondaryPlanetRenderer } from './SecondaryPlanetRenderer.js';
 export { PlanetRendererCoordinator } from './PlanetRendererCoordinator.js';
-export { ClientSideAspectRenderer } from './ClientSideAspectRenderer.js'; 
\ No newline at end of file
+export { ClientSideAspectRenderer } from './ClientSideAspectRenderer.js';
+export { IndianChartRenderer } from './IndianChartRenderer.js';
+export { DeclinationRenderer } from './DeclinationRenderer.js'; 
\ No newline at end of file
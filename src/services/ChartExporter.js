@@ -0,0 +1,339 @@
+/**
+ * ChartExporter.js
+ * Exports a rendered chart as a self-contained SVG file, as PNG or as PDF.
+ *
+ * Raster images are drawn by a rasterizer: a function
+ * (svg, { width, height, background, format }) => bytes, where format is "png"
+ * or "jpeg" and bytes a Uint8Array, ArrayBuffer or Blob (or a promise of one).
+ * In the browser a canvas is used by default; in Node a rasterizer has to be
+ * registered with ServiceRegistry.register('rasterizer', fn) or passed per call.
+ */
+import { ServiceRegistry } from './ServiceRegistry.js';
+import { IconData } from '../data/IconData.js';
+import { StyleData } from '../data/StyleData.js';
+import { PdfWriter } from '../utils/PdfWriter.js';
+import { AstrologyUtils } from '../utils/AstrologyUtils.js';
+
+// Page sizes in points (1/72 inch)
+const PAGE_SIZES = {
+    a3: [841.89, 1190.55],
+    a4: [595.28, 841.89],
+    a5: [419.53, 595.28],
+    letter: [612, 792],
+    legal: [612, 1008]
+};
+
+export class ChartExporter {
+    /**
+     * Constructor
+     * @param {NocturnaWheel} chart - Chart to export
+     * @param {Object} options - Exporter options (optional)
+     * @param {string} options.stylesheet - CSS embedded in SVG files (default: nocturna-wheel.css)
+     */
+    constructor(chart, options = {}) {
+        this.chart = chart;
+        this.stylesheet = options.stylesheet ?? StyleData;
+        this.margin = 36;
+        this.rowHeight = 14;
+    }
+
+    /**
+     * Returns the chart as a self-contained SVG document, with the theme styles
+     * and the icons embedded
+     * @returns {string} SVG document
+     * @throws {Error} If the chart has not been rendered
+     */
+    exportSVG() {
+        const svg = this.chart.svgManager.getSVG();
+        if (!svg) {
+            throw new Error("ChartExporter: Render the chart before exporting it");
+        }
+
+        const markup = typeof svg.serialize === 'function'
+            ? svg.serialize()
+            : new XMLSerializer().serializeToString(svg);
+        const inlined = markup.replace(/ href="([^"]*)"/g, (match, href) => ` href="${this._inlineIcon(href)}"`);
+
+        // The style element goes first, so the chart elements follow it
+        const openTagEnd = inlined.indexOf('>', inlined.indexOf('<svg')) + 1;
+        const style = this.stylesheet
+            ? `<style>${this.stylesheet.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</style>`
+            : '';
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${inlined.slice(0, openTagEnd)}${style}${inlined.slice(openTagEnd)}`;
+    }
+
+    /**
+     * Exports the chart as a PNG image
+     * @param {Object} options - Export options (optional)
+     * @param {number} options.scale - Pixels per SVG unit (default: 1)
+     * @param {string} options.background - Background color (default: transparent)
+     * @param {Function} options.rasterizer - Rasterizer to use instead of the registered one
+     * @returns {Promise<Uint8Array>} PNG file
+     */
+    async exportPNG({ scale = 1, background = null, rasterizer = null } = {}) {
+        const { width, height } = this.getDimensions();
+        return this._rasterize(rasterizer, {
+            width: Math.round(width * scale),
+            height: Math.round(height * scale),
+            background: background,
+            format: 'png'
+        });
+    }
+
+    /**
+     * Exports the chart as a PDF document with the chart on top of the first page
+     * @param {Object} options - Export options (optional)
+     * @param {string|Array} options.pageSize - "A3", "A4", "A5", "Letter", "Legal" or [width, height]
+     *        in points (default: "A4")
+     * @param {boolean} options.includeTables - Whether to add tables of the positions and aspects
+     *        below the chart (default: false)
+     * @param {number} options.scale - Pixels per SVG unit of the embedded image (default: 2)
+     * @param {Function} options.rasterizer - Rasterizer to use instead of the registered one
+     * @returns {Promise<Uint8Array>} PDF file
+     * @throws {Error} If the page size is unknown
+     */
+    async exportPDF({ pageSize = 'A4', includeTables = false, scale = 2, rasterizer = null } = {}) {
+        const [pageWidth, pageHeight] = this.getPageSize(pageSize);
+        const { width, height } = this.getDimensions();
+        const imageWidth = Math.round(width * scale);
+        const imageHeight = Math.round(height * scale);
+
+        // JPEG is embedded as is, so the PDF needs no image codec
+        const jpeg = await this._rasterize(rasterizer, {
+            width: imageWidth,
+            height: imageHeight,
+            background: '#FFFFFF',
+            format: 'jpeg'
+        });
+
+        // Fit the chart into the page width and at most half the page height with tables
+        const contentWidth = pageWidth - 2 * this.margin;
+        const maxHeight = (includeTables ? pageHeight / 2 : pageHeight) - 2 * this.margin;
+        const fit = Math.min(contentWidth / width, maxHeight / height);
+        const drawWidth = width * fit;
+        const drawHeight = height * fit;
+        const chartTop = pageHeight - this.margin;
+        const x = this.margin + (contentWidth - drawWidth) / 2;
+
+        const pages = [[`q ${PdfWriter.number(drawWidth)} 0 0 ${PdfWriter.number(drawHeight)} ` +
+            `${PdfWriter.number(x)} ${PdfWriter.number(chartTop - drawHeight)} cm /Chart Do Q`]];
+        if (includeTables) {
+            this._drawTables(pages, this._getTables(), chartTop - drawHeight - 2 * this.rowHeight, pageWidth, pageHeight);
+        }
+
+        const pdf = new PdfWriter();
+        const catalogId = pdf.reserve();
+        const pagesId = pdf.reserve();
+        const imageId = pdf.addObject({
+            Type: '/XObject',
+            Subtype: '/Image',
+            Width: imageWidth,
+            Height: imageHeight,
+            ColorSpace: '/DeviceRGB',
+            BitsPerComponent: 8,
+            Filter: '/DCTDecode'
+        }, jpeg);
+        const regularFontId = pdf.addObject({ Type: '/Font', Subtype: '/Type1', BaseFont: '/Helvetica', Encoding: '/WinAnsiEncoding' });
+        const boldFontId = pdf.addObject({ Type: '/Font', Subtype: '/Type1', BaseFont: '/Helvetica-Bold', Encoding: '/WinAnsiEncoding' });
+        const resources = `<< /Font << /F1 ${PdfWriter.ref(regularFontId)} /F2 ${PdfWriter.ref(boldFontId)} >> ` +
+            `/XObject << /Chart ${PdfWriter.ref(imageId)} >> >>`;
+
+        const pageIds = pages.map(commands => {
+            const contentId = pdf.addObject({}, commands.join('\n'));
+            return pdf.addObject({
+                Type: '/Page',
+                Parent: PdfWriter.ref(pagesId),
+                MediaBox: `[0 0 ${PdfWriter.number(pageWidth)} ${PdfWriter.number(pageHeight)}]`,
+                Resources: resources,
+                Contents: PdfWriter.ref(contentId)
+            });
+        });
+        pdf.addObject({
+            Type: '/Pages',
+            Kids: `[${pageIds.map(id => PdfWriter.ref(id)).join(' ')}]`,
+            Count: pageIds.length
+        }, null, pagesId);
+        pdf.addObject({ Type: '/Catalog', Pages: PdfWriter.ref(pagesId) }, null, catalogId);
+
+        return pdf.toBytes(catalogId);
+    }
+
+    /**
+     * Returns the size of the chart in SVG units
+     * @returns {Object} { width, height }
+     */
+    getDimensions() {
+        const { width, height, viewBox } = this.chart.config.svg;
+        if (typeof width === 'number' && typeof height === 'number') {
+            return { width, height };
+        }
+        const [, , viewBoxWidth, viewBoxHeight] = String(viewBox).split(/[\s,]+/).map(Number);
+        return { width: viewBoxWidth, height: viewBoxHeight };
+    }
+
+    /**
+     * Returns the size of a page in points
+     * @param {string|Array} pageSize - Page size name or [width, height] in points
+     * @returns {Array} [width, height]
+     * @throws {Error} If the page size is unknown
+     */
+    getPageSize(pageSize) {
+        if (Array.isArray(pageSize) && pageSize.length === 2 && pageSize.every(size => size > 0)) {
+            return pageSize;
+        }
+        const size = PAGE_SIZES[String(pageSize).toLowerCase()];
+        if (!size) {
+            throw new Error(`ChartExporter: Unknown page size "${pageSize}". Use ${Object.keys(PAGE_SIZES).join(', ')} or [width, height] in points`);
+        }
+        return size;
+    }
+
+    /**
+     * Rasterizes an SVG document with a canvas; the default rasterizer in the browser
+     * @param {string} svg - SVG document
+     * @param {Object} options - { width, height, background, format }
+     * @returns {Promise<Blob>} Image
+     */
+    static canvasRasterizer(svg, { width, height, background, format }) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                const context = canvas.getContext('2d');
+                if (background) {
+                    context.fillStyle = background;
+                    context.fillRect(0, 0, width, height);
+                }
+                context.drawImage(image, 0, 0, width, height);
+                canvas.toBlob(blob => blob
+                    ? resolve(blob)
+                    : reject(new Error("ChartExporter: The canvas could not be encoded")), `image/${format}`, 0.92);
+            };
+            image.onerror = () => reject(new Error("ChartExporter: The SVG could not be loaded for rasterizing"));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+    }
+
+    /**
+     * Rasterizes the chart
+     * @private
+     * @param {Function|null} rasterizer - Rasterizer passed to the export
+     * @param {Object} options - { width, height, background, format }
+     * @returns {Promise<Uint8Array>} Image file
+     * @throws {Error} If no rasterizer is available
+     */
+    async _rasterize(rasterizer, options) {
+        const rasterize = rasterizer || ServiceRegistry.get('rasterizer') ||
+            (typeof document !== 'undefined' ? ChartExporter.canvasRasterizer : null);
+        if (typeof rasterize !== 'function') {
+            throw new Error("ChartExporter: No rasterizer available. Register one with ServiceRegistry.register('rasterizer', fn) to export images outside the browser");
+        }
+
+        const image = await rasterize(this.exportSVG(), options);
+        if (image instanceof Uint8Array) {
+            return image;
+        }
+        if (image instanceof ArrayBuffer) {
+            return new Uint8Array(image);
+        }
+        if (image && typeof image.arrayBuffer === 'function') {
+            return new Uint8Array(await image.arrayBuffer());
+        }
+        throw new Error("ChartExporter: The rasterizer must return a Uint8Array, ArrayBuffer or Blob");
+    }
+
+    /**
+     * Replaces the path of a bundled icon with its data URL
+     * @private
+     * @param {string} href - Icon path or data URL
+     * @returns {string} Data URL, or the href itself for other images
+     */
+    _inlineIcon(href) {
+        const match = href.match(/zodiac-(planet|sign|aspect)-([\w-]+)\.svg$/);
+        return (match && IconData[`${match[1]}s`]?.[match[2]]) || href;
+    }
+
+    /**
+     * Collects the tables of the PDF export from the chart data
+     * @private
+     * @returns {Array} Array of { title, columns, rows }
+     */
+    _getTables() {
+        const data = this.chart.getChartData();
+        const planetColumns = ["Planet", "Sign", "Position", "House"];
+        const aspectColumns = ["Planet", "Aspect", "Planet", "Orb", "Motion"];
+        const planetRows = planets => Object.entries(planets).map(([name, planet]) => [
+            AstrologyUtils.getPlanetFullName(name),
+            AstrologyUtils.getZodiacSignFullName(planet.sign),
+            `${AstrologyUtils.formatDegrees(planet.degree)}${planet.retrograde ? " R" : ""}`,
+            planet.house === null ? "" : String(planet.house)
+        ]);
+        const aspectRows = aspects => aspects.map(aspect => [
+            AstrologyUtils.getPlanetFullName(aspect.planet1),
+            AstrologyUtils.capitalizeFirstLetter(aspect.type),
+            AstrologyUtils.getPlanetFullName(aspect.planet2),
+            AstrologyUtils.formatDegrees(aspect.orb),
+            aspect.applying === null || aspect.applying === undefined ? "" : (aspect.applying ? "Applying" : "Separating")
+        ]);
+
+        return [
+            { title: "Planets", columns: planetColumns, rows: planetRows(data.planets) },
+            { title: "Secondary Planets", columns: planetColumns, rows: planetRows(data.secondaryPlanets) },
+            { title: "Aspects", columns: aspectColumns, rows: aspectRows(data.aspects.primary) },
+            { title: "Secondary Aspects", columns: aspectColumns, rows: aspectRows(data.aspects.secondary) },
+            { title: "Synastry Aspects", columns: aspectColumns, rows: aspectRows(data.aspects.synastry) }
+        ].filter(table => table.rows.length > 0);
+    }
+
+    /**
+     * Draws tables into the content of the pages, starting new pages as they fill up
+     * @private
+     * @param {Array} pages - Content commands of each page; new pages are appended
+     * @param {Array} tables - Tables { title, columns, rows }
+     * @param {number} top - Baseline of the first line on the current page
+     * @param {number} pageWidth - Page width in points
+     * @param {number} pageHeight - Page height in points
+     */
+    _drawTables(pages, tables, top, pageWidth, pageHeight) {
+        let y = top;
+        const newLine = (lines = 1) => {
+            if (y - lines * this.rowHeight < this.margin) {
+                pages.push([]);
+                y = pageHeight - this.margin - this.rowHeight;
+            }
+            const lineY = y;
+            y -= this.rowHeight;
+            return lineY;
+        };
+        const text = (x, lineY, value, font = 'F1', size = 10) => {
+            pages[pages.length - 1].push(
+                `BT /${font} ${size} Tf ${PdfWriter.number(x)} ${PdfWriter.number(lineY)} Td ${PdfWriter.string(value)} Tj ET`);
+        };
+        const row = (columns, cells, font) => {
+            const lineY = newLine();
+            const columnWidth = this._columnWidth(columns, pageWidth - 2 * this.margin);
+            cells.forEach((cell, index) => text(this.margin + index * columnWidth, lineY, cell, font));
+        };
+
+        tables.forEach(table => {
+            // Keep the title with the column headers and the first row
+            text(this.margin, newLine(3), table.title, 'F2', 12);
+            row(table.columns, table.columns, 'F2');
+            table.rows.forEach(cells => row(table.columns, cells, 'F1'));
+            y -= this.rowHeight;
+        });
+    }
+
+    /**
+     * Returns the column width of a table
+     * @private
+     * @param {Array} columns - Column headers
+     * @param {number} contentWidth - Width between the page margins in points
+     * @returns {number} Width in points
+     */
+    _columnWidth(columns, contentWidth) {
+        return Math.min(columns.length > 4 ? 90 : 110, contentWidth / columns.length);
+    }
+}
@@ -7,6 +7,7 @@
  * 1. Inline mode (default): Uses bundled data URLs for icons
  * 2. External mode: Uses external file paths (for custom icons)
  */
+import { PointCatalogue } from '../core/PointCatalogue.js';
 
 export class IconProvider {
     /**
@@ -55,23 +56,26 @@ export class IconProvider {
     }
 
     /**
-     * Gets the path or data URL for a planet icon
-     * @param {string} planetName - Name of the planet
+     * Gets the path or data URL for a planet icon. Points that share a glyph
+     * (e.g. true_node and rahu) use the icon of the glyph.
+     * @param {string} planetName - Name of the planet or point
      * @returns {string} Data URL or file path to the SVG icon
      */
     getPlanetIconPath(planetName) {
         const name = planetName.toLowerCase();
+        const glyph = PointCatalogue.getGlyph(name);
         
-        // Check custom icons first
-        if (this.customIcons?.planets?.[name]) {
-            return this.customIcons.planets[name];
+        // Check custom icons first, for the point itself and then for its glyph
+        const customIcon = this.customIcons?.planets?.[name] || this.customIcons?.planets?.[glyph];
+        if (customIcon) {
+            return customIcon;
         }
         
         // Try inline data URLs
         if (this.useInline) {
             const inlineData = this._getInlineData();
-            if (inlineData?.planets?.[name]) {
-                return inlineData.planets[name];
+            if (inlineData?.planets?.[glyph]) {
+                return inlineData.planets[glyph];
             } else {
                 // Debug: log when inline data is not available (only once)
                 if (!this._warnedAboutMissingData) {
@@ -86,7 +90,7 @@ export class IconProvider {
         }
         
         // Fallback to external path
-        return `${this.basePath}zodiac-planet-${name}.svg`;
+        return `${this.basePath}zodiac-planet-${glyph}.svg`;
     }
     
     /**
@@ -2,6 +2,8 @@
  * AstrologyUtils.js
  * Utility class for astrological calculations
  */
+import { PointCatalogue } from '../core/PointCatalogue.js';
+
 class AstrologyUtils {
     /**
      * Capitalizes the first letter of a string
@@ -49,7 +51,13 @@ class AstrologyUtils {
             "Equal": "Divides the ecliptic into 12 equal segments of 30° each from the Ascendant",
             "Whole Sign": "Assigns the entire rising sign to the 1st house, with subsequent signs as houses",
             "Porphyry": "Simple system that divides each quadrant into three equal parts",
-            "Topocentric": "Modern system similar to Placidus but more accurate for extreme latitudes"
+            "Morinus": "Divides the celestial equator into equal parts from the local sidereal time, independent of latitude",
+            "Topocentric": "Modern system similar to Placidus but more accurate for extreme latitudes",
+            "Alcabitius": "Hellenistic system trisecting the semi-arcs of the Ascendant degree along the equator",
+            "Meridian": "Axial system dividing the celestial equator into equal parts from the meridian, projected along hour circles",
+            "Vehlow": "Equal houses with the Ascendant in the middle of the 1st house",
+            "Sripati": "Vedic system placing the cusps midway between the Porphyry cusps",
+            "Krusinski": "Krusinski-Pisa system dividing the great circle through the Ascendant and zenith into equal parts"
         };
     }
 
@@ -58,10 +66,16 @@ class AstrologyUtils {
      * @returns {Array} Array of planet names
      */
     static getPlanets() {
-        return [
-            "sun", "moon", "mercury", "venus", "mars", 
-            "jupiter", "saturn", "uranus", "neptune", "pluto"
-        ];
+        return PointCatalogue.getPoints("planet");
+    }
+
+    /**
+     * Returns the list of all chart points: planets, nodes, Lilith and Selena,
+     * Chiron, asteroids and the Part of Fortune
+     * @returns {Array} Array of point ids
+     */
+    static getPoints() {
+        return PointCatalogue.getPoints();
     }
 
     /**
@@ -74,42 +88,38 @@ class AstrologyUtils {
         return romanNumerals[house - 1] || '';
     }
 
+    /**
+     * Formats degrees as degrees and minutes
+     * @param {number} degrees - Degrees
+     * @returns {string} E.g. "10°05'"
+     */
+    static formatDegrees(degrees) {
+        const totalMinutes = Math.round(Math.abs(degrees) * 60);
+        const sign = degrees < 0 && totalMinutes > 0 ? '-' : '';
+        return `${sign}${Math.floor(totalMinutes / 60)}°${String(totalMinutes % 60).padStart(2, '0')}'`;
+    }
+
+    /**
+     * Formats an ecliptic longitude as degrees and minutes in its sign
+     * @param {number} longitude - Longitude in degrees (0-360)
+     * @param {string} language - Language code of the sign name (default: 'en')
+     * @returns {string} E.g. "10°05' Aries"
+     */
+    static formatPosition(longitude, language = 'en') {
+        // Round to the minute first, so that 29°59'40" is 0°00' of the next sign
+        const totalMinutes = Math.round((((longitude % 360) + 360) % 360) * 60) % (360 * 60);
+        const sign = this.getZodiacSigns()[Math.floor(totalMinutes / (30 * 60))];
+        return `${this.formatDegrees((totalMinutes % (30 * 60)) / 60)} ${this.getZodiacSignFullName(sign, language)}`;
+    }
+
     /**
      * Returns the full name of a planet in the specified language
-     * @param {string} planetCode - Planet code (sun, moon, etc.)
+     * @param {string} planetCode - Planet or point code (sun, moon, true_node, etc.)
      * @param {string} language - Language code (default: 'en')
      * @returns {string} Full planet name
      */
     static getPlanetFullName(planetCode, language = 'en') {
-        const planetNames = {
-            en: {
-                "sun": "Sun",
-                "moon": "Moon",
-                "mercury": "Mercury",
-                "venus": "Venus",
-                "mars": "Mars",
-                "jupiter": "Jupiter",
-                "saturn": "Saturn",
-                "uranus": "Uranus",
-                "neptune": "Neptune",
-                "pluto": "Pluto"
-            },
-            ru: {
-                "sun": "Солнце",
-                "moon": "Луна",
-                "mercury": "Меркурий",
-                "venus": "Венера",
-                "mars": "Марс",
-                "jupiter": "Юпитер",
-                "saturn": "Сатурн",
-                "uranus": "Уран",
-                "neptune": "Нептун",
-                "pluto": "Плутон"
-            }
-        };
-        
-        const names = planetNames[language] || planetNames.en;
-        return names[planetCode.toLowerCase()] || this.capitalizeFirstLetter(planetCode);
+        return PointCatalogue.getName(planetCode, language) || this.capitalizeFirstLetter(planetCode);
     }
 
     /**
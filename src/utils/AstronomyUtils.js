@@ -0,0 +1,412 @@
+/**
+ * AstronomyUtils.js
+ * Utility class for astronomical time scales and coordinate conversions.
+ * All angles are expressed in degrees unless stated otherwise.
+ */
+class AstronomyUtils {
+    /**
+     * Julian Day of the J2000.0 epoch (2000-01-01 12:00 TT)
+     */
+    static J2000 = 2451545.0;
+
+    /**
+     * Normalizes an angle to the 0-360 range
+     * @param {number} angle - Angle in degrees
+     * @returns {number} Normalized angle
+     */
+    static normalizeDegrees(angle) {
+        return ((angle % 360) + 360) % 360;
+    }
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Angle in degrees
+     * @returns {number} Angle in radians
+     */
+    static degreesToRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    /**
+     * Convert radians to degrees
+     * @param {number} radians - Angle in radians
+     * @returns {number} Angle in degrees
+     */
+    static radiansToDegrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+
+    /**
+     * Converts a JavaScript Date (UTC instant) to a Julian Day
+     * @param {Date} date - Date instance
+     * @returns {number} Julian Day (UT)
+     */
+    static dateToJulianDay(date) {
+        return date.getTime() / 86400000 + 2440587.5;
+    }
+
+    /**
+     * Converts a Julian Day to a JavaScript Date
+     * @param {number} julianDay - Julian Day (UT)
+     * @returns {Date} Date instance
+     */
+    static julianDayToDate(julianDay) {
+        return new Date(Math.round((julianDay - 2440587.5) * 86400000));
+    }
+
+    /**
+     * Converts a civil date and time to a UTC Date.
+     * The datetime can be a Date instance, or an ISO 8601 string. Strings without
+     * an explicit offset are interpreted as wall-clock time in the given timezone.
+     * @param {Date|string} datetime - Date instance or ISO 8601 string
+     * @param {number|string} [timezone] - Offset in hours east of UTC (e.g. 3, -5.5),
+     *        an offset string (e.g. "+03:00") or an IANA zone name (e.g. "Europe/Moscow").
+     *        Defaults to UTC.
+     * @returns {Date} The corresponding UTC instant
+     * @throws {Error} If the datetime or timezone cannot be interpreted
+     */
+    static resolveDateTime(datetime, timezone = null) {
+        if (datetime instanceof Date) {
+            if (isNaN(datetime.getTime())) {
+                throw new Error("Invalid datetime");
+            }
+            return new Date(datetime.getTime());
+        }
+
+        if (typeof datetime !== 'string') {
+            throw new Error("Datetime must be a Date or an ISO 8601 string");
+        }
+
+        const match = /^(-?\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i
+            .exec(datetime.trim());
+        if (!match) {
+            throw new Error(`Unrecognized datetime "${datetime}"`);
+        }
+
+        const [, year, month, day, hour = '0', minute = '0', second = '0', fraction, zone] = match;
+
+        // Build the wall-clock time as if it were UTC (setUTCFullYear keeps years < 100 intact)
+        const wallClock = new Date(0);
+        wallClock.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+        wallClock.setUTCHours(
+            Number(hour),
+            Number(minute),
+            Number(second),
+            fraction ? Math.round(parseFloat(fraction) * 1000) : 0
+        );
+        const wallClockTime = wallClock.getTime();
+
+        // An explicit offset in the string takes precedence over the timezone argument
+        if (zone) {
+            return new Date(wallClockTime - this._parseOffsetString(zone) * 60000);
+        }
+
+        if (timezone === null || timezone === undefined) {
+            return new Date(wallClockTime);
+        }
+
+        if (typeof timezone === 'number') {
+            return new Date(wallClockTime - timezone * 3600000);
+        }
+
+        if (typeof timezone === 'string') {
+            if (/^(Z|UTC|GMT|[+-]\d{2}:?\d{2})$/i.test(timezone)) {
+                return new Date(wallClockTime - this._parseOffsetString(timezone) * 60000);
+            }
+
+            // IANA zone: the offset depends on the instant itself, so refine once
+            // to land on the right side of daylight-saving transitions
+            let utcTime = wallClockTime - this.getTimezoneOffset(wallClockTime, timezone) * 60000;
+            utcTime = wallClockTime - this.getTimezoneOffset(utcTime, timezone) * 60000;
+            return new Date(utcTime);
+        }
+
+        throw new Error("Timezone must be a number of hours, an offset string or an IANA zone name");
+    }
+
+    /**
+     * Returns the offset of an IANA timezone from UTC at a given instant
+     * @param {number} timestamp - UTC timestamp in milliseconds
+     * @param {string} timeZone - IANA zone name
+     * @returns {number} Offset in minutes east of UTC
+     * @throws {Error} If the zone is unknown
+     */
+    static getTimezoneOffset(timestamp, timeZone) {
+        let parts;
+        try {
+            parts = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }).formatToParts(new Date(timestamp));
+        } catch (error) {
+            throw new Error(`Unknown timezone "${timeZone}"`);
+        }
+
+        const get = type => Number(parts.find(part => part.type === type).value);
+        const local = new Date(0);
+        local.setUTCFullYear(get('year'), get('month') - 1, get('day'));
+        local.setUTCHours(get('hour'), get('minute'), get('second'), 0);
+
+        const wholeSeconds = Math.floor(timestamp / 1000) * 1000;
+        return Math.round((local.getTime() - wholeSeconds) / 60000);
+    }
+
+    /**
+     * Parses an offset string such as "+03:00", "-0530" or "Z"
+     * @private
+     * @param {string} offset - Offset string
+     * @returns {number} Offset in minutes east of UTC
+     */
+    static _parseOffsetString(offset) {
+        if (/^(Z|UTC|GMT)$/i.test(offset)) {
+            return 0;
+        }
+        const [, sign, hours, minutes] = /^([+-])(\d{2}):?(\d{2})$/.exec(offset);
+        const total = Number(hours) * 60 + Number(minutes);
+        return sign === '-' ? -total : total;
+    }
+
+    /**
+     * Returns ΔT = TT - UT in seconds.
+     * Uses the polynomial fits by Espenak and Meeus (NASA, 2006) up to 2005.
+     * @param {number} julianDay - Julian Day (UT)
+     * @returns {number} ΔT in seconds
+     */
+    static deltaT(julianDay) {
+        const y = 2000 + (julianDay - this.J2000) / 365.25;
+        let t;
+
+        if (y < 1700) {
+            const u = (y - 1820) / 100;
+            return -20 + 32 * u * u;
+        }
+        if (y < 1800) {
+            t = y - 1700;
+            return 8.83 + 0.1603 * t - 0.0059285 * t ** 2 + 0.00013336 * t ** 3 - t ** 4 / 1174000;
+        }
+        if (y < 1860) {
+            t = y - 1800;
+            return 13.72 - 0.332447 * t + 0.0068612 * t ** 2 + 0.0041116 * t ** 3 -
+                0.00037436 * t ** 4 + 0.0000121272 * t ** 5 - 0.0000001699 * t ** 6 +
+                0.000000000875 * t ** 7;
+        }
+        if (y < 1900) {
+            t = y - 1860;
+            return 7.62 + 0.5737 * t - 0.251754 * t ** 2 + 0.01680668 * t ** 3 -
+                0.0004473624 * t ** 4 + t ** 5 / 233174;
+        }
+        if (y < 1920) {
+            t = y - 1900;
+            return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+        }
+        if (y < 1941) {
+            t = y - 1920;
+            return 21.20 + 0.84493 * t - 0.076100 * t ** 2 + 0.0020936 * t ** 3;
+        }
+        if (y < 1961) {
+            t = y - 1950;
+            return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+        }
+        if (y < 1986) {
+            t = y - 1975;
+            return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+        }
+        if (y < 2005) {
+            t = y - 2000;
+            return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 +
+                0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+        }
+        // The NASA extrapolation overshoots the observed values (about 69 s in the 2020s),
+        // so later years follow a parabola through current long-term predictions
+        t = y - 2005;
+        return 64.67 + 0.11757 * t + 0.0019363 * t ** 2;
+    }
+
+    /**
+     * Converts a Julian Day in UT to a Julian Ephemeris Day (TT)
+     * @param {number} julianDay - Julian Day (UT)
+     * @returns {number} Julian Ephemeris Day
+     */
+    static toJulianEphemerisDay(julianDay) {
+        return julianDay + this.deltaT(julianDay) / 86400;
+    }
+
+    /**
+     * Julian centuries since J2000.0
+     * @param {number} julianDay - Julian Day
+     * @returns {number} Centuries since J2000.0
+     */
+    static julianCenturies(julianDay) {
+        return (julianDay - this.J2000) / 36525;
+    }
+
+    /**
+     * Mean obliquity of the ecliptic (Laskar, 1986)
+     * @param {number} julianEphemerisDay - Julian Ephemeris Day
+     * @returns {number} Mean obliquity in degrees
+     */
+    static meanObliquity(julianEphemerisDay) {
+        const u = this.julianCenturies(julianEphemerisDay) / 100;
+        const seconds = 21.448 - 4680.93 * u - 1.55 * u ** 2 + 1999.25 * u ** 3 -
+            51.38 * u ** 4 - 249.67 * u ** 5 - 39.05 * u ** 6 + 7.12 * u ** 7 +
+            27.87 * u ** 8 + 5.79 * u ** 9 + 2.45 * u ** 10;
+        return 23 + 26 / 60 + seconds / 3600;
+    }
+
+    /**
+     * Nutation in longitude and obliquity (IAU 1980 theory, main terms; accurate to 0.5")
+     * @param {number} julianEphemerisDay - Julian Ephemeris Day
+     * @returns {Object} Object with longitude (Δψ) and obliquity (Δε) in degrees
+     */
+    static nutation(julianEphemerisDay) {
+        const T = this.julianCenturies(julianEphemerisDay);
+        const toRad = this.degreesToRadians;
+
+        // Longitude of the ascending node of the Moon's mean orbit
+        const omega = toRad(125.04452 - 1934.136261 * T + 0.0020708 * T ** 2 + T ** 3 / 450000);
+        // Mean longitudes of the Sun and the Moon
+        const sunL = toRad(280.4665 + 36000.7698 * T);
+        const moonL = toRad(218.3165 + 481267.8813 * T);
+
+        const longitude = -17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * sunL) -
+            0.23 * Math.sin(2 * moonL) + 0.21 * Math.sin(2 * omega);
+        const obliquity = 9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * sunL) +
+            0.10 * Math.cos(2 * moonL) - 0.09 * Math.cos(2 * omega);
+
+        return {
+            longitude: longitude / 3600,
+            obliquity: obliquity / 3600
+        };
+    }
+
+    /**
+     * True obliquity of the ecliptic (mean obliquity corrected for nutation)
+     * @param {number} julianEphemerisDay - Julian Ephemeris Day
+     * @returns {number} True obliquity in degrees
+     */
+    static trueObliquity(julianEphemerisDay) {
+        return this.meanObliquity(julianEphemerisDay) + this.nutation(julianEphemerisDay).obliquity;
+    }
+
+    /**
+     * Greenwich mean sidereal time (IAU 1982)
+     * @param {number} julianDay - Julian Day (UT)
+     * @returns {number} Sidereal time in degrees
+     */
+    static greenwichMeanSiderealTime(julianDay) {
+        const T = this.julianCenturies(julianDay);
+        return this.normalizeDegrees(
+            280.46061837 + 360.98564736629 * (julianDay - this.J2000) +
+            0.000387933 * T ** 2 - T ** 3 / 38710000
+        );
+    }
+
+    /**
+     * Greenwich apparent sidereal time (mean sidereal time corrected by the equation of the equinoxes)
+     * @param {number} julianDay - Julian Day (UT)
+     * @returns {number} Sidereal time in degrees
+     */
+    static greenwichApparentSiderealTime(julianDay) {
+        const jde = this.toJulianEphemerisDay(julianDay);
+        const { longitude } = this.nutation(jde);
+        const obliquity = this.degreesToRadians(this.trueObliquity(jde));
+        return this.normalizeDegrees(this.greenwichMeanSiderealTime(julianDay) + longitude * Math.cos(obliquity));
+    }
+
+    /**
+     * Local apparent sidereal time, i.e. the right ascension of the meridian (ARMC)
+     * @param {number} julianDay - Julian Day (UT)
+     * @param {number} longitude - Geographic longitude in degrees (east positive)
+     * @returns {number} Local sidereal time in degrees
+     */
+    static localSiderealTime(julianDay, longitude) {
+        return this.normalizeDegrees(this.greenwichApparentSiderealTime(julianDay) + longitude);
+    }
+
+    /**
+     * Converts ecliptic coordinates to equatorial coordinates
+     * @param {number} longitude - Ecliptic longitude in degrees
+     * @param {number} latitude - Ecliptic latitude in degrees
+     * @param {number} obliquity - Obliquity of the ecliptic in degrees
+     * @returns {Object} Object with rightAscension and declination in degrees
+     */
+    static eclipticToEquatorial(longitude, latitude, obliquity) {
+        const lon = this.degreesToRadians(longitude);
+        const lat = this.degreesToRadians(latitude);
+        const eps = this.degreesToRadians(obliquity);
+
+        const rightAscension = Math.atan2(
+            Math.sin(lon) * Math.cos(eps) - Math.tan(lat) * Math.sin(eps),
+            Math.cos(lon)
+        );
+        const declination = Math.asin(
+            Math.sin(lat) * Math.cos(eps) + Math.cos(lat) * Math.sin(eps) * Math.sin(lon)
+        );
+
+        return {
+            rightAscension: this.normalizeDegrees(this.radiansToDegrees(rightAscension)),
+            declination: this.radiansToDegrees(declination)
+        };
+    }
+
+    /**
+     * Converts equatorial coordinates to ecliptic coordinates
+     * @param {number} rightAscension - Right ascension in degrees
+     * @param {number} declination - Declination in degrees
+     * @param {number} obliquity - Obliquity of the ecliptic in degrees
+     * @returns {Object} Object with longitude and latitude in degrees
+     */
+    static equatorialToEcliptic(rightAscension, declination, obliquity) {
+        const ra = this.degreesToRadians(rightAscension);
+        const dec = this.degreesToRadians(declination);
+        const eps = this.degreesToRadians(obliquity);
+
+        const longitude = Math.atan2(
+            Math.sin(ra) * Math.cos(eps) + Math.tan(dec) * Math.sin(eps),
+            Math.cos(ra)
+        );
+        const latitude = Math.asin(
+            Math.sin(dec) * Math.cos(eps) - Math.cos(dec) * Math.sin(eps) * Math.sin(ra)
+        );
+
+        return {
+            longitude: this.normalizeDegrees(this.radiansToDegrees(longitude)),
+            latitude: this.radiansToDegrees(latitude)
+        };
+    }
+
+    /**
+     * Precesses ecliptic coordinates from J2000.0 to the mean ecliptic and equinox of date
+     * (Meeus, Astronomical Algorithms, eq. 21.5)
+     * @param {number} longitude - Ecliptic longitude (J2000.0) in degrees
+     * @param {number} latitude - Ecliptic latitude (J2000.0) in degrees
+     * @param {number} julianEphemerisDay - Target epoch
+     * @returns {Object} Object with longitude and latitude in degrees
+     */
+    static precessEclipticFromJ2000(longitude, latitude, julianEphemerisDay) {
+        const t = this.julianCenturies(julianEphemerisDay);
+        const eta = this.degreesToRadians((47.0029 * t - 0.03302 * t ** 2 + 0.00006 * t ** 3) / 3600);
+        const bigPi = this.degreesToRadians(174.876384 + (-869.8089 * t + 0.03536 * t ** 2) / 3600);
+        const p = (5029.0966 * t + 1.11113 * t ** 2 - 0.000006 * t ** 3) / 3600;
+
+        const lon = this.degreesToRadians(longitude);
+        const lat = this.degreesToRadians(latitude);
+
+        const a = Math.cos(eta) * Math.cos(lat) * Math.sin(bigPi - lon) - Math.sin(eta) * Math.sin(lat);
+        const b = Math.cos(lat) * Math.cos(bigPi - lon);
+        const c = Math.cos(eta) * Math.sin(lat) + Math.sin(eta) * Math.cos(lat) * Math.sin(bigPi - lon);
+
+        return {
+            longitude: this.normalizeDegrees(p + this.radiansToDegrees(bigPi - Math.atan2(a, b))),
+            latitude: this.radiansToDegrees(Math.asin(c))
+        };
+    }
+}
+
+export { AstronomyUtils };
@@ -0,0 +1,142 @@
+/**
+ * PdfWriter.js
+ * Minimal PDF 1.4 writer: numbered objects, uncompressed content streams,
+ * the standard Helvetica fonts and JPEG images. Enough for chart exports
+ * without a PDF library.
+ */
+class PdfWriter {
+    constructor() {
+        this.objects = [];
+    }
+
+    /**
+     * Reserves an object number, for objects that are referenced before they are written
+     * @returns {number} Object number
+     */
+    reserve() {
+        this.objects.push(null);
+        return this.objects.length;
+    }
+
+    /**
+     * Adds an object
+     * @param {Object|string} value - Dictionary (values are PDF syntax strings or numbers) or raw PDF syntax
+     * @param {Uint8Array|string} stream - Stream data of a stream object (optional)
+     * @param {number} id - Reserved object number (optional)
+     * @returns {number} Object number
+     */
+    addObject(value, stream = null, id = null) {
+        const objectId = id || this.reserve();
+        let data = null;
+        if (stream !== null) {
+            data = typeof stream === 'string' ? PdfWriter.encodeText(stream) : stream;
+            value = { ...value, Length: data.length };
+        }
+        this.objects[objectId - 1] = { value, data };
+        return objectId;
+    }
+
+    /**
+     * Returns a reference to an object
+     * @param {number} id - Object number
+     * @returns {string} Reference, e.g. "3 0 R"
+     */
+    static ref(id) {
+        return `${id} 0 R`;
+    }
+
+    /**
+     * Returns a PDF string literal
+     * @param {string} text - Text
+     * @returns {string} String literal with escaped delimiters
+     */
+    static string(text) {
+        return `(${String(text).replace(/[\\()]/g, match => `\\${match}`)})`;
+    }
+
+    /**
+     * Formats a number for PDF syntax
+     * @param {number} value - Number
+     * @returns {string} Number with at most 2 decimals
+     */
+    static number(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Encodes text as single-byte characters (the Latin-1 range of WinAnsiEncoding);
+     * other characters become "?"
+     * @param {string} text - Text
+     * @returns {Uint8Array} Bytes
+     */
+    static encodeText(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            bytes[i] = code < 256 ? code : 63;
+        }
+        return bytes;
+    }
+
+    /**
+     * Writes the document
+     * @param {number} rootId - Object number of the catalog
+     * @returns {Uint8Array} PDF file
+     * @throws {Error} If a reserved object was not written
+     */
+    toBytes(rootId) {
+        const chunks = [];
+        let length = 0;
+        const write = chunk => {
+            const bytes = typeof chunk === 'string' ? PdfWriter.encodeText(chunk) : chunk;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        const offsets = this.objects.map((object, index) => {
+            if (!object) {
+                throw new Error(`PdfWriter: Object ${index + 1} was reserved but not written`);
+            }
+            const offset = length;
+            write(`${index + 1} 0 obj\n${this._serialize(object.value)}\n`);
+            if (object.data) {
+                write('stream\n');
+                write(object.data);
+                write('\nendstream\n');
+            }
+            write('endobj\n');
+            return offset;
+        });
+
+        const xrefOffset = length;
+        write(`xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`);
+        offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+        write(`trailer\n${this._serialize({ Size: this.objects.length + 1, Root: PdfWriter.ref(rootId) })}\n`);
+        write(`startxref\n${xrefOffset}\n%%EOF\n`);
+
+        const bytes = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, position);
+            position += chunk.length;
+        });
+        return bytes;
+    }
+
+    /**
+     * Serializes an object value
+     * @private
+     * @param {Object|string} value - Dictionary or raw PDF syntax
+     * @returns {string} PDF syntax
+     */
+    _serialize(value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+        const entries = Object.entries(value).map(([key, entry]) => `/${key} ${entry}`);
+        return `<< ${entries.join(' ')} >>`;
+    }
+}
+
+export { PdfWriter };
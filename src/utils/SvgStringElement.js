@@ -0,0 +1,361 @@
+/**
+ * SvgStringElement.js
+ * Minimal stand-in for an SVG DOM element, used to render charts without a browser.
+ * It supports the part of the DOM API the renderers use and serializes itself
+ * the way XMLSerializer does.
+ */
+export class SvgStringElement {
+    /**
+     * Constructor
+     * @param {string} tagName - Name of the SVG tag
+     * @param {string} namespaceURI - Namespace of the element (optional)
+     */
+    constructor(tagName, namespaceURI = "http://www.w3.org/2000/svg") {
+        this.nodeType = 1;
+        this.tagName = tagName;
+        this.nodeName = tagName;
+        this.namespaceURI = namespaceURI;
+        this.parentNode = null;
+        this.childNodes = [];
+        this._attributes = new Map();
+        this._styles = new Map();
+        this.style = this._createStyle();
+    }
+
+    /**
+     * Sets an attribute; values are stored as strings, in order of first assignment
+     * @param {string} name - Attribute name
+     * @param {*} value - Attribute value
+     */
+    setAttribute(name, value) {
+        this._attributes.set(name, String(value));
+        if (name === 'style') {
+            this._parseStyle(String(value));
+        }
+    }
+
+    /**
+     * Returns the value of an attribute
+     * @param {string} name - Attribute name
+     * @returns {string|null} Attribute value, or null if the attribute is not set
+     */
+    getAttribute(name) {
+        return this._attributes.has(name) ? this._attributes.get(name) : null;
+    }
+
+    /**
+     * Checks whether an attribute is set
+     * @param {string} name - Attribute name
+     * @returns {boolean} True if the attribute is set
+     */
+    hasAttribute(name) {
+        return this._attributes.has(name);
+    }
+
+    /**
+     * Removes an attribute
+     * @param {string} name - Attribute name
+     */
+    removeAttribute(name) {
+        this._attributes.delete(name);
+        if (name === 'style') {
+            this._styles.clear();
+        }
+    }
+
+    /**
+     * Element children (without text nodes)
+     * @returns {Array} Child elements
+     */
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    /**
+     * First child node
+     * @returns {Object|null} Child node or null
+     */
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    /**
+     * Last child node
+     * @returns {Object|null} Child node or null
+     */
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+
+    /**
+     * Appends a child node, moving it from its current parent
+     * @param {Object} child - Child node
+     * @returns {Object} The appended child
+     */
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    /**
+     * Inserts a child node before a reference child, or at the end
+     * @param {Object} child - Child node
+     * @param {Object|null} referenceChild - Child to insert before
+     * @returns {Object} The inserted child
+     */
+    insertBefore(child, referenceChild) {
+        if (child.parentNode) {
+            child.parentNode.removeChild(child);
+        }
+        const index = referenceChild ? this.childNodes.indexOf(referenceChild) : -1;
+        if (index === -1) {
+            this.childNodes.push(child);
+        } else {
+            this.childNodes.splice(index, 0, child);
+        }
+        child.parentNode = this;
+        return child;
+    }
+
+    /**
+     * Removes a child node
+     * @param {Object} child - Child node
+     * @returns {Object} The removed child
+     */
+    removeChild(child) {
+        const index = this.childNodes.indexOf(child);
+        if (index === -1) {
+            throw new Error("SvgStringElement: The node to be removed is not a child of this node");
+        }
+        this.childNodes.splice(index, 1);
+        child.parentNode = null;
+        return child;
+    }
+
+    /**
+     * Removes the element from its parent
+     */
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.removeChild(this);
+        }
+    }
+
+    /**
+     * Text content of the element and its descendants
+     * @returns {string} Text content
+     */
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    /**
+     * Replaces the children with a single text node
+     * @param {*} value - Text
+     */
+    set textContent(value) {
+        this._clearChildren();
+        const text = value === null || value === undefined ? '' : String(value);
+        if (text !== '') {
+            this.childNodes.push({ nodeType: 3, textContent: text, parentNode: this });
+        }
+    }
+
+    /**
+     * Serialized children
+     * @returns {string} Markup of the children
+     */
+    get innerHTML() {
+        return this.childNodes.map(node => this._serializeNode(node)).join('');
+    }
+
+    /**
+     * Clears the element; only the empty string is supported since there is no parser
+     * @param {string} value - Markup
+     */
+    set innerHTML(value) {
+        if (value !== '') {
+            throw new Error("SvgStringElement: Only clearing the content with innerHTML = '' is supported");
+        }
+        this._clearChildren();
+    }
+
+    /**
+     * Serialized element
+     * @returns {string} Markup of the element
+     */
+    get outerHTML() {
+        return this._serializeNode(this);
+    }
+
+    /**
+     * Serializes the element as a standalone XML fragment, like XMLSerializer
+     * (the element gets the xmlns declaration of its namespace)
+     * @returns {string} XML markup
+     */
+    serialize() {
+        return this._serializeNode(this, true);
+    }
+
+    /**
+     * Events never fire outside the browser, so listeners are ignored
+     */
+    addEventListener() {}
+
+    /**
+     * Events never fire outside the browser, so listeners are ignored
+     */
+    removeEventListener() {}
+
+    /**
+     * Returns the first descendant matching a simple selector
+     * @param {string} selector - Selector like "g", ".class", "#id" or "circle.class"
+     * @returns {SvgStringElement|null} Matching element or null
+     */
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    /**
+     * Returns all descendants matching a simple selector, in document order
+     * @param {string} selector - Selector like "g", ".class", "#id" or "circle.class"
+     * @returns {Array} Matching elements
+     */
+    querySelectorAll(selector) {
+        const matches = [];
+        const visit = element => {
+            element.children.forEach(child => {
+                if (child.matches(selector)) {
+                    matches.push(child);
+                }
+                visit(child);
+            });
+        };
+        visit(this);
+        return matches;
+    }
+
+    /**
+     * Checks whether the element matches a simple selector
+     * @param {string} selector - Selector like "g", ".class", "#id" or "circle.class"
+     * @returns {boolean} True if the element matches
+     */
+    matches(selector) {
+        const parts = selector.trim().match(/^([\w-]*)((?:[.#][\w-]+)*)$/);
+        if (!parts) {
+            throw new Error(`SvgStringElement: Unsupported selector "${selector}"`);
+        }
+        const [, tagName, qualifiers] = parts;
+        if (tagName && tagName !== this.tagName) {
+            return false;
+        }
+        const classes = (this.getAttribute('class') || '').split(/\s+/);
+        return (qualifiers.match(/[.#][\w-]+/g) || []).every(qualifier => qualifier[0] === '#'
+            ? this.getAttribute('id') === qualifier.slice(1)
+            : classes.includes(qualifier.slice(1)));
+    }
+
+    /**
+     * Removes all child nodes
+     * @private
+     */
+    _clearChildren() {
+        this.childNodes.forEach(node => {
+            node.parentNode = null;
+        });
+        this.childNodes = [];
+    }
+
+    /**
+     * Creates the style object: camelCase properties map to declarations of the style attribute
+     * @private
+     * @returns {Proxy} Style object
+     */
+    _createStyle() {
+        const toProperty = name => name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+        return new Proxy({}, {
+            get: (target, name) => {
+                if (name === 'cssText') {
+                    return this._styleText();
+                }
+                return typeof name === 'string' ? (this._styles.get(toProperty(name)) ?? '') : undefined;
+            },
+            set: (target, name, value) => {
+                if (name === 'cssText') {
+                    this.setAttribute('style', value);
+                    return true;
+                }
+                const property = toProperty(name);
+                if (value === null || value === undefined || value === '') {
+                    this._styles.delete(property);
+                } else {
+                    this._styles.set(property, String(value));
+                }
+                this._attributes.set('style', this._styleText());
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Reads the declarations of a style attribute
+     * @private
+     * @param {string} text - Style attribute value
+     */
+    _parseStyle(text) {
+        this._styles.clear();
+        text.split(';').forEach(declaration => {
+            const index = declaration.indexOf(':');
+            if (index > 0) {
+                this._styles.set(declaration.slice(0, index).trim(), declaration.slice(index + 1).trim());
+            }
+        });
+    }
+
+    /**
+     * Returns the style declarations as attribute text, like the browser's cssText
+     * @private
+     * @returns {string} Style text
+     */
+    _styleText() {
+        return Array.from(this._styles, ([property, value]) => `${property}: ${value};`).join(' ');
+    }
+
+    /**
+     * Serializes a node with the escaping rules of XMLSerializer
+     * @private
+     * @param {Object} node - Element or text node
+     * @param {boolean} withNamespace - Whether to declare the namespace on the element
+     * @returns {string} Markup
+     */
+    _serializeNode(node, withNamespace = false) {
+        if (node.nodeType === 3) {
+            return node.textContent.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        }
+        const attributes = Array.from(node._attributes, ([name, value]) => ` ${name}="${this._escapeAttribute(value)}"`);
+        if (withNamespace && node.namespaceURI && !node._attributes.has('xmlns')) {
+            attributes.unshift(` xmlns="${node.namespaceURI}"`);
+        }
+        const open = `<${node.tagName}${attributes.join('')}`;
+        if (node.childNodes.length === 0) {
+            return `${open}/>`;
+        }
+        return `${open}>${node.innerHTML}</${node.tagName}>`;
+    }
+
+    /**
+     * Escapes an attribute value like XMLSerializer
+     * @private
+     * @param {string} value - Attribute value
+     * @returns {string} Escaped value
+     */
+    _escapeAttribute(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\t/g, '&#x9;')
+            .replace(/\n/g, '&#xA;')
+            .replace(/\r/g, '&#xD;');
+    }
+}
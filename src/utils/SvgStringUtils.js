@@ -0,0 +1,38 @@
+/**
+ * SvgStringUtils.js
+ * SvgUtils that create SvgStringElements instead of DOM elements, so the
+ * renderers can draw a chart in Node without a DOM.
+ */
+import { SvgUtils } from './SvgUtils.js';
+import { SvgStringElement } from './SvgStringElement.js';
+
+export class SvgStringUtils extends SvgUtils {
+    /**
+     * Creates an SVG element with the specified tag
+     * @param {string} tagName - Name of the SVG tag
+     * @param {Object} attributes - Object with attributes to set
+     * @returns {SvgStringElement} Created SVG element
+     */
+    createSVGElement(tagName, attributes = {}) {
+        const element = new SvgStringElement(tagName, this.svgNS);
+
+        for (const [key, value] of Object.entries(attributes)) {
+            element.setAttribute(key, value);
+        }
+
+        return element;
+    }
+
+    /**
+     * Adds a tooltip (title) to an SVG element
+     * @param {SvgStringElement} element - SVG element
+     * @param {string} text - Tooltip text
+     * @returns {SvgStringElement} The element with tooltip
+     */
+    addTooltip(element, text) {
+        const title = this.createSVGElement("title");
+        title.textContent = text;
+        element.appendChild(title);
+        return element;
+    }
+}
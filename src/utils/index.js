@@ -6,4 +6,5 @@
 
 // Export utilities
 export { AstrologyUtils } from './AstrologyUtils.js';
-export { PlanetPositionCalculator } from './PlanetPositionCalculator.js'; 
\ No newline at end of file
+export { PlanetPositionCalculator } from './PlanetPositionCalculator.js';
+export { AstronomyUtils } from './AstronomyUtils.js'; 
\ No newline at end of file
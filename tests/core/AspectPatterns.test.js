@@ -0,0 +1,121 @@
+import { AspectPatterns } from '../../src/core/AspectPatterns.js';
+import { ClientSideAspectRenderer } from '../../src/renderers/ClientSideAspectRenderer.js';
+import { ChartConfig } from '../../src/core/ChartConfig.js';
+
+describe('AspectPatterns', () => {
+  const aspect = (planet1, type, planet2) => ({ planet1, planet2, type });
+  const find = (aspects, type, options = {}) =>
+    AspectPatterns.detect(aspects, { types: [type], ...options }).map(p => p.planets);
+
+  test('should list the pattern types', () => {
+    expect(AspectPatterns.getPatternTypes()).toEqual([
+      "grand-trine", "t-square", "grand-cross", "yod", "kite", "mystic-rectangle", "stellium"
+    ]);
+    expect(AspectPatterns.getPatternName("mystic-rectangle")).toBe("Mystic Rectangle");
+    expect(AspectPatterns.getPatternName("hexagram")).toBeNull();
+  });
+
+  test('should find a Grand Trine with its aspects', () => {
+    const aspects = [aspect("sun", "trine", "mars"), aspect("mars", "trine", "jupiter"),
+      aspect("sun", "trine", "jupiter"), aspect("sun", "square", "venus")];
+    const [pattern] = AspectPatterns.detect(aspects);
+
+    expect(pattern).toMatchObject({ type: "grand-trine", name: "Grand Trine", planets: ["sun", "mars", "jupiter"], apex: null });
+    expect(pattern.aspects).toEqual([aspects[0], aspects[2], aspects[1]]);
+  });
+
+  test('should find T-Squares and Yods with their apex', () => {
+    const tSquare = [aspect("sun", "opposition", "moon"), aspect("sun", "square", "saturn"), aspect("moon", "square", "saturn")];
+    const yod = [aspect("venus", "sextile", "mars"), aspect("venus", "quincunx", "pluto"), aspect("mars", "quincunx", "pluto")];
+    const patterns = AspectPatterns.detect([...tSquare, ...yod]);
+
+    expect(patterns.map(p => [p.type, p.apex])).toEqual([["t-square", "saturn"], ["yod", "pluto"]]);
+  });
+
+  test('should find a Grand Cross and the T-Squares within it', () => {
+    const aspects = [aspect("sun", "opposition", "moon"), aspect("mars", "opposition", "saturn"),
+      aspect("sun", "square", "mars"), aspect("mars", "square", "moon"),
+      aspect("moon", "square", "saturn"), aspect("saturn", "square", "sun")];
+
+    expect(find(aspects, "grand-cross")).toEqual([["sun", "moon", "mars", "saturn"]]);
+    expect(find(aspects, "t-square")).toHaveLength(4);
+  });
+
+  test('should find a Kite', () => {
+    const aspects = [aspect("sun", "trine", "mars"), aspect("mars", "trine", "jupiter"), aspect("sun", "trine", "jupiter"),
+      aspect("venus", "opposition", "sun"), aspect("venus", "sextile", "mars"), aspect("venus", "sextile", "jupiter")];
+
+    expect(find(aspects, "kite")).toEqual([["sun", "mars", "jupiter", "venus"]]);
+    expect(find(aspects.slice(0, 5), "kite")).toEqual([]);
+  });
+
+  test('should find a Mystic Rectangle', () => {
+    // Sun 0°, Mercury 60°, Moon 180°, Saturn 240°
+    const aspects = [aspect("sun", "opposition", "moon"), aspect("mercury", "opposition", "saturn"),
+      aspect("sun", "sextile", "mercury"), aspect("mercury", "trine", "moon"),
+      aspect("moon", "sextile", "saturn"), aspect("saturn", "trine", "sun")];
+
+    expect(find(aspects, "mystic-rectangle")).toEqual([["sun", "moon", "mercury", "saturn"]]);
+    expect(find(aspects, "grand-cross")).toEqual([]);
+  });
+
+  test('should find stelliums from chains of conjunctions', () => {
+    const aspects = [aspect("sun", "conjunction", "mercury"), aspect("mercury", "conjunction", "venus"),
+      aspect("mars", "conjunction", "jupiter"), aspect("sun", "sextile", "mars")];
+
+    expect(find(aspects, "stellium")).toEqual([["sun", "mercury", "venus"]]);
+    expect(find(aspects, "stellium", { stelliumSize: 2 })).toEqual([["sun", "mercury", "venus"], ["mars", "jupiter"]]);
+  });
+
+  test('should match selections', () => {
+    const pattern = { type: "yod", planets: ["venus", "mars", "pluto"] };
+
+    expect(AspectPatterns.matches(pattern, "yod")).toBe(true);
+    expect(AspectPatterns.matches(pattern, { planets: ["pluto", "mars", "venus"] })).toBe(true);
+    expect(AspectPatterns.matches(pattern, { type: "yod", planets: ["venus", "mars"] })).toBe(false);
+    expect(AspectPatterns.matches(pattern, "kite")).toBe(false);
+    expect(AspectPatterns.matches(pattern, null)).toBe(false);
+  });
+
+  describe('with ClientSideAspectRenderer', () => {
+    const svgNS = "http://www.w3.org/2000/svg";
+    const planets = [
+      { name: "sun", position: 10, x: 100, y: 230 },
+      { name: "mars", position: 128, x: 300, y: 100 },
+      { name: "jupiter", position: 251, x: 300, y: 360 },
+      { name: "venus", position: 40, x: 150, y: 150 }
+    ];
+
+    test('should find the patterns of calculated aspects', () => {
+      const renderer = new ClientSideAspectRenderer({ svgNS, config: new ChartConfig() });
+      const aspects = renderer.calculateAspects(planets);
+
+      expect(renderer.getAspectPatterns(aspects).map(p => p.type)).toEqual(["grand-trine"]);
+    });
+
+    test('should highlight the lines and planets of a pattern', () => {
+      const config = new ChartConfig();
+      const renderer = new ClientSideAspectRenderer({ svgNS, config });
+      const group = document.createElementNS(svgNS, "g");
+      renderer.render(document.createElementNS(svgNS, "g"), planets);
+      renderer.renderPatternHighlight(group, renderer.getAspectPatterns(), planets);
+
+      const lines = group.querySelectorAll(".aspect-pattern-grand-trine.aspect-pattern-line");
+      expect(lines).toHaveLength(3);
+      expect(lines[0].getAttribute("stroke")).toBe(config.patternSettings.color);
+      expect(lines[0].querySelector("title").textContent).toBe("Grand Trine: Sun, Mars, Jupiter");
+      expect(group.querySelectorAll(".aspect-pattern-planet")).toHaveLength(3);
+      expect(group.querySelector(".aspect-pattern-planet.aspect-planet-venus")).toBeNull();
+    });
+  });
+
+  test('should validate the pattern highlight of the config', () => {
+    const config = new ChartConfig();
+
+    expect(config.setPatternHighlight("t-square")).toBe(true);
+    expect(config.setPatternHighlight({ type: "yod", planets: ["venus", "mars", "pluto"] })).toBe(true);
+    expect(config.setPatternHighlight("hexagram")).toBe(false);
+    expect(config.patternSettings.highlight.type).toBe("yod");
+    expect(config.setPatternHighlight(null)).toBe(true);
+  });
+});
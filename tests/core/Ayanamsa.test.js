@@ -0,0 +1,38 @@
+import { Ayanamsa } from '../../src/core/Ayanamsa.js';
+
+describe('Ayanamsa', () => {
+  test('should list the supported ayanamsas', () => {
+    expect(Ayanamsa.getAvailableAyanamsas()).toEqual([
+      'Lahiri', 'Raman', 'Krishnamurti', 'Fagan-Bradley'
+    ]);
+  });
+
+  // Reference values from the Swiss Ephemeris (swe_get_ayanamsa), 0h on January 1st
+  test.each([
+    ['Lahiri', 2451544.5, 23.857073],
+    ['Fagan-Bradley', 2415020.5, 23.343738],
+    ['Raman', 2488069.5, 23.807967],
+    ['Krishnamurti', 2460676.5, 24.109491]
+  ])('%s ayanamsa at JD %f', (name, julianDay, expected) => {
+    expect(Math.abs(Ayanamsa.calculate(name, julianDay) - expected) * 3600).toBeLessThan(0.01);
+  });
+
+  test('should default to J2000.0', () => {
+    expect(Ayanamsa.calculate('Lahiri')).toBeCloseTo(23.8571, 4);
+  });
+
+  test('should use a number as a custom offset', () => {
+    expect(Ayanamsa.calculate(23.5, 2488069.5)).toBe(23.5);
+  });
+
+  test('should convert tropical longitudes to sidereal', () => {
+    expect(Ayanamsa.toSidereal(100, 24)).toBe(76);
+    expect(Ayanamsa.toSidereal(10, 24)).toBe(346);
+  });
+
+  test('should reject invalid input', () => {
+    expect(() => Ayanamsa.calculate('Yukteshwar')).toThrow('Ayanamsa "Yukteshwar" is not supported');
+    expect(() => Ayanamsa.calculate(NaN)).toThrow('Custom ayanamsa must be a number of degrees');
+    expect(() => Ayanamsa.calculate('Lahiri', '2451545')).toThrow('Julian day must be a number');
+  });
+});
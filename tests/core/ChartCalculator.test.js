@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+import { ChartCalculator } from '../../src/core/ChartCalculator.js';
+import { ChartConfig } from '../../src/core/ChartConfig.js';
+
+describe('ChartCalculator', () => {
+  const houses = [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330];
+  const planets = {
+    sun: { lon: 10, speed: 1 },
+    moon: { lon: 95, speed: 13 },
+    mars: { lon: 130 },
+    jupiter: { lon: 250.5, speed: -0.1 }
+  };
+
+  test('should place planets in the houses of the other chart', () => {
+    const secondaryHouses = houses.map(lon => lon + 15);
+    const chart = ChartCalculator.compute({ planets, secondaryPlanets: { venus: { lon: 40 } }, houses, secondaryHouses });
+
+    expect(chart.secondaryHouses).toHaveLength(12);
+    expect(chart.secondaryHouses[0]).toEqual({ house: 1, lon: 15, sign: "aries", degree: 15 });
+    expect(chart.houseOverlays).toEqual({
+      primaryInSecondaryHouses: { sun: 12, moon: 3, mars: 4, jupiter: 8 },
+      secondaryInPrimaryHouses: { venus: 2 }
+    });
+    expect(chart.secondaryPlanets.venus.house).toBe(2);
+
+    expect(ChartCalculator.compute({ planets, houses }).houseOverlays.primaryInSecondaryHouses).toEqual({});
+  });
+
+  test('should place planets in signs and houses', () => {
+    const chart = ChartCalculator.compute({ planets, houses });
+
+    expect(chart.houseSystem).toBeNull();
+    expect(chart.houses[3]).toEqual({ house: 4, lon: 90, sign: "cancer", degree: 0 });
+    expect(chart.planets.jupiter).toMatchObject({ lon: 250.5, sign: "sagittarius", degree: 10.5, house: 9, retrograde: true, speed: -0.1 });
+    expect(chart.planets.mars).toMatchObject({ house: 5, retrograde: false, speed: null });
+    expect(chart.planets.sun.declination).toBeCloseTo(3.9603, 4);
+  });
+
+  test('should calculate aspects and patterns as plain data', () => {
+    const chart = ChartCalculator.compute({ planets, secondaryPlanets: { venus: { lon: 12 } }, houses });
+
+    expect(chart.aspects.primary.map(a => `${a.planet1}-${a.planet2} ${a.type}`)).toEqual([
+      "sun-moon square", "sun-mars trine", "sun-jupiter trine", "mars-jupiter trine"
+    ]);
+    expect(chart.aspects.primary[0]).toMatchObject({ angle: 90, orb: 5, applying: true });
+    expect(chart.aspects.primary[0].exactIn).toBeCloseTo(5 / 12, 8);
+    expect(chart.aspects.secondary).toEqual([]);
+    expect(chart.aspects.synastry[0]).toMatchObject({ planet1: "sun", planet2: "venus", type: "conjunction" });
+    expect(chart.aspects.synastry[0].p1).toBeUndefined();
+    expect(chart.patterns.primary).toEqual([expect.objectContaining({ type: "grand-trine", planets: ["sun", "mars", "jupiter"] })]);
+    expect(JSON.parse(JSON.stringify(chart))).toEqual(chart);
+  });
+
+  test('should use the settings of the chart', () => {
+    const chart = ChartCalculator.compute({
+      planets,
+      houses,
+      settings: {
+        astronomicalData: { zodiacType: "sidereal", ayanamsa: 24 },
+        primaryAspectSettings: { enabled: false },
+        planetSettings: { visible: { mars: false } }
+      }
+    });
+
+    expect(chart.zodiac).toMatchObject({ zodiacType: "sidereal", ayanamsaValue: 24, varga: "D1" });
+    // House cusps are shifted like the planets
+    expect(chart.houses[0].lon).toBe(336);
+    expect(chart.planets.sun).toMatchObject({ lon: 346, sign: "pisces", house: 1 });
+    expect(chart.planets.mars).toBeUndefined();
+    expect(chart.aspects.primary).toEqual([]);
+  });
+
+  test('should calculate house cusps from the astronomical data', () => {
+    const config = new ChartConfig({ astronomicalData: { ascendant: 100, mc: 10, latitude: 51.5, houseSystem: "Equal" } });
+    const chart = ChartCalculator.compute({ planets: { sun: { lon: 125 } }, settings: config });
+
+    expect(chart.houseSystem).toBe("Equal");
+    expect(chart.houses[0]).toMatchObject({ lon: 100, sign: "cancer" });
+    expect(chart.planets.sun.house).toBe(1);
+  });
+
+  test('should report warnings instead of logging them', () => {
+    const chart = ChartCalculator.compute({ planets, settings: { primaryAspectSettings: { orbModel: "bogus" } } });
+    expect(chart.warnings).toEqual(['AspectCalculator: Unknown orb model "bogus", using the aspect orbs']);
+  });
+
+  test('should report the polar house fallback without console output', () => {
+    const messages = [];
+    const { warn, error } = console;
+    console.warn = console.error = message => messages.push(message);
+    let chart;
+    try {
+      chart = ChartCalculator.compute({ planets, settings: { astronomicalData: { ascendant: 100, mc: 10, latitude: 70 } } });
+    } finally {
+      console.warn = warn;
+      console.error = error;
+    }
+
+    expect(messages).toEqual([]);
+    expect(chart.houseSystem).toBe("Porphyry");
+    expect(chart.warnings).toEqual(['ChartConfig: Placidus is undefined at latitude 70°, using Porphyry']);
+  });
+
+  test.each([
+    [15, 1], [29.99, 1], [30, 2], [355, 12]
+  ])('%f° is in house %i', (longitude, house) => {
+    expect(ChartCalculator.getHouse(longitude, houses)).toBe(house);
+    expect(ChartCalculator.getHouse(longitude, [])).toBeNull();
+  });
+
+  test('should calculate the rings of a multi-wheel chart and the aspects of ring pairs', () => {
+    const chart = ChartCalculator.compute({
+      rings: [
+        { id: 'natal', planets, houses },
+        { id: 'progressed', planets: { sun: { lon: 70 } } },
+        { id: 'transit', planets: { mars: { lon: 215 }, saturn: { lon: 11.5 } } }
+      ],
+      settings: {
+        ringSettings: {
+          aspectPairs: [
+            { rings: ['transit', 'natal'], types: { conjunction: { orb: 1 } } },
+            { rings: ['transit', 'transit'] },
+            { rings: ['natal', 'solar'] }
+          ]
+        }
+      }
+    });
+
+    expect(chart.rings.map(ring => ring.id)).toEqual(['natal', 'progressed', 'transit']);
+    expect(chart.planets).toBe(chart.rings[0].planets);
+    expect(chart.rings[2].planets.mars).toMatchObject({ sign: 'scorpio', house: 8 });
+    // planet1 is in the outer ring, and the conjunction orb of the pair leaves out Saturn
+    expect(chart.aspects.rings[0].rings).toEqual(['natal', 'transit']);
+    const pairAspects = chart.aspects.rings[0].aspects.map(aspect => [aspect.planet1, aspect.type, aspect.planet2]);
+    expect(pairAspects).toContainEqual(['moon', 'trine', 'mars']);
+    expect(pairAspects).not.toContainEqual(['sun', 'conjunction', 'saturn']);
+    expect(chart.aspects.rings[1]).toMatchObject({ rings: ['transit', 'transit'] });
+    expect(chart.aspects.rings).toHaveLength(2);
+    expect(chart.warnings).toEqual(['ChartCalculator: Unknown rings in aspect pair ["natal","solar"]']);
+  });
+
+  test('should handle cusps across 0°', () => {
+    expect(ChartCalculator.getHouse(5, [350, 20, 50, 80, 110, 140, 170, 200, 230, 260, 290, 320])).toBe(1);
+  });
+});
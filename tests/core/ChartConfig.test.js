@@ -1 +1,172 @@
- 
\ No newline at end of file
+import { ChartConfig } from '../../src/core/ChartConfig.js';
+
+describe('ChartConfig', () => {
+  describe('Polar fallback', () => {
+    test('should report the house system actually used', () => {
+      const config = new ChartConfig({ astronomicalData: { ascendant: 100, mc: 10, latitude: 51.5 } });
+      expect(config.getEffectiveHouseSystem()).toBe("Placidus");
+      expect(config.hasHouseSystemFallback()).toBe(false);
+
+      config.setLatitude(70);
+      expect(config.getEffectiveHouseSystem()).toBe("Porphyry");
+      expect(config.hasHouseSystemFallback()).toBe(true);
+    });
+
+    test('should apply the configured fallback policy', () => {
+      const config = new ChartConfig({
+        astronomicalData: { ascendant: 100, mc: 10, latitude: 70, polarFallback: "Equal" }
+      });
+      expect(config.getEffectiveHouseSystem()).toBe("Equal");
+      expect(config.getHouseCusps()[1]).toEqual({ lon: 130 });
+
+      expect(config.setPolarFallback("Whole Sign")).toBe(false);
+      expect(config.setPolarFallback("throw")).toBe(true);
+      expect(config.houseCusps).toEqual([]);
+      expect(config.getEffectiveHouseSystem()).toBeNull();
+    });
+  });
+
+  describe('Sidereal zodiac', () => {
+    const astronomicalData = { ascendant: 100, mc: 10, latitude: 51.5, houseSystem: "Equal" };
+
+    test('should be tropical by default', () => {
+      const config = new ChartConfig({ astronomicalData });
+
+      expect(config.getZodiacInfo()).toEqual({ zodiacType: "tropical", ayanamsa: null, ayanamsaValue: null });
+      expect(config.toZodiacLongitude(100)).toBe(100);
+      expect(config.getHouseCusps()[0]).toEqual({ lon: 100 });
+    });
+
+    test('should shift house cusps and the rotation by the ayanamsa', () => {
+      const config = new ChartConfig({
+        astronomicalData: { ...astronomicalData, zodiacType: "sidereal", ayanamsa: "Lahiri", julianDay: 2451544.5 }
+      });
+      const info = config.getZodiacInfo();
+
+      expect(info.zodiacType).toBe("sidereal");
+      expect(info.ayanamsa).toBe("Lahiri");
+      expect(info.ayanamsaValue).toBeCloseTo(23.857073, 5);
+      expect(config.getHouseCusps()[0].lon).toBeCloseTo(100 - info.ayanamsaValue, 10);
+      expect(config.houseSettings.rotationAngle).toBeCloseTo(100 - info.ayanamsaValue, 10);
+    });
+
+    test('should switch zodiacs and accept custom offsets', () => {
+      const config = new ChartConfig({ astronomicalData });
+
+      expect(config.setZodiacType("sidereal", 20)).toBe(true);
+      expect(config.getZodiacInfo().ayanamsaValue).toBe(20);
+      expect(config.getHouseCusps()[0]).toEqual({ lon: 80 });
+      expect(config.houseSettings.rotationAngle).toBe(80);
+
+      expect(config.setZodiacType("tropical")).toBe(true);
+      expect(config.getHouseCusps()[0]).toEqual({ lon: 100 });
+      expect(config.houseSettings.rotationAngle).toBe(100);
+    });
+
+    test('should keep a manually set rotation', () => {
+      const config = new ChartConfig({ astronomicalData });
+      config.houseSettings.rotationAngle = 45;
+
+      config.setZodiacType("sidereal", 20);
+      expect(config.houseSettings.rotationAngle).toBe(45);
+    });
+
+    test('should reject unknown zodiacs and ayanamsas', () => {
+      const config = new ChartConfig({ astronomicalData });
+
+      expect(config.setZodiacType("draconic")).toBe(false);
+      expect(config.setZodiacType("sidereal", "Yukteshwar")).toBe(false);
+      expect(config.getZodiacInfo().zodiacType).toBe("tropical");
+    });
+  });
+
+  describe('Divisional charts', () => {
+    const astronomicalData = {
+      ascendant: 154.6, mc: 64.6, latitude: 28.6, zodiacType: "sidereal", ayanamsa: 24.6
+    };
+
+    test('should draw the birth chart by default', () => {
+      const config = new ChartConfig({ astronomicalData });
+      expect(config.getVarga()).toBe("D1");
+      expect(config.toZodiacLongitude(150)).toBeCloseTo(125.4, 10);
+    });
+
+    test('should map longitudes and houses into the varga', () => {
+      const config = new ChartConfig({ astronomicalData: { ...astronomicalData, varga: "D9" } });
+
+      expect(config.toZodiacLongitude(150)).toBeCloseTo(48.6, 8);
+      expect(config.getHouseCusps()[0]).toEqual({ lon: 90 });
+      expect(config.getHouseCusps()[1]).toEqual({ lon: 120 });
+      expect(config.houseSettings.rotationAngle).toBeCloseTo(config.toZodiacLongitude(154.6), 10);
+    });
+
+    test('should switch vargas', () => {
+      const config = new ChartConfig({ astronomicalData });
+
+      expect(config.setVarga(9)).toBe(true);
+      expect(config.getVarga()).toBe("D9");
+      expect(config.getHouseCusps()[0]).toEqual({ lon: 90 });
+
+      expect(config.setVarga("D5")).toBe(false);
+      expect(config.getVarga()).toBe("D9");
+
+      config.setVarga("D1");
+      expect(config.getHouseCusps()[0].lon).toBeCloseTo(130, 10);
+    });
+  });
+
+  describe('Declinations', () => {
+    test('should prefer an explicit declination', () => {
+      const config = new ChartConfig();
+      expect(config.getDeclination({ lon: 90, declination: -5.2 })).toBe(-5.2);
+      expect(config.getDeclination({ declination: 0 })).toBe(0);
+      expect(config.getDeclination({})).toBeNull();
+    });
+
+    test('should calculate the declination from the ecliptic position', () => {
+      const config = new ChartConfig();
+      expect(config.getDeclination({ lon: 90 })).toBeCloseTo(23.4367, 8);
+      expect(config.getDeclination({ lon: 180 })).toBeCloseTo(0, 8);
+      expect(config.getDeclination({ lon: 90, lat: 5 })).toBeCloseTo(28.4367, 8);
+
+      config.astronomicalData.obliquity = 23.5;
+      expect(config.getDeclination({ lon: 270, latitude: 0 })).toBeCloseTo(-23.5, 8);
+    });
+
+    test('should be disabled by default', () => {
+      const config = new ChartConfig();
+      expect(config.declinationSettings.enabled).toBe(false);
+
+      config.toggleDeclinationsVisibility(true);
+      expect(config.declinationSettings.enabled).toBe(true);
+    });
+  });
+
+  describe('Rings', () => {
+    test('should keep the bi-wheel radii for two rings', () => {
+      const config = new ChartConfig();
+      expect(config.getRingRadii(2)).toEqual([
+        { outerRadius: 150, iconRadius: 135, dotRadius: 120 },
+        { outerRadius: 120, iconRadius: 105, dotRadius: 90 }
+      ]);
+    });
+
+    test('should narrow the rings so that the aspects keep their space', () => {
+      const config = new ChartConfig();
+      expect(config.setRingCount(4)).toBe(true);
+      expect(config.getRingRadii(4).map(ring => ring.dotRadius)).toEqual([127.5, 105, 82.5, 60]);
+      expect(config.radius.zodiacInner).toBe(127.5);
+      expect(config.radius.innermost).toBe(105);
+      expect(config.setRingCount(0)).toBe(false);
+    });
+
+    test('should lay the options of a ring pair over the synastry aspect settings', () => {
+      const config = new ChartConfig();
+      const settings = config.getRingAspectSettings({ rings: ['natal', 'transit'], types: { trine: { orb: 2 } } });
+      expect(settings.enabled).toBe(true);
+      expect(settings.types.trine).toEqual({ ...config.synastryAspectSettings.types.trine, orb: 2 });
+      expect(settings.types.square).toEqual(config.synastryAspectSettings.types.square);
+      expect(settings.rings).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,29 @@
+import { Dignities } from '../../src/core/Dignities.js';
+
+describe('Dignities', () => {
+  test('should list the signs of each dignity', () => {
+    expect(Dignities.getSigns('mars')).toEqual({
+      domicile: ['aries', 'scorpio'],
+      exaltation: ['capricorn'],
+      detriment: ['libra', 'taurus'],
+      fall: ['cancer']
+    });
+    expect(Dignities.getSigns('pluto')).toEqual({ domicile: ['scorpio'], exaltation: [], detriment: ['taurus'], fall: [] });
+    expect(Dignities.getSigns('chiron')).toEqual({ domicile: [], exaltation: [], detriment: [], fall: [] });
+  });
+
+  test('should return the dignity of a planet in a sign', () => {
+    expect(Dignities.getDignity('sun', 'leo')).toBe('domicile');
+    expect(Dignities.getDignity('Sun', 'Aries')).toBe('exaltation');
+    expect(Dignities.getDignity('sun', 'aquarius')).toBe('detriment');
+    expect(Dignities.getDignity('sun', 'libra')).toBe('fall');
+    expect(Dignities.getDignity('sun', 'gemini')).toBeNull();
+    expect(Dignities.getDignity('true_node', 'gemini')).toBeNull();
+  });
+
+  test('should prefer domicile over exaltation and detriment over fall', () => {
+    expect(Dignities.getDignity('mercury', 'virgo')).toBe('domicile');
+    expect(Dignities.getDignity('mercury', 'pisces')).toBe('detriment');
+    expect(Dignities.getTypes()).toEqual(['domicile', 'exaltation', 'detriment', 'fall']);
+  });
+});
@@ -0,0 +1,123 @@
+import { Ephemeris } from '../../src/core/Ephemeris.js';
+import { HouseCalculator } from '../../src/core/HouseCalculator.js';
+
+describe('Ephemeris', () => {
+  let ephemeris;
+
+  beforeEach(() => {
+    ephemeris = new Ephemeris();
+  });
+
+  // Smallest difference between two longitudes, in arcseconds
+  const arcsecondsBetween = (a, b) => {
+    const diff = Math.abs(a - b) % 360;
+    return Math.min(diff, 360 - diff) * 3600;
+  };
+
+  test('should list all supported bodies', () => {
+    expect(ephemeris.getSupportedBodies()).toEqual([
+      'sun', 'moon', 'mercury', 'venus', 'mars',
+      'jupiter', 'saturn', 'uranus', 'neptune', 'pluto'
+    ]);
+  });
+
+  describe('published examples (Meeus, Astronomical Algorithms)', () => {
+    test('apparent Sun, 1992 October 13.0 TD', () => {
+      const sun = ephemeris.calculateSun(2448908.5);
+      expect(arcsecondsBetween(sun.lon, 199.906060)).toBeLessThan(1);
+    });
+
+    test('apparent Moon, 1992 April 12.0 TD', () => {
+      const moon = ephemeris.calculateMoon(2448724.5);
+      expect(arcsecondsBetween(moon.lon, 133.167265)).toBeLessThan(1);
+      expect(Math.abs(moon.lat - (-3.229126)) * 3600).toBeLessThan(1);
+    });
+
+    test('apparent Venus, 1992 December 20.0 TD', () => {
+      const venus = ephemeris.calculatePlanet('venus', 2448976.5);
+      expect(arcsecondsBetween(venus.lon, 313.08102)).toBeLessThan(5);
+      expect(Math.abs(venus.lat - (-2.08474)) * 3600).toBeLessThan(5);
+    });
+  });
+
+  describe('calculate', () => {
+    // 1990-04-15 12:00 CEST in Berlin; reference values from the Swiss Ephemeris
+    const birthData = {
+      datetime: '1990-04-15T12:00:00',
+      timezone: 'Europe/Berlin',
+      latitude: 52.52,
+      longitude: 13.405
+    };
+    const reference = {
+      sun: 25.1750, moon: 262.8870, mercury: 44.4294, venus: 339.4600, mars: 325.8814,
+      jupiter: 94.5349, saturn: 295.0266, uranus: 279.5882, neptune: 284.5740, pluto: 226.9923
+    };
+
+    test('should match reference positions to well under an arcminute', () => {
+      const result = ephemeris.calculate(birthData);
+
+      Object.entries(reference).forEach(([name, lon]) => {
+        expect(arcsecondsBetween(result.planets[name].lon, lon)).toBeLessThan(15);
+      });
+    });
+
+    test('should calculate Ascendant and Midheaven', () => {
+      const result = ephemeris.calculate(birthData);
+
+      expect(arcsecondsBetween(result.ascendant, 122.2250)).toBeLessThan(10);
+      expect(arcsecondsBetween(result.mc, 7.3069)).toBeLessThan(10);
+    });
+
+    test('should treat equivalent datetime and timezone inputs the same', () => {
+      const local = ephemeris.calculate(birthData);
+      const offset = ephemeris.calculate({ ...birthData, datetime: '1990-04-15T12:00:00', timezone: 2 });
+      const utc = ephemeris.calculate({ ...birthData, datetime: '1990-04-15T10:00:00Z', timezone: undefined });
+
+      expect(offset.julianDay).toBeCloseTo(local.julianDay, 8);
+      expect(utc.julianDay).toBeCloseTo(local.julianDay, 8);
+    });
+
+    test('should flag retrograde motion', () => {
+      // Mercury was retrograde from 2023-04-21 to 2023-05-15
+      const result = ephemeris.calculate({ datetime: '2023-05-01T00:00:00Z' });
+
+      expect(result.planets.mercury.retrograde).toBe(true);
+      expect(result.planets.mercury.speed).toBeLessThan(0);
+      expect(result.planets.sun.retrograde).toBe(false);
+      expect(result.planets.moon.speed).toBeGreaterThan(11);
+    });
+
+    test('should leave the angles empty without coordinates', () => {
+      const result = ephemeris.calculate({ datetime: '2000-01-01T12:00:00Z' });
+
+      expect(result.ascendant).toBeNull();
+      expect(result.mc).toBeNull();
+      expect(Object.keys(result.planets)).toHaveLength(10);
+    });
+
+    test('should produce angles usable by HouseCalculator', () => {
+      const result = ephemeris.calculate(birthData);
+      const cusps = new HouseCalculator().calculateHouseCusps(result.ascendant, 'Placidus', {
+        latitude: result.latitude,
+        mc: result.mc
+      });
+
+      expect(cusps[0]).toBeCloseTo(result.ascendant, 6);
+      expect(cusps[9]).toBeCloseTo(result.mc, 6);
+    });
+
+    test('should restrict calculation to the requested bodies', () => {
+      const result = ephemeris.calculate({ datetime: '2000-01-01T12:00:00Z', bodies: ['sun', 'moon'] });
+      expect(Object.keys(result.planets)).toEqual(['sun', 'moon']);
+    });
+
+    test('should reject invalid input', () => {
+      expect(() => ephemeris.calculate({})).toThrow('Ephemeris requires a datetime');
+      expect(() => ephemeris.calculate({ datetime: 'not a date' })).toThrow();
+      expect(() => ephemeris.calculate({ datetime: '2000-01-01', latitude: 95, longitude: 0 }))
+        .toThrow('Latitude must be a number between -90 and 90');
+      expect(() => ephemeris.calculate({ datetime: '2000-01-01', bodies: ['vulcan'] }))
+        .toThrow('Body "vulcan" is not supported');
+    });
+  });
+});
@@ -1,4 +1,6 @@
 import { HouseCalculator } from '../../src/core/HouseCalculator.js';
+import { AstrologyUtils } from '../../src/utils/AstrologyUtils.js';
+import { ChartConfig } from '../../src/core/ChartConfig.js';
 
 describe('HouseCalculator', () => {
   test('should initialize properly', () => {
@@ -52,16 +54,28 @@ describe('HouseCalculator', () => {
     );
   };
 
+  // Ascendant matching an MC at the given latitude (J2000 obliquity)
+  const consistentAscendant = (mc, latitude, obliquity = 23.4367) => {
+    const armc = calculator.calculateArmc(mc, obliquity);
+    return calculator.calculateAscendant(armc, latitude, obliquity);
+  };
+
   describe('General Interface', () => {
     test('should have all house systems available', () => {
       const systems = calculator.getAvailableHouseSystems();
       expect(systems).toEqual([
         "Placidus", "Koch", "Equal", "Whole Sign", 
         "Porphyry", "Regiomontanus", "Campanus", 
-        "Morinus", "Topocentric"
+        "Morinus", "Topocentric", "Alcabitius",
+        "Meridian", "Vehlow", "Sripati", "Krusinski"
       ]);
     });
 
+    test('should describe every available house system', () => {
+      const descriptions = AstrologyUtils.getHouseSystems();
+      expect(Object.keys(descriptions).sort()).toEqual(calculator.getAvailableHouseSystems().sort());
+    });
+
     test('should throw error for invalid house system', () => {
       expect(() => {
         calculator.calculateHouseCusps(0, "Invalid System");
@@ -270,16 +284,17 @@ describe('HouseCalculator', () => {
     });
 
     test('should calculate Koch house cusps correctly', () => {
-      const ascendant = 45;
       const mc = 315;
       const latitude = 51.5; // London latitude
+      // Koch needs an Ascendant consistent with the MC and latitude
+      const ascendant = consistentAscendant(mc, latitude);
       const cusps = calculator.calculateHouseCusps(ascendant, "Koch", { mc, latitude });
       
       // Check angular houses
-      expect(cusps[0]).toBe(45);   // ASC
-      expect(cusps[9]).toBe(315);  // MC
-      expect(cusps[6]).toBe(225);  // DSC (ASC + 180)
-      expect(cusps[3]).toBe(135);  // IC (MC + 180)
+      expect(cusps[0]).toBe(ascendant);                            // ASC
+      expect(cusps[9]).toBe(315);                                  // MC
+      expect(cusps[6]).toBeCloseTo(calculator.normalizeAngle(ascendant + 180), 10); // DSC (ASC + 180)
+      expect(cusps[3]).toBe(135);                                  // IC (MC + 180)
       
       // Verify sequence around the zodiac
       // Houses 10-11-12-1 should be in zodiacal sequence
@@ -376,20 +391,18 @@ describe('HouseCalculator', () => {
       const mc = 315;
       const cusps = calculator.calculateHouseCusps(ascendant, "Morinus", { mc });
       
-      // Verify angular houses
-      expect(cusps[0]).toBe(45);
-      expect(cusps[9]).toBe(315);
+      // Cusps are projections of the equator, so they do not coincide with ASC and MC
+      expect(cusps[9]).not.toBeCloseTo(315, 2);
       
-      // Verify sequence of intermediate houses
-      // Houses 10-11-12-1 should be in zodiacal sequence
-      expectCorrectSequence(cusps, 9, 10);
-      expectCorrectSequence(cusps, 10, 11);
-      expectCorrectSequence(cusps, 11, 0);
+      // Opposite cusps are 180° apart
+      for (let i = 0; i < 6; i++) {
+        expect(calculator.calculateArc(cusps[i], cusps[i + 6])).toBeCloseTo(180, 10);
+      }
       
-      // Houses 1-2-3-4 should be in zodiacal sequence
-      expectCorrectSequence(cusps, 0, 1);
-      expectCorrectSequence(cusps, 1, 2);
-      expectCorrectSequence(cusps, 2, 3);
+      // All houses follow each other in zodiacal order
+      for (let i = 0; i < 12; i++) {
+        expectCorrectSequence(cusps, i, (i + 1) % 12);
+      }
     });
   });
   
@@ -422,4 +435,402 @@ describe('HouseCalculator', () => {
       expectCorrectSequence(cusps, 2, 3);
     });
   });
-}); 
\ No newline at end of file
+
+  describe('Alcabitius, Meridian, Vehlow, Sripati and Krusinski Systems', () => {
+    test('should require their parameters', () => {
+      expect(() => calculator.calculateHouseCusps(0, "Alcabitius", {}))
+        .toThrow("Alcabitius house system requires latitude and mc");
+      expect(() => calculator.calculateHouseCusps(0, "Meridian", {}))
+        .toThrow("Meridian house system requires mc");
+      expect(() => calculator.calculateHouseCusps(0, "Sripati", {}))
+        .toThrow("Sripati house system requires mc");
+      expect(() => calculator.calculateHouseCusps(0, "Krusinski", {}))
+        .toThrow("Krusinski house system requires latitude and mc");
+    });
+
+    test('should center the 1st Vehlow house on the Ascendant', () => {
+      const cusps = calculator.calculateHouseCusps(10, "Vehlow");
+      expect(cusps[0]).toBe(355);
+      expect(cusps[1]).toBe(25);
+      expect(cusps[11]).toBe(325);
+    });
+
+    test('should keep the angles on Alcabitius and Krusinski cusps', () => {
+      const mc = 315;
+      const latitude = 51.5;
+      const ascendant = consistentAscendant(mc, latitude);
+
+      ["Alcabitius", "Krusinski"].forEach(system => {
+        const cusps = calculator.calculateHouseCusps(ascendant, system, { latitude, mc });
+        expect(cusps[0]).toBe(ascendant);
+        expect(cusps[9]).toBe(mc);
+        for (let i = 0; i < 12; i++) {
+          expectCorrectSequence(cusps, i, (i + 1) % 12);
+        }
+      });
+    });
+
+    test('should place the Meridian 1st cusp on the East Point', () => {
+      const armc = 200;
+      const obliquity = 23.4367;
+      const mc = calculator.calculateMidheaven(armc, obliquity);
+      const cusps = calculator.calculateHouseCusps(100, "Meridian", { mc, obliquity });
+
+      expect(cusps[9]).toBeCloseTo(mc, 10);
+      expect(cusps[0]).toBeCloseTo(calculator.calculateObliqueAscendant(armc, 0, obliquity), 10);
+    });
+
+    test('should put Sripati cusps midway between Porphyry cusps', () => {
+      const options = { latitude: 51.5, mc: 315 };
+      const porphyry = calculator.calculateHouseCusps(45, "Porphyry", options);
+      const cusps = calculator.calculateHouseCusps(45, "Sripati", options);
+
+      // ASC 45, 12th Porphyry cusp 15 -> 1st Sripati cusp 30
+      expect(cusps[0]).toBeCloseTo(30, 10);
+      for (let i = 0; i < 12; i++) {
+        expect(calculator.calculateArc(cusps[i], porphyry[i]))
+          .toBeCloseTo(calculator.calculateArc(cusps[i], porphyry[(i + 11) % 12]), 10);
+      }
+    });
+  });
+
+  describe('Polar fallback', () => {
+    const polar = { latitude: 70, mc: 10 };
+
+    test('should fall back to Porphyry by default inside the polar circles', () => {
+      const houses = calculator.calculateHouses(100, "Placidus", polar);
+
+      expect(houses.system).toBe("Porphyry");
+      expect(houses.requestedSystem).toBe("Placidus");
+      expect(houses.fallback).toBe(true);
+      expect(houses.cusps).toEqual(calculator.calculateHouseCusps(100, "Porphyry", polar));
+    });
+
+    test('should use Equal houses or throw when requested', () => {
+      const equal = calculator.calculateHouses(100, "Koch", { ...polar, polarFallback: "Equal" });
+      expect(equal.system).toBe("Equal");
+      expect(equal.cusps).toEqual(calculator.calculateHouseCusps(100, "Equal"));
+
+      expect(() => calculator.calculateHouseCusps(100, "Koch", { ...polar, polarFallback: "throw" }))
+        .toThrow("Koch houses are undefined at latitude 70°");
+    });
+
+    test('should start at the polar circle for the given obliquity', () => {
+      expect(calculator.isUndefinedAtLatitude("Placidus", 66.5)).toBe(false);
+      expect(calculator.isUndefinedAtLatitude("Placidus", -66.6)).toBe(true);
+      expect(calculator.isUndefinedAtLatitude("Placidus", 66.5, 24)).toBe(true);
+    });
+
+    test('should keep systems that are defined at polar latitudes', () => {
+      ["Regiomontanus", "Campanus", "Topocentric", "Alcabitius", "Krusinski", "Porphyry"].forEach(system => {
+        const houses = calculator.calculateHouses(100, system, { ...polar, polarFallback: "throw" });
+        expect(houses.system).toBe(system);
+        expect(houses.fallback).toBe(false);
+      });
+    });
+
+    test('should report the system used when calculating from the date', () => {
+      // 2000-01-01 12:00 UT in Tromsø
+      const houses = calculator.calculateHousesFromDate(2451545.0, 69.65, 18.96, "Placidus");
+      expect(houses.system).toBe("Porphyry");
+      expect(houses.fallback).toBe(true);
+    });
+
+    test('should reject unknown fallbacks', () => {
+      expect(() => calculator.calculateHouseCusps(100, "Placidus", { ...polar, polarFallback: "Whole Sign" }))
+        .toThrow('Polar fallback must be "Porphyry", "Equal" or "throw"');
+    });
+  });
+
+  describe('Sidereal cusps', () => {
+    const options = { latitude: 51.5, mc: 10 };
+
+    test('should shift the cusps by the ayanamsa', () => {
+      const tropical = calculator.calculateHouseCusps(100, "Placidus", options);
+      const sidereal = calculator.calculateHouseCusps(100, "Placidus", { ...options, ayanamsa: 24 });
+
+      sidereal.forEach((cusp, i) => {
+        expect(cusp).toBeCloseTo((tropical[i] - 24 + 360) % 360, 10);
+      });
+    });
+
+    test('should start Whole Sign houses at the sidereal sign of the Ascendant', () => {
+      // Tropical Ascendant 10° Taurus is 16° Aries in the sidereal zodiac
+      const cusps = calculator.calculateHouseCusps(40, "Whole Sign", { ayanamsa: 24 });
+
+      expect(cusps[0]).toBe(0);
+      expect(cusps[1]).toBe(30);
+    });
+
+    test('should also shift fallback cusps', () => {
+      const houses = calculator.calculateHouses(100, "Placidus", { latitude: 70, mc: 10, ayanamsa: 24 });
+
+      expect(houses.system).toBe("Porphyry");
+      expect(houses.cusps[0]).toBeCloseTo(76, 10);
+    });
+
+    test('should reject an invalid ayanamsa', () => {
+      expect(() => calculator.calculateHouseCusps(100, "Equal", { ayanamsa: "Lahiri" }))
+        .toThrow("Ayanamsa must be a number of degrees");
+    });
+  });
+
+  describe('Custom house systems', () => {
+    // Equal houses from the MC, shifted by 90°
+    const equalFromMc = (ascendant, { mc }) =>
+      Array.from({ length: 12 }, (_, i) => mc + 90 + i * 30);
+
+    afterEach(() => {
+      HouseCalculator.unregisterHouseSystem("Equal MC");
+      HouseCalculator.unregisterHouseSystem("Experimental");
+    });
+
+    test('should register a system for every calculator', () => {
+      HouseCalculator.registerHouseSystem("Equal MC", equalFromMc, {
+        description: "Equal houses from the Midheaven",
+        requires: ["mc"]
+      });
+
+      const other = new HouseCalculator();
+      expect(other.getAvailableHouseSystems()).toContain("Equal MC");
+
+      const cusps = other.calculateHouseCusps(10, "Equal MC", { mc: 300 });
+      expect(cusps[0]).toBe(30);
+      expect(cusps[11]).toBe(0);
+
+      expect(other.getHouseSystemInfo("Equal MC")).toEqual({
+        name: "Equal MC",
+        description: "Equal houses from the Midheaven",
+        requires: ["mc"],
+        polar: "supported",
+        custom: true
+      });
+    });
+
+    test('should describe built-in systems', () => {
+      expect(calculator.getHouseSystemInfo("Koch")).toEqual({
+        name: "Koch",
+        description: AstrologyUtils.getHouseSystems().Koch,
+        requires: ["latitude", "mc"],
+        polar: "unsupported",
+        custom: false
+      });
+      expect(calculator.getHouseSystemInfo("Unknown")).toBeNull();
+    });
+
+    test('should pass the ARMC, obliquity and calculator to the system', () => {
+      let received;
+      HouseCalculator.registerHouseSystem("Experimental", (...args) => {
+        received = args;
+        return new Array(12).fill(0);
+      });
+
+      calculator.calculateHouseCusps(10, "Experimental", { latitude: 40, mc: 90 });
+
+      expect(received).toEqual([10, {
+        latitude: 40, mc: 90, obliquity: 23.4367, armc: calculator.calculateArmc(90, 23.4367)
+      }, calculator]);
+    });
+
+    test('should check required inputs and the returned cusps', () => {
+      HouseCalculator.registerHouseSystem("Equal MC", equalFromMc, { requires: ["latitude", "mc"] });
+      HouseCalculator.registerHouseSystem("Experimental", () => [0, 30, 60]);
+
+      expect(() => calculator.calculateHouseCusps(10, "Equal MC", { mc: 300 }))
+        .toThrow("Equal MC house system requires latitude and mc");
+      expect(() => calculator.calculateHouseCusps(10, "Experimental"))
+        .toThrow('House system "Experimental" must return 12 cusp longitudes');
+    });
+
+    test('should fall back to Porphyry inside the polar circles when unsupported', () => {
+      HouseCalculator.registerHouseSystem("Experimental", equalFromMc, {
+        requires: ["latitude", "mc"],
+        polar: "unsupported"
+      });
+
+      const options = { latitude: 70, mc: 10 };
+      expect(calculator.calculateHouseCusps(100, "Experimental", options))
+        .toEqual(calculator.calculateHouseCusps(100, "Porphyry", options));
+    });
+
+    test('should reject invalid registrations', () => {
+      expect(() => HouseCalculator.registerHouseSystem("", equalFromMc))
+        .toThrow("House system name must be a non-empty string");
+      expect(() => HouseCalculator.registerHouseSystem("Placidus", equalFromMc))
+        .toThrow('House system "Placidus" is built in and cannot be replaced');
+      expect(() => HouseCalculator.registerHouseSystem("Experimental", null))
+        .toThrow("House system calculation must be a function");
+      expect(() => HouseCalculator.registerHouseSystem("Experimental", equalFromMc, { requires: ["date"] }))
+        .toThrow('Unknown house system input "date"');
+      expect(() => HouseCalculator.registerHouseSystem("Experimental", equalFromMc, { polar: "never" }))
+        .toThrow('House system polar behavior must be "supported" or "unsupported"');
+      expect(HouseCalculator.unregisterHouseSystem("Experimental")).toBe(false);
+    });
+
+    test('should be selectable in ChartConfig', () => {
+      HouseCalculator.registerHouseSystem("Equal MC", equalFromMc, { requires: ["mc"] });
+
+      const config = new ChartConfig({ astronomicalData: { ascendant: 10, mc: 300 } });
+      expect(config.getAvailableHouseSystems()).toContain("Equal MC");
+
+      config.setHouseSystem("Equal MC");
+      expect(config.getHouseCusps()[0]).toEqual({ lon: 30 });
+    });
+  });
+
+  describe('Reference cusps', () => {
+    // Reference cusps computed with the Swiss Ephemeris (swe_houses_armc) for the
+    // given ARMC and an obliquity of 23.4367°
+    const obliquity = 23.4367;
+    const references = [
+      { place: 'London', latitude: 51.5, armc: 120, ascendant: 201.117533, mc: 117.911014, cusps: {
+        Koch: [201.1175, 228.6743, 257.7987, 297.9110, 325.7507, 353.3792, 21.1175, 48.6743, 77.7987, 117.9110, 145.7507, 173.3792],
+        Regiomontanus: [201.1175, 224.1605, 255.9632, 297.9110, 334.4216, 0.0000, 21.1175, 44.1605, 75.9632, 117.9110, 154.4216, 180.0000],
+        Campanus: [201.1175, 236.2997, 269.6416, 297.9110, 323.3973, 350.0032, 21.1175, 56.2997, 89.6416, 117.9110, 143.3973, 170.0032],
+        Morinus: [207.9110, 237.8192, 270.0000, 302.1808, 332.0890, 0.0000, 27.9110, 57.8192, 90.0000, 122.1808, 152.0890, 180.0000],
+        Topocentric: [201.1175, 227.5528, 260.5373, 297.9110, 332.5186, 0.0000, 21.1175, 47.5528, 80.5373, 117.9110, 152.5186, 180.0000],
+        Alcabitius: [201.1175, 235.3484, 266.7918, 297.9110, 324.1974, 352.3864, 21.1175, 55.3484, 86.7918, 117.9110, 144.1974, 172.3864],
+        Meridian: [212.1808, 242.0890, 270.0000, 297.9110, 327.8192, 0.0000, 32.1808, 62.0890, 90.0000, 117.9110, 147.8192, 180.0000],
+        Vehlow: [186.1175, 216.1175, 246.1175, 276.1175, 306.1175, 336.1175, 6.1175, 36.1175, 66.1175, 96.1175, 126.1175, 156.1175],
+        Sripati: [187.2498, 217.2498, 249.5143, 281.7788, 311.7788, 339.5143, 7.2498, 37.2498, 69.5143, 101.7788, 131.7788, 159.5143],
+        Krusinski: [201.1175, 222.8864, 254.0542, 297.9110, 335.9320, 1.0833, 21.1175, 42.8864, 74.0542, 117.9110, 155.9320, 181.0833]
+      } },
+      { place: 'New York', latitude: 40.7, armc: 292.5, ascendant: 37.124274, mc: 290.808842, cusps: {
+        Koch: [37.1243, 67.4410, 90.8770, 110.8088, 140.5535, 178.6389, 217.1243, 247.4410, 270.8770, 290.8088, 320.5535, 358.6389],
+        Regiomontanus: [37.1243, 71.7072, 92.9617, 110.8088, 132.4499, 167.9867, 217.1243, 251.7072, 272.9617, 290.8088, 312.4499, 347.9867],
+        Campanus: [37.1243, 77.6333, 96.7838, 110.8088, 127.1171, 157.4540, 217.1243, 257.6333, 276.7838, 290.8088, 307.1171, 337.4540],
+        Morinus: [20.8088, 50.0935, 81.8343, 114.2972, 144.8536, 173.1125, 200.8088, 230.0935, 261.8343, 294.2972, 324.8536, 353.1125],
+        Topocentric: [37.1243, 67.3861, 89.6693, 110.8088, 135.2392, 169.1588, 217.1243, 247.3861, 269.6693, 290.8088, 315.2392, 349.1588],
+        Alcabitius: [37.1243, 62.7446, 86.8739, 110.8088, 144.2896, 180.7487, 217.1243, 242.7446, 266.8739, 290.8088, 324.2896, 0.7487],
+        Meridian: [24.2972, 54.8536, 83.1125, 110.8088, 140.0935, 171.8343, 204.2972, 234.8536, 263.1125, 290.8088, 320.0935, 351.8343],
+        Vehlow: [22.1243, 52.1243, 82.1243, 112.1243, 142.1243, 172.1243, 202.1243, 232.1243, 262.1243, 292.1243, 322.1243, 352.1243],
+        Sripati: [19.4050, 49.4050, 73.9666, 98.5281, 128.5281, 163.9666, 199.4050, 229.4050, 253.9666, 278.5281, 308.5281, 343.9666],
+        Krusinski: [37.1243, 58.9055, 81.2963, 110.8088, 151.0608, 189.5771, 217.1243, 238.9055, 261.2963, 290.8088, 331.0608, 9.5771]
+      } },
+      { place: 'Sydney', latitude: -33.87, armc: 15, ascendant: 88.250776, mc: 16.280059, cusps: {
+        Koch: [88.2508, 116.7530, 153.1408, 196.2801, 220.0523, 243.6225, 268.2508, 296.7530, 333.1408, 16.2801, 40.0523, 63.6225],
+        Regiomontanus: [88.2508, 120.5634, 161.0255, 196.2801, 222.1116, 244.1174, 268.2508, 300.5634, 341.0255, 16.2801, 42.1116, 64.1174],
+        Campanus: [88.2508, 126.7426, 166.8203, 196.2801, 218.7202, 240.5976, 268.2508, 306.7426, 346.8203, 16.2801, 38.7202, 60.5976],
+        Morinus: [106.2801, 137.4636, 166.1881, 193.8119, 222.5364, 253.7199, 286.2801, 317.4636, 346.1881, 13.8119, 42.5364, 73.7199],
+        Topocentric: [88.2508, 123.6558, 162.0145, 196.2801, 223.7847, 246.7275, 268.2508, 303.6558, 342.0145, 16.2801, 43.7847, 66.7275],
+        Alcabitius: [88.2508, 121.4904, 157.6846, 196.2801, 221.8012, 245.6353, 268.2508, 301.4904, 337.6846, 16.2801, 41.8012, 65.6353],
+        Meridian: [103.8119, 132.5364, 163.7199, 196.2801, 227.4636, 256.1881, 283.8119, 312.5364, 343.7199, 16.2801, 47.4636, 76.1881],
+        Vehlow: [73.2508, 103.2508, 133.2508, 163.2508, 193.2508, 223.2508, 253.2508, 283.2508, 313.2508, 343.2508, 13.2508, 43.2508],
+        Sripati: [76.2557, 106.2557, 142.2654, 178.2752, 208.2752, 232.2654, 256.2557, 286.2557, 322.2654, 358.2752, 28.2752, 52.2654],
+        Krusinski: [88.2508, 116.5844, 156.3897, 196.2801, 224.7073, 246.4933, 268.2508, 296.5844, 336.3897, 16.2801, 44.7073, 66.4933]
+      } },
+      { place: 'Quito', latitude: -0.22, armc: 200, ascendant: 288.550101, mc: 201.638118, cusps: {
+        Koch: [288.5501, 317.6284, 349.1629, 21.6381, 52.4587, 80.8869, 108.5501, 137.6284, 169.1629, 201.6381, 232.4587, 260.8869],
+        Regiomontanus: [288.5501, 317.6092, 349.1304, 21.6381, 52.4441, 80.8853, 108.5501, 137.6092, 169.1304, 201.6381, 232.4441, 260.8853],
+        Campanus: [288.5501, 317.6093, 349.1306, 21.6381, 52.4440, 80.8851, 108.5501, 137.6093, 169.1306, 201.6381, 232.4440, 260.8851],
+        Morinus: [291.6381, 322.4083, 350.8103, 18.4664, 47.5555, 79.1214, 111.6381, 142.4083, 170.8103, 198.4664, 227.5555, 259.1214],
+        Topocentric: [288.5501, 317.5968, 349.1274, 21.6381, 52.4322, 80.8680, 108.5501, 137.5968, 169.1274, 201.6381, 232.4322, 260.8680],
+        Alcabitius: [288.5501, 317.6159, 349.1538, 21.6381, 52.4376, 80.8654, 108.5501, 137.6159, 169.1538, 201.6381, 232.4376, 260.8654],
+        Meridian: [288.4664, 317.5555, 349.1214, 21.6381, 52.4083, 80.8103, 108.4664, 137.5555, 169.1214, 201.6381, 232.4083, 260.8103],
+        Vehlow: [273.5501, 303.5501, 333.5501, 3.5501, 33.5501, 63.5501, 93.5501, 123.5501, 153.5501, 183.5501, 213.5501, 243.5501],
+        Sripati: [274.0648, 304.0648, 335.0941, 6.1234, 36.1234, 65.0941, 94.0648, 124.0648, 155.0941, 186.1234, 216.1234, 245.0941],
+        Krusinski: [288.5501, 319.5866, 351.1662, 21.6381, 50.5921, 79.0817, 108.5501, 139.5866, 171.1662, 201.6381, 230.5921, 259.0817]
+      } },
+      { place: 'Reykjavik', latitude: 64.13, armc: 340, ascendant: 118.319901, mc: 338.361882, cusps: {
+        Koch: [118.3199, 131.5884, 144.8574, 158.3619, 265.1999, 284.2205, 298.3199, 311.5884, 324.8574, 338.3619, 85.1999, 104.2205],
+        Regiomontanus: [118.3199, 131.4461, 142.5423, 158.3619, 199.3868, 270.6654, 298.3199, 311.4461, 322.5423, 338.3619, 19.3868, 90.6654],
+        Campanus: [118.3199, 139.7949, 149.6833, 158.3619, 171.8428, 217.5184, 298.3199, 319.7949, 329.6833, 338.3619, 351.8428, 37.5184],
+        Morinus: [68.3619, 100.8786, 132.4445, 161.5336, 189.1897, 217.5917, 248.3619, 280.8786, 312.4445, 341.5336, 9.1897, 37.5917],
+        Topocentric: [118.3199, 125.6410, 138.4112, 158.3619, 195.4061, 256.3544, 298.3199, 305.6410, 318.4112, 338.3619, 15.4061, 76.3544],
+        Alcabitius: [118.3199, 131.1629, 144.5122, 158.3619, 208.8450, 254.9058, 298.3199, 311.1629, 324.5122, 338.3619, 28.8450, 74.9058],
+        Meridian: [71.5336, 99.1897, 127.5917, 158.3619, 190.8786, 222.4445, 251.5336, 279.1897, 307.5917, 338.3619, 10.8786, 42.4445],
+        Vehlow: [103.3199, 133.3199, 163.3199, 193.3199, 223.3199, 253.3199, 283.3199, 313.3199, 343.3199, 13.3199, 43.3199, 73.3199],
+        Sripati: [94.9936, 124.9936, 138.3409, 151.6882, 181.6882, 228.3409, 274.9936, 304.9936, 318.3409, 331.6882, 1.6882, 48.3409],
+        Krusinski: [118.3199, 126.1270, 135.5500, 158.3619, 248.5012, 286.8161, 298.3199, 306.1270, 315.5500, 338.3619, 68.5012, 106.8161]
+      } }
+    ];
+
+    references.forEach(({ place, latitude, ascendant, mc, cusps: expected }) => {
+      Object.entries(expected).forEach(([system, expectedCusps]) => {
+        test(`${system} cusps for ${place} (${latitude}°)`, () => {
+          const cusps = calculator.calculateHouseCusps(ascendant, system, { latitude, mc, obliquity });
+
+          expectedCusps.forEach((longitude, i) => {
+            expect(calculator.calculateArc(cusps[i], longitude)).toBeLessThan(0.0005);
+          });
+        });
+      });
+    });
+
+    test('should derive the angles consistently with the reference', () => {
+      references.forEach(({ latitude, armc, ascendant, mc }) => {
+        expect(calculator.calculateAscendant(armc, latitude, obliquity)).toBeCloseTo(ascendant, 5);
+        expect(calculator.calculateMidheaven(armc, obliquity)).toBeCloseTo(mc, 5);
+      });
+    });
+
+    test('should keep the Ascendant after the MC inside the polar circle', () => {
+      // Tromsø (69.65°N): the horizon meets the ecliptic behind the MC for this ARMC
+      const armc = 250;
+      const latitude = 69.65;
+      const mc = calculator.calculateMidheaven(armc, obliquity);
+      const ascendant = calculator.calculateAscendant(armc, latitude, obliquity);
+
+      expect(calculator.isAscendantReversed(armc, latitude, obliquity)).toBe(true);
+      expect(calculator.normalizeAngle(ascendant - mc)).toBeLessThan(180);
+    });
+
+    test('should fall back to Porphyry for Koch inside the polar circle', () => {
+      const koch = calculator.calculateHouseCusps(100, "Koch", { latitude: 70, mc: 10 });
+      const porphyry = calculator.calculateHouseCusps(100, "Porphyry", { mc: 10 });
+      expect(koch).toEqual(porphyry);
+    });
+  });
+
+  describe('Angles from date and location', () => {
+    // 1990-04-15 10:00 UT, Berlin (52.52°N, 13.405°E)
+    const julianDay = 2447996.9166667;
+    const latitude = 52.52;
+    const longitude = 13.405;
+
+    test('should calculate Ascendant and MC from sidereal time', () => {
+      const angles = calculator.calculateAngles(julianDay, latitude, longitude);
+
+      expect(angles.ascendant).toBeCloseTo(122.225, 2);
+      expect(angles.mc).toBeCloseTo(7.307, 2);
+      expect(angles.obliquity).toBeCloseTo(23.4428, 3);
+    });
+
+    test('should place the Vertex on the western prime vertical', () => {
+      const angles = calculator.calculateAngles(julianDay, latitude, longitude);
+      const rad = Math.PI / 180;
+      const eps = angles.obliquity * rad;
+      const lon = angles.vertex * rad;
+      const ra = Math.atan2(Math.sin(lon) * Math.cos(eps), Math.cos(lon));
+      const dec = Math.asin(Math.sin(lon) * Math.sin(eps));
+      const hourAngle = angles.armc * rad - ra;
+
+      // On the prime vertical the azimuth is 90° or 270°, i.e. tan(dec) = cos(H) tan(lat)
+      expect(Math.tan(dec) - Math.cos(hourAngle) * Math.tan(latitude * rad)).toBeCloseTo(0, 8);
+      // West of the meridian
+      expect(Math.sin(hourAngle)).toBeGreaterThan(0);
+    });
+
+    test('should calculate the East Point as the Ascendant at the equator', () => {
+      const angles = calculator.calculateAngles(julianDay, latitude, longitude);
+      expect(angles.eastPoint).toBeCloseTo(calculator.calculateAscendant(angles.armc, 0, angles.obliquity), 10);
+    });
+
+    test('should calculate cusps for every house system from birth data alone', () => {
+      calculator.getAvailableHouseSystems().forEach(system => {
+        const result = calculator.calculateHousesFromDate(julianDay, latitude, longitude, system);
+        expect(result.cusps).toHaveLength(12);
+        result.cusps.forEach(cusp => {
+          expect(cusp).toBeGreaterThanOrEqual(0);
+          expect(cusp).toBeLessThan(360);
+        });
+      });
+    });
+
+    test('should reject invalid dates and coordinates', () => {
+      expect(() => calculator.calculateAngles('2000-01-01', 0, 0)).toThrow('Julian day must be a number');
+      expect(() => calculator.calculateAngles(julianDay, 91, 0)).toThrow('Latitude must be a number between -90 and 90');
+      expect(() => calculator.calculateAngles(julianDay, 0, 200)).toThrow('Longitude must be a number between -180 and 180');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { PointCatalogue } from '../../src/core/PointCatalogue.js';
+import { ChartConfig } from '../../src/core/ChartConfig.js';
+import { AstrologyUtils } from '../../src/utils/AstrologyUtils.js';
+import { IconProvider } from '../../src/services/IconProvider.js';
+
+describe('PointCatalogue', () => {
+  test('should list the points by category', () => {
+    expect(PointCatalogue.getPoints("planet")).toHaveLength(10);
+    expect(PointCatalogue.getPoints("node")).toEqual(["true_node", "mean_node", "south_node", "rahu", "ketu"]);
+    expect(PointCatalogue.getPoints("asteroid")).toEqual(["ceres", "pallas", "juno", "vesta"]);
+    expect(PointCatalogue.getPoints()).toEqual(expect.arrayContaining(["lilith", "selena", "chiron", "fortune"]));
+    expect(PointCatalogue.getCategories()).toEqual(["planet", "node", "lunar", "centaur", "asteroid", "part"]);
+  });
+
+  test('should return catalogue entries', () => {
+    expect(PointCatalogue.getPoint("Chiron")).toEqual({
+      id: "chiron", category: "centaur", glyph: "chiron", color: "#996633", orb: 3,
+      names: { en: "Chiron", ru: "Хирон" }
+    });
+    expect(PointCatalogue.getPoint("vulcan")).toBeNull();
+  });
+
+  test('should share the node glyphs', () => {
+    expect(PointCatalogue.getGlyph("true_node")).toBe("rahu");
+    expect(PointCatalogue.getGlyph("mean_node")).toBe("rahu");
+    expect(PointCatalogue.getGlyph("south_node")).toBe("ketu");
+    expect(PointCatalogue.getGlyph("Lilith")).toBe("lilith");
+    expect(PointCatalogue.getGlyph("vulcan")).toBe("vulcan");
+  });
+
+  test('should return localized names', () => {
+    expect(PointCatalogue.getName("fortune")).toBe("Part of Fortune");
+    expect(PointCatalogue.getName("true_node", "ru")).toBe("Истинный узел");
+    expect(PointCatalogue.getName("lilith", "de")).toBe("Black Moon Lilith");
+    expect(PointCatalogue.getName("vulcan")).toBeNull();
+
+    expect(AstrologyUtils.getPlanetFullName("pallas", "ru")).toBe("Паллада");
+    expect(AstrologyUtils.getPlanetFullName("vulcan")).toBe("Vulcan");
+  });
+
+  test.each([
+    // [ascendant, sun, moon, part of fortune]
+    [0, 300, 100, 160],   // Sun above the horizon: ASC + Moon - Sun
+    [0, 100, 300, 160],   // Sun below the horizon: ASC + Sun - Moon
+    [100, 10, 40, 130]
+  ])('Part of Fortune with ASC %f°, Sun %f°, Moon %f°', (ascendant, sun, moon, expected) => {
+    expect(PointCatalogue.calculatePartOfFortune(ascendant, sun, moon)).toBeCloseTo(expected, 8);
+  });
+
+  test('should let the sect of the chart be given', () => {
+    expect(PointCatalogue.calculatePartOfFortune(0, 100, 300, true)).toBeCloseTo(200, 8);
+  });
+
+  test('should provide the default planet settings', () => {
+    const config = new ChartConfig({ planetSettings: { colors: { chiron: "#123456" } } });
+
+    expect(config.planetSettings.colors.sun).toBe("#ff9900");
+    expect(config.planetSettings.orbs.moon).toBe(8);
+    expect(config.planetSettings.visible.juno).toBe(true);
+    expect(config.getPlanetSettings("South_Node")).toMatchObject({ color: "#8a6d3a", orb: 3, visible: true });
+    expect(config.getPlanetSettings("chiron").color).toBe("#123456");
+    expect(AstrologyUtils.getPlanets()).toEqual([
+      "sun", "moon", "mercury", "venus", "mars", "jupiter", "saturn", "uranus", "neptune", "pluto"
+    ]);
+  });
+
+  test('should resolve the icons of the points', () => {
+    const provider = new IconProvider({ basePath: './icons/', useInline: false });
+    expect(provider.getPlanetIconPath("true_node")).toBe("./icons/zodiac-planet-rahu.svg");
+    expect(provider.getPlanetIconPath("vesta")).toBe("./icons/zodiac-planet-vesta.svg");
+
+    const custom = new IconProvider({ useInline: false, customIcons: { planets: { rahu: "rahu.svg", mean_node: "node.svg" } } });
+    expect(custom.getPlanetIconPath("true_node")).toBe("rahu.svg");
+    expect(custom.getPlanetIconPath("mean_node")).toBe("node.svg");
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+import { Predictive } from '../../src/core/Predictive.js';
+import { Ephemeris } from '../../src/core/Ephemeris.js';
+import { HouseCalculator } from '../../src/core/HouseCalculator.js';
+import { AstronomyUtils } from '../../src/utils/AstronomyUtils.js';
+
+describe('Predictive', () => {
+  const birthData = { datetime: '1990-04-15T12:00:00', timezone: 3, latitude: 55.75, longitude: 37.62 };
+  const target = '2020-04-15T09:00:00Z';
+  const natal = new Ephemeris().calculate(birthData);
+  const natalArmc = new HouseCalculator().calculateAngles(natal.julianDay, birthData.latitude, birthData.longitude).armc;
+  const rightAscension = lon => AstronomyUtils.eclipticToEquatorial(lon, 0, natal.obliquity).rightAscension;
+  const arcDistance = (from, to) => AstronomyUtils.normalizeDegrees(to - from);
+
+  test('should progress the planets one day for each year of life', () => {
+    const progressed = Predictive.secondaryProgressions(birthData, target);
+    const years = (AstronomyUtils.dateToJulianDay(new Date(target)) - natal.julianDay) / 365.242199;
+
+    expect(progressed).toMatchObject({ method: 'secondary', mcMethod: 'naibod' });
+    expect(progressed.julianDay).toBeCloseTo(natal.julianDay + years, 8);
+    expect(progressed.planets).toEqual(new Ephemeris().calculatePlanets(progressed.julianDay));
+    expect(progressed.arc).toBeCloseTo(arcDistance(natal.planets.sun.lon, progressed.planets.sun.lon), 10);
+    // About a degree a year
+    expect(progressed.arc).toBeGreaterThan(28);
+    expect(progressed.arc).toBeLessThan(31);
+  });
+
+  test('should progress the Midheaven by the Naibod rate in right ascension', () => {
+    const progressed = Predictive.secondaryProgressions(birthData, target, { mcMethod: 'naibod' });
+    const years = progressed.julianDay - natal.julianDay;
+
+    expect(arcDistance(natalArmc, rightAscension(progressed.mc))).toBeCloseTo(years * 0.9856473, 6);
+    expect(progressed.houses).toHaveLength(12);
+    expect(progressed.houses[0].lon).toBeCloseTo(progressed.ascendant, 8);
+    expect(progressed.houses[9].lon).toBeCloseTo(progressed.mc, 8);
+  });
+
+  test('should progress the Midheaven by the solar arc', () => {
+    const byLongitude = Predictive.secondaryProgressions(birthData, target, { mcMethod: 'solar-arc' });
+    expect(byLongitude.mc).toBeCloseTo(AstronomyUtils.normalizeDegrees(natal.mc + byLongitude.arc), 6);
+
+    const byRightAscension = Predictive.secondaryProgressions(birthData, target, { mcMethod: 'true' });
+    const sunArc = arcDistance(rightAscension(natal.planets.sun.lon), rightAscension(byRightAscension.planets.sun.lon));
+    expect(arcDistance(natalArmc, rightAscension(byRightAscension.mc))).toBeCloseTo(sunArc, 6);
+    expect(byRightAscension.ascendant).not.toBeCloseTo(byLongitude.ascendant, 2);
+  });
+
+  test('should progress the planets one day for each lunar month of life', () => {
+    const progressed = Predictive.calculate('tertiary', birthData, target, { bodies: ['moon'] });
+    const months = (AstronomyUtils.dateToJulianDay(new Date(target)) - natal.julianDay) / 27.321582;
+
+    expect(progressed.method).toBe('tertiary');
+    expect(progressed.julianDay).toBeCloseTo(natal.julianDay + months, 8);
+    expect(Object.keys(progressed.planets)).toEqual(['moon']);
+  });
+
+  test('should direct every natal point by the solar arc', () => {
+    const directed = Predictive.solarArcDirections(birthData, target, { houseSystem: 'Equal' });
+    const direct = lon => AstronomyUtils.normalizeDegrees(lon + directed.arc);
+
+    expect(directed.arc).toBeCloseTo(Predictive.secondaryProgressions(birthData, target).arc, 10);
+    expect(directed.planets.mars.lon).toBeCloseTo(direct(natal.planets.mars.lon), 10);
+    expect(directed.mc).toBeCloseTo(direct(natal.mc), 10);
+    expect(directed.houses[0].lon).toBeCloseTo(direct(natal.ascendant), 10);
+    expect(directed.houses[3].lon).toBeCloseTo(direct(natal.ascendant + 90), 10);
+  });
+
+  test('should direct backwards for a target before birth', () => {
+    const directed = Predictive.solarArcDirections(birthData, '1980-04-15T09:00:00Z');
+
+    // About a degree a year
+    expect(directed.arc).toBeLessThan(-9);
+    expect(directed.arc).toBeGreaterThan(-11);
+    expect(directed.planets.mars.lon).toBeCloseTo(AstronomyUtils.normalizeDegrees(natal.planets.mars.lon + directed.arc), 10);
+    expect(directed.mc).toBeCloseTo(AstronomyUtils.normalizeDegrees(natal.mc + directed.arc), 10);
+  });
+
+  test('should leave out the angles without a birth place', () => {
+    const progressed = Predictive.secondaryProgressions({ datetime: '1990-04-15T09:00:00Z' }, target);
+    expect(progressed).toMatchObject({ ascendant: null, mc: null, houses: [] });
+  });
+
+  test('should reject unknown methods', () => {
+    expect(() => Predictive.calculate('primary', birthData, target)).toThrow(/Unknown method "primary"/);
+    expect(() => Predictive.secondaryProgressions(birthData, target, { mcMethod: 'placidus' }))
+      .toThrow(/Unknown MC progression method "placidus"/);
+    expect(Predictive.getMcMethods()).toEqual(['naibod', 'solar-arc', 'true']);
+  });
+});
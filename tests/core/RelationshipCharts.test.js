@@ -0,0 +1,73 @@
+/**
+ * @jest-environment node
+ */
+import { RelationshipCharts } from '../../src/core/RelationshipCharts.js';
+import { ChartCalculator } from '../../src/core/ChartCalculator.js';
+import { Ephemeris } from '../../src/core/Ephemeris.js';
+
+describe('RelationshipCharts', () => {
+  test.each([
+    [10, 50, 30], [350, 20, 5], [20, 350, 5], [100, 300, 20], [0, 180, 90]
+  ])('midpoint of %f° and %f° is %f°', (lon1, lon2, midpoint) => {
+    expect(RelationshipCharts.midpoint(lon1, lon2)).toBeCloseTo(midpoint, 10);
+  });
+
+  test('should build the composite of the planets both charts have', () => {
+    const composite = RelationshipCharts.composite(
+      { planets: { sun: { lon: 350, speed: 1 }, moon: { lon: 100 }, chiron: { lon: 5 } } },
+      { planets: { sun: { lon: 30 }, moon: { lon: 300 } } }
+    );
+
+    expect(composite.planets).toEqual({ sun: { lon: 10 }, moon: { lon: 20 } });
+    expect(composite.houses).toEqual([]);
+    expect(() => RelationshipCharts.composite({ planets: {} }, {})).toThrow(/Both charts need planets/);
+  });
+
+  test('should keep the order of the composite house cusps', () => {
+    const housesA = [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330];
+    // Opposite Ascendant, so the shorter-arc midpoints of some cusps lie on the other side
+    const housesB = [170, 200, 230, 260, 290, 320, 350, 20, 50, 80, 110, 140].map(lon => ({ lon }));
+    const { houses } = RelationshipCharts.composite({ planets: {}, houses: housesA }, { planets: {}, houses: housesB });
+
+    expect(houses.map(house => house.lon)).toEqual([85, 115, 145, 175, 205, 235, 265, 295, 325, 355, 25, 55]);
+  });
+
+  test('should render as a normal chart dataset', () => {
+    const composite = RelationshipCharts.composite(
+      { planets: { sun: { lon: 10 }, mars: { lon: 90 } }, houses: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330] },
+      { planets: { sun: { lon: 30 }, mars: { lon: 130 } }, houses: [20, 50, 80, 110, 140, 170, 200, 230, 260, 290, 320, 350] }
+    );
+    const chart = ChartCalculator.compute(composite);
+
+    expect(chart.planets.sun).toMatchObject({ lon: 20, house: 1 });
+    expect(chart.aspects.primary).toEqual([expect.objectContaining({ planet1: 'sun', planet2: 'mars', type: 'square' })]);
+  });
+
+  test('should cast the Davison chart for the midpoint in time and space', () => {
+    const davison = RelationshipCharts.davison(
+      { datetime: '1990-01-01T12:00:00', timezone: 3, latitude: 55.75, longitude: 37.62 },
+      { datetime: '1992-01-01T00:00:00Z', latitude: 40.71, longitude: -74.01 },
+      { bodies: ['sun', 'moon'] }
+    );
+
+    expect(davison.birthData).toMatchObject({ datetime: '1991-01-01T04:30:00.000Z', timezone: 0 });
+    expect(davison.birthData.latitude).toBeCloseTo(48.23, 10);
+    expect(davison.birthData.longitude).toBeCloseTo(-18.195, 10);
+    const expected = new Ephemeris().calculate({ ...davison.birthData, bodies: ['sun', 'moon'] });
+    expect(davison.planets).toEqual(expected.planets);
+    expect(davison.ascendant).toBe(expected.ascendant);
+    expect(davison.houses).toHaveLength(12);
+    expect(davison.houses[0].lon).toBeCloseTo(expected.ascendant, 8);
+  });
+
+  test('should take the midpoint of the birth places across the date line', () => {
+    const davison = RelationshipCharts.davison(
+      { datetime: '2000-01-01T00:00:00Z', latitude: -36.85, longitude: 174.76 },
+      { datetime: '2000-01-01T00:00:00Z', latitude: 21.31, longitude: -157.86 },
+      { bodies: ['sun'], houseSystem: 'Equal' }
+    );
+
+    expect(davison.birthData.longitude).toBeCloseTo(-171.55, 10);
+    expect(() => RelationshipCharts.davison({ datetime: '2000-01-01' }, {})).toThrow(/latitude and longitude/);
+  });
+});
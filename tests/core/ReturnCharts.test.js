@@ -0,0 +1,72 @@
+/**
+ * @jest-environment node
+ */
+import { ReturnCharts } from '../../src/core/ReturnCharts.js';
+import { Ephemeris } from '../../src/core/Ephemeris.js';
+import { AstronomyUtils } from '../../src/utils/AstronomyUtils.js';
+
+describe('ReturnCharts', () => {
+  const birthData = { datetime: '1990-04-15T12:00:00', timezone: 3, latitude: 55.75, longitude: 37.62 };
+  const natal = new Ephemeris().calculate(birthData);
+  const distance = (lon1, lon2) => Math.abs(AstronomyUtils.normalizeDegrees(lon1 - lon2 + 180) - 180);
+
+  test('should find the solar return around the birthday', () => {
+    const solarReturn = ReturnCharts.solarReturn(birthData, 2025, { bodies: ['sun', 'moon'] });
+
+    expect(distance(solarReturn.planets.sun.lon, natal.planets.sun.lon)).toBeLessThan(1e-6);
+    expect(solarReturn.datetime.startsWith('2025-04-1')).toBe(true);
+    expect(solarReturn.julianDay).toBeCloseTo(AstronomyUtils.dateToJulianDay(new Date(solarReturn.datetime)), 6);
+    expect(solarReturn).toMatchObject({
+      type: 'solar',
+      relocated: false,
+      birthData: { timezone: 0, latitude: 55.75, longitude: 37.62 }
+    });
+    expect(Object.keys(solarReturn.planets)).toEqual(['sun', 'moon']);
+    expect(solarReturn.houses).toHaveLength(12);
+    expect(solarReturn.houses[0].lon).toBeCloseTo(solarReturn.ascendant, 8);
+  });
+
+  test.each([
+    ['1990-01-01T01:00:00', 3, '2025-01-01T01:00:00+03:00'],
+    ['1990-12-31T20:00:00', -8, '2025-12-31T20:00:00-08:00']
+  ])('should find the solar return of a birth at %s (UTC%i) on the local birthday', (datetime, timezone, birthday) => {
+    const solarReturn = ReturnCharts.solarReturn({ datetime, timezone }, 2025, { bodies: ['sun'] });
+    const daysFromBirthday = (new Date(solarReturn.datetime) - new Date(birthday)) / 86400000;
+
+    expect(Math.abs(daysFromBirthday)).toBeLessThan(1);
+  });
+
+  test('should find the first lunar return of a month', () => {
+    const lunarReturn = ReturnCharts.calculate('lunar', birthData, { year: 2025, month: 2 }, { bodies: ['moon'] });
+    const date = new Date(lunarReturn.datetime);
+
+    expect(distance(lunarReturn.planets.moon.lon, natal.planets.moon.lon)).toBeLessThan(1e-6);
+    expect(date.getUTCFullYear()).toBe(2025);
+    expect(date.getUTCMonth()).toBe(1);
+    // The previous return was in January
+    expect(AstronomyUtils.julianDayToDate(lunarReturn.julianDay - 27.3).getUTCMonth()).toBe(0);
+  });
+
+  test('should relocate the return chart', () => {
+    const location = { latitude: 40.71, longitude: -74.01 };
+    const atBirthPlace = ReturnCharts.solarReturn(birthData, 2025, { bodies: ['sun'] });
+    const relocated = ReturnCharts.solarReturn(birthData, 2025, { bodies: ['sun'], location, houseSystem: 'Equal' });
+
+    expect(relocated.julianDay).toBeCloseTo(atBirthPlace.julianDay, 8);
+    expect(relocated).toMatchObject({ relocated: true, birthData: location });
+    expect(relocated.ascendant).not.toBeCloseTo(atBirthPlace.ascendant, 0);
+    expect(relocated.houses[1].lon).toBeCloseTo(AstronomyUtils.normalizeDegrees(relocated.ascendant + 30), 8);
+  });
+
+  test('should leave out the angles without a location', () => {
+    const solarReturn = ReturnCharts.solarReturn({ datetime: '1990-04-15T09:00:00Z' }, 2000, { bodies: ['sun'] });
+    expect(solarReturn).toMatchObject({ ascendant: null, mc: null, houses: [] });
+  });
+
+  test('should reject invalid periods', () => {
+    expect(() => ReturnCharts.calculate('mercury', birthData, { year: 2025 })).toThrow(/Unknown return type "mercury"/);
+    expect(() => ReturnCharts.solarReturn(birthData, '2025')).toThrow(/must be an integer/);
+    expect(() => ReturnCharts.lunarReturn(birthData, 2025, 13)).toThrow(/month from 1 to 12/);
+    expect(() => ReturnCharts.solarReturn({}, 2025)).toThrow(/needs a datetime/);
+  });
+});
@@ -0,0 +1,87 @@
+import { Vargas } from '../../src/core/Vargas.js';
+
+describe('Vargas', () => {
+  test('should list the supported vargas', () => {
+    expect(Vargas.getAvailableVargas()).toEqual([
+      "D1", "D2", "D3", "D4", "D7", "D9", "D10", "D12",
+      "D16", "D20", "D24", "D27", "D30", "D40", "D45", "D60"
+    ]);
+    expect(Vargas.getVargaName("D9")).toBe("Navamsa");
+    expect(Vargas.getVargaName(60)).toBe("Shashtiamsa");
+    expect(Vargas.getVargaName("D5")).toBeNull();
+  });
+
+  test('should accept divisions and lower case identifiers', () => {
+    expect(Vargas.normalize(9)).toBe("D9");
+    expect(Vargas.normalize("d10")).toBe("D10");
+    expect(() => Vargas.normalize("D5")).toThrow('Varga "D5" is not supported');
+  });
+
+  describe('calculateLongitude', () => {
+    test.each([
+      // [longitude, varga, varga longitude]
+      [125.4, "D1", 125.4],
+      [10, "D2", 140],       // Odd sign, first half: Sun's hora (Leo)
+      [20, "D2", 100],       // Odd sign, second half: Moon's hora (Cancer)
+      [40, "D2", 110],       // Even sign, first half: Cancer
+      [145, "D3", 15],       // Third drekkana of Leo: Aries
+      [15, "D4", 180],
+      [30, "D7", 210],       // Even sign: from the 7th sign
+      [125.4, "D9", 48.6],   // Fire sign: from Aries
+      [30, "D9", 270],       // Earth sign: from Capricorn
+      [29.99, "D9", 269.91],
+      [34.5, "D10", 315],    // Even sign: from the 9th sign
+      [70, "D12", 180],
+      [90, "D16", 0],        // Movable sign: from Aries
+      [30, "D20", 240],      // Fixed sign: from Sagittarius
+      [30, "D24", 90],       // Even sign: from Cancer
+      [90, "D27", 270],      // Water sign: from Capricorn
+      [7, "D30", 312],       // Odd sign, 5°-10°: Saturn (Aquarius)
+      [45, "D30", 341.25],   // Even sign, 12°-20°: Jupiter (Pisces)
+      [30, "D40", 180],      // Even sign: from Libra
+      [60, "D45", 240],      // Dual sign: from Sagittarius
+      [0.75, "D60", 45]
+    ])('%f° in %s', (longitude, varga, expected) => {
+      expect(Vargas.calculateLongitude(longitude, varga)).toBeCloseTo(expected, 8);
+    });
+
+    test('should normalize the longitude', () => {
+      expect(Vargas.calculateLongitude(-234.6, "D9")).toBeCloseTo(48.6, 8);
+    });
+  });
+
+  describe('mapping chart data', () => {
+    const data = {
+      planets: { sun: { lon: 150, color: '#F9A825' }, moon: { lon: 24.6 } },
+      houses: [{ lon: 154.6 }, { lon: 184.6 }]
+    };
+
+    test('should map planets from tropical longitudes with an ayanamsa', () => {
+      const planets = Vargas.mapPlanets(data.planets, "D9", 24.6);
+
+      expect(planets.sun.lon).toBeCloseTo(48.6, 8);
+      expect(planets.sun.color).toBe('#F9A825');
+      expect(planets.moon.lon).toBeCloseTo(0, 8);
+      expect(data.planets.sun.lon).toBe(150);
+    });
+
+    test('should use whole sign houses from the varga Lagna', () => {
+      // Sidereal Ascendant 130° (10° Leo) falls in the Cancer navamsa
+      const houses = Vargas.mapHouses(data.houses, "D9", 24.6);
+
+      expect(houses).toHaveLength(12);
+      expect(houses[0]).toEqual({ lon: 90 });
+      expect(houses[11]).toEqual({ lon: 60 });
+      expect(Vargas.mapHouses([130, 160], "D9")[0]).toBe(90);
+      expect(Vargas.mapHouses([], "D9")).toEqual([]);
+    });
+
+    test('should map a whole dataset', () => {
+      const navamsa = Vargas.mapChart({ ...data, secondaryPlanets: { mars: { lon: 24.6 } } }, "D9", 24.6);
+
+      expect(navamsa.planets.sun.lon).toBeCloseTo(48.6, 8);
+      expect(navamsa.secondaryPlanets.mars.lon).toBeCloseTo(0, 8);
+      expect(navamsa.houses[0]).toEqual({ lon: 90 });
+    });
+  });
+});
@@ -0,0 +1,26 @@
+import { renderToString } from '../../src/renderToString.js';
+import { NocturnaWheel } from '../../src/NocturnaWheel.js';
+import { ChartRenderer } from '../../src/components/ChartRenderer.js';
+import { IconProvider } from '../../src/services/IconProvider.js';
+import { IconData } from '../../src/data/IconData.js';
+
+describe('renderToString in the browser', () => {
+  test('should match the serialized browser render', () => {
+    const iconProvider = new IconProvider({ useInline: true });
+    iconProvider.setInlineData(IconData);
+    const options = {
+      planets: { sun: { lon: 10, speed: 1 }, moon: { lon: 130, speed: 13 }, mars: { lon: 250, speed: -0.2 } },
+      secondaryPlanets: { venus: { lon: 40 } },
+      houses: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330].map(lon => ({ lon })),
+      config: { declinationSettings: { enabled: true, display: 'strip' } },
+      iconProvider
+    };
+
+    const container = document.createElement('div');
+    const chart = new NocturnaWheel({ ...options, container }).render();
+    new ChartRenderer({ chart }, options).renderInnerElements();
+    const browserSvg = new XMLSerializer().serializeToString(container.firstChild);
+
+    expect(renderToString({ ...options, xmlDeclaration: false })).toBe(browserSvg);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+import { renderToString } from '../../src/renderToString.js';
+
+describe('renderToString', () => {
+  const chart = {
+    planets: { sun: { lon: 10, speed: 1 }, moon: { lon: 130, speed: 13 }, mars: { lon: 250, speed: -0.2 } },
+    secondaryPlanets: { venus: { lon: 40 } },
+    houses: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330].map(lon => ({ lon }))
+  };
+
+  test('should render a standalone SVG document without a DOM', () => {
+    expect(typeof document).toBe('undefined');
+
+    const svg = renderToString(chart);
+
+    expect(svg.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" ')).toBe(true);
+    expect(svg.endsWith('</svg>')).toBe(true);
+    expect(svg).toContain('class="zodiac-element chart-innermost-circle"');
+    expect(svg).toContain('planet-venus-icon planet-secondary-icon');
+
+    // Icons are inlined, so the document has no external references
+    const hrefs = svg.match(/href="[^"]*"/g);
+    expect(hrefs.length).toBeGreaterThan(12);
+    expect(hrefs.every(href => href.startsWith('href="data:image/svg+xml,'))).toBe(true);
+  });
+
+  test('should embed a stylesheet and leave out the XML declaration', () => {
+    const svg = renderToString({
+      ...chart,
+      stylesheet: '.chart-outer-circle { stroke: #666; }',
+      xmlDeclaration: false
+    });
+
+    expect(svg).toMatch(/^<svg [^>]*><style>\.chart-outer-circle \{ stroke: #666; \}<\/style><g id="group-zodiac"/);
+  });
+
+  test('should render three or more rings', () => {
+    const svg = renderToString({
+      ...chart,
+      rings: [
+        { id: 'natal', planets: chart.planets },
+        { id: 'progressed', planets: { sun: { lon: 40 } } },
+        { id: 'transit', planets: { moon: { lon: 200 } } }
+      ]
+    });
+
+    expect(svg).toContain('data-ring="transit"');
+    expect(svg).toMatch(/<g data-planet="moon" data-type="ring" [^>]*data-ring="transit">/);
+  });
+
+  test('should render the square Indian layouts', () => {
+    const svg = renderToString({ ...chart, config: { layout: 'south-indian' } });
+
+    expect(svg).not.toContain('chart-innermost-circle');
+    expect(svg).toContain('<rect');
+  });
+});
@@ -0,0 +1,169 @@
+import { NocturnaWheel } from '../../src/NocturnaWheel.js';
+import { EventManager } from '../../src/managers/EventManager.js';
+import { IconProvider } from '../../src/services/IconProvider.js';
+
+describe('EventManager', () => {
+  let container;
+  let chart;
+
+  const dispatch = (element, type, init = {}) => {
+    element.dispatchEvent(new MouseEvent(type, { bubbles: true, ...init }));
+  };
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    chart = new NocturnaWheel({
+      container,
+      iconProvider: new IconProvider({ useInline: false }),
+      planets: { sun: { lon: 10, speed: 1 }, moon: { lon: 100.5, speed: 13 }, mars: { lon: 250, speed: -0.2 } },
+      secondaryPlanets: { venus: { lon: 40 } },
+      houses: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330].map(lon => ({ lon }))
+    });
+  });
+
+  afterEach(() => {
+    chart.destroy();
+    container.remove();
+  });
+
+  test('should emit planet clicks with the planet data', () => {
+    const events = [];
+    chart.on('planet:click', event => events.push(event)).render();
+
+    const icon = container.querySelector('.planet-mars-icon');
+    dispatch(icon, 'click');
+    dispatch(container.querySelector('.planet-venus-dot'), 'click');
+
+    expect(events).toHaveLength(2);
+    expect(events[0].planet).toMatchObject({
+      name: 'mars', type: 'primary', lon: 250, sign: 'sagittarius', degree: 10,
+      house: chart.getChartData().planets.mars.house, retrograde: true, speed: -0.2
+    });
+    expect(events[0].element).toBe(icon.parentNode);
+    expect(events[0].originalEvent.type).toBe('click');
+    expect(events[1].planet).toMatchObject({ name: 'venus', type: 'secondary', sign: 'taurus' });
+  });
+
+  test('should calculate the chart data once per render', () => {
+    const events = [];
+    const getChartData = chart.getChartData.bind(chart);
+    let calculations = 0;
+    chart.getChartData = () => {
+      calculations++;
+      return getChartData();
+    };
+    chart.on('planet:click', event => events.push(event.planet)).render();
+
+    dispatch(container.querySelector('.planet-mars-icon'), 'click');
+    dispatch(container.querySelector('.planet-sun-icon'), 'click');
+    expect(calculations).toBe(1);
+
+    chart.updateData({ planets: { mars: { lon: 260, speed: -0.2 } } });
+    dispatch(container.querySelector('.planet-mars-icon'), 'click');
+    expect(calculations).toBe(2);
+    expect(events.map(planet => planet.lon)).toEqual([250, 10, 260]);
+  });
+
+  test('should emit aspect, house and sign clicks', () => {
+    const events = {};
+    ['aspect:click', 'house:click', 'sign:click'].forEach(name => {
+      chart.on(name, event => { events[name] = event; });
+    });
+    chart.render();
+
+    dispatch(container.querySelector('#group-primaryAspects .aspect-line.aspect-square'), 'click');
+    expect(events['aspect:click'].aspect).toMatchObject({ planet1: 'sun', planet2: 'moon', type: 'square', orb: 0.5, set: 'primary' });
+
+    dispatch(container.querySelector('#group-synastryAspects .aspect-symbol'), 'click');
+    expect(events['aspect:click'].aspect).toMatchObject({ planet2: 'venus', set: 'synastry' });
+
+    const marsHouse = chart.getChartData().planets.mars.house;
+    dispatch(container.querySelector(`.house-number[data-house="${marsHouse}"]`), 'click');
+    expect(events['house:click'].house).toMatchObject({
+      ...chart.getChartData().houses[marsHouse - 1], planets: expect.arrayContaining(['mars'])
+    });
+
+    dispatch(container.querySelector('.zodiac-sign-taurus'), 'click');
+    expect(events['sign:click'].sign).toEqual({
+      sign: 'taurus', index: 1, lon: 30, planets: [], secondaryPlanets: ['venus']
+    });
+  });
+
+  test('should emit one hover per element and remove handlers', () => {
+    const hovers = [];
+    const handler = event => hovers.push(event.planet.name);
+    chart.on('planet:hover', handler).render();
+
+    const dot = container.querySelector('.planet-sun-dot');
+    const icon = container.querySelector('.planet-sun-icon');
+    dispatch(dot, 'mouseover', { relatedTarget: container.querySelector('#group-zodiac') });
+    dispatch(icon, 'mouseover', { relatedTarget: dot });
+    expect(hovers).toEqual(['sun']);
+
+    chart.off('planet:hover', handler);
+    dispatch(dot, 'mouseover');
+    expect(hovers).toEqual(['sun']);
+
+    // Clicks outside chart elements emit nothing
+    chart.on('planet:click', handler);
+    dispatch(container.querySelector('.chart-outer-circle'), 'click');
+    expect(hovers).toEqual(['sun']);
+  });
+
+  test('should emit clicks on the secondary houses', () => {
+    const events = [];
+    chart.updateData({ secondaryHouses: [15, 45, 75, 105, 135, 165, 195, 225, 255, 285, 315, 345] });
+    chart.on('house:click', event => events.push(event.house));
+
+    dispatch(container.querySelector('.secondary-house-number[data-house="12"]'), 'click');
+    expect(events[0]).toMatchObject({ house: 12, type: 'secondary', lon: 345, planets: ['sun'], secondaryPlanets: [] });
+    expect(chart.getHouseOverlays().primaryInSecondaryHouses).toEqual({ sun: 12, moon: 3, mars: 8 });
+
+    chart.toggleSecondaryHouses(false);
+    expect(container.querySelector('.secondary-house-number')).toBeNull();
+  });
+
+  test('should render the rings of a tri-wheel and emit their events', () => {
+    const events = [];
+    chart.on('planet:click', event => events.push(event.planet));
+    chart.on('aspect:click', event => events.push(event.aspect));
+    chart.on('house:click', event => events.push(event.house));
+    chart.updateConfig({ ringSettings: { aspectPairs: [{ rings: ['natal', 'transit'] }] } });
+    chart.setRings([
+      { id: 'natal', planets: { sun: { lon: 10 }, moon: { lon: 100.5 } }, houses: chart.houses },
+      { id: 'progressed', planets: { venus: { lon: 40 } } },
+      {
+        id: 'transit',
+        planets: { jupiter: { lon: 130 } },
+        houses: [5, 35, 65, 95, 125, 155, 185, 215, 245, 275, 305, 335],
+        style: { color: '#aa0000', lineColor: '#cc0000' }
+      }
+    ]);
+
+    expect(chart.getRings().map(ring => ring.id)).toEqual(['natal', 'progressed', 'transit']);
+    const ring = container.querySelector('#group-rings .chart-ring[data-ring="transit"]');
+    expect(ring.querySelector('.chart-ring-circle').getAttribute('r')).toBe('60');
+    expect(ring.querySelector('.chart-ring-circle').getAttribute('stroke')).toBe('#cc0000');
+    expect(ring.querySelectorAll('.secondary-house-number[data-type="ring"]')).toHaveLength(12);
+
+    dispatch(ring.querySelector('.planet-jupiter-dot'), 'click');
+    expect(events[0]).toMatchObject({ name: 'jupiter', type: 'ring', ring: 'transit', sign: 'leo' });
+    expect(events[0].aspects).toEqual([expect.objectContaining({ planet1: 'sun', type: 'trine', set: 'rings', rings: ['natal', 'transit'] })]);
+
+    dispatch(container.querySelector('.ring-aspects[data-ring1="natal"][data-ring2="transit"] .aspect-line'), 'click');
+    expect(events[1]).toMatchObject({ planet1: 'sun', planet2: 'jupiter', set: 'rings', rings: ['natal', 'transit'] });
+
+    dispatch(ring.querySelector('.secondary-house-number[data-house="5"]'), 'click');
+    expect(events[2]).toMatchObject({ house: 5, type: 'ring', ring: 'transit', ringPlanets: ['jupiter'] });
+  });
+
+  test('should reject unknown events', () => {
+    expect(() => chart.on('planet:dblclick', () => {})).toThrow(/Unknown event "planet:dblclick"/);
+    expect(() => chart.on('planet:click')).toThrow(/must be a function/);
+    expect(EventManager.getEventNames()).toEqual([
+      'planet:click', 'planet:hover', 'aspect:click', 'aspect:hover',
+      'house:click', 'house:hover', 'sign:click', 'sign:hover'
+    ]);
+  });
+});
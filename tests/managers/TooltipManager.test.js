@@ -0,0 +1,118 @@
+import { NocturnaWheel } from '../../src/NocturnaWheel.js';
+import { TooltipManager } from '../../src/managers/TooltipManager.js';
+import { IconProvider } from '../../src/services/IconProvider.js';
+import { AstrologyUtils } from '../../src/utils/AstrologyUtils.js';
+
+describe('TooltipManager', () => {
+  let container;
+  let chart;
+
+  const dispatch = (element, type, init = {}) => {
+    element.dispatchEvent(new MouseEvent(type, { bubbles: true, clientX: 100, clientY: 50, ...init }));
+  };
+  const tooltip = () => container.querySelector('[role="tooltip"]');
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    chart = new NocturnaWheel({
+      container,
+      iconProvider: new IconProvider({ useInline: false }),
+      planets: { sun: { lon: 10, speed: 1 }, moon: { lon: 100.5, speed: 13 }, mars: { lon: 250, speed: -0.2 } },
+      secondaryPlanets: { venus: { lon: 40 } },
+      config: { tooltipSettings: { enabled: true } }
+    });
+  });
+
+  afterEach(() => {
+    chart.destroy();
+    container.remove();
+  });
+
+  test('should format degrees and positions', () => {
+    expect(AstrologyUtils.formatDegrees(10.0833)).toBe("10°05'");
+    expect(AstrologyUtils.formatDegrees(-1.5)).toBe("-1°30'");
+    expect(AstrologyUtils.formatPosition(100.5)).toBe("10°30' Cancer");
+    expect(AstrologyUtils.formatPosition(59.9999)).toBe("0°00' Gemini");
+    expect(AstrologyUtils.formatPosition(-30, 'ru')).toBe("0°00' Рыбы");
+  });
+
+  test('should replace the title tooltips of chart elements', () => {
+    chart.render();
+    expect(container.querySelector('.planet-sun-icon').parentNode.querySelector('title')).toBeNull();
+    expect(container.querySelector('.zodiac-sign-taurus title')).toBeNull();
+
+    chart.setTooltips({ enabled: false });
+    expect(container.querySelector('[data-planet="sun"] title').textContent).toMatch(/Sun/);
+  });
+
+  test('should show planet tooltips on hover and hide them on leaving', () => {
+    chart.render();
+    const icon = container.querySelector('.planet-moon-icon');
+    dispatch(icon, 'mouseover');
+
+    const element = tooltip();
+    expect(element.style.display).not.toBe('none');
+    expect(element.className).toBe('nocturna-tooltip nocturna-tooltip-planet');
+    expect(element.style.left).toBe('112px');
+    expect(element.style.background).toBe('rgb(255, 255, 255)');
+    expect(element.textContent).toContain("Moon");
+    expect(element.textContent).toContain("10°30' Cancer");
+    expect(element.textContent).toContain("Domicile");
+    expect(element.textContent).toContain("Square Sun (0°30')");
+    expect(icon.parentNode.getAttribute('aria-describedby')).toBe(element.id);
+
+    // Moving onto another part of the planet keeps the tooltip
+    dispatch(icon, 'mouseout', { relatedTarget: container.querySelector('.planet-moon-dot') });
+    expect(element.style.display).not.toBe('none');
+    dispatch(icon, 'mouseout', { relatedTarget: container.querySelector('#group-zodiac') });
+    expect(element.style.display).toBe('none');
+  });
+
+  test('should list synastry aspects and dignities of secondary planets', () => {
+    chart.render();
+    dispatch(container.querySelector('.planet-venus-dot'), 'click');
+    expect(chart._getEventData('planet', container.querySelector('[data-planet="venus"]'))).toMatchObject({
+      dignity: 'domicile', aspects: [{ planet1: 'moon', planet2: 'venus', type: 'sextile', set: 'synastry' }]
+    });
+    expect(tooltip().textContent).toContain("Sextile Moon (0°30')");
+  });
+
+  test('should show tooltips on click and tap with the click trigger', () => {
+    chart.setTooltips({ trigger: 'click', theme: 'dark' });
+    dispatch(container.querySelector('.zodiac-sign-taurus'), 'mouseover');
+    expect(tooltip()).toBeNull();
+
+    dispatch(container.querySelector('.zodiac-sign-taurus'), 'click');
+    expect(tooltip().textContent).toBe('TaurusVenus (secondary)');
+    expect(tooltip().style.background).toBe('rgb(31, 31, 46)');
+
+    // Tapping outside the chart hides it
+    document.body.dispatchEvent(new Event('touchstart', { bubbles: true }));
+    expect(tooltip().style.display).toBe('none');
+  });
+
+  test('should use custom templates and renderers', () => {
+    const shown = [];
+    chart.setTooltips({
+      theme: { background: 'black' },
+      templates: { aspect: (aspect, helpers) => `${helpers.planetName(aspect.planet1)} <b>${aspect.type}</b>` },
+      renderer: state => shown.push(state)
+    }).render();
+
+    dispatch(container.querySelector('#group-primaryAspects .aspect-line.aspect-square'), 'mouseover');
+    const { kind, content, x, y } = shown[0];
+    expect({ kind, content, x, y }).toEqual({ kind: 'aspect', content: 'Sun <b>square</b>', x: 112, y: 62 });
+    expect(shown[0].container).toBe(container);
+    expect(shown[0].data).toMatchObject({ planet1: 'sun', planet2: 'moon', set: 'primary' });
+    expect(tooltip()).toBeNull();
+
+    dispatch(container.querySelector('.chart-outer-circle'), 'click');
+    expect(shown[1]).toBeNull();
+  });
+
+  test('should provide the default templates and themes', () => {
+    expect(Object.keys(TooltipManager.getDefaultTemplates())).toEqual(['planet', 'aspect', 'house', 'sign']);
+    expect(Object.keys(TooltipManager.getThemes())).toEqual(['light', 'dark']);
+  });
+});
@@ -0,0 +1,230 @@
+import { ClientSideAspectRenderer } from '../../src/renderers/ClientSideAspectRenderer.js';
+import { ChartConfig } from '../../src/core/ChartConfig.js';
+
+describe('ClientSideAspectRenderer', () => {
+  const svgNS = "http://www.w3.org/2000/svg";
+
+  const createRenderer = (config = new ChartConfig()) =>
+    new ClientSideAspectRenderer({ svgNS, config, assetBasePath: './assets/' });
+
+  const aspectTypes = (aspects) => aspects.map(a => `${a.planet1}-${a.planet2} ${a.type}`);
+
+  const planets = [
+    { name: "sun", position: 10 },
+    { name: "moon", position: 82 },      // Quintile to the Sun
+    { name: "mercury", position: 161 },  // Quincunx to the Sun
+    { name: "venus", position: 50 }      // Novile to the Sun
+  ];
+
+  test('should not calculate the minor aspects by default', () => {
+    const config = new ChartConfig();
+    const aspects = createRenderer(config).calculateAspects(planets, config.primaryAspectSettings);
+
+    expect(config.primaryAspectSettings.types.quintile).toMatchObject({ angle: 72, enabled: false });
+    expect(config.synastryAspectSettings.types.septile.angle).toBeCloseTo(51.428571, 6);
+    expect(aspectTypes(aspects)).toEqual([]);
+  });
+
+  test('should calculate the minor aspects once enabled', () => {
+    const config = new ChartConfig({
+      primaryAspectSettings: {
+        types: { quintile: { enabled: true }, quincunx: { enabled: true }, novile: { enabled: true } }
+      }
+    });
+    const aspects = createRenderer(config).calculateAspects(planets, config.primaryAspectSettings);
+
+    expect(aspectTypes(aspects)).toEqual(["sun-moon quintile", "sun-mercury quincunx", "sun-venus novile"]);
+    expect(aspects[1].orb).toBeCloseTo(1, 8);
+  });
+
+  test('should draw the minor aspects with their glyphs', () => {
+    const config = new ChartConfig({ primaryAspectSettings: { types: { quintile: { enabled: true } } } });
+    const group = document.createElementNS(svgNS, "g");
+    createRenderer(config).render(group, [
+      { name: "sun", position: 10, x: 100, y: 300 },
+      { name: "moon", position: 82, x: 300, y: 300 }
+    ], config.primaryAspectSettings);
+
+    expect(group.querySelector(".aspect-line.aspect-quintile").getAttribute("stroke-dasharray")).toBe("1, 3");
+    expect(group.querySelector(".aspect-symbol.aspect-quintile").getAttribute("href"))
+      .toBe("./assets//svg/zodiac/zodiac-aspect-quintile.svg");
+  });
+
+  describe('harmonic mode', () => {
+    const settings = (harmonic) => ({
+      orb: 6,
+      harmonic,
+      types: { conjunction: { angle: 0, orb: 5 }, opposition: { angle: 180, orb: 5 } }
+    });
+
+    test('should find the aspects of the Nth harmonic chart', () => {
+      const renderer = createRenderer();
+      const aspects = renderer.calculateAspects(planets, settings(5));
+
+      // In the 5th harmonic the quintile (72°) becomes a conjunction: 5 × 72° = 360°
+      expect(aspectTypes(aspects)).toEqual(["sun-moon conjunction"]);
+      expect(aspects[0].harmonic).toBe(5);
+      // The novile (40°) is a conjunction in the 9th harmonic
+      expect(aspectTypes(renderer.calculateAspects(planets, settings(9)))).toEqual(["sun-venus conjunction"]);
+    });
+
+    test('should use the radix chart for the first harmonic', () => {
+      const renderer = createRenderer();
+      expect(aspectTypes(renderer.calculateAspects(planets, settings(1)))).toEqual([]);
+      expect(aspectTypes(renderer.calculateAspects(planets, settings(undefined)))).toEqual([]);
+    });
+
+    test('should mark harmonic aspects in the tooltip', () => {
+      const group = document.createElementNS(svgNS, "g");
+      createRenderer().render(group, [
+        { name: "sun", position: 10, x: 100, y: 300 },
+        { name: "moon", position: 82, x: 300, y: 300 }
+      ], { ...settings(5), types: { conjunction: { angle: 0, orb: 5, lineStyle: 'solid' } } });
+
+      expect(group.querySelector(".aspect-line title").textContent).toBe("Sun conjunction Moon (0.0°, orb 0.0°) [H5]");
+    });
+
+    test('should apply to cross-aspects', () => {
+      const aspects = createRenderer().calculateCrossAspects(
+        [{ name: "sun", position: 10 }], [{ name: "moon", position: 50 }], settings(9)
+      );
+      expect(aspectTypes(aspects)).toEqual(["sun-moon conjunction"]);
+      expect(aspects[0].isCross).toBe(true);
+    });
+  });
+
+  describe('applying and separating aspects', () => {
+    const squareSettings = { types: { square: { angle: 90, orb: 6, lineStyle: 'dashed' } } };
+
+    test.each([
+      // [moon, moon speed, applying, exact in days]
+      [95, 13, true, 5 / 12],     // The Moon catches up with the exact square
+      [104, 13, false, -4 / 12],  // The Moon has passed it
+      [95, -11, false, -5 / 12]   // Hypothetical retrograde Moon moving away
+    ])('Moon at %f° with speed %f°/day', (moon, speed, applying, exactIn) => {
+      const [aspect] = createRenderer().calculateAspects([
+        { name: "sun", position: 10, speed: 1 },
+        { name: "moon", position: moon, speed }
+      ], squareSettings);
+
+      expect(aspect.applying).toBe(applying);
+      expect(aspect.exactIn).toBeCloseTo(exactIn, 8);
+    });
+
+    test('should handle a retrograde planet', () => {
+      const [aspect] = createRenderer().calculateAspects([
+        { name: "sun", position: 10, speed: 1 },
+        { name: "mercury", position: 192, speed: -0.5 }
+      ], { types: { opposition: { angle: 180, orb: 6 } } });
+
+      expect(aspect.applying).toBe(true);
+      expect(aspect.exactIn).toBeCloseTo(4 / 3, 8);
+    });
+
+    test('should leave the motion unknown without speeds', () => {
+      const [aspect] = createRenderer().calculateAspects([
+        { name: "sun", position: 10, speed: 1 },
+        { name: "moon", position: 95 }
+      ], squareSettings);
+
+      expect(aspect.applying).toBeNull();
+      expect(aspect.exactIn).toBeNull();
+    });
+
+    test('should style the aspects by their motion', () => {
+      const config = new ChartConfig();
+      const group = document.createElementNS(svgNS, "g");
+      createRenderer(config).render(group, [
+        { name: "sun", position: 10, speed: 1, x: 100, y: 300 },
+        { name: "moon", position: 104, speed: 13, x: 300, y: 300 },
+        { name: "mars", position: 95, speed: 1.5, x: 300, y: 100 }
+      ], {
+        ...config.primaryAspectSettings,
+        motionStyles: { applying: { opacity: 1 }, separating: { opacity: 0.5, lineStyle: 'dotted' } }
+      });
+
+      const separating = group.querySelector(".aspect-line.aspect-planet-moon");
+      expect(separating.getAttribute("class")).toContain("aspect-separating");
+      expect(separating.getAttribute("opacity")).toBe("0.5");
+      expect(separating.getAttribute("stroke-dasharray")).toBe("1, 3");
+      expect(separating.querySelector("title").textContent).toBe("Sun square Moon (94.0°, orb 4.0°, separating)");
+
+      const applying = group.querySelector(".aspect-line.aspect-planet-mars");
+      expect(applying.getAttribute("class")).toContain("aspect-applying");
+      expect(applying.getAttribute("opacity")).toBe("1");
+      expect(applying.getAttribute("stroke-dasharray")).toBe("5, 5");
+    });
+  });
+
+  describe('orb models', () => {
+    const orbPlanets = [
+      { name: "sun", position: 0 },
+      { name: "moon", position: 127 },   // Trine, 7° from exact
+      { name: "pluto", position: 96.5 }  // Square to the Sun, 6.5° from exact
+    ];
+    const calculate = (orbModel) => aspectTypes(createRenderer().calculateAspects(orbPlanets, {
+      orbModel,
+      types: { trine: { angle: 120, orb: 6 }, square: { angle: 90, orb: 6 } }
+    }));
+
+    test.each([
+      ['aspect', []],
+      [undefined, []],
+      ['planet-moiety', ["sun-moon trine"]],              // (8 + 8) / 2 and (8 + 4) / 2
+      ['max', ["sun-moon trine", "sun-pluto square"]],    // 8 and 8
+      [{ moon: { sun: 7.5 } }, ["sun-moon trine"]],       // Pairs without an orb use the aspect orb
+      ['unknown', []]
+    ])('%p', (orbModel, expected) => {
+      expect(calculate(orbModel)).toEqual(expected);
+    });
+
+    test('should use the planet orbs of the config', () => {
+      const config = new ChartConfig({ planetSettings: { orbs: { pluto: 9 } } });
+      const aspects = createRenderer(config).calculateAspects(orbPlanets, {
+        orbModel: 'planet-moiety',
+        types: { square: { angle: 90, orb: 6 } }
+      });
+
+      expect(config.primaryAspectSettings.orbModel).toBe('aspect');
+      expect(aspectTypes(aspects)).toEqual(["sun-pluto square"]);
+    });
+
+    test('should use the aspect orb for points without a planet orb', () => {
+      const aspects = createRenderer().calculateCrossAspects(
+        [{ name: "sun", position: 0 }], [{ name: "asc", position: 126.5 }],
+        { orbModel: 'planet-moiety', types: { trine: { angle: 120, orb: 5 } } }
+      );
+      // (8 + 5) / 2 = 6.5
+      expect(aspectTypes(aspects)).toEqual(["sun-asc trine"]);
+    });
+  });
+
+  describe('declination aspects', () => {
+    const declinationPlanets = [
+      { name: "sun", declination: 23.2 },
+      { name: "moon", declination: 22.6 },     // Parallel to the Sun
+      { name: "mars", declination: -23.9 },    // Contraparallel to the Sun and the Moon
+      { name: "venus", declination: 10 },
+      { name: "jupiter" }                      // No declination
+    ];
+
+    test('should find parallels and contraparallels', () => {
+      const aspects = createRenderer().calculateDeclinationAspects(declinationPlanets);
+
+      expect(aspectTypes(aspects)).toEqual(["sun-moon parallel", "sun-mars contraparallel"]);
+      expect(aspects[0]).toMatchObject({ declination1: 23.2, declination2: 22.6, abbr: "PAR" });
+      expect(aspects[0].orb).toBeCloseTo(0.6, 8);
+      expect(aspects[1].orb).toBeCloseTo(0.7, 8);
+    });
+
+    test('should use the orbs and types of the settings', () => {
+      const config = new ChartConfig({
+        declinationSettings: { types: { parallel: { enabled: false }, contraparallel: { orb: 1.5 } } }
+      });
+      const aspects = createRenderer(config).calculateDeclinationAspects(declinationPlanets);
+
+      expect(aspectTypes(aspects)).toEqual(["sun-mars contraparallel", "moon-mars contraparallel"]);
+      expect(aspects[1].color).toBe('#C71585');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { DeclinationRenderer } from '../../src/renderers/DeclinationRenderer.js';
+import { ChartConfig } from '../../src/core/ChartConfig.js';
+
+describe('DeclinationRenderer', () => {
+  const svgNS = "http://www.w3.org/2000/svg";
+
+  const planets = [
+    { name: "sun", color: "#ff9900", declination: 15, x: 100, y: 300 },
+    { name: "moon", color: "#aaaaaa", declination: -15.5, x: 300, y: 300 },
+    { name: "venus", color: "#cc66cc", declination: 40, x: 300, y: 100 }
+  ];
+  const aspects = [{
+    planet1: "sun", planet2: "moon", type: "contraparallel", declination1: 15, declination2: -15.5,
+    orb: 0.5, color: '#C71585', lineStyle: 'dotted'
+  }];
+
+  const renderDeclinations = (declinationSettings = {}) => {
+    const config = new ChartConfig({ declinationSettings: { enabled: true, ...declinationSettings } });
+    const renderer = new DeclinationRenderer({ svgNS, config });
+    const group = document.createElementNS(svgNS, "g");
+    renderer.render(group, planets, aspects);
+    return { group, renderer };
+  };
+
+  test('should draw lines between the planets', () => {
+    const { group } = renderDeclinations();
+    const line = group.querySelector(".declination-line.declination-contraparallel");
+
+    expect(group.children).toHaveLength(1);
+    expect(line.getAttribute("x1")).toBe("100");
+    expect(line.getAttribute("x2")).toBe("300");
+    expect(line.getAttribute("stroke-dasharray")).toBe("1, 3");
+    expect(line.querySelector("title").textContent).toBe("Sun contraparallel Moon (15.0°N / 15.5°S, orb 0.5°)");
+  });
+
+  test('should draw the strip of declinations beside the wheel', () => {
+    const { group, renderer } = renderDeclinations({ display: "strip", maxDeclination: 30 });
+    const axis = group.querySelector(".declination-strip-axis");
+    const marker = name => group.querySelector(`.declination-marker.declination-planet-${name}`);
+
+    // Strip beside the house numbers: 230 + 210 + 12
+    expect(renderer.getStripX()).toBe(452);
+    expect(axis.getAttribute("y1")).toBe(String(renderer.centerY - renderer.outerRadius));
+    expect(group.querySelectorAll(".declination-strip-tick")).toHaveLength(3);
+
+    // North is up and declinations beyond the scale are drawn at its ends
+    expect(Number(marker("sun").getAttribute("cy"))).toBeCloseTo(renderer.centerY - renderer.outerRadius / 2, 8);
+    expect(marker("venus").getAttribute("cy")).toBe(axis.getAttribute("y1"));
+    expect(marker("moon").querySelector("title").textContent).toBe("Moon 15.5°S");
+
+    const connector = group.querySelector(".declination-connector");
+    expect(Number(connector.getAttribute("x1"))).toBeLessThan(renderer.getStripX());
+    expect(connector.getAttribute("stroke")).toBe('#C71585');
+  });
+
+  test('should accept a position for the strip', () => {
+    const { renderer } = renderDeclinations({ display: "strip", stripX: 20 });
+    expect(renderer.getStripX()).toBe(20);
+  });
+});
@@ -0,0 +1,58 @@
+import { HouseRenderer } from '../../src/renderers/HouseRenderer.js';
+import { ChartConfig } from '../../src/core/ChartConfig.js';
+
+describe('HouseRenderer', () => {
+  const svgNS = "http://www.w3.org/2000/svg";
+
+  const renderHouses = (config) => {
+    const renderer = new HouseRenderer({ svgNS, config, houseData: config.houseCusps });
+    const group = document.createElementNS(svgNS, "g");
+    renderer.render(group);
+    return group;
+  };
+
+  test('should show a warning badge after a polar fallback', () => {
+    const config = new ChartConfig({ astronomicalData: { ascendant: 100, mc: 10, latitude: 70 } });
+    const badge = renderHouses(config).querySelector(".house-fallback-badge");
+
+    expect(badge).not.toBeNull();
+    expect(badge.querySelector("title").textContent)
+      .toBe("Placidus houses are undefined at this latitude; showing Porphyry houses");
+  });
+
+  test('should not show the badge without a fallback or when disabled', () => {
+    const regular = new ChartConfig({ astronomicalData: { ascendant: 100, mc: 10, latitude: 51.5 } });
+    expect(renderHouses(regular).querySelector(".house-fallback-badge")).toBeNull();
+
+    const disabled = new ChartConfig({
+      astronomicalData: { ascendant: 100, mc: 10, latitude: 70 },
+      houseSettings: { showFallbackBadge: false }
+    });
+    expect(renderHouses(disabled).querySelector(".house-fallback-badge")).toBeNull();
+  });
+
+  test('should draw the secondary houses on the innermost circle', () => {
+    const config = new ChartConfig({});
+    const houseData = [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330].map(lon => ({ lon }));
+    const renderer = new HouseRenderer({ svgNS, config, houseData });
+    const group = document.createElementNS(svgNS, "g");
+    const elements = renderer.renderSecondaryHouses(group, houseData.map(house => house.lon + 15), 0);
+
+    expect(elements).toHaveLength(24);
+    const ticks = group.querySelectorAll(".secondary-house-line");
+    expect(ticks).toHaveLength(12);
+    expect(ticks[0].getAttribute("class")).toBe("house-element secondary-house-line axis asc");
+    expect(ticks[0].getAttribute("data-type")).toBe("secondary");
+    // The tick starts on the innermost circle at the cusp
+    const point = renderer.svgUtils.pointOnCircle(230, 230, config.radius.innermost, 15);
+    expect(Number(ticks[0].getAttribute("x1"))).toBeCloseTo(point.x, 6);
+    expect(Number(ticks[0].getAttribute("y1"))).toBeCloseTo(point.y, 6);
+
+    const numbers = group.querySelectorAll(".secondary-house-number");
+    expect(numbers[3].firstChild.textContent).toBe("4");
+    expect(numbers[3].getAttribute("data-house")).toBe("4");
+    expect(numbers[3].querySelector("title").textContent).toBe("Secondary house 4");
+
+    expect(renderer.renderSecondaryHouses(group, [], 0)).toEqual([]);
+  });
+});
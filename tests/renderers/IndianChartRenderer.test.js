@@ -0,0 +1,110 @@
+import { IndianChartRenderer } from '../../src/renderers/IndianChartRenderer.js';
+import { PlanetSymbolRenderer } from '../../src/renderers/PlanetSymbolRenderer.js';
+import { ChartConfig } from '../../src/core/ChartConfig.js';
+
+describe('IndianChartRenderer', () => {
+  const svgNS = "http://www.w3.org/2000/svg";
+
+  // Lagna in Leo (ascendant 130°)
+  const renderChart = (layout, planets, secondaryPlanets = [], astronomicalData = {}) => {
+    const config = new ChartConfig({
+      layout,
+      astronomicalData: { ascendant: 130, mc: 40, latitude: 28.6, houseSystem: "Whole Sign", ...astronomicalData }
+    });
+    const symbolRenderer = new PlanetSymbolRenderer({ svgNS, config, assetBasePath: './assets/' });
+    const renderer = new IndianChartRenderer({
+      svgNS, config, symbolRenderer, assetBasePath: './assets/', houseData: config.getHouseCusps()
+    });
+    const group = document.createElementNS(svgNS, "g");
+    renderer.render(group, planets, secondaryPlanets);
+    return { group, renderer };
+  };
+
+  const planets = [
+    { name: "sun", position: 135 },
+    { name: "moon", position: 70 },
+    { name: "rahu", position: 200, retrograde: true },
+    { name: "ketu", position: 20, retrograde: true }
+  ];
+
+  const iconCenter = (group, name) => {
+    const icon = group.querySelector(`.planet-${name}-icon`);
+    return {
+      x: Number(icon.getAttribute("x")) + Number(icon.getAttribute("width")) / 2,
+      y: Number(icon.getAttribute("y")) + Number(icon.getAttribute("height")) / 2
+    };
+  };
+
+  describe('North Indian layout', () => {
+    test('should number the houses with signs counted from the Lagna', () => {
+      const { group } = renderChart('north-indian', planets);
+      const numbers = [...group.querySelectorAll(".indian-chart-sign-number")].map(n => n.firstChild.nodeValue);
+
+      expect(numbers).toEqual(["5", "6", "7", "8", "9", "10", "11", "12", "1", "2", "3", "4"]);
+      expect(group.querySelector(".indian-chart-lagna").firstChild.nodeValue).toBe("5");
+    });
+
+    test('should place planets in the house of their sign', () => {
+      const { group } = renderChart('north-indian', planets);
+
+      // Sun in Leo: 1st house, the top diamond
+      expect(iconCenter(group, "sun")).toEqual({ x: 230, y: 127.5 });
+      // Moon in Gemini: 11th house, the upper triangle on the right
+      const moon = iconCenter(group, "moon");
+      expect(moon.x).toBeCloseTo(230 + 0.83 * 205, 6);
+      expect(moon.y).toBeCloseTo(230 - 0.5 * 205, 6);
+    });
+  });
+
+  describe('South Indian layout', () => {
+    test('should draw fixed signs and mark the Lagna', () => {
+      const { group } = renderChart('south-indian', planets);
+
+      expect(group.querySelectorAll(".zodiac-sign")).toHaveLength(12);
+      expect(group.querySelector(".indian-chart-lagna title").textContent).toBe("Lagna: Leo");
+    });
+
+    test('should place planets in the cell of their sign', () => {
+      const { group } = renderChart('south-indian', planets);
+
+      // Gemini is the top-right cell, Leo the third cell of the right column
+      expect(iconCenter(group, "moon")).toEqual({ x: 230 + 0.75 * 205, y: 230 - 0.75 * 205 });
+      expect(iconCenter(group, "sun")).toEqual({ x: 230 + 0.75 * 205, y: 230 + 0.25 * 205 });
+    });
+  });
+
+  test('should use the rahu and ketu glyphs and show retrograde motion', () => {
+    const { group } = renderChart('south-indian', planets);
+
+    expect(group.querySelector(".planet-rahu-icon").getAttribute("href"))
+      .toBe("./assets/svg/zodiac/zodiac-planet-rahu.svg");
+    expect(group.querySelector(".planet-ketu-icon")).not.toBeNull();
+    expect(group.querySelector(".planet-rahu .planet-retrograde")).not.toBeNull();
+  });
+
+  test('should arrange several planets of one sign side by side', () => {
+    const { group } = renderChart('south-indian', [
+      { name: "sun", position: 1 }, { name: "mercury", position: 5 }, { name: "venus", position: 25 }
+    ], [{ name: "mars", position: 15 }]);
+
+    const centers = ["sun", "mercury", "venus", "mars"].map(name => iconCenter(group, name));
+    expect(centers[0].y).toBe(centers[1].y);
+    expect(centers[1].x - centers[0].x).toBe(22);
+    expect(centers[3].y - centers[0].y).toBe(22);
+    expect(group.querySelector(".planet-mars.planet-secondary")).not.toBeNull();
+  });
+
+  test('should use sidereal signs when the zodiac is sidereal', () => {
+    const { group } = renderChart('north-indian', [{ name: "sun", position: 135 }], [],
+      { zodiacType: "sidereal", ayanamsa: 24 });
+
+    // Sidereal Lagna 106° is in Cancer, the Sun at 111° too
+    expect(group.querySelector(".indian-chart-lagna").firstChild.nodeValue).toBe("4");
+    expect(iconCenter(group, "sun")).toEqual({ x: 230, y: 127.5 });
+  });
+
+  test('should not render the wheel layout', () => {
+    const { group } = renderChart('wheel', planets);
+    expect(group.childNodes).toHaveLength(0);
+  });
+});
@@ -1 +1,61 @@
- 
\ No newline at end of file
+import { ZodiacRenderer } from '../../src/renderers/ZodiacRenderer.js';
+import { PrimaryPlanetRenderer } from '../../src/renderers/PrimaryPlanetRenderer.js';
+import { ChartConfig } from '../../src/core/ChartConfig.js';
+
+describe('ZodiacRenderer', () => {
+  const svgNS = "http://www.w3.org/2000/svg";
+
+  const renderZodiac = (config) => {
+    const renderer = new ZodiacRenderer({ svgNS, config, assetBasePath: './assets/' });
+    const group = document.createElementNS(svgNS, "g");
+    renderer.render(group);
+    return group;
+  };
+
+  test('should render twelve signs', () => {
+    const group = renderZodiac(new ChartConfig());
+    expect(group.querySelectorAll(".zodiac-sign")).toHaveLength(12);
+  });
+
+  test('should record the tropical zodiac in the metadata', () => {
+    const metadata = renderZodiac(new ChartConfig()).querySelector(".zodiac-metadata");
+
+    expect(metadata.getAttribute("data-zodiac-type")).toBe("tropical");
+    expect(metadata.hasAttribute("data-ayanamsa")).toBe(false);
+    expect(metadata.textContent).toBe("Tropical zodiac");
+  });
+
+  test('should record the active ayanamsa in the metadata', () => {
+    const config = new ChartConfig({
+      astronomicalData: { zodiacType: "sidereal", ayanamsa: "Lahiri", julianDay: 2451544.5 }
+    });
+    const metadata = renderZodiac(config).querySelector(".zodiac-metadata");
+
+    expect(metadata.getAttribute("data-zodiac-type")).toBe("sidereal");
+    expect(metadata.getAttribute("data-ayanamsa")).toBe("Lahiri");
+    expect(Number(metadata.getAttribute("data-ayanamsa-value"))).toBeCloseTo(23.857073, 5);
+    expect(metadata.textContent).toBe("Sidereal zodiac, Lahiri ayanamsa 23.8571°");
+
+    config.setZodiacType("sidereal", 23.5);
+    const custom = renderZodiac(config).querySelector(".zodiac-metadata");
+    expect(custom.getAttribute("data-ayanamsa")).toBe("Custom");
+  });
+
+  test('should record the divisional chart in the metadata', () => {
+    const config = new ChartConfig({ astronomicalData: { zodiacType: "sidereal", ayanamsa: 24, varga: "D9" } });
+    const metadata = renderZodiac(config).querySelector(".zodiac-metadata");
+
+    expect(metadata.getAttribute("data-varga")).toBe("D9");
+    expect(metadata.textContent).toBe("Sidereal zodiac, Custom ayanamsa 24.0000°, Navamsa (D9)");
+  });
+
+  test('should look up planet signs in the configured zodiac', () => {
+    const config = new ChartConfig({ astronomicalData: { zodiacType: "sidereal", ayanamsa: 24 } });
+    const renderer = new PrimaryPlanetRenderer({ svgNS, config, assetBasePath: './assets/' });
+    const [sun] = renderer.preparePlanetData([{ name: "sun", position: 40 }], 'primary', 100, 120);
+
+    expect(sun.position).toBe(16);
+    expect(sun.zodiacSign).toBe("aries");
+    expect(sun.position_in_sign).toBe(16);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+import { NocturnaWheel } from '../../src/NocturnaWheel.js';
+import { ChartExporter } from '../../src/services/ChartExporter.js';
+import { IconProvider } from '../../src/services/IconProvider.js';
+import { ServiceRegistry } from '../../src/services/ServiceRegistry.js';
+import { SvgStringElement } from '../../src/utils/SvgStringElement.js';
+import { SvgStringUtils } from '../../src/utils/SvgStringUtils.js';
+
+describe('ChartExporter', () => {
+  const jpeg = new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]);
+
+  const createChart = (options = {}) => new NocturnaWheel({
+    container: new SvgStringElement('div'),
+    svgUtils: new SvgStringUtils(),
+    iconProvider: new IconProvider({ useInline: false }),
+    planets: { sun: { lon: 10, speed: 1 }, moon: { lon: 100.5, speed: 13 }, mars: { lon: 250, speed: -0.2 } },
+    houses: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330].map(lon => ({ lon })),
+    ...options
+  });
+
+  const decode = bytes => Buffer.from(bytes).toString('latin1');
+
+  test('should export a self-contained SVG', () => {
+    const chart = createChart();
+    expect(() => chart.exportSVG()).toThrow(/Render the chart/);
+
+    const svg = chart.render().exportSVG();
+
+    expect(svg).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<svg xmlns="http:\/\/www.w3.org\/2000\/svg" [^>]*><style>\/\*\*\n \* nocturna-wheel.css/);
+    expect(svg).toContain('.chart-outer-circle {');
+
+    // External icon paths are replaced with the bundled icons
+    const hrefs = svg.match(/ href="[^"]*"/g);
+    expect(hrefs.length).toBeGreaterThan(12);
+    expect(hrefs.every(href => href.startsWith(' href="data:image/svg+xml,'))).toBe(true);
+  });
+
+  test('should rasterize PNG files with a pluggable rasterizer', async () => {
+    const chart = createChart().render();
+    const calls = [];
+    const rasterizer = (svg, options) => {
+      calls.push({ svg, options });
+      return new Uint8Array([1, 2, 3]).buffer;
+    };
+
+    const png = await chart.exportPNG({ scale: 2, background: '#000000', rasterizer });
+
+    expect(png).toEqual(new Uint8Array([1, 2, 3]));
+    expect(calls[0].svg).toBe(chart.exportSVG());
+    expect(calls[0].options).toEqual({ width: 920, height: 920, background: '#000000', format: 'png' });
+
+    await expect(chart.exportPNG()).rejects.toThrow(/No rasterizer available/);
+
+    ServiceRegistry.register('rasterizer', async () => new Uint8Array([4]));
+    try {
+      expect(await chart.exportPNG()).toEqual(new Uint8Array([4]));
+    } finally {
+      ServiceRegistry.register('rasterizer', null);
+    }
+  });
+
+  test('should export a PDF with the chart and tables', async () => {
+    const chart = createChart().render();
+    let rasterOptions;
+    const pdf = decode(await chart.exportPDF({
+      pageSize: 'Letter',
+      includeTables: true,
+      rasterizer: (svg, options) => {
+        rasterOptions = options;
+        return jpeg;
+      }
+    }));
+
+    expect(rasterOptions).toEqual({ width: 920, height: 920, background: '#FFFFFF', format: 'jpeg' });
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf.endsWith('%%EOF\n')).toBe(true);
+    expect(pdf).toContain('/MediaBox [0 0 612 792]');
+    expect(pdf).toContain('/Width 920 /Height 920 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length 4');
+    expect(pdf).toContain('\xFF\xD8\xFF\xD9');
+    expect(pdf).toContain('(Sun) Tj');
+    expect(pdf).toContain('(10\xB000\') Tj');
+    expect(pdf).toContain('(10\xB000\' R) Tj');
+    expect(pdf).toContain('(Square) Tj');
+    expect(pdf).toContain('(Separating) Tj');
+
+    // The cross-reference table points at the objects
+    const [, xrefOffset] = pdf.match(/startxref\n(\d+)\n/);
+    const offsets = pdf.slice(Number(xrefOffset)).match(/\d{10} 00000 n/g).map(entry => Number(entry.slice(0, 10)));
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset, offset + 10)).toMatch(new RegExp(`^${index + 1} 0 obj\\n`));
+    });
+  });
+
+  test('should continue long tables on new pages', async () => {
+    const chart = createChart().render();
+    const pdf = decode(await chart.exportPDF({ pageSize: [300, 300], includeTables: true, rasterizer: () => jpeg }));
+
+    expect(pdf).toContain('/Type /Pages /Kids [7 0 R 9 0 R] /Count 2');
+    // The title of a table stays with its column headers
+    expect(pdf).toContain('stream\nBT /F2 12 Tf 36 250 Td (Aspects) Tj ET\nBT /F2 10 Tf 36 236 Td (Planet) Tj ET');
+  });
+
+  test('should reject unknown page sizes', async () => {
+    const chart = createChart().render();
+
+    await expect(chart.exportPDF({ pageSize: 'B7', rasterizer: () => jpeg })).rejects.toThrow(/Unknown page size "B7"/);
+    expect(new ChartExporter(chart).getPageSize('a4')).toEqual([595.28, 841.89]);
+  });
+});
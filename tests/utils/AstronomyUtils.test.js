@@ -0,0 +1,33 @@
+import { AstronomyUtils } from '../../src/utils/AstronomyUtils.js';
+
+describe('AstronomyUtils', () => {
+  test('should convert dates to Julian Day and back', () => {
+    const date = new Date(Date.UTC(2000, 0, 1, 12));
+    expect(AstronomyUtils.dateToJulianDay(date)).toBe(2451545.0);
+    expect(AstronomyUtils.julianDayToDate(2451545.0).getTime()).toBe(date.getTime());
+  });
+
+  test('should estimate Delta T', () => {
+    // Delta T was about 63.8 s at the start of 2000
+    expect(AstronomyUtils.deltaT(2451544.5)).toBeCloseTo(63.8, 0);
+  });
+
+  test('should resolve local datetimes with different timezone formats', () => {
+    const expected = Date.UTC(1990, 3, 15, 10, 0);
+
+    expect(AstronomyUtils.resolveDateTime('1990-04-15T12:00', 2).getTime()).toBe(expected);
+    expect(AstronomyUtils.resolveDateTime('1990-04-15T12:00', '+02:00').getTime()).toBe(expected);
+    expect(AstronomyUtils.resolveDateTime('1990-04-15T12:00', 'Europe/Berlin').getTime()).toBe(expected);
+    expect(AstronomyUtils.resolveDateTime('1990-04-15T10:00:00Z', 'Europe/Berlin').getTime()).toBe(expected);
+  });
+
+  test('should reject unknown timezones', () => {
+    expect(() => AstronomyUtils.resolveDateTime('1990-04-15T12:00', 'Mars/Olympus'))
+      .toThrow('Unknown timezone "Mars/Olympus"');
+  });
+
+  test('should calculate the obliquity of the ecliptic', () => {
+    // Mean obliquity at J2000.0 is 23°26'21.448"
+    expect(AstronomyUtils.meanObliquity(2451545.0)).toBeCloseTo(23.4392911, 6);
+  });
+});
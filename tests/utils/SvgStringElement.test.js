@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+import { SvgStringElement } from '../../src/utils/SvgStringElement.js';
+import { SvgStringUtils } from '../../src/utils/SvgStringUtils.js';
+
+describe('SvgStringElement', () => {
+  const svgUtils = new SvgStringUtils();
+
+  test('should serialize like XMLSerializer', () => {
+    const svg = svgUtils.createSVGElement('svg', { width: '100%' });
+    const g = svg.appendChild(svgUtils.createSVGElement('g'));
+    const line = g.appendChild(svgUtils.createSVGElement('line', { x1: 1.5, 'data-x': 'a"b<c>&d\te\nf\'' }));
+    line.style.zIndex = 10;
+    line.style.display = 'none';
+    g.appendChild(svgUtils.createSVGElement('text')).textContent = 'a<b>&"c\' ♈';
+    svgUtils.addTooltip(g, '');
+
+    expect(svg.serialize()).toBe(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="100%"><g>' +
+      '<line x1="1.5" data-x="a&quot;b&lt;c&gt;&amp;d&#x9;e&#xA;f\'" style="z-index: 10; display: none;"/>' +
+      '<text>a&lt;b&gt;&amp;"c\' ♈</text><title/></g></svg>'
+    );
+    expect(line.style.display).toBe('none');
+  });
+
+  test('should manage child nodes', () => {
+    const parent = new SvgStringElement('g');
+    const first = parent.appendChild(new SvgStringElement('circle'));
+    const second = parent.insertBefore(new SvgStringElement('line'), first);
+
+    expect(parent.children).toEqual([second, first]);
+    expect(parent.firstChild).toBe(second);
+
+    first.remove();
+    expect(parent.children).toEqual([second]);
+    expect(first.parentNode).toBeNull();
+    expect(() => parent.removeChild(first)).toThrow(/not a child/);
+
+    const other = new SvgStringElement('g');
+    other.appendChild(second);
+    expect(parent.childNodes).toHaveLength(0);
+
+    other.textContent = 'text';
+    expect(other.children).toHaveLength(0);
+    expect(other.textContent).toBe('text');
+
+    other.innerHTML = '';
+    expect(other.childNodes).toHaveLength(0);
+    expect(() => { other.innerHTML = '<g/>'; }).toThrow(/innerHTML/);
+  });
+
+  test('should find descendants by simple selectors', () => {
+    const svg = svgUtils.createSVGElement('svg');
+    const g = svg.appendChild(svgUtils.createSVGElement('g', { id: 'group-zodiac' }));
+    const circle = g.appendChild(svgUtils.createSVGElement('circle', { class: 'zodiac-element chart-innermost-circle' }));
+    svg.appendChild(svgUtils.createSVGElement('g'));
+
+    expect(svg.querySelectorAll('g')).toHaveLength(2);
+    expect(svg.querySelector('.chart-innermost-circle')).toBe(circle);
+    expect(svg.querySelector('circle.zodiac-element.chart-innermost-circle')).toBe(circle);
+    expect(svg.querySelector('#group-zodiac')).toBe(g);
+    expect(svg.querySelector('line')).toBeNull();
+    expect(() => svg.querySelector('g > circle')).toThrow(/Unsupported selector/);
+  });
+});